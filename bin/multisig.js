@@ -0,0 +1,6 @@
+#!/usr/bin/env node
+
+import { main } from '../lib/cli/index.js';
+
+main(process.argv.slice(2))
+    .then((exitCode) => process.exit(exitCode));
@@ -0,0 +1,162 @@
+import { ethers } from 'ethers';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_FILE = path.join(__dirname, '../addressbook.json');
+
+const LABEL_PATTERN = /^[a-z][a-z0-9_-]*$/i;
+
+// Hex characters at each end an address poisoning attack typically copies
+const LOOKALIKE_CHARS = 4;
+
+/**
+ * AddressBook - Labelled recipients, stored in addressbook.json:
+ *
+ *   { "contacts": { "<label>": { address, note, tags, addedAt } } }
+ *
+ * Labels are accepted wherever a recipient is expected and shown next to
+ * addresses when transfers are reviewed.
+ */
+export class AddressBook {
+    /**
+     * @param {Object} options - { file } path of the address book
+     */
+    constructor({ file = DEFAULT_FILE } = {}) {
+        this.file = path.resolve(file);
+    }
+
+    /**
+     * Read the address book; an absent file is an empty book
+     */
+    load() {
+        if (!fs.existsSync(this.file)) {
+            return { contacts: {} };
+        }
+
+        const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        return { contacts: data.contacts ?? {} };
+    }
+
+    /**
+     * Whether a string is usable as a label; labels start with a letter, so
+     * they never look like an address
+     */
+    static isLabel(value) {
+        return LABEL_PATTERN.test(value);
+    }
+
+    /**
+     * All contacts sorted by label, optionally only those with a tag
+     * @returns {Array<Object>} Entries with { label, address, note, tags, addedAt }
+     */
+    list({ tag = null } = {}) {
+        return Object.entries(this.load().contacts)
+            .map(([label, entry]) => ({ label, ...entry }))
+            .filter(entry => tag === null || entry.tags.includes(tag))
+            .sort((a, b) => a.label.localeCompare(b.label));
+    }
+
+    /**
+     * Contact saved under a label (case-insensitive)
+     * @returns {Object|null} Entry with { label, ... }
+     */
+    get(label) {
+        const wanted = label.toLowerCase();
+        return this.list().find(entry => entry.label.toLowerCase() === wanted) ?? null;
+    }
+
+    /**
+     * Contact saved for an address
+     * @returns {Object|null} Entry with { label, ... }
+     */
+    find(address) {
+        const target = ethers.getAddress(address);
+        return this.list().find(entry => entry.address === target) ?? null;
+    }
+
+    /**
+     * Saved contacts whose address differs from the given one but starts or
+     * ends with the same characters, as a poisoned address would
+     * @param {string} address - Address to compare
+     * @returns {Array<Object>} Entries with { label, address, ..., prefix, suffix } where
+     *   prefix and suffix tell which end matched
+     */
+    lookalikes(address) {
+        const target = ethers.getAddress(address).slice(2).toLowerCase();
+        return this.list()
+            .filter(entry => entry.address.slice(2).toLowerCase() !== target)
+            .map(entry => {
+                const other = entry.address.slice(2).toLowerCase();
+                return {
+                    ...entry,
+                    prefix: other.slice(0, LOOKALIKE_CHARS) === target.slice(0, LOOKALIKE_CHARS),
+                    suffix: other.slice(-LOOKALIKE_CHARS) === target.slice(-LOOKALIKE_CHARS)
+                };
+            })
+            .filter(entry => entry.prefix || entry.suffix);
+    }
+
+    /**
+     * Save a contact
+     * @param {string} label - Label to save the address under
+     * @param {Object} entry - { address, note, tags }
+     * @param {Object} options - { overwrite } to replace an existing label
+     * @returns {Object} Stored entry with { label }
+     */
+    add(label, { address, note = null, tags = [] }, { overwrite = false } = {}) {
+        if (!AddressBook.isLabel(label)) {
+            throw new Error(`Invalid label: ${label} (letters, digits, - and _; starting with a letter)`);
+        }
+
+        const book = this.load();
+        const existing = this.get(label);
+        if (existing && !overwrite) {
+            throw new Error(`Label ${existing.label} is already saved for ${existing.address}`);
+        }
+
+        const stored = {
+            address: ethers.getAddress(address),
+            note,
+            tags: [...new Set(tags)],
+            addedAt: new Date().toISOString()
+        };
+        const duplicate = this.find(stored.address);
+        if (duplicate && duplicate.label !== existing?.label) {
+            throw new Error(`${stored.address} is already saved as ${duplicate.label}`);
+        }
+
+        if (existing) {
+            delete book.contacts[existing.label];
+        }
+        book.contacts[label] = stored;
+        this._save(book);
+        return { label, ...stored };
+    }
+
+    /**
+     * Remove a contact
+     * @returns {Object} Removed entry
+     */
+    remove(label) {
+        const removed = this.get(label);
+        if (!removed) {
+            throw new Error(`No contact saved as ${label}`);
+        }
+
+        const book = this.load();
+        delete book.contacts[removed.label];
+        this._save(book);
+        return removed;
+    }
+
+    _save(book) {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.writeFileSync(this.file, JSON.stringify(book, null, 2));
+    }
+}
+
+export default AddressBook;
@@ -0,0 +1,1311 @@
+import { ethers } from 'ethers';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ChainMismatchError, localChainId, resolveNetwork } from './utils/networks.js';
+import { createStorage, vaultNamespace } from './utils/storage.js';
+import { VaultError, createVaultError, decodeVaultError, getRevertData } from './utils/errors.js';
+import { loadContractArtifact } from './utils/abi.js';
+import {
+    APPROVAL_TYPES,
+    ApprovalError,
+    createApprovalRequest,
+    createApprovalResponse,
+    decodeApproval,
+    defaultDeadline,
+    hashTransfer,
+    isApproval,
+    recoverApprovalSigner,
+    TRANSFER_DOMAIN,
+    transferTypedData
+} from './utils/approval.js';
+import { PolicyError, evaluatePolicy, policyNeedsHistory } from './utils/policy.js';
+import { MESSAGE_TYPES, MessageError, createMessageRecord, hashVaultMessage, parseTypedData } from './utils/messages.js';
+import {
+    CREATE2_FACTORY,
+    Create2Error,
+    FACTORY_DEPLOYER,
+    FACTORY_DEPLOYMENT_COST,
+    FACTORY_DEPLOYMENT_TX,
+    create2Calldata,
+    parseSalt,
+    predictCreate2Address,
+    vaultInitCode
+} from './utils/create2.js';
+import { firstDifference, maskImmutables, readImmutables, splitMetadata } from './utils/verification.js';
+import {
+    isCurrentTransferRecord,
+    mergeTransferRecords,
+    migrateTransferRecord,
+    recordMatchesChain,
+    transferRecordFromChain,
+    transferStatus
+} from './utils/records.js';
+import { EventIndexer } from './EventIndexer.js';
+import { VaultWatcher } from './VaultWatcher.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// ERC-1271 isValidSignature return value of a valid signature
+const ERC1271_MAGIC_VALUE = '0x1626ba7e';
+
+/**
+ * Read a transfer-<nonce>.json file written before the storage backends
+ */
+function readLegacyTransferFile(directory, nonce) {
+    const filePath = path.join(directory, `transfer-${nonce}.json`);
+    return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : null;
+}
+
+// Vaults followed when owner2 is a vault whose owner2 is a vault, and so on
+const MAX_VAULT_NESTING = 8;
+
+/**
+ * BaseMultisigClient - Library-independent part of the vault clients:
+ * network checks, local records, approval handling and messages signed on
+ * behalf of the vault.
+ *
+ * Subclasses (MultisigClient for ethers, ViemMultisigClient for viem) talk to
+ * the chain and implement getChainId, getTransferDetails, getOwners,
+ * getTransferHash, signTypedData, signDataHash, getSignerAddress, getCode,
+ * getLatestTimestamp, isValidSignature and callTransaction, and for
+ * deterministic deployments sendTransaction and sendRawTransaction, and for
+ * simulations estimateTransactionGas, getGasPrice,
+ * getAddressBalance and getTransactionCount. The event index and watchers
+ * (see EventIndexer and VaultWatcher) read through eventProvider and
+ * createEventProvider, which return an ethers-style provider
+ * (getNetwork, getBlockNumber, getBlock, getLogs), and reconciliation looks up
+ * senders with getTransactionSender.
+ */
+export class BaseMultisigClient {
+    /**
+     * @param {string} rpcUrl - RPC endpoint (defaults to the network's, then the default network's)
+     * @param {Object} options - { network, storage, policy } where network is a resolved network
+     *   (see utils/networks.js) whose chain id, confirmations and fees are enforced,
+     *   storage a storage backend or its configuration (see utils/storage.js; default:
+     *   JSON files in data/) and policy a parsed spending policy checked before
+     *   initiating and signing (see utils/policy.js)
+     */
+    constructor(rpcUrl = null, { network = null, storage = { type: 'file' }, policy = null } = {}) {
+        this.network = network;
+        this.rpcUrl = rpcUrl || network?.rpcUrl || resolveNetwork().rpcUrl;
+        this.confirmations = network?.confirmations ?? 1;
+        this.txOverrides = { ...network?.fees };
+        this.networkChecked = false;
+        this.storage = createStorage(storage);
+        this.policy = policy;
+        this.vaultStorage = null;
+        this.contractAddress = null;
+        // Block the vault was deployed in, where its event history starts
+        // (null when unknown); set by deploy() or by whoever recorded it
+        this.deploymentBlock = null;
+        this.indexer = null;
+    }
+
+    /**
+     * Throw unless connect() or deploy() selected a vault
+     */
+    requireConnection() {
+        if (!this.contractAddress) {
+            throw new Error('Contract not connected. Call connect() first.');
+        }
+    }
+
+    /**
+     * Keep transfer and signature records in the namespace of a vault. Called
+     * by connect() and deploy(); offline signing selects the vault of the request.
+     * @param {number|bigint} chainId - Chain id of the vault
+     * @param {string} address - Vault address
+     */
+    useVaultStorage(chainId, address) {
+        this.vaultStorage = this.storage.namespace(vaultNamespace(chainId, address));
+        return this.vaultStorage;
+    }
+
+    /**
+     * Storage namespace of the current vault
+     */
+    requireVaultStorage() {
+        if (!this.vaultStorage) {
+            throw new Error('Contract not connected. Call connect() first.');
+        }
+        return this.vaultStorage;
+    }
+
+    /**
+     * Load deployment information for a chain. Deployments saved before the
+     * storage backends (deployments/<chainId>.json, or deployment.json for
+     * Anvil) are still read.
+     * @param {number|bigint} chainId - Chain id of the deployment
+     */
+    loadDeployment(chainId) {
+        const deployment = this.storage.get('deployments', chainId);
+        if (deployment) {
+            return deployment;
+        }
+
+        const deploymentPath = path.join(__dirname, `../deployments/${chainId}.json`);
+        if (fs.existsSync(deploymentPath)) {
+            return JSON.parse(fs.readFileSync(deploymentPath, 'utf8'));
+        }
+
+        const legacyPath = path.join(__dirname, '../deployment.json');
+        if (fs.existsSync(legacyPath)) {
+            const legacy = JSON.parse(fs.readFileSync(legacyPath, 'utf8'));
+            // Written before deployments were per chain; only valid for the local chain
+            if (Number(legacy.chainId ?? localChainId()) === Number(chainId)) {
+                return { chainId: localChainId(), ...legacy };
+            }
+        }
+
+        throw new Error(`No deployment found for chain ${chainId}. Run deployment first.`);
+    }
+
+    /**
+     * Save deployment information, one record per chain
+     * @returns {string} Location of the stored record
+     */
+    saveDeployment(deploymentInfo) {
+        if (deploymentInfo.chainId === undefined) {
+            throw new Error('Deployment info needs a chainId');
+        }
+
+        return this.storage.put('deployments', deploymentInfo.chainId, deploymentInfo);
+    }
+
+    /**
+     * Address deploy(..., { salt }) gives the vault of these owners, on any chain
+     * @param {string} owner1Address - Owner1 address
+     * @param {string} owner2Address - Owner2 address
+     * @param {string|null} salt - Salt (see parseSalt in utils/create2.js)
+     * @returns {string} Vault address
+     */
+    predictVaultAddress(owner1Address, owner2Address, salt = null) {
+        const initCode = vaultInitCode(loadContractArtifact('MultisigVault'), owner1Address, owner2Address);
+        return predictCreate2Address(initCode, parseSalt(salt));
+    }
+
+    /**
+     * Make sure the CREATE2 deployment proxy exists. On Anvil it is installed
+     * with its keyless deployment transaction, the gas paid by the deployer;
+     * other chains must already have it.
+     * @param {*} deployerSigner - Signer of the client's library paying for the installation
+     * @returns {Promise<boolean>} Whether the proxy was installed now
+     */
+    async ensureCreate2Factory(deployerSigner) {
+        if (await this.isContract(CREATE2_FACTORY)) {
+            return false;
+        }
+
+        const chainId = await this.getChainId();
+        if (chainId !== BigInt(localChainId())) {
+            throw new Create2Error(
+                `The CREATE2 deployment proxy ${CREATE2_FACTORY} is not deployed on chain ${chainId}. ` +
+                `Send ${ethers.formatEther(FACTORY_DEPLOYMENT_COST)} ETH to ${FACTORY_DEPLOYER} and broadcast ` +
+                'FACTORY_DEPLOYMENT_TX (lib/utils/create2.js) to deploy it.'
+            );
+        }
+
+        const balance = await this.getAddressBalance(FACTORY_DEPLOYER);
+        if (balance < FACTORY_DEPLOYMENT_COST) {
+            await this.sendTransaction(deployerSigner, { to: FACTORY_DEPLOYER, value: FACTORY_DEPLOYMENT_COST - balance });
+        }
+        await this.sendRawTransaction(FACTORY_DEPLOYMENT_TX);
+
+        if (!await this.isContract(CREATE2_FACTORY)) {
+            throw new Create2Error(`Deploying the CREATE2 proxy did not put code at ${CREATE2_FACTORY}`);
+        }
+        return true;
+    }
+
+    /**
+     * Deploy a vault through the CREATE2 proxy, at the address
+     * predictVaultAddress returns. Idempotent: when the vault is already
+     * there (the same init code always lands on the same address) it is only
+     * connected. Funds sent to the address beforehand stay in the vault.
+     * @param {string} owner1Address - Owner1 address
+     * @param {string} owner2Address - Owner2 address
+     * @param {*} deployerSigner - Signer of the client's library
+     * @param {Object} options - { salt } (see parseSalt in utils/create2.js)
+     * @returns {Promise<Object>} { contract, address, deploymentTx, receipt, salt, factory, existing }
+     *   where deploymentTx and receipt are null for an existing vault
+     */
+    async deployDeterministic(owner1Address, owner2Address, deployerSigner, { salt = null } = {}) {
+        await this.checkNetwork();
+
+        const parsedSalt = parseSalt(salt);
+        const initCode = vaultInitCode(loadContractArtifact('MultisigVault'), owner1Address, owner2Address);
+        const address = predictCreate2Address(initCode, parsedSalt);
+        const existing = await this.isContract(address);
+
+        let deploymentTx = null;
+        let receipt = null;
+        if (!existing) {
+            await this.ensureCreate2Factory(deployerSigner);
+            ({ tx: deploymentTx, receipt } = await this.withVaultErrors(
+                { operation: 'deploy', signer: deployerSigner },
+                () => this.sendTransaction(deployerSigner, { to: CREATE2_FACTORY, data: create2Calldata(initCode, parsedSalt) })
+            ));
+            if (!await this.isContract(address)) {
+                throw new Create2Error(`The CREATE2 proxy did not deploy the vault to ${address}`);
+            }
+        }
+
+        const contract = await this.connect(address);
+        if (receipt) {
+            this.deploymentBlock = Number(receipt.blockNumber);
+        }
+        return { contract, address: this.contractAddress, deploymentTx, receipt, salt: parsedSalt, factory: CREATE2_FACTORY, existing };
+    }
+
+    /**
+     * Check that a deployed vault runs the code of the local build. The
+     * runtime code is compared with the artifact's deployed bytecode with the
+     * immutables masked; the immutables are then compared with those of a
+     * deployment simulated for the recorded owners, so a vault owned by
+     * anyone else fails. Compiler version and metadata hash differences are
+     * warnings: the code itself may still be the same.
+     * @param {string} address - Vault address (default: the connected vault)
+     * @param {Object} recorded - { owner1, owner2 } from the registry or deployment
+     *   record; without them only the code is checked
+     * @returns {Promise<Object>} { address, artifact, verified, issues, warnings,
+     *   codeMatches, owners, compiler, metadataHash }
+     */
+    async verifyDeployment(address = this.contractAddress, { owner1 = null, owner2 = null } = {}) {
+        const artifact = loadContractArtifact('MultisigVault');
+        const references = artifact.immutableReferences;
+        const issues = [];
+        const warnings = [];
+        const report = { address, artifact: artifact.path, verified: false, issues, warnings, codeMatches: false };
+
+        const code = await this.getCode(address);
+        if (code === '0x') {
+            issues.push(`No contract deployed at ${address}`);
+            return report;
+        }
+        if (!artifact.deployedBytecode) {
+            throw new Error(`Deployed bytecode not found in contract artifact: ${artifact.path}`);
+        }
+
+        const deployed = splitMetadata(code);
+        const expected = splitMetadata(artifact.deployedBytecode);
+        report.compiler = { artifact: artifact.metadata.version ?? null, deployed: deployed.metadata?.solc ?? null };
+        report.metadataHash = { artifact: expected.metadata?.ipfs ?? null, deployed: deployed.metadata?.ipfs ?? null };
+
+        if (!deployed.metadata) {
+            warnings.push('The deployed code carries no compiler metadata');
+        } else {
+            if (expected.metadata && deployed.metadata.solc !== expected.metadata.solc) {
+                warnings.push(`The vault was compiled with solc ${deployed.metadata.solc}, ${artifact.path} with ${expected.metadata.solc}`);
+            }
+            if (expected.metadata && deployed.metadata.ipfs !== expected.metadata.ipfs) {
+                warnings.push(
+                    `Metadata hash ${deployed.metadata.ipfs} differs from ${expected.metadata.ipfs} of the build: ` +
+                    'sources or compiler settings changed since the vault was deployed'
+                );
+            }
+        }
+
+        const difference = firstDifference(maskImmutables(deployed.code, references), maskImmutables(expected.code, references));
+        if (difference !== null) {
+            issues.push(`The runtime code differs from ${artifact.path} at byte ${difference}`);
+            return report;
+        }
+        report.codeMatches = true;
+
+        // The code is ours, so its getters return the owner immutables
+        const iface = new ethers.Interface(artifact.abi);
+        const readOwner = async name => iface.decodeFunctionResult(
+            name,
+            await this.callTransaction({ to: address, data: iface.encodeFunctionData(name) })
+        )[0];
+        const owners = { owner1: await readOwner('owner1'), owner2: await readOwner('owner2') };
+        const expectedOwners = {
+            owner1: owner1 ? ethers.getAddress(owner1) : owners.owner1,
+            owner2: owner2 ? ethers.getAddress(owner2) : owners.owner2
+        };
+        report.owners = {
+            owner1: { recorded: owner1 ? expectedOwners.owner1 : null, deployed: owners.owner1 },
+            owner2: { recorded: owner2 ? expectedOwners.owner2 : null, deployed: owners.owner2 }
+        };
+
+        let simulated;
+        try {
+            simulated = await this.callTransaction({ data: vaultInitCode(artifact, expectedOwners.owner1, expectedOwners.owner2) });
+        } catch {
+            issues.push(`The recorded owners ${expectedOwners.owner1} and ${expectedOwners.owner2} cannot own a vault`);
+            return report;
+        }
+
+        // A simulated deployment lands on another address, so the EIP-712
+        // immutables holding the vault's address and domain separator differ
+        const chainId = await this.getChainId();
+        const ownAddress = [
+            ethers.zeroPadValue(address, 32).toLowerCase(),
+            ethers.TypedDataEncoder.hashDomain({ ...TRANSFER_DOMAIN, chainId, verifyingContract: address })
+        ];
+        const deployedValues = readImmutables(deployed.code, references);
+        const expectedValues = readImmutables(simulated, references);
+
+        for (const [id, value] of Object.entries(deployedValues)) {
+            const role = Object.keys(expectedOwners).find(name => expectedValues[id] === ethers.zeroPadValue(expectedOwners[name], 32).toLowerCase());
+            if (value === null) {
+                issues.push(`Immutable ${id} holds different values across the deployed code`);
+            } else if (value !== expectedValues[id] && (role || !ownAddress.includes(value))) {
+                issues.push(role
+                    ? `${role} of the deployed vault is ${ethers.getAddress(ethers.dataSlice(value, 12))}, the record says ${expectedOwners[role]}`
+                    : `Immutable ${id} of the deployed vault is ${value}, a vault at ${address} holds ${expectedValues[id]}`);
+            }
+        }
+
+        report.verified = issues.length === 0;
+        return report;
+    }
+
+    /**
+     * Load the stored record of a transfer of the current vault
+     */
+    loadTransfer(nonce) {
+        const transfer = this.requireVaultStorage().get('transfers', nonce);
+
+        if (!transfer) {
+            throw new Error(`No stored transfer for nonce ${nonce}.`);
+        }
+
+        return transfer;
+    }
+
+    /**
+     * Store the record of a transfer of the current vault
+     * @returns {string} Location of the stored record
+     */
+    saveTransfer(nonce, transferData) {
+        return this.requireVaultStorage().put('transfers', nonce, transferData);
+    }
+
+    /**
+     * Load the stored approval for a transfer of the current vault
+     */
+    loadSignature(nonce) {
+        const signature = this.requireVaultStorage().get('signatures', nonce);
+
+        if (!signature) {
+            throw new Error(`No stored signature for nonce ${nonce}.`);
+        }
+
+        return signature;
+    }
+
+    /**
+     * Store the approval for a transfer of the current vault
+     * @returns {string} Location of the stored record
+     */
+    saveSignature(nonce, signatureData) {
+        return this.requireVaultStorage().put('signatures', nonce, signatureData);
+    }
+
+    /**
+     * Throw a ChainMismatchError unless the RPC is on the expected chain
+     * @param {number|bigint} expected - Expected chain id
+     * @param {string} subject - What expects it, for the error message
+     */
+    async assertChainId(expected, subject) {
+        const actual = await this.getChainId();
+        if (actual !== BigInt(expected)) {
+            throw new ChainMismatchError(
+                `${this.rpcUrl} is on chain ${actual}, but ${subject} is on chain ${expected}`,
+                { expected: BigInt(expected), actual }
+            );
+        }
+    }
+
+    /**
+     * Refuse to operate when the configured network's chain id does not match the RPC
+     */
+    async checkNetwork() {
+        if (this.network && !this.networkChecked) {
+            await this.assertChainId(this.network.chainId, `network "${this.network.name}"`);
+            this.networkChecked = true;
+        }
+    }
+
+    /**
+     * Run a contract call or transaction, turning reverts of the vault into
+     * typed errors (see utils/errors.js)
+     * @param {Object} context - { operation, signer, nonce, amount, recipient } of the interaction
+     * @param {Function} action - Async function performing it
+     */
+    async withVaultErrors({ signer = null, ...context }, action) {
+        try {
+            return await action();
+        } catch (error) {
+            const data = getRevertData(error) ?? await this.replayRevert(error);
+            const address = signer ? await this.getSignerAddress(signer).catch(() => null) : null;
+            throw decodeVaultError(error, { vault: this.contractAddress, address, ...context }, data);
+        }
+    }
+
+    /**
+     * Revert data of a transaction that was mined but reverted, obtained by
+     * replaying it; subclasses override this, the base knows no transaction
+     * @returns {Promise<string|null>} Revert data
+     */
+    async replayRevert() {
+        return null;
+    }
+
+    /**
+     * Get the event indexer for the connected contract. Its store is kept in
+     * the vault's storage namespace, so every chain has its own.
+     * @param {Object} options - EventIndexer options (storePath, chunkSize, confirmations)
+     */
+    getIndexer(options = {}) {
+        this.requireConnection();
+
+        const storage = this.requireVaultStorage();
+        if (!this.indexer || this.indexer.address !== ethers.getAddress(this.contractAddress) || this.indexerStorage !== storage) {
+            this.indexer = new EventIndexer({
+                provider: this.eventProvider(),
+                address: this.contractAddress,
+                abi: this.abi,
+                storage,
+                ...options
+            });
+            this.indexerStorage = storage;
+        }
+
+        return this.indexer;
+    }
+
+    /**
+     * Backfill or resume indexing of contract events
+     * @param {Object} options - { fromBlock, toBlock, onProgress }
+     */
+    async syncEvents(options = {}) {
+        return await this.getIndexer().sync(options);
+    }
+
+    /**
+     * Bring the event index up to date and return every indexed transfer.
+     * A fresh index starts at the vault's deployment block, when known.
+     */
+    async getPolicyHistory() {
+        await this.syncEvents({ fromBlock: this.deploymentBlock });
+        return this.queryTransfers();
+    }
+
+    /**
+     * Query indexed events by type and block/time range
+     */
+    queryEvents(filter = {}) {
+        return this.getIndexer().queryEvents(filter);
+    }
+
+    /**
+     * Query indexed transfers by nonce, recipient, status and block/time range
+     */
+    queryTransfers(filter = {}) {
+        return this.getIndexer().queryTransfers(filter);
+    }
+
+    /**
+     * Get the indexed history of a transfer
+     */
+    getTransferHistory(nonce) {
+        return this.getIndexer().getTransfer(nonce);
+    }
+
+    /**
+     * Compare the vault's local transfer records with the chain and repair
+     * them. Every nonce below transferNonce is checked; issues are
+     * - missing: no record (rebuilt from the chain and indexed events)
+     * - legacy-file: only a transfer-<nonce>.json from before the storage backends (imported)
+     * - legacy: record in an older schema (migrated)
+     * - stale: recorded status differs from the chain (updated)
+     * - cancelled: cancelled on chain, not in the record (updated)
+     * - conflicting: recipient or amount differ from the chain (rebuilt)
+     * - signature: stored approval of a cancelled transfer not marked unusable
+     * Records of nonces the chain has not reached are reported as orphans and kept.
+     * @param {Object} options - { apply, fromBlock, legacyDirectory } where apply=false only
+     *   reports, fromBlock is where event indexing starts and legacyDirectory holds old
+     *   transfer files (default: project root)
+     * @returns {Promise<Object>} { vault, chainId, transferNonce, transfers: [{ nonce, status,
+     *   issues, record }], orphans }
+     */
+    async reconcileTransfers({ apply = true, fromBlock = null, legacyDirectory = path.join(__dirname, '..') } = {}) {
+        const storage = this.requireVaultStorage();
+        const transferNonce = await this.getCurrentNonce();
+
+        // Events are only indexed when a record has to be rebuilt
+        let indexed = false;
+        const rebuild = async (nonce, details) => {
+            if (!indexed) {
+                await this.syncEvents({ fromBlock });
+                indexed = true;
+            }
+            const history = this.getTransferHistory(nonce);
+            const sender = async position => (position ? await this.getTransactionSender(position.transactionHash) : null);
+
+            return transferRecordFromChain(nonce, details, history, {
+                initiatedBy: await sender(history?.initiated),
+                cancelledBy: await sender(history?.cancelled)
+            });
+        };
+
+        const transfers = [];
+        for (let nonce = 0n; nonce < transferNonce; nonce++) {
+            const details = await this.getTransferDetails(nonce);
+            const status = transferStatus(details);
+            const issues = [];
+
+            let stored = storage.get('transfers', nonce);
+            if (!stored) {
+                stored = readLegacyTransferFile(legacyDirectory, nonce);
+                if (stored) {
+                    issues.push('legacy-file');
+                }
+            }
+
+            let record;
+            if (!stored) {
+                issues.push('missing');
+                record = await rebuild(nonce, details);
+            } else {
+                if (!isCurrentTransferRecord(stored)) {
+                    issues.push('legacy');
+                }
+                record = migrateTransferRecord(stored);
+
+                if (!recordMatchesChain(record, details)) {
+                    issues.push('conflicting');
+                    record = await rebuild(nonce, details);
+                } else if (record.status !== status) {
+                    issues.push(status === 'cancelled' ? 'cancelled' : 'stale');
+                    record = mergeTransferRecords(record, await rebuild(nonce, details));
+                }
+            }
+
+            const signature = storage.get('signatures', nonce);
+            const unmarkedSignature = status === 'cancelled' && signature && !signature.cancelled;
+            if (unmarkedSignature) {
+                issues.push('signature');
+            }
+
+            if (apply && issues.length > 0) {
+                storage.put('transfers', nonce, record);
+                if (unmarkedSignature) {
+                    storage.put('signatures', nonce, { ...signature, cancelled: true });
+                }
+            }
+
+            transfers.push({ nonce, status, issues, record });
+        }
+
+        const orphans = storage.keys('transfers')
+            .filter(key => /^\d+$/.test(key) && BigInt(key) >= transferNonce)
+            .map(key => BigInt(key))
+            .sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+
+        return {
+            vault: this.contractAddress,
+            chainId: await this.getChainId(),
+            transferNonce,
+            transfers,
+            orphans
+        };
+    }
+
+    /**
+     * Watch the connected contract for new events. Events wait for the
+     * network's confirmations, counted as for transactions: with 1, an event
+     * is delivered as soon as its block is mined.
+     * @param {Object} options - VaultWatcher options (fromBlock, confirmations, pollInterval, ...)
+     * @returns {VaultWatcher} Started watcher; an EventEmitter and async iterable
+     */
+    watch(options = {}) {
+        this.requireConnection();
+
+        const watcher = new VaultWatcher({
+            provider: this.createEventProvider(),
+            providerFactory: () => this.createEventProvider(),
+            address: this.contractAddress,
+            abi: this.abi,
+            confirmations: Math.max(this.confirmations - 1, 0),
+            ...options
+        });
+
+        return watcher.start();
+    }
+
+    /**
+     * Check a transfer against the client's policy
+     * @param {Object} transfer - { recipient, amount (wei), memo, nonce }, nonce once initiated
+     * @returns {Promise<Object[]>} Violations as { rule, message }; none without a policy
+     */
+    async checkPolicy(transfer) {
+        if (!this.policy) {
+            return [];
+        }
+
+        const history = policyNeedsHistory(this.policy) ? await this.getPolicyHistory() : [];
+        return evaluatePolicy(this.policy, transfer, { history });
+    }
+
+    /**
+     * Throw a PolicyError when a transfer breaks the policy, unless overridden
+     * @param {Object} transfer - See checkPolicy
+     * @param {Object} options - { action } described in the error, { override } to only report
+     * @returns {Promise<Object[]>} Overridden violations
+     */
+    async enforcePolicy(transfer, { action, override = false }) {
+        const violations = await this.checkPolicy(transfer);
+        if (violations.length > 0 && !override) {
+            throw new PolicyError(
+                `Policy does not allow ${action}: ${violations.map(({ message }) => message).join('; ')}`,
+                violations
+            );
+        }
+        return violations;
+    }
+
+    /**
+     * Memo of a transfer from its local record, if any
+     */
+    localMemo(nonce) {
+        try {
+            return this.loadTransfer(nonce).memo ?? null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Ensure a transfer is initiated and neither completed nor cancelled
+     */
+    async assertTransferPending(nonce) {
+        const details = await this.getTransferDetails(nonce);
+
+        const context = { nonce, vault: this.contractAddress };
+        if (!details.initiated) {
+            throw createVaultError('TransferNotInitiated', context);
+        }
+        if (details.completed) {
+            throw createVaultError('TransferAlreadyCompleted', context);
+        }
+        if (details.cancelled) {
+            throw createVaultError('TransferAlreadyCancelled', context);
+        }
+
+        return details;
+    }
+
+    /**
+     * Build a portable approval request for a pending transfer, with the
+     * memo of its local record
+     */
+    async createApprovalRequest(nonce) {
+        const details = await this.assertTransferPending(nonce);
+
+        return createApprovalRequest({
+            chainId: await this.getChainId(),
+            vault: this.contractAddress,
+            nonce,
+            recipient: details.to,
+            amount: details.amount,
+            dataHash: details.dataHash,
+            memo: this.localMemo(nonce)
+        });
+    }
+
+    /**
+     * Check an approval request or response against the connected chain:
+     * chain id, vault address, pending on-chain transfer data and, for
+     * responses, that the deadline has not passed and the signature of the
+     * EIP-712 Transfer comes from the vault's owner2
+     */
+    async validateApproval(approvalInput) {
+        this.requireConnection();
+
+        const approval = decodeApproval(approvalInput);
+
+        const chainId = await this.getChainId();
+        if (approval.chainId !== chainId) {
+            throw new ApprovalError(`Approval is for chain ${approval.chainId}, connected to chain ${chainId}`);
+        }
+        if (approval.vault !== ethers.getAddress(this.contractAddress)) {
+            throw new ApprovalError(`Approval is for vault ${approval.vault}, connected to ${this.contractAddress}`);
+        }
+
+        const details = await this.assertTransferPending(approval.nonce);
+        if (details.to !== approval.recipient) {
+            throw new ApprovalError(`Approval recipient ${approval.recipient} does not match on-chain recipient ${details.to}`);
+        }
+        if (details.amount !== approval.amount) {
+            throw new ApprovalError(`Approval amount ${approval.amount} does not match on-chain amount ${details.amount}`);
+        }
+        if (details.dataHash.toLowerCase() !== approval.dataHash) {
+            throw new ApprovalError(`Approval dataHash ${approval.dataHash} does not match on-chain dataHash ${details.dataHash}`);
+        }
+
+        if (approval.type === APPROVAL_TYPES.RESPONSE) {
+            await this.assertApprovalLive(approval.nonce, approval.deadline);
+
+            const { owner2 } = await this.getOwners();
+
+            if (await this.isContract(owner2)) {
+                // A contract owner2 signs through ERC-1271; only it can tell
+                // whether the signature is its own
+                if (approval.signer !== owner2) {
+                    throw new ApprovalError(`Approval signed by ${approval.signer}, but the vault's owner2 is the contract ${owner2}`);
+                }
+                if (!await this.isValidSignatureFor(owner2, hashTransfer(approval), approval.signature)) {
+                    throw new ApprovalError(`Approval signature is not accepted by owner2 contract ${owner2} (ERC-1271 isValidSignature)`);
+                }
+                return details;
+            }
+
+            const recovered = recoverApprovalSigner(approval);
+            if (recovered !== approval.signer) {
+                throw new ApprovalError(`Approval signature was produced by ${recovered}, not ${approval.signer}`);
+            }
+            if (approval.signer !== owner2) {
+                throw new ApprovalError(`Approval signed by ${approval.signer}, but the vault's owner2 is ${owner2}`);
+            }
+        }
+
+        return details;
+    }
+
+    /**
+     * Throw ApprovalExpired unless an approval's deadline is still ahead of
+     * the latest block; the vault would revert the same way
+     * @param {bigint} nonce - Transfer nonce
+     * @param {bigint} deadline - Deadline the approval was signed with
+     */
+    async assertApprovalLive(nonce, deadline) {
+        // The next block is at least one second later than the latest
+        if (BigInt(deadline) <= await this.getLatestTimestamp()) {
+            throw createVaultError('ApprovalExpired', { nonce, deadline, vault: this.contractAddress });
+        }
+    }
+
+    /**
+     * Whether an address holds contract code
+     */
+    async isContract(address) {
+        return await this.getCode(address) !== '0x';
+    }
+
+    /**
+     * Ask a contract whether it signed a hash (ERC-1271 isValidSignature)
+     * @param {string} account - Contract to ask, e.g. owner2
+     * @param {string} hash - Signed hash
+     * @param {string} signature - Signature bytes of any length
+     * @returns {Promise<boolean>} False for invalid signatures, reverts and accounts without code
+     */
+    async isValidSignatureFor(account, hash, signature) {
+        const iface = new ethers.Interface(this.abi);
+        try {
+            const returnData = await this.callTransaction({
+                to: account,
+                data: iface.encodeFunctionData('isValidSignature', [hash, signature])
+            });
+            return iface.decodeFunctionResult('isValidSignature', returnData)[0] === ERC1271_MAGIC_VALUE;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * owner2 of another MultisigVault
+     * @returns {Promise<string|null>} Address, or null when the contract is not a vault
+     */
+    async readVaultOwner2(address) {
+        const iface = new ethers.Interface(this.abi);
+        try {
+            const returnData = await this.callTransaction({ to: address, data: iface.encodeFunctionData('owner2') });
+            return iface.decodeFunctionResult('owner2', returnData)[0];
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Who produces owner2's signature. An account signs for itself. A
+     * MultisigVault acting as owner2 accepts its own owner2's signature of the
+     * same message (see isValidSignature in the contract), so nested vaults are
+     * followed down to the account that signs for all of them. Any other
+     * contract wallet has to produce its ERC-1271 signature itself.
+     * @returns {Promise<Object>} { owner2, contract, vaults, signer, wallet } where vaults are the
+     *   nested vaults from owner2 down, signer the account whose signature is
+     *   used and wallet the contract wallet at the end of the chain (signer is null then)
+     */
+    async resolveOwner2Signer() {
+        const { owner2 } = await this.getOwners();
+        const vaults = [];
+
+        let current = owner2;
+        while (await this.isContract(current)) {
+            const next = await this.readVaultOwner2(current);
+            if (next === null) {
+                return { owner2, contract: true, vaults, signer: null, wallet: current };
+            }
+            if (vaults.length === MAX_VAULT_NESTING) {
+                throw new ApprovalError(`Owner2 ${owner2} nests more than ${MAX_VAULT_NESTING} vaults`);
+            }
+            vaults.push(current);
+            current = next;
+        }
+
+        return { owner2, contract: vaults.length > 0, vaults, signer: current, wallet: null };
+    }
+
+    /**
+     * Sign transfer approval (Owner2): the EIP-712 Transfer struct of the
+     * vault's domain, valid until the deadline. The transfer is checked
+     * against the policy first; a PolicyError is thrown unless overridePolicy is set.
+     *
+     * When owner2 is a contract the approval carries the contract's signature:
+     * for nested MultisigVaults the signer must be the account at the end of the
+     * chain (see resolveOwner2Signer); other contract wallets produce their
+     * signature themselves and it is passed as the signature option. Either
+     * way it is checked with owner2's isValidSignature before it is returned.
+     * @param {*} owner2Signer - Owner2 signer of the client's library (unused with a signature)
+     * @param {bigint|Object|string} nonceOrRequest - Nonce, or an approval request to validate and sign
+     * @param {Object} options - { memo } of the transfer (default: from the local record, then the request), { overridePolicy },
+     *   { deadline } in seconds (default: DEFAULT_APPROVAL_TTL after the latest block; required with
+     *   a signature), { signature } produced by a contract wallet acting as owner2
+     * @returns {Promise<Object>} { typedData, messageHash, deadline, signature: { signature, deadline },
+     *   signatureString, approval, policyViolations }
+     */
+    async signTransfer(owner2Signer, nonceOrRequest, {
+        memo = null,
+        overridePolicy = false,
+        deadline = null,
+        signature: walletSignature = null
+    } = {}) {
+        let request;
+        if (isApproval(nonceOrRequest)) {
+            request = decodeApproval(nonceOrRequest);
+            if (request.type !== APPROVAL_TYPES.REQUEST) {
+                throw new ApprovalError(`Expected an approval request, got ${request.type}`);
+            }
+            await this.validateApproval(request);
+        } else {
+            request = await this.createApprovalRequest(nonceOrRequest);
+        }
+
+        const policyViolations = await this.enforcePolicy({
+            recipient: request.recipient,
+            amount: request.amount,
+            memo: memo ?? this.localMemo(request.nonce) ?? request.memo ?? null,
+            nonce: request.nonce
+        }, { action: `signing transfer ${request.nonce}`, override: overridePolicy });
+
+        if (walletSignature !== null && deadline === null) {
+            throw new ApprovalError('A contract wallet signature covers a deadline; pass the deadline it signed');
+        }
+        const now = await this.getLatestTimestamp();
+        const approvalDeadline = deadline === null ? defaultDeadline(now) : BigInt(deadline);
+        if (approvalDeadline <= now) {
+            throw new ApprovalError(`Deadline ${new Date(Number(approvalDeadline) * 1000).toISOString()} has already passed`);
+        }
+
+        // The vault's own digest must match the typed data the wallet displays
+        const typedData = transferTypedData({ ...request, deadline: approvalDeadline });
+        const messageHash = await this.getTransferHash(request.nonce, approvalDeadline);
+        if (messageHash !== hashTransfer({ ...request, deadline: approvalDeadline })) {
+            throw new ApprovalError('Vault hashTransfer does not match the EIP-712 digest of the approval');
+        }
+
+        const { owner2, signature: signatureString, signer } = await this.signAsOwner2(
+            owner2Signer,
+            { hash: messageHash, typedData },
+            walletSignature
+        );
+
+        // What completeTransfer will check, asked before the signature leaves the client
+        if (owner2.contract && !await this.isValidSignatureFor(owner2.owner2, messageHash, signatureString)) {
+            throw new ApprovalError(`Owner2 contract ${owner2.owner2} does not accept the signature (ERC-1271 isValidSignature)`);
+        }
+
+        return {
+            typedData,
+            messageHash,
+            deadline: approvalDeadline,
+            signature: { signature: signatureString, deadline: approvalDeadline },
+            signatureString,
+            approval: createApprovalResponse(request, signatureString, signer, approvalDeadline),
+            policyViolations
+        };
+    }
+
+    /**
+     * Produce owner2's signature of a hash: signed by owner2's account, or by
+     * the account signing for nested vaults, or taken as given from a contract
+     * wallet (see resolveOwner2Signer). Accounts sign the typed data when it is
+     * given, otherwise the hash with the Ethereum signed message prefix.
+     * @param {*} owner2Signer - Signer of the client's library (unused with a wallet signature)
+     * @param {Object} payload - { hash, typedData } where hash is the 32-byte hash to sign and
+     *   typedData the EIP-712 data it is the digest of, if any
+     * @param {string|null} walletSignature - Signature produced by a contract wallet acting as owner2
+     * @returns {Promise<Object>} { owner2, signature, signer } where owner2 is the signing path and
+     *   signer the address the signature stands for
+     */
+    async signAsOwner2(owner2Signer, { hash, typedData = null }, walletSignature = null) {
+        const owner2 = await this.resolveOwner2Signer();
+
+        if (walletSignature !== null) {
+            if (!owner2.contract) {
+                throw new ApprovalError(`Owner2 ${owner2.owner2} is not a contract; sign with its key instead of passing a signature`);
+            }
+            if (!ethers.isHexString(walletSignature)) {
+                throw new ApprovalError(`Signature is not a hex string: ${walletSignature}`);
+            }
+            return { owner2, signature: walletSignature.toLowerCase(), signer: owner2.owner2 };
+        }
+
+        if (owner2.wallet) {
+            throw new ApprovalError(
+                `Owner2 ${owner2.owner2} is signed for by the contract wallet ${owner2.wallet}; ` +
+                `have it sign ${hash} and pass its signature`
+            );
+        }
+
+        const signerAddress = await this.getSignerAddress(owner2Signer);
+        if (owner2.contract && signerAddress !== owner2.signer) {
+            throw new ApprovalError(
+                `Owner2 ${owner2.owner2} is a vault signed for by ${owner2.signer} (through ${owner2.vaults.join(' -> ')}), not ${signerAddress}`
+            );
+        }
+
+        const signature = typedData
+            ? await this.signTypedData(owner2Signer, typedData)
+            : await this.signDataHash(owner2Signer, hash);
+        return {
+            owner2,
+            signature: ethers.Signature.from(signature).serialized,
+            signer: owner2.contract ? owner2.owner2 : signerAddress
+        };
+    }
+
+    /**
+     * Sign an EIP-191 message on behalf of the vault (Owner2). The signature is
+     * checked with an eth_call to the vault's isValidSignature, as a verifier
+     * would, and recorded in the signed message log.
+     * @param {*} owner2Signer - Owner2 signer of the client's library
+     * @param {string|Uint8Array} message - Text, or bytes
+     * @param {Object} options - { signature } produced by a contract wallet acting as owner2
+     * @returns {Promise<Object>} Log record: { type, message, hash, signature, signer, vault, chainId, signedAt }
+     */
+    async signVaultMessage(owner2Signer, message, { signature = null } = {}) {
+        return await this._signVaultHash(owner2Signer, { type: MESSAGE_TYPES.MESSAGE, message }, signature);
+    }
+
+    /**
+     * Sign EIP-712 typed data on behalf of the vault (Owner2), checked and
+     * recorded as by signVaultMessage
+     * @param {*} owner2Signer - Owner2 signer of the client's library
+     * @param {Object|string} typedData - { domain, types, primaryType, message } or its JSON
+     * @param {Object} options - { signature } produced by a contract wallet acting as owner2
+     * @returns {Promise<Object>} Log record with typedData instead of message
+     */
+    async signVaultTypedData(owner2Signer, typedData, { signature = null } = {}) {
+        return await this._signVaultHash(owner2Signer, { type: MESSAGE_TYPES.TYPED_DATA, typedData }, signature);
+    }
+
+    /**
+     * Transfers are approved through signTransfer, with its checks and policy.
+     * A vault whose owner2 is this one accepts this vault's signature of its
+     * Transfer as owner2's approval, so no MultisigVault domain and no Transfer
+     * of a vault this one owns is signed as a message.
+     */
+    async _refuseTransferTypedData({ domain, primaryType }) {
+        const vault = ethers.getAddress(this.contractAddress);
+        const verifyingContract = ethers.isAddress(domain.verifyingContract) ? ethers.getAddress(domain.verifyingContract) : null;
+
+        if (verifyingContract === vault) {
+            throw new MessageError(`Typed data for vault ${vault} itself is not signed as a message; use signTransfer`);
+        }
+        if (domain.name === TRANSFER_DOMAIN.name) {
+            throw new MessageError(`Typed data in a ${TRANSFER_DOMAIN.name} domain is not signed as a message; transfers are approved with signTransfer`);
+        }
+        if (primaryType === 'Transfer' && verifyingContract && await this.isContract(verifyingContract)
+            && await this.readVaultOwner2(verifyingContract) === vault) {
+            throw new MessageError(`Vault ${vault} is owner2 of ${verifyingContract}; its transfers are approved with signTransfer on that vault`);
+        }
+    }
+
+    async _signVaultHash(owner2Signer, request, walletSignature) {
+        this.requireConnection();
+
+        const hash = hashVaultMessage(request);
+        if (request.typedData) {
+            await this._refuseTransferTypedData(parseTypedData(request.typedData));
+        }
+
+        const { signature, signer } = await this.signAsOwner2(owner2Signer, { hash }, walletSignature);
+
+        if (!await this.isValidSignature(hash, signature)) {
+            throw new MessageError(`Vault ${this.contractAddress} does not accept the signature of ${hash} (ERC-1271 isValidSignature)`);
+        }
+
+        const record = createMessageRecord({
+            ...request,
+            hash,
+            signature,
+            signer,
+            vault: ethers.getAddress(this.contractAddress),
+            chainId: await this.getChainId()
+        });
+        this.requireVaultStorage().put('messages', hash, record);
+        return record;
+    }
+
+    /**
+     * Messages signed on behalf of the current vault, oldest first
+     * @returns {Array<Object>} Log records (see signVaultMessage)
+     */
+    listSignedMessages() {
+        const storage = this.requireVaultStorage();
+        return storage.keys('messages')
+            .map(hash => storage.get('messages', hash))
+            .sort((a, b) => a.signedAt.localeCompare(b.signedAt));
+    }
+
+    /**
+     * Simulate deploying a vault without sending the transaction
+     * @param {Object} options - { salt } to simulate a deterministic deployment (see deployDeterministic)
+     * @returns {Promise<Object>} Simulation report (see simulate); result is the vault address
+     */
+    async simulateDeploy(owner1Address, owner2Address, deployerSigner, { salt = null } = {}) {
+        await this.checkNetwork();
+
+        return await this.simulate(deployerSigner, 'deploy', async from => {
+            const artifact = loadContractArtifact('MultisigVault');
+
+            if (salt !== null) {
+                const parsedSalt = parseSalt(salt);
+                const initCode = vaultInitCode(artifact, owner1Address, owner2Address);
+                const address = predictCreate2Address(initCode, parsedSalt);
+                if (!await this.isContract(CREATE2_FACTORY)) {
+                    if (await this.getChainId() !== BigInt(localChainId())) {
+                        throw new Create2Error(`The CREATE2 deployment proxy ${CREATE2_FACTORY} is not deployed on chain ${await this.getChainId()}`);
+                    }
+                    // Anvil gets the proxy first; a plain creation costs about the same
+                    return { request: { data: initCode }, decode: () => address };
+                }
+                return { request: { to: CREATE2_FACTORY, data: create2Calldata(initCode, parsedSalt) }, decode: () => address };
+            }
+
+            const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode);
+            const { data } = await factory.getDeployTransaction(owner1Address, owner2Address);
+            const address = ethers.getCreateAddress({ from, nonce: await this.getTransactionCount(from) });
+
+            return { request: { data }, decode: () => address };
+        });
+    }
+
+    /**
+     * Simulate initiateTransfer without sending it
+     * @returns {Promise<Object>} Simulation report (see simulate); result is the nonce
+     */
+    async simulateInitiateTransfer(owner1Signer, recipient, amount) {
+        this.requireConnection();
+
+        return await this.simulate(owner1Signer, 'initiateTransfer', async () => ({
+            request: this._contractRequest('initiateTransfer', [recipient, amount]),
+            decode: returnData => this._decodeResult('initiateTransfer', returnData)[0],
+            context: { recipient, amount }
+        }));
+    }
+
+    /**
+     * Simulate completeTransfer with the exact signature, without sending it.
+     * Arguments as for completeTransfer.
+     * @returns {Promise<Object>} Simulation report (see simulate)
+     */
+    async simulateCompleteTransfer(owner1Signer, nonceOrApproval, signatureOrApproval) {
+        this.requireConnection();
+
+        return await this.simulate(owner1Signer, 'completeTransfer', async () => {
+            const { nonce, signature, deadline } = await this.resolveCompletion(nonceOrApproval, signatureOrApproval);
+            const details = await this.getTransferDetails(nonce);
+
+            return {
+                request: this._contractRequest(...this.completionCall(nonce, signature, deadline)),
+                context: { nonce, recipient: details.to, amount: details.amount },
+                transfers: [{ from: this.contractAddress, to: details.to, amount: details.amount }]
+            };
+        });
+    }
+
+    /**
+     * Simulate cancelTransfer without sending it
+     * @returns {Promise<Object>} Simulation report (see simulate)
+     */
+    async simulateCancelTransfer(ownerSigner, nonce) {
+        this.requireConnection();
+
+        return await this.simulate(ownerSigner, 'cancelTransfer', async () => {
+            await this.assertTransferPending(nonce);
+            return { request: this._contractRequest('cancelTransfer', [nonce]), context: { nonce } };
+        });
+    }
+
+    /**
+     * Run a transaction as a static call and a gas estimate from the signer's
+     * address. Reverts of the vault, including those found by the client's own
+     * checks, are reported instead of thrown.
+     * @param {*} signer - Signer that would send the transaction
+     * @param {string} operation - Client operation, e.g. 'completeTransfer'
+     * @param {Function} prepare - Async function of the sender address returning
+     *   { request: { to, data, value }, decode, context, transfers } where decode maps
+     *   the call's return data to the result and transfers are the ETH movements
+     *   ({ from, to, amount }) besides gas
+     * @returns {Promise<Object>} { operation, from, to, ok, result, error, gas: { limit, price, cost },
+     *   balanceChanges: [{ address, labels, before, after, change }] }
+     */
+    async simulate(signer, operation, prepare) {
+        const from = await this.getSignerAddress(signer);
+        const report = {
+            operation,
+            from,
+            to: this.contractAddress,
+            ok: false,
+            result: null,
+            error: null,
+            gas: null,
+            balanceChanges: []
+        };
+
+        let prepared;
+        let returnData;
+        let gasLimit;
+        try {
+            prepared = await prepare(from);
+            const request = { from, ...prepared.request };
+            ({ returnData, gasLimit } = await this.withVaultErrors({ operation, signer, ...prepared.context }, async () => ({
+                returnData: await this.callTransaction(request),
+                gasLimit: await this.estimateTransactionGas(request)
+            })));
+        } catch (error) {
+            if (error instanceof VaultError) {
+                return { ...report, error };
+            }
+            throw error;
+        }
+
+        const price = this.txOverrides.gasPrice ?? this.txOverrides.maxFeePerGas ?? await this.getGasPrice();
+        const cost = gasLimit * price;
+
+        return {
+            ...report,
+            to: prepared.request.to ?? null,
+            ok: true,
+            result: prepared.decode ? prepared.decode(returnData) : null,
+            gas: { limit: gasLimit, price, cost },
+            balanceChanges: await this._balanceChanges([
+                ...(prepared.transfers ?? []),
+                { from, to: null, amount: cost }
+            ], [[from, 'sender'], [this.contractAddress, 'vault'], [prepared.context?.recipient, 'recipient']])
+        };
+    }
+
+    _contractRequest(functionName, args) {
+        return { to: this.contractAddress, data: new ethers.Interface(this.abi).encodeFunctionData(functionName, args) };
+    }
+
+    _decodeResult(functionName, returnData) {
+        return new ethers.Interface(this.abi).decodeFunctionResult(functionName, returnData);
+    }
+
+    /**
+     * Current and projected balances of every address an ETH movement touches
+     * @param {Array<Object>} transfers - { from, to, amount }; a null to is burnt (gas)
+     * @param {Array<Array>} roles - [address, label] pairs naming known addresses
+     */
+    async _balanceChanges(transfers, roles) {
+        const changes = new Map();
+        for (const { from, to, amount } of transfers) {
+            for (const [address, delta] of [[from, -amount], [to, amount]]) {
+                if (address) {
+                    const key = ethers.getAddress(address);
+                    changes.set(key, (changes.get(key) ?? 0n) + delta);
+                }
+            }
+        }
+
+        return await Promise.all([...changes].map(async ([address, change]) => {
+            const before = await this.getAddressBalance(address);
+            return {
+                address,
+                labels: roles
+                    .filter(([roleAddress]) => roleAddress && ethers.getAddress(roleAddress) === address)
+                    .map(([, label]) => label),
+                before,
+                after: before + change,
+                change
+            };
+        }));
+    }
+
+    /**
+     * Resolve the arguments of completeTransfer to a nonce, a signature and
+     * its deadline, validating approval responses against the chain and
+     * rejecting expired approvals
+     * @param {bigint|Object|string} nonce - Nonce, or an approval response
+     * @param {Object|string} signature - { signature, deadline } (as returned by signTransfer)
+     *   or an approval response
+     * @returns {Promise<Object>} { nonce, signature, deadline } where signature is hex bytes
+     */
+    async resolveCompletion(nonce, signature) {
+        this.requireConnection();
+
+        if (signature === undefined && isApproval(nonce)) {
+            signature = nonce;
+            nonce = null;
+        }
+
+        if (isApproval(signature)) {
+            const approval = decodeApproval(signature);
+            if (approval.type !== APPROVAL_TYPES.RESPONSE) {
+                throw new ApprovalError('An approval request carries no signature; Owner2 must sign it first');
+            }
+            if (nonce !== null && BigInt(nonce) !== approval.nonce) {
+                throw new ApprovalError(`Approval is for nonce ${approval.nonce}, not ${nonce}`);
+            }
+
+            await this.validateApproval(approval);
+            return { nonce: approval.nonce, signature: approval.signature, deadline: approval.deadline };
+        }
+
+        // Bare { v, r, s } records and hex strings predate approval deadlines
+        if (typeof signature !== 'object' || signature === null || signature.deadline === undefined || signature.deadline === null) {
+            throw new ApprovalError('Signature has no deadline; signatures made before EIP-712 approvals are no longer accepted, Owner2 has to sign again');
+        }
+        if (!ethers.isHexString(signature.signature)) {
+            throw new ApprovalError(`Signature is not a hex string: ${signature.signature}`);
+        }
+
+        await this.assertTransferPending(nonce);
+        await this.assertApprovalLive(nonce, signature.deadline);
+        return { nonce, signature: signature.signature, deadline: BigInt(signature.deadline) };
+    }
+
+    /**
+     * Contract function and arguments completing a transfer. Signatures of
+     * any length are passed as bytes, so the same call serves accounts and
+     * contract wallets acting as owner2.
+     * @param {bigint} nonce - Transfer nonce
+     * @param {string} signature - Signature bytes (see resolveCompletion)
+     * @param {bigint} deadline - Deadline the signature covers
+     * @returns {Array} [functionName, args]
+     */
+    completionCall(nonce, signature, deadline) {
+        return ['completeTransfer', [BigInt(nonce), BigInt(deadline), signature]];
+    }
+}
+
+export default BaseMultisigClient;
@@ -0,0 +1,129 @@
+import { ethers } from 'ethers';
+import { APPROVAL_TYPES, ApprovalError, decodeApproval, encodeApprovalJSON } from './utils/approval.js';
+import { CoordinationError, signRequest } from './utils/coordination.js';
+
+/**
+ * Decode the approvals of a proposal returned by the server
+ */
+function toProposal(data) {
+    return {
+        ...data,
+        nonce: BigInt(data.nonce),
+        request: decodeApproval(data.request),
+        approval: data.approval ? decodeApproval(data.approval) : null
+    };
+}
+
+/**
+ * CoordinationClient - Talks to a CoordinationServer on behalf of one owner.
+ * Every request is signed with the owner's signer (see utils/coordination.js).
+ */
+export class CoordinationClient {
+    /**
+     * @param {string} url - Base URL of the coordination server
+     * @param {ethers.Signer} signer - Owner signer used to authenticate requests
+     */
+    constructor(url, signer) {
+        this.url = url.replace(/\/+$/, '');
+        this.signer = signer;
+    }
+
+    /**
+     * Send a signed request
+     * @returns {Promise<Object>} Parsed response body
+     */
+    async request(method, path, payload = undefined) {
+        const body = payload === undefined ? '' : JSON.stringify(payload);
+        const headers = await signRequest(this.signer, { method, path, body });
+        if (body) {
+            headers['content-type'] = 'application/json';
+        }
+
+        let response;
+        try {
+            response = await fetch(this.url + path, { method, headers, body: body || undefined });
+        } catch (error) {
+            throw new CoordinationError(`Cannot reach the coordination server at ${this.url}: ${error.cause?.message ?? error.message}`, 503);
+        }
+
+        const text = await response.text();
+        let data = null;
+        try {
+            data = text ? JSON.parse(text) : null;
+        } catch {
+            // Not one of our responses; reported below
+        }
+        if (!response.ok) {
+            throw new CoordinationError(data?.error ?? `Coordination server answered ${response.status}`, response.status);
+        }
+        return data;
+    }
+
+    /**
+     * Publish the approval request of a transfer (owner1)
+     * @param {Object|string} approvalRequest - Approval request
+     * @param {Object} options - { memo } shown to owner2 and checked by its policy
+     * @returns {Promise<Object>} Stored proposal
+     */
+    async propose(approvalRequest, { memo = null } = {}) {
+        const request = decodeApproval(approvalRequest);
+        if (request.type !== APPROVAL_TYPES.REQUEST) {
+            throw new ApprovalError(`Expected an approval request, got ${request.type}`);
+        }
+
+        return toProposal(await this.request('POST', `/vaults/${request.vault}/proposals`, {
+            request: JSON.parse(encodeApprovalJSON(request)),
+            memo
+        }));
+    }
+
+    /**
+     * List a vault's proposals
+     * @param {string} vault - Vault address
+     * @param {Object} options - { status }: pending (default), completed, cancelled or all
+     * @returns {Promise<Object[]>} Proposals with their on-chain status
+     */
+    async listProposals(vault, { status = 'pending' } = {}) {
+        const { proposals } = await this.request('GET', `/vaults/${ethers.getAddress(vault)}/proposals?status=${encodeURIComponent(status)}`);
+        return proposals.map(toProposal);
+    }
+
+    /**
+     * Get one proposal; null when the transfer was never proposed
+     */
+    async getProposal(vault, nonce) {
+        try {
+            return toProposal(await this.request('GET', `/vaults/${ethers.getAddress(vault)}/proposals/${nonce}`));
+        } catch (error) {
+            if (error instanceof CoordinationError && error.status === 404 && /^No proposal/.test(error.message)) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Upload owner2's approval response for a proposal (owner2)
+     * @param {Object|string} approvalResponse - Approval response
+     * @returns {Promise<Object>} Updated proposal
+     */
+    async submitApproval(approvalResponse) {
+        const approval = decodeApproval(approvalResponse);
+        if (approval.type !== APPROVAL_TYPES.RESPONSE) {
+            throw new ApprovalError(`Expected an approval response, got ${approval.type}`);
+        }
+
+        return toProposal(await this.request('PUT', `/vaults/${approval.vault}/proposals/${approval.nonce}/approval`, {
+            approval: JSON.parse(encodeApprovalJSON(approval))
+        }));
+    }
+
+    /**
+     * Owner2's approval response for a transfer, or null if not uploaded yet
+     */
+    async getApproval(vault, nonce) {
+        return (await this.getProposal(vault, nonce))?.approval ?? null;
+    }
+}
+
+export default CoordinationClient;
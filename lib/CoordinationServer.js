@@ -0,0 +1,378 @@
+import { ethers } from 'ethers';
+import { EventEmitter } from 'events';
+import http from 'http';
+import { MultisigClient } from './MultisigClient.js';
+import { createStorage, storageConfigFromEnv } from './utils/storage.js';
+import { TRANSFER_STATUSES, transferStatus } from './utils/records.js';
+import { VaultError } from './utils/errors.js';
+import {
+    APPROVAL_TYPES,
+    ApprovalError,
+    decodeApproval,
+    encodeApprovalJSON,
+    hashTransfer
+} from './utils/approval.js';
+import {
+    CoordinationError,
+    DEFAULT_MAX_CLOCK_SKEW,
+    verifyRequest
+} from './utils/coordination.js';
+
+// Largest accepted request body; approvals are well under 1 KB
+const MAX_BODY_SIZE = 64 * 1024;
+
+const VAULT_PATH = '/vaults/(0x[0-9a-fA-F]{40})/proposals';
+
+// [method, path pattern, handler, roles allowed to call it]
+const ROUTES = [
+    ['POST', new RegExp(`^${VAULT_PATH}$`), 'propose', ['owner1']],
+    ['GET', new RegExp(`^${VAULT_PATH}$`), 'listProposals', ['owner1', 'owner2']],
+    ['GET', new RegExp(`^${VAULT_PATH}/(\\d+)$`), 'getProposal', ['owner1', 'owner2']],
+    ['PUT', new RegExp(`^${VAULT_PATH}/(\\d+)/approval$`), 'submitApproval', ['owner2']]
+];
+
+function matchRoute(method, pathname) {
+    let pathMatched = false;
+    for (const [routeMethod, pattern, handler, roles] of ROUTES) {
+        const match = pattern.exec(pathname);
+        if (match) {
+            pathMatched = true;
+            if (routeMethod === method) {
+                return { handler, roles, params: match.slice(1) };
+            }
+        }
+    }
+    throw pathMatched
+        ? new CoordinationError(`${method} is not supported on ${pathname}`, 405)
+        : new CoordinationError(`Not found: ${pathname}`, 404);
+}
+
+function readBody(req, limit) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > limit) {
+                reject(new CoordinationError(`Request body is larger than ${limit} bytes`, 413));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+function parseBody(raw) {
+    if (raw === '') {
+        return null;
+    }
+    try {
+        return JSON.parse(raw);
+    } catch {
+        throw new CoordinationError('Request body is not valid JSON', 400);
+    }
+}
+
+/**
+ * HTTP status for an error raised while handling a request
+ */
+function statusFor(error) {
+    if (error instanceof CoordinationError) {
+        return error.status;
+    }
+    if (error instanceof ApprovalError) {
+        return 422;
+    }
+    if (error instanceof VaultError) {
+        return 409;
+    }
+    return 500;
+}
+
+/**
+ * CoordinationServer - Small HTTP service through which the owners of a vault
+ * exchange approvals: owner1 posts the approval request of a transfer it
+ * initiated, owner2 lists pending proposals and uploads its approval
+ * response, and owner1 fetches the approval to complete the transfer.
+ *
+ * Requests are authenticated by owner signatures (see utils/coordination.js)
+ * and every proposal and approval is checked against the vault before it is
+ * stored. Emits 'request' with { method, path, status, address, error } for
+ * every handled request.
+ *
+ *   POST /vaults/:vault/proposals                  owner1   { request, memo }
+ *   GET  /vaults/:vault/proposals[?status=]        owners   pending by default, or completed, cancelled, all
+ *   GET  /vaults/:vault/proposals/:nonce           owners
+ *   PUT  /vaults/:vault/proposals/:nonce/approval  owner2   { approval }
+ */
+export class CoordinationServer extends EventEmitter {
+    /**
+     * @param {Object} options - { rpcUrl, network, storage, maxClockSkew } where storage is a
+     *   storage backend or its configuration (default: STORAGE_* variables) and
+     *   maxClockSkew the accepted request timestamp difference in seconds
+     */
+    constructor({ rpcUrl = null, network = null, storage = storageConfigFromEnv(), maxClockSkew = DEFAULT_MAX_CLOCK_SKEW } = {}) {
+        super();
+        this.rpcUrl = rpcUrl;
+        this.network = network;
+        this.storage = createStorage(storage);
+        this.maxClockSkew = maxClockSkew;
+        this.clients = new Map();
+        // Signatures of accepted requests, kept until their timestamp expires
+        this.usedSignatures = new Map();
+        this.server = null;
+    }
+
+    /**
+     * Start listening
+     * @param {Object} options - { port, host } (default 8547 on 127.0.0.1; port 0 picks a free port)
+     * @returns {Promise<string>} Base URL of the server
+     */
+    async listen({ port = 8547, host = '127.0.0.1' } = {}) {
+        this.server = http.createServer((req, res) => this.handle(req, res));
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, resolve);
+        });
+
+        const address = this.server.address();
+        return `http://${host.includes(':') ? `[${host}]` : host}:${address.port}`;
+    }
+
+    /**
+     * Stop listening and release the RPC connections
+     */
+    async close() {
+        if (this.server) {
+            await new Promise(resolve => this.server.close(resolve));
+            this.server.closeAllConnections?.();
+            this.server = null;
+        }
+
+        for (const pending of this.clients.values()) {
+            try {
+                (await pending).provider.destroy();
+            } catch {
+                // Never connected
+            }
+        }
+        this.clients.clear();
+    }
+
+    /**
+     * Handle one HTTP request (the http.Server request listener)
+     */
+    async handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        let status = 200;
+        let body;
+        let address = null;
+        let failure = null;
+
+        try {
+            const raw = await readBody(req, MAX_BODY_SIZE);
+            const route = matchRoute(req.method, url.pathname);
+            const vault = route.params[0];
+            ({ address } = await this.authenticate(req.headers, { method: req.method, path: req.url, body: raw }, vault));
+
+            const client = await this.vaultClient(vault);
+            const role = await this.requireRole(client, address, route.roles);
+            ({ status = 200, body } = await this[route.handler](client, {
+                nonce: route.params[1] !== undefined ? BigInt(route.params[1]) : null,
+                query: url.searchParams,
+                body: parseBody(raw),
+                address,
+                role
+            }));
+        } catch (error) {
+            failure = error;
+            status = statusFor(error);
+            body = { error: error.message, errorName: error.errorName ?? error.name };
+        }
+
+        res.writeHead(status, { 'content-type': 'application/json' });
+        res.end(JSON.stringify(body));
+        this.emit('request', { method: req.method, path: url.pathname, status, address, error: failure });
+    }
+
+    /**
+     * Check a request's signature, timestamp and that it was not seen before.
+     * Signatures that are not the sender's own are put to the sender's
+     * isValidSignature, for contract wallet owners.
+     * @param {Object} headers - Request headers
+     * @param {Object} request - { method, path, body }
+     * @param {string} vault - Vault the request is about, whose chain is asked
+     * @returns {Promise<Object>} { address } of the sender
+     */
+    async authenticate(headers, request, vault) {
+        const now = Math.floor(Date.now() / 1000);
+        const auth = await verifyRequest(headers, request, {
+            now,
+            maxClockSkew: this.maxClockSkew,
+            isValidSignature: async (account, hash, signature) => (await this.vaultClient(vault)).isValidSignatureFor(account, hash, signature)
+        });
+
+        for (const [signature, timestamp] of this.usedSignatures) {
+            if (timestamp < now - this.maxClockSkew) {
+                this.usedSignatures.delete(signature);
+            }
+        }
+        if (this.usedSignatures.has(auth.signature)) {
+            throw new CoordinationError('Request has already been used', 401);
+        }
+        this.usedSignatures.set(auth.signature, auth.timestamp);
+
+        return auth;
+    }
+
+    /**
+     * Client connected to a vault, shared by all requests for it
+     */
+    vaultClient(vault) {
+        const address = ethers.getAddress(vault.toLowerCase());
+
+        if (!this.clients.has(address)) {
+            const pending = (async () => {
+                const client = new MultisigClient(this.rpcUrl, { network: this.network, storage: this.storage });
+                try {
+                    if (await client.provider.getCode(address) === '0x') {
+                        throw new CoordinationError(`No vault deployed at ${address}`, 404);
+                    }
+                    await client.connect(address);
+                    return client;
+                } catch (error) {
+                    client.provider.destroy();
+                    throw error;
+                }
+            })();
+            pending.catch(() => this.clients.delete(address));
+            this.clients.set(address, pending);
+        }
+
+        return this.clients.get(address);
+    }
+
+    /**
+     * Throw unless the sender holds one of the roles on the vault. When owner2
+     * is a MultisigVault, the account that signs for it (see
+     * resolveOwner2Signer) acts as owner2.
+     * @returns {Promise<string>} Role of the sender
+     */
+    async requireRole(client, address, roles) {
+        const owners = await client.getOwners();
+        let role = roles.find(name => owners[name] === address);
+        if (!role && roles.includes('owner2') && await client.isContract(owners.owner2)) {
+            const { signer } = await client.resolveOwner2Signer();
+            role = signer === address ? 'owner2' : undefined;
+        }
+        if (!role) {
+            throw new CoordinationError(`${address} is not ${roles.join(' or ')} of vault ${client.contractAddress}`, 403);
+        }
+        return role;
+    }
+
+    /**
+     * Stored proposal with the transfer's current on-chain status
+     */
+    async proposalView(client, proposal) {
+        const details = await client.getTransferDetails(BigInt(proposal.nonce));
+        return { ...proposal, status: transferStatus(details) };
+    }
+
+    async propose(client, { body, address }) {
+        const request = decodeApproval(body?.request ?? body);
+        if (request.type !== APPROVAL_TYPES.REQUEST) {
+            throw new ApprovalError(`Expected an approval request, got ${request.type}`);
+        }
+        await client.validateApproval(request);
+
+        const storage = client.requireVaultStorage();
+        const existing = storage.get('proposals', request.nonce);
+        if (existing) {
+            return { status: 200, body: await this.proposalView(client, existing) };
+        }
+
+        const memo = body?.memo ?? null;
+        if (memo !== null && typeof memo !== 'string') {
+            throw new CoordinationError('Proposal memo must be a string', 400);
+        }
+
+        const proposal = {
+            nonce: request.nonce.toString(),
+            request: JSON.parse(encodeApprovalJSON(request)),
+            memo,
+            proposedBy: address,
+            proposedAt: new Date().toISOString(),
+            approval: null,
+            approvedAt: null
+        };
+        storage.put('proposals', request.nonce, proposal);
+
+        return { status: 201, body: await this.proposalView(client, proposal) };
+    }
+
+    async listProposals(client, { query }) {
+        const status = query.get('status') ?? 'pending';
+        if (status !== 'all' && !TRANSFER_STATUSES.includes(status)) {
+            throw new CoordinationError(`Unknown status "${status}"; use ${TRANSFER_STATUSES.join(', ')} or all`, 400);
+        }
+
+        const storage = client.requireVaultStorage();
+        const nonces = storage.keys('proposals').map(BigInt).sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+        const proposals = [];
+        for (const nonce of nonces) {
+            const proposal = await this.proposalView(client, storage.get('proposals', nonce));
+            if (status === 'all' || proposal.status === status) {
+                proposals.push(proposal);
+            }
+        }
+
+        return { body: { vault: client.contractAddress, proposals } };
+    }
+
+    async getProposal(client, { nonce }) {
+        const proposal = client.requireVaultStorage().get('proposals', nonce);
+        if (!proposal) {
+            throw new CoordinationError(`No proposal for transfer ${nonce}`, 404);
+        }
+        return { body: await this.proposalView(client, proposal) };
+    }
+
+    async submitApproval(client, { nonce, body }) {
+        const storage = client.requireVaultStorage();
+        const proposal = storage.get('proposals', nonce);
+        if (!proposal) {
+            throw new CoordinationError(`No proposal for transfer ${nonce}`, 404);
+        }
+
+        const approval = decodeApproval(body?.approval ?? body);
+        if (approval.type !== APPROVAL_TYPES.RESPONSE) {
+            throw new ApprovalError(`Expected an approval response, got ${approval.type}`);
+        }
+        if (approval.nonce !== nonce) {
+            throw new ApprovalError(`Approval is for transfer ${approval.nonce}, not ${nonce}`);
+        }
+        await client.validateApproval(approval);
+
+        // validateApproval checked owner2 signed the local EIP-712 digest; the
+        // vault's own hashTransfer must agree so completeTransfer accepts it
+        const messageHash = await client.getTransferHash(nonce, approval.deadline);
+        if (messageHash !== hashTransfer(approval)) {
+            throw new ApprovalError(`Vault ${client.contractAddress} hashes transfer ${nonce} differently than the approval`);
+        }
+
+        const updated = {
+            ...proposal,
+            approval: JSON.parse(encodeApprovalJSON(approval)),
+            approvedAt: new Date().toISOString()
+        };
+        storage.put('proposals', nonce, updated);
+
+        return { body: await this.proposalView(client, updated) };
+    }
+}
+
+export default CoordinationServer;
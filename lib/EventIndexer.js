@@ -0,0 +1,253 @@
+import { ethers } from 'ethers';
+import fs from 'fs';
+import { MemoryStorage, writeFileAtomic } from './utils/storage.js';
+import {
+    vaultEventTopics,
+    decodeVaultLog,
+    compareEvents,
+    serializeEvent,
+    deserializeEvent,
+    buildTransfers,
+    inRange
+} from './utils/events.js';
+
+const STORE_VERSION = 1;
+
+// Record of the store in the vault's storage namespace
+const STORE_COLLECTION = 'events';
+const STORE_KEY = 'index';
+
+/**
+ * EventIndexer - Backfills and persists MultisigVault event logs so past
+ * activity can be queried without re-scanning the chain
+ */
+export class EventIndexer {
+    /**
+     * @param {Object} options - { provider, address, abi, storage, storePath, chunkSize, confirmations }
+     *   where storage is the vault's storage namespace (see utils/storage.js), which keeps
+     *   the store apart per chain and vault; storePath stores it in a JSON file instead.
+     *   Without either the store only lives in memory.
+     */
+    constructor({ provider, address, abi, storage = null, storePath = null, chunkSize = 2000, confirmations = 0 }) {
+        this.provider = provider;
+        this.address = ethers.getAddress(address);
+        this.interface = new ethers.Interface(abi);
+        this.storePath = storePath;
+        this.storage = storePath ? null : (storage ?? new MemoryStorage());
+        this.location = storePath ?? `${STORE_COLLECTION}/${STORE_KEY}`;
+        this.chunkSize = chunkSize;
+        this.confirmations = confirmations;
+        this.store = null;
+    }
+
+    /**
+     * Load the persisted store (or start an empty one)
+     */
+    load() {
+        if (this.store) {
+            return this.store;
+        }
+
+        const data = this._read();
+        if (data) {
+            if (data.version !== STORE_VERSION) {
+                throw new Error(`Unsupported event store version ${data.version} in ${this.location}`);
+            }
+            if (ethers.getAddress(data.vault) !== this.address) {
+                throw new Error(`Event store ${this.location} belongs to vault ${data.vault}`);
+            }
+
+            this.store = { ...data, events: data.events.map(deserializeEvent) };
+        } else {
+            this.store = {
+                version: STORE_VERSION,
+                vault: this.address,
+                chainId: null,
+                startBlock: null,
+                lastBlock: null,
+                lastBlockHash: null,
+                events: []
+            };
+        }
+
+        return this.store;
+    }
+
+    /**
+     * Forget the indexed events, e.g. after the chain they came from was reset
+     */
+    reset() {
+        Object.assign(this.load(), { startBlock: null, lastBlock: null, lastBlockHash: null, events: [] });
+    }
+
+    /**
+     * Persisted store, or null before the first sync
+     */
+    _read() {
+        if (!this.storePath) {
+            return this.storage.get(STORE_COLLECTION, STORE_KEY);
+        }
+        return fs.existsSync(this.storePath) ? JSON.parse(fs.readFileSync(this.storePath, 'utf8')) : null;
+    }
+
+    /**
+     * Persist the store
+     */
+    save() {
+        const data = { ...this.store, events: this.store.events.map(serializeEvent) };
+        if (this.storePath) {
+            writeFileAtomic(this.storePath, JSON.stringify(data, null, 2));
+        } else {
+            this.storage.put(STORE_COLLECTION, STORE_KEY, data);
+        }
+    }
+
+    /**
+     * Index new events. The first run backfills from `fromBlock`; later runs
+     * resume after the last indexed block. An explicit `fromBlock` earlier
+     * than the indexed range backfills the gap.
+     * @param {Object} options - { fromBlock, toBlock, onProgress }
+     * @returns {Promise<Object>} { fromBlock, toBlock, added }
+     */
+    async sync({ fromBlock = null, toBlock = null, onProgress = null } = {}) {
+        const store = this.load();
+
+        const { chainId } = await this.provider.getNetwork();
+        if (store.chainId === null) {
+            store.chainId = Number(chainId);
+        } else if (store.chainId !== Number(chainId)) {
+            throw new Error(`Event store ${this.location} was built on chain ${store.chainId}, connected to ${chainId}`);
+        }
+
+        // A local chain restarted from scratch reuses chain id and vault
+        // address; its blocks no longer match the indexed ones
+        if (store.lastBlock !== null && store.lastBlockHash) {
+            const block = await this.provider.getBlock(store.lastBlock);
+            if (!block || block.hash !== store.lastBlockHash) {
+                this.reset();
+            }
+        }
+
+        const head = (await this.provider.getBlockNumber()) - this.confirmations;
+        const target = toBlock === null ? head : Math.min(toBlock, head);
+
+        const ranges = [];
+        if (store.startBlock === null) {
+            ranges.push([fromBlock ?? 0, target]);
+        } else {
+            if (fromBlock !== null && fromBlock < store.startBlock) {
+                ranges.push([fromBlock, store.startBlock - 1]);
+            }
+            ranges.push([store.lastBlock + 1, target]);
+        }
+
+        let added = 0;
+        for (const [start, end] of ranges) {
+            for (let chunkStart = start; chunkStart <= end;) {
+                const chunkEnd = Math.min(chunkStart + this.chunkSize - 1, end);
+                const events = await this._fetchRange(chunkStart, chunkEnd);
+
+                store.events.push(...events);
+                store.events.sort(compareEvents);
+                store.startBlock = store.startBlock === null ? chunkStart : Math.min(store.startBlock, chunkStart);
+                if (store.lastBlock === null || chunkEnd > store.lastBlock) {
+                    store.lastBlock = chunkEnd;
+                    store.lastBlockHash = (await this.provider.getBlock(chunkEnd)).hash;
+                }
+                this.save();
+
+                added += events.length;
+                if (onProgress) {
+                    onProgress({ fromBlock: chunkStart, toBlock: chunkEnd, events: events.length });
+                }
+                chunkStart = chunkEnd + 1;
+            }
+        }
+
+        return {
+            fromBlock: store.startBlock,
+            toBlock: store.lastBlock,
+            added
+        };
+    }
+
+    /**
+     * Fetch and decode logs for a block range, halving the range when the
+     * RPC rejects it (e.g. result size limits)
+     */
+    async _fetchRange(fromBlock, toBlock) {
+        let logs;
+        try {
+            logs = await this.provider.getLogs({
+                address: this.address,
+                topics: vaultEventTopics(this.interface),
+                fromBlock,
+                toBlock
+            });
+        } catch (error) {
+            if (toBlock <= fromBlock) {
+                throw error;
+            }
+            const middle = Math.floor((fromBlock + toBlock) / 2);
+            return [
+                ...(await this._fetchRange(fromBlock, middle)),
+                ...(await this._fetchRange(middle + 1, toBlock))
+            ];
+        }
+
+        const events = logs
+            .map(log => decodeVaultLog(this.interface, log))
+            .filter(Boolean);
+
+        const timestamps = new Map();
+        for (const event of events) {
+            if (!timestamps.has(event.blockNumber)) {
+                const block = await this.provider.getBlock(event.blockNumber);
+                timestamps.set(event.blockNumber, block.timestamp);
+            }
+            event.timestamp = timestamps.get(event.blockNumber);
+        }
+
+        return events;
+    }
+
+    /**
+     * Query indexed events
+     * @param {Object} filter - { type, fromBlock, toBlock, fromTime, toTime }
+     * @returns {Object[]} Matching events in chain order
+     */
+    queryEvents({ type, fromBlock, toBlock, fromTime, toTime } = {}) {
+        return this.load().events.filter(event =>
+            (!type || event.type === type) &&
+            inRange(event.blockNumber, fromBlock, toBlock) &&
+            inRange(event.timestamp, fromTime, toTime)
+        );
+    }
+
+    /**
+     * Query transfers rebuilt from indexed events; block and time ranges
+     * apply to the initiation
+     * @param {Object} filter - { nonce, recipient, status, fromBlock, toBlock, fromTime, toTime }
+     * @returns {Object[]} Matching transfers sorted by nonce
+     */
+    queryTransfers({ nonce, recipient, status, fromBlock, toBlock, fromTime, toTime } = {}) {
+        const recipientAddress = recipient ? ethers.getAddress(recipient) : null;
+
+        return buildTransfers(this.load().events).filter(transfer =>
+            (nonce === undefined || nonce === null || transfer.nonce === BigInt(nonce)) &&
+            (!recipientAddress || transfer.to === recipientAddress) &&
+            (!status || transfer.status === status) &&
+            inRange(transfer.initiated.blockNumber, fromBlock, toBlock) &&
+            inRange(transfer.initiated.timestamp, fromTime, toTime)
+        );
+    }
+
+    /**
+     * Get the indexed history of a single transfer
+     */
+    getTransfer(nonce) {
+        return this.queryTransfers({ nonce })[0] || null;
+    }
+}
+
+export default EventIndexer;
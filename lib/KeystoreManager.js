@@ -0,0 +1,148 @@
+import { ethers } from 'ethers';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_DIRECTORY = path.join(__dirname, '../keystores');
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+/**
+ * KeystoreManager - Stores account keys as encrypted JSON keystores
+ * (Web3 Secret Storage), one file per name: <directory>/<name>.json.
+ *
+ * Owner keys live under the role names 'owner1', 'owner2' and 'deployer'.
+ * Only addresses are readable without the password.
+ */
+export class KeystoreManager {
+    /**
+     * @param {Object} options - { directory, scrypt } where scrypt overrides
+     *   the key derivation parameters (e.g. { N: 1024 } in tests)
+     */
+    constructor({ directory = DEFAULT_DIRECTORY, scrypt = null } = {}) {
+        this.directory = path.resolve(directory);
+        this.scrypt = scrypt;
+    }
+
+    /**
+     * Path of the keystore file for a name
+     */
+    path(name) {
+        if (!NAME_PATTERN.test(name)) {
+            throw new Error(`Invalid keystore name: ${name}`);
+        }
+        return path.join(this.directory, `${name}.json`);
+    }
+
+    /**
+     * Whether a keystore exists for a name
+     */
+    has(name) {
+        return fs.existsSync(this.path(name));
+    }
+
+    /**
+     * List stored keystores without decrypting them
+     * @returns {Array<Object>} { name, address, path }
+     */
+    list() {
+        if (!fs.existsSync(this.directory)) {
+            return [];
+        }
+
+        return fs.readdirSync(this.directory)
+            .filter(file => file.endsWith('.json'))
+            .sort()
+            .map(file => {
+                const name = file.slice(0, -'.json'.length);
+                const filePath = path.join(this.directory, file);
+                let address = null;
+                try {
+                    address = ethers.getAddress(JSON.parse(fs.readFileSync(filePath, 'utf8')).address);
+                } catch {
+                    // Not a keystore, or one without a readable address
+                }
+                return { name, address, path: filePath };
+            });
+    }
+
+    /**
+     * Encrypt a private key and store it under a name
+     * @param {string} name - Keystore name
+     * @param {string} privateKey - Private key to store
+     * @param {string} password - Encryption password
+     * @param {Object} options - { overwrite }
+     * @returns {Promise<Object>} { name, address, path }
+     */
+    async importPrivateKey(name, privateKey, password, { overwrite = false } = {}) {
+        let wallet;
+        try {
+            wallet = new ethers.Wallet(privateKey);
+        } catch {
+            throw new Error(`Invalid private key for keystore ${name}`);
+        }
+
+        const json = await ethers.encryptKeystoreJson(
+            { address: wallet.address, privateKey: wallet.privateKey },
+            password,
+            this.scrypt ? { scrypt: this.scrypt } : {}
+        );
+        return this._write(name, json, wallet.address, overwrite);
+    }
+
+    /**
+     * Store an existing encrypted keystore under a name, after checking
+     * that the password opens it
+     * @param {string} name - Keystore name
+     * @param {string} json - Keystore JSON
+     * @param {string} password - Keystore password
+     * @param {Object} options - { overwrite }
+     * @returns {Promise<Object>} { name, address, path }
+     */
+    async importKeystore(name, json, password, { overwrite = false } = {}) {
+        if (!ethers.isKeystoreJson(json)) {
+            throw new Error('Not an encrypted JSON keystore');
+        }
+        const account = await ethers.decryptKeystoreJson(json, password);
+        return this._write(name, json, account.address, overwrite);
+    }
+
+    /**
+     * Encrypted keystore JSON for a name
+     */
+    exportKeystore(name) {
+        const filePath = this.path(name);
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`No keystore named ${name} in ${this.directory}`);
+        }
+        return fs.readFileSync(filePath, 'utf8');
+    }
+
+    /**
+     * Decrypt a keystore
+     * @param {string} name - Keystore name
+     * @param {string} password - Keystore password
+     * @param {ethers.Provider} provider - Optional provider to connect to
+     * @returns {Promise<ethers.Wallet>} Decrypted wallet
+     */
+    async load(name, password, provider = null) {
+        const wallet = await ethers.Wallet.fromEncryptedJson(this.exportKeystore(name), password);
+        return provider ? wallet.connect(provider) : wallet;
+    }
+
+    _write(name, json, address, overwrite) {
+        const filePath = this.path(name);
+        if (!overwrite && fs.existsSync(filePath)) {
+            throw new Error(`Keystore ${name} already exists at ${filePath}`);
+        }
+
+        fs.mkdirSync(this.directory, { recursive: true, mode: 0o700 });
+        fs.writeFileSync(filePath, json, { mode: 0o600 });
+        return { name, address: ethers.getAddress(address), path: filePath };
+    }
+}
+
+export default KeystoreManager;
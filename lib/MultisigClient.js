@@ -2,20 +2,29 @@ import { ethers } from 'ethers';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { BaseMultisigClient } from './BaseMultisigClient.js';
 import { createProvider, createWallet, generateWallet } from './utils/rpc.js';
 import { loadContractABI, loadContractArtifact } from './utils/abi.js';
+import { createSigner } from './utils/signers.js';
+import { getRevertData } from './utils/errors.js';
+import { parseEnv, updateEnv } from './utils/env.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 /**
  * MultisigClient - Abstraction layer for interacting with MultisigVault contract
+ * through ethers. Signers are ethers.Signer instances (see utils/signers.js).
  */
-export class MultisigClient {
-    constructor(rpcUrl = 'http://127.0.0.1:8545') {
-        this.provider = createProvider(rpcUrl);
+export class MultisigClient extends BaseMultisigClient {
+    /**
+     * @param {string} rpcUrl - RPC endpoint (defaults to the network's, then the default network's)
+     * @param {Object} options - { network, storage } (see BaseMultisigClient)
+     */
+    constructor(rpcUrl = null, options = {}) {
+        super(rpcUrl, options);
+        this.provider = createProvider(this.rpcUrl);
         this.contract = null;
-        this.contractAddress = null;
         this.abi = null;
     }
 
@@ -31,11 +40,15 @@ export class MultisigClient {
      * Connect to deployed contract
      */
     async connect(contractAddress, signer = null) {
+        await this.checkNetwork();
+
         if (!this.abi) {
             this.loadABI();
         }
 
         this.contractAddress = contractAddress;
+        this.useVaultStorage(await this.getChainId(), contractAddress);
+        this.deploymentBlock = null;
         
         if (signer) {
             this.contract = new ethers.Contract(contractAddress, this.abi, signer);
@@ -48,10 +61,15 @@ export class MultisigClient {
 
     /**
      * Deploy new MultisigVault contract
+     * @param {Object} options - { salt } to deploy through the CREATE2 proxy (see deployDeterministic)
      */
-    async deploy(owner1Address, owner2Address, deployerSigner) {
+    async deploy(owner1Address, owner2Address, deployerSigner, { salt = null } = {}) {
         const artifact = loadContractArtifact('MultisigVault');
         this.abi = artifact.abi;
+
+        if (salt !== null) {
+            return await this.deployDeterministic(owner1Address, owner2Address, deployerSigner, { salt });
+        }
         
         const factory = new ethers.ContractFactory(
             artifact.abi,
@@ -59,19 +77,26 @@ export class MultisigClient {
             deployerSigner
         );
 
+        await this.checkNetwork();
+
         // Get current nonce to avoid conflicts
         const nonce = await deployerSigner.getNonce();
         
-        const vault = await factory.deploy(owner1Address, owner2Address, { nonce });
-        await vault.waitForDeployment();
+        const { vault, receipt } = await this.withVaultErrors({ operation: 'deploy', signer: deployerSigner }, async () => {
+            const deployed = await factory.deploy(owner1Address, owner2Address, { nonce, ...this.txOverrides });
+            return { vault: deployed, receipt: await deployed.deploymentTransaction().wait(this.confirmations) };
+        });
 
         this.contractAddress = await vault.getAddress();
         this.contract = vault;
+        this.useVaultStorage(await this.getChainId(), this.contractAddress);
+        this.deploymentBlock = receipt.blockNumber;
 
         return {
             contract: vault,
             address: this.contractAddress,
-            deploymentTx: vault.deploymentTransaction()
+            deploymentTx: vault.deploymentTransaction(),
+            receipt
         };
     }
 
@@ -83,31 +108,18 @@ export class MultisigClient {
     }
 
     /**
-     * Generate random wallet
-     */
-    generateWallet() {
-        return generateWallet(this.provider);
-    }
-
-    /**
-     * Load deployment information
+     * Create a signer from a backend configuration (private key, keystore,
+     * mnemonic or node-managed account), connected to this client's provider
      */
-    loadDeployment() {
-        const deploymentPath = path.join(__dirname, '../deployment.json');
-        
-        if (!fs.existsSync(deploymentPath)) {
-            throw new Error('Deployment file not found. Run deployment first.');
-        }
-
-        return JSON.parse(fs.readFileSync(deploymentPath, 'utf8'));
+    async createSigner(config) {
+        return createSigner(config, this.provider);
     }
 
     /**
-     * Save deployment information
+     * Generate random wallet
      */
-    saveDeployment(deploymentInfo) {
-        const deploymentPath = path.join(__dirname, '../deployment.json');
-        fs.writeFileSync(deploymentPath, JSON.stringify(deploymentInfo, null, 2));
+    generateWallet() {
+        return generateWallet(this.provider);
     }
 
     /**
@@ -120,17 +132,7 @@ export class MultisigClient {
             throw new Error('.env file not found. Run deployment first.');
         }
 
-        const env = {};
-        const envContent = fs.readFileSync(envPath, 'utf8');
-        
-        envContent.split('\n').forEach(line => {
-            const [key, value] = line.split('=');
-            if (key && value) {
-                env[key] = value;
-            }
-        });
-
-        return env;
+        return parseEnv(fs.readFileSync(envPath, 'utf8'));
     }
 
     /**
@@ -146,58 +148,36 @@ export class MultisigClient {
     }
 
     /**
-     * Load transfer details from JSON file
-     */
-    loadTransfer(nonce) {
-        const transferPath = path.join(__dirname, `../transfer-${nonce}.json`);
-        
-        if (!fs.existsSync(transferPath)) {
-            throw new Error(`Transfer file for nonce ${nonce} not found.`);
-        }
-
-        return JSON.parse(fs.readFileSync(transferPath, 'utf8'));
-    }
-
-    /**
-     * Save transfer details to JSON file
-     */
-    saveTransfer(nonce, transferData) {
-        const transferPath = path.join(__dirname, `../transfer-${nonce}.json`);
-        fs.writeFileSync(transferPath, JSON.stringify(transferData, null, 2));
-    }
-
-    /**
-     * Load signature from JSON file
+     * Set or remove single variables in .env, keeping every other line
+     * (see utils/env.js)
+     * @param {Object} changes - Values by variable name, null to remove one
      */
-    loadSignature(nonce) {
-        const signaturePath = path.join(__dirname, `../signature-${nonce}.json`);
-        
-        if (!fs.existsSync(signaturePath)) {
-            throw new Error(`Signature file for nonce ${nonce} not found.`);
-        }
-
-        return JSON.parse(fs.readFileSync(signaturePath, 'utf8'));
-    }
+    updateEnv(changes) {
+        const envPath = path.join(__dirname, '../.env');
+        const envContent = fs.existsSync(envPath) ? fs.readFileSync(envPath, 'utf8') : '';
 
-    /**
-     * Save signature to JSON file
-     */
-    saveSignature(nonce, signatureData) {
-        const signaturePath = path.join(__dirname, `../signature-${nonce}.json`);
-        fs.writeFileSync(signaturePath, JSON.stringify(signatureData, null, 2));
+        fs.writeFileSync(envPath, updateEnv(envContent, changes));
     }
 
     /**
-     * Initiate a transfer (Owner1 only)
+     * Initiate a transfer (Owner1 only). Throws a PolicyError when the
+     * transfer breaks the client's policy.
+     * @param {Object} options - { memo } checked by the policy
      */
-    async initiateTransfer(owner1Signer, recipient, amount) {
+    async initiateTransfer(owner1Signer, recipient, amount, { memo = null } = {}) {
         if (!this.contract) {
             throw new Error('Contract not connected. Call connect() first.');
         }
+        await this.enforcePolicy({ recipient, amount, memo }, { action: 'initiating this transfer' });
 
         const vaultAsOwner1 = this.contract.connect(owner1Signer);
-        const tx = await vaultAsOwner1.initiateTransfer(recipient, amount);
-        const receipt = await tx.wait();
+        const { tx, receipt } = await this.withVaultErrors(
+            { operation: 'initiateTransfer', signer: owner1Signer, recipient, amount },
+            async () => {
+                const tx = await vaultAsOwner1.initiateTransfer(recipient, amount, this.txOverrides);
+                return { tx, receipt: await tx.wait(this.confirmations) };
+            }
+        );
 
         // Extract nonce from event
         const event = receipt.logs.find(log => {
@@ -226,58 +206,95 @@ export class MultisigClient {
     }
 
     /**
-     * Get message to sign for Owner2
+     * EIP-712 digest Owner2 signs to approve a transfer until the deadline
      */
-    async getMessageToSign(nonce) {
+    async getTransferHash(nonce, deadline) {
         if (!this.contract) {
             throw new Error('Contract not connected. Call connect() first.');
         }
 
-        return await this.contract.getMessageToSign(nonce);
+        return await this.withVaultErrors({ operation: 'hashTransfer', nonce }, () => this.contract.hashTransfer(nonce, deadline));
     }
 
     /**
-     * Sign transfer approval (Owner2)
+     * Get the chain id of the connected network
      */
-    async signTransfer(owner2Signer, nonce) {
-        const messageToSign = await this.getMessageToSign(nonce);
-        
-        // Create Ethereum signed message hash
-        const messageHash = ethers.solidityPackedKeccak256(
-            ['string', 'bytes32'],
-            ['\x19Ethereum Signed Message:\n32', messageToSign]
-        );
+    async getChainId() {
+        const network = await this.provider.getNetwork();
+        return network.chainId;
+    }
 
-        const signature = owner2Signer.signingKey.sign(messageHash);
+    /**
+     * Sign a transfer's dataHash with the Ethereum signed message prefix
+     * @param {ethers.Signer} signer - Owner2 signer (any backend, see utils/signers.js)
+     * @param {string} dataHash - Transfer dataHash
+     * @returns {Promise<string>} Signature
+     */
+    async signDataHash(signer, dataHash) {
+        return await signer.signMessage(ethers.getBytes(dataHash));
+    }
+
+    /**
+     * Sign EIP-712 typed data
+     * @param {ethers.Signer} signer - Owner2 signer (any backend, see utils/signers.js)
+     * @param {Object} typedData - { domain, types, message }
+     * @returns {Promise<string>} Signature
+     */
+    async signTypedData(signer, { domain, types, message }) {
+        return await signer.signTypedData(domain, types, message);
+    }
+
+    /**
+     * Address of a signer
+     */
+    async getSignerAddress(signer) {
+        return await signer.getAddress();
+    }
+
+    /**
+     * Complete transfer with signature (Owner1 only)
+     * @param {ethers.Signer} owner1Signer - Owner1 signer
+     * @param {bigint|Object|string} nonceOrApproval - Nonce, or an approval response
+     * @param {Object|string} signatureOrApproval - { signature, deadline } or an approval response
+     */
+    async completeTransfer(owner1Signer, nonceOrApproval, signatureOrApproval) {
+        const { nonce, signature, deadline } = await this.resolveCompletion(nonceOrApproval, signatureOrApproval);
+
+        const [functionName, args] = this.completionCall(nonce, signature, deadline);
+
+        const vaultAsOwner1 = this.contract.connect(owner1Signer);
+        const { tx, receipt } = await this.withVaultErrors(
+            { operation: 'completeTransfer', signer: owner1Signer, nonce },
+            async () => {
+                const tx = await vaultAsOwner1[functionName](...args, this.txOverrides);
+                return { tx, receipt: await tx.wait(this.confirmations) };
+            }
+        );
 
         return {
-            messageToSign,
-            messageHash,
-            signature: {
-                v: signature.v,
-                r: signature.r,
-                s: signature.s
-            },
-            signatureString: ethers.Signature.from(signature).serialized
+            tx,
+            receipt
         };
     }
 
     /**
-     * Complete transfer with signature (Owner1 only)
+     * Cancel a pending transfer (Owner1 or Owner2)
      */
-    async completeTransfer(owner1Signer, nonce, signature) {
+    async cancelTransfer(ownerSigner, nonce) {
         if (!this.contract) {
             throw new Error('Contract not connected. Call connect() first.');
         }
 
-        const vaultAsOwner1 = this.contract.connect(owner1Signer);
-        const tx = await vaultAsOwner1.completeTransfer(
-            nonce,
-            signature.v,
-            signature.r,
-            signature.s
+        await this.assertTransferPending(nonce);
+
+        const vaultAsOwner = this.contract.connect(ownerSigner);
+        const { tx, receipt } = await this.withVaultErrors(
+            { operation: 'cancelTransfer', signer: ownerSigner, nonce },
+            async () => {
+                const tx = await vaultAsOwner.cancelTransfer(nonce, this.txOverrides);
+                return { tx, receipt: await tx.wait(this.confirmations) };
+            }
         );
-        const receipt = await tx.wait();
 
         return {
             tx,
@@ -285,6 +302,99 @@ export class MultisigClient {
         };
     }
 
+    /**
+     * Revert data of a mined transaction that reverted: ethers reports no
+     * data for it, so the transaction is replayed on the state it ran on
+     */
+    async replayRevert(error) {
+        if (error?.code !== 'CALL_EXCEPTION' || !error.receipt) {
+            return null;
+        }
+
+        try {
+            const tx = await this.provider.getTransaction(error.receipt.hash);
+            await this.provider.call({
+                from: tx.from,
+                to: tx.to,
+                data: tx.data,
+                value: tx.value,
+                blockTag: error.receipt.blockNumber - 1
+            });
+        } catch (replayError) {
+            return getRevertData(replayError);
+        }
+
+        return null;
+    }
+
+    /**
+     * Run a transaction request ({ from, to, data, value }) as a static call
+     * @returns {Promise<string>} Return data
+     */
+    async callTransaction(request) {
+        return await this.provider.call(request);
+    }
+
+    /**
+     * Code deployed at an address ('0x' for accounts)
+     */
+    async getCode(address) {
+        return await this.provider.getCode(address);
+    }
+
+    /**
+     * Send a transaction request ({ to, data, value }) and wait for it
+     * @returns {Promise<Object>} { tx, receipt }
+     */
+    async sendTransaction(signer, request) {
+        const tx = await signer.sendTransaction({ ...request, ...this.txOverrides });
+        return { tx, receipt: await tx.wait(this.confirmations) };
+    }
+
+    /**
+     * Broadcast an already signed transaction and wait for it
+     * @returns {Promise<Object>} Receipt
+     */
+    async sendRawTransaction(signedTransaction) {
+        const tx = await this.provider.broadcastTransaction(signedTransaction);
+        return await tx.wait(this.confirmations);
+    }
+
+    /**
+     * Timestamp of the latest block, in seconds
+     */
+    async getLatestTimestamp() {
+        return BigInt((await this.provider.getBlock('latest')).timestamp);
+    }
+
+    /**
+     * Estimate the gas a transaction request would use
+     */
+    async estimateTransactionGas(request) {
+        return await this.provider.estimateGas(request);
+    }
+
+    /**
+     * Current gas price of the network
+     */
+    async getGasPrice() {
+        return (await this.provider.getFeeData()).gasPrice;
+    }
+
+    /**
+     * ETH balance of any address
+     */
+    async getAddressBalance(address) {
+        return await this.provider.getBalance(address);
+    }
+
+    /**
+     * Next nonce of an account, counting pending transactions
+     */
+    async getTransactionCount(address) {
+        return await this.provider.getTransactionCount(address, 'pending');
+    }
+
     /**
      * Get contract balance
      */
@@ -310,10 +420,24 @@ export class MultisigClient {
             amount: details[1],
             dataHash: details[2],
             initiated: details[3],
-            completed: details[4]
+            completed: details[4],
+            cancelled: details[5]
         };
     }
 
+    /**
+     * Get the vault's owner addresses
+     * @returns {Promise<Object>} { owner1, owner2 }
+     */
+    async getOwners() {
+        if (!this.contract) {
+            throw new Error('Contract not connected. Call connect() first.');
+        }
+
+        const [owner1, owner2] = await Promise.all([this.contract.owner1(), this.contract.owner2()]);
+        return { owner1, owner2 };
+    }
+
     /**
      * Get current transfer nonce
      */
@@ -341,6 +465,27 @@ export class MultisigClient {
         }
     }
 
+    /**
+     * Provider the event index reads from: the client's own
+     */
+    eventProvider() {
+        return this.provider;
+    }
+
+    /**
+     * New provider for a watcher, so reconnecting never tears down the client's
+     */
+    createEventProvider() {
+        return createProvider(this.rpcUrl);
+    }
+
+    /**
+     * Sender of a mined transaction, or null when the node does not know it
+     */
+    async getTransactionSender(hash) {
+        return (await this.provider.getTransaction(hash))?.from ?? null;
+    }
+
     /**
      * Fund contract with ETH
      */
@@ -351,10 +496,11 @@ export class MultisigClient {
 
         const tx = await signer.sendTransaction({
             to: this.contractAddress,
-            value: amount
+            value: amount,
+            ...this.txOverrides
         });
         
-        return await tx.wait();
+        return await tx.wait(this.confirmations);
     }
 }
 
@@ -3,21 +3,40 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
+import { createSigner, signerConfigFromEnv } from './utils/signers.js';
+import { KeystoreManager } from './KeystoreManager.js';
+import { localChainId, resolveNetwork } from './utils/networks.js';
+import { createStorage, storageConfigFromEnv, vaultNamespace } from './utils/storage.js';
+import { createTransferRecord, markTransferCancelled, markTransferCompleted } from './utils/records.js';
+import {
+    createApprovalRequest,
+    createApprovalResponse,
+    defaultDeadline,
+    encodeApprovalJSON,
+    isApproval,
+    transferTypedData
+} from './utils/approval.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 export class MultisigVault {
     constructor(options = {}) {
-        this.rpcUrl = options.rpcUrl || 'http://127.0.0.1:8545';
+        // Load environment variables
+        dotenv.config();
+
+        const networkName = options.network || process.env.NETWORK || null;
+        this.network = resolveNetwork(networkName, {
+            rpcUrl: options.rpcUrl || (networkName ? null : process.env.RPC_URL)
+        });
+        this.rpcUrl = this.network.rpcUrl;
         this.provider = null;
         this.contract = null;
         this.deployment = null;
         this.contractAbi = null;
         this.contractBytecode = null;
-        
-        // Load environment variables
-        dotenv.config();
+        this.keystores = new KeystoreManager({ directory: process.env.KEYSTORE_DIR });
+        this.storage = createStorage(options.storage || storageConfigFromEnv());
         
         // Initialize immediately
         this._initialize();
@@ -33,6 +52,21 @@ export class MultisigVault {
         this.provider = new ethers.JsonRpcProvider(this.rpcUrl);
     }
 
+    /**
+     * Refuse to operate on a chain other than the selected network's
+     */
+    async _checkChain() {
+        if (this.chainChecked) {
+            return;
+        }
+
+        const { chainId } = await this.provider.getNetwork();
+        if (chainId !== BigInt(this.network.chainId)) {
+            throw new Error(`${this.rpcUrl} is on chain ${chainId}, but network "${this.network.name}" is on chain ${this.network.chainId}`);
+        }
+        this.chainChecked = true;
+    }
+
     _loadContractAbi() {
         const contractPath = path.join(__dirname, '../out/MultisigVault.sol/MultisigVault.json');
         if (fs.existsSync(contractPath)) {
@@ -45,12 +79,36 @@ export class MultisigVault {
     }
 
     _loadDeployment() {
-        const deploymentPath = path.join(__dirname, '../deployment.json');
+        this.deployment = this.storage.get('deployments', this.network.chainId);
+        if (this.deployment) {
+            return;
+        }
+
+        const deploymentPath = path.join(__dirname, `../deployments/${this.network.chainId}.json`);
+        const legacyPath = path.join(__dirname, '../deployment.json');
+
         if (fs.existsSync(deploymentPath)) {
             this.deployment = JSON.parse(fs.readFileSync(deploymentPath, 'utf8'));
+        } else if (fs.existsSync(legacyPath)) {
+            // Written before deployments were per chain; only valid for the local chain
+            const deployment = JSON.parse(fs.readFileSync(legacyPath, 'utf8'));
+            if ((deployment.chainId ?? localChainId()) === this.network.chainId) {
+                this.deployment = deployment;
+            }
         }
     }
 
+    /**
+     * Storage namespace of the deployed vault's transfers and signatures
+     */
+    _vaultStorage() {
+        if (!this.deployment) {
+            throw new Error('No deployment found. Run deployment script first.');
+        }
+        const address = this.deployment.contractAddress || this.deployment.vaultAddress;
+        return this.storage.namespace(vaultNamespace(this.network.chainId, address));
+    }
+
     getContract(signer = null) {
         if (!this.deployment) {
             throw new Error('No deployment found. Run deployment script first.');
@@ -60,7 +118,7 @@ export class MultisigVault {
         
         if (!this.contract || (signer && this.contract.runner !== signer)) {
             this.contract = new ethers.Contract(
-                this.deployment.vaultAddress,
+                this.deployment.contractAddress || this.deployment.vaultAddress,
                 this.contractAbi,
                 signerOrProvider
             );
@@ -69,18 +127,33 @@ export class MultisigVault {
         return this.contract;
     }
 
-    getOwner1Wallet() {
-        if (!process.env.OWNER1_PRIVATE_KEY) {
-            throw new Error('OWNER1_PRIVATE_KEY not found in environment');
+    /**
+     * Owner signer from OWNER<n>_SIGNER and related variables (see utils/signers.js)
+     */
+    async _getOwnerSigner(prefix) {
+        let config = signerConfigFromEnv(prefix);
+
+        // Fall back to the role's encrypted keystore (keystores/owner1.json, ...)
+        const role = prefix.toLowerCase();
+        if (!config && this.keystores.has(role)) {
+            config = { type: 'keystore', password: process.env[`${prefix}_KEYSTORE_PASSWORD`] };
+        }
+        if (config?.type === 'keystore' && !config.path) {
+            config.path = this.keystores.path(role);
         }
-        return new ethers.Wallet(process.env.OWNER1_PRIVATE_KEY, this.provider);
-    }
 
-    getOwner2Wallet() {
-        if (!process.env.OWNER2_PRIVATE_KEY) {
-            throw new Error('OWNER2_PRIVATE_KEY not found in environment');
+        if (!config) {
+            throw new Error(`No ${role} key found: import one with "multisig keys import ${role}" or set ${prefix}_SIGNER`);
         }
-        return new ethers.Wallet(process.env.OWNER2_PRIVATE_KEY, this.provider);
+        return createSigner(config, this.provider);
+    }
+
+    async getOwner1Wallet() {
+        return this._getOwnerSigner('OWNER1');
+    }
+
+    async getOwner2Wallet() {
+        return this._getOwnerSigner('OWNER2');
     }
 
     getDeployerWallet() {
@@ -90,6 +163,7 @@ export class MultisigVault {
     }
 
     async deploy(owner1Address, owner2Address) {
+        await this._checkChain();
         const deployer = this.getDeployerWallet();
         
         // Generate wallets if addresses not provided
@@ -103,19 +177,24 @@ export class MultisigVault {
             console.log('Generated Owner1:', owner1Address);
             console.log('Generated Owner2:', owner2Address);
             
-            // Save to .env
+            // Encrypt the generated keys; only addresses go to .env
+            for (const [prefix, wallet] of [['OWNER1', wallet1], ['OWNER2', wallet2]]) {
+                const password = process.env[`${prefix}_KEYSTORE_PASSWORD`];
+                if (!password) {
+                    throw new Error(`${prefix}_KEYSTORE_PASSWORD is required to store the generated key`);
+                }
+                const { path: keystorePath } = await this.keystores.importPrivateKey(
+                    prefix.toLowerCase(), wallet.privateKey, password, { overwrite: true }
+                );
+                console.log(`${prefix} key encrypted to ${keystorePath}`);
+            }
+
             const envContent = `
-# Generated Private Keys
-OWNER1_PRIVATE_KEY=${wallet1.privateKey}
+# Generated owners (keys are in keystores/)
 OWNER1_ADDRESS=${wallet1.address}
-OWNER2_PRIVATE_KEY=${wallet2.privateKey}
 OWNER2_ADDRESS=${wallet2.address}
-
-# Anvil default account for deployment
-DEPLOYER_PRIVATE_KEY=0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80
 `;
             fs.writeFileSync('.env', envContent);
-            console.log('Private keys saved to .env file');
             
             // Fund the wallets
             console.log('Funding owner wallets...');
@@ -158,7 +237,7 @@ DEPLOYER_PRIVATE_KEY=0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf
             value: ethers.parseEther('10'),
             nonce: finalNonce
         });
-        await fundTx.wait();
+        await fundTx.wait(this.network.confirmations);
 
         // Save deployment info
         this.deployment = {
@@ -166,21 +245,23 @@ DEPLOYER_PRIVATE_KEY=0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf
             owner1: owner1Address,
             owner2: owner2Address,
             deployedAt: new Date().toISOString(),
-            network: 'anvil'
+            chainId: this.network.chainId,
+            network: this.network.name
         };
 
-        fs.writeFileSync('deployment.json', JSON.stringify(this.deployment, null, 2));
-        console.log('Deployment info saved to deployment.json');
+        const deploymentLocation = this.storage.put('deployments', this.network.chainId, this.deployment);
+        console.log(`Deployment info saved to ${deploymentLocation}`);
 
         return this.deployment;
     }
 
     async initiateTransfer(toAddress, amountInEth) {
+        await this._checkChain();
         if (!ethers.isAddress(toAddress)) {
             throw new Error(`Invalid address: ${toAddress}`);
         }
 
-        const owner1 = this.getOwner1Wallet();
+        const owner1 = await this.getOwner1Wallet();
         const vault = this.getContract(owner1);
 
         const vaultBalance = await vault.getBalance();
@@ -216,31 +297,28 @@ DEPLOYER_PRIVATE_KEY=0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf
         console.log('Transaction hash:', receipt.hash);
 
         // Save transfer info
-        const transferInfo = {
-            nonce: nonce.toString(),
-            to: toAddress,
-            amount: amountInEth.toString(),
-            amountWei: amount.toString(),
+        const transferInfo = createTransferRecord({
+            nonce,
+            recipient: toAddress,
+            amount,
             initiatedBy: owner1.address,
-            txHash: receipt.hash,
-            timestamp: new Date().toISOString(),
-            status: 'pending'
-        };
+            txHash: receipt.hash
+        });
 
-        const transferFile = `transfer-${nonce}.json`;
-        fs.writeFileSync(transferFile, JSON.stringify(transferInfo, null, 2));
-        console.log(`Transfer details saved to ${transferFile}`);
+        const transferLocation = this._vaultStorage().put('transfers', nonce, transferInfo);
+        console.log(`Transfer details saved to ${transferLocation}`);
 
         return { nonce: nonce.toString(), transferInfo, receipt };
     }
 
     async signTransfer(nonce) {
-        const owner2 = this.getOwner2Wallet();
+        await this._checkChain();
+        const owner2 = await this.getOwner2Wallet();
         const vault = this.getContract();
 
         console.log('Fetching transfer details from contract...');
         const details = await vault.getTransferDetails(nonce);
-        const [to, amount, dataHash, initiated, completed] = details;
+        const [to, amount, dataHash, initiated, completed, cancelled] = details;
 
         if (!initiated) {
             throw new Error('Transfer not initiated');
@@ -248,6 +326,9 @@ DEPLOYER_PRIVATE_KEY=0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf
         if (completed) {
             throw new Error('Transfer already completed');
         }
+        if (cancelled) {
+            throw new Error('Transfer cancelled');
+        }
 
         console.log('Transfer Details:');
         console.log('To:', to);
@@ -255,54 +336,59 @@ DEPLOYER_PRIVATE_KEY=0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf
         console.log('Data Hash:', dataHash);
         console.log('Status: Pending signature');
 
-        // Get message to sign
-        const messageToSign = await vault.getMessageToSign(nonce);
+        const { chainId } = await this.provider.getNetwork();
+        const request = createApprovalRequest({
+            chainId,
+            vault: await vault.getAddress(),
+            nonce,
+            recipient: to,
+            amount,
+            dataHash
+        });
+
+        // EIP-712 Transfer struct, valid for a day from the latest block
+        const { timestamp } = await this.provider.getBlock('latest');
+        const deadline = defaultDeadline(timestamp);
+        const messageToSign = await vault.hashTransfer(nonce, deadline);
         console.log('Message to sign:', messageToSign);
+        console.log('Valid until:', new Date(Number(deadline) * 1000).toISOString());
 
-        // Sign the message
-        console.log('Signing message with Owner2 private key...');
-        const messageHash = ethers.solidityPackedKeccak256(
-            ['string', 'bytes32'],
-            ['\x19Ethereum Signed Message:\n32', messageToSign]
-        );
+        const { domain, types, message } = transferTypedData({ ...request, deadline });
+        if (ethers.TypedDataEncoder.hash(domain, types, message) !== messageToSign) {
+            throw new Error('Typed data does not match the vault\'s hashTransfer');
+        }
 
-        const signature = owner2.signingKey.sign(messageHash);
-        const { v, r, s } = signature;
+        console.log('Signing typed data with Owner2 signer...');
+        const signature = await owner2.signTypedData(domain, types, message);
 
-        console.log('Signature generated:');
-        console.log('v:', v);
-        console.log('r:', r);
-        console.log('s:', s);
+        console.log('Signature generated:', signature);
 
-        // Save signature
+        // Save signature as an approval response
+        const approval = createApprovalResponse(request, signature, owner2.address, deadline);
         const signatureData = {
-            nonce: nonce.toString(),
-            signer: owner2.address,
-            messageHash: messageToSign,
-            signature: { v, r, s, compact: signature.compact },
+            ...JSON.parse(encodeApprovalJSON(approval)),
             timestamp: new Date().toISOString()
         };
 
-        const signatureFile = `signature-${nonce}.json`;
-        fs.writeFileSync(signatureFile, JSON.stringify(signatureData, null, 2));
-        console.log(`Signature saved to ${signatureFile}`);
+        const signatureLocation = this._vaultStorage().put('signatures', nonce, signatureData);
+        console.log(`Signature saved to ${signatureLocation}`);
 
         return { signatureData, details };
     }
 
     async completeTransfer(nonce) {
-        const signatureFile = `signature-${nonce}.json`;
-        if (!fs.existsSync(signatureFile)) {
-            throw new Error(`Signature file not found: ${signatureFile}. Run signTransfer first.`);
+        await this._checkChain();
+        const signatureData = this._vaultStorage().get('signatures', nonce);
+        if (!signatureData) {
+            throw new Error(`No stored signature for nonce ${nonce}. Run signTransfer first.`);
         }
 
-        const signatureData = JSON.parse(fs.readFileSync(signatureFile, 'utf8'));
-        const owner1 = this.getOwner1Wallet();
+        const owner1 = await this.getOwner1Wallet();
         const vault = this.getContract(owner1);
 
         console.log('Fetching transfer details...');
         const details = await vault.getTransferDetails(nonce);
-        const [to, amount, dataHash, initiated, completed] = details;
+        const [to, amount, dataHash, initiated, completed, cancelled] = details;
 
         if (!initiated) {
             throw new Error('Transfer not initiated');
@@ -310,6 +396,9 @@ DEPLOYER_PRIVATE_KEY=0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf
         if (completed) {
             throw new Error('Transfer already completed');
         }
+        if (cancelled) {
+            throw new Error('Transfer cancelled');
+        }
 
         console.log('Transfer to:', to);
         console.log('Amount:', ethers.formatEther(amount), 'ETH');
@@ -320,12 +409,14 @@ DEPLOYER_PRIVATE_KEY=0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf
 
         // Complete transfer
         console.log('Completing transfer with Owner2 signature...');
-        const tx = await vault.completeTransfer(
-            nonce,
-            signatureData.signature.v,
-            signatureData.signature.r,
-            signatureData.signature.s
-        );
+        // Older signature files hold a bare { v, r, s } without a deadline
+        if (!isApproval(signatureData) || signatureData.deadline === undefined) {
+            throw new Error(`The stored signature for nonce ${nonce} predates EIP-712 approvals. Run signTransfer again.`);
+        }
+        if (BigInt(signatureData.deadline) <= BigInt((await this.provider.getBlock('latest')).timestamp)) {
+            throw new Error(`The approval for nonce ${nonce} has expired. Run signTransfer again.`);
+        }
+        const tx = await vault.completeTransfer(nonce, signatureData.deadline, signatureData.signature);
 
         console.log('Transaction submitted:', tx.hash);
         const receipt = await tx.wait();
@@ -336,14 +427,10 @@ DEPLOYER_PRIVATE_KEY=0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf
         console.log('Recipient balance after:', ethers.formatEther(balanceAfter), 'ETH');
         console.log('Amount received:', ethers.formatEther(balanceAfter - balanceBefore), 'ETH');
 
-        // Update transfer file
-        const transferFile = `transfer-${nonce}.json`;
-        if (fs.existsSync(transferFile)) {
-            const transferInfo = JSON.parse(fs.readFileSync(transferFile, 'utf8'));
-            transferInfo.status = 'completed';
-            transferInfo.completedTxHash = receipt.hash;
-            transferInfo.completedAt = new Date().toISOString();
-            fs.writeFileSync(transferFile, JSON.stringify(transferInfo, null, 2));
+        // Update transfer record
+        const transferInfo = this._vaultStorage().get('transfers', nonce);
+        if (transferInfo) {
+            this._vaultStorage().put('transfers', nonce, markTransferCompleted(transferInfo, { txHash: receipt.hash }));
         }
 
         // Show vault balance
@@ -354,12 +441,69 @@ DEPLOYER_PRIVATE_KEY=0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf
         return { receipt, balanceAfter, balanceBefore };
     }
 
+    async cancelTransfer(nonce, owner = 'owner1') {
+        await this._checkChain();
+        let signer;
+        if (owner === 'owner1') {
+            signer = await this.getOwner1Wallet();
+        } else if (owner === 'owner2') {
+            signer = await this.getOwner2Wallet();
+        } else {
+            throw new Error(`Invalid owner: ${owner}`);
+        }
+
+        const vault = this.getContract(signer);
+
+        console.log('Fetching transfer details...');
+        const details = await vault.getTransferDetails(nonce);
+        const [to, amount, , initiated, completed, cancelled] = details;
+
+        if (!initiated) {
+            throw new Error('Transfer not initiated');
+        }
+        if (completed) {
+            throw new Error('Transfer already completed');
+        }
+        if (cancelled) {
+            throw new Error('Transfer already cancelled');
+        }
+
+        console.log('Cancelling transfer to:', to);
+        console.log('Amount:', ethers.formatEther(amount), 'ETH');
+        console.log('Cancelled by:', signer.address);
+
+        const tx = await vault.cancelTransfer(nonce);
+        console.log('Transaction submitted:', tx.hash);
+        const receipt = await tx.wait();
+        console.log('Transfer cancelled!');
+
+        // Update transfer record
+        const transferInfo = this._vaultStorage().get('transfers', nonce);
+        if (transferInfo) {
+            this._vaultStorage().put('transfers', nonce, markTransferCancelled(transferInfo, {
+                cancelledBy: signer.address,
+                txHash: receipt.hash
+            }));
+        }
+
+        // A signature for a cancelled transfer can never be used
+        const signatureData = this._vaultStorage().get('signatures', nonce);
+        if (signatureData) {
+            signatureData.cancelled = true;
+            this._vaultStorage().put('signatures', nonce, signatureData);
+        }
+
+        return { receipt, details };
+    }
+
     async getVaultBalance() {
+        await this._checkChain();
         const vault = this.getContract();
         return await vault.getBalance();
     }
 
     async getTransferDetails(nonce) {
+        await this._checkChain();
         const vault = this.getContract();
         return await vault.getTransferDetails(nonce);
     }
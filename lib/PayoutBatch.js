@@ -0,0 +1,362 @@
+import { ethers } from 'ethers';
+import fs from 'fs';
+import path from 'path';
+import { writeFileAtomic } from './utils/storage.js';
+import { ApprovalExpiredError, VaultError } from './utils/errors.js';
+import { PolicyError } from './utils/policy.js';
+import { batchId } from './utils/batch.js';
+import { decodeApproval, encodeApprovalCompact, encodeApprovalJSON } from './utils/approval.js';
+import { createTransferRecord, markTransferCompleted, transferStatus } from './utils/records.js';
+
+export const BATCH_REPORT_VERSION = 1;
+
+/**
+ * Progress of a row. 'initiating' marks a row whose initiateTransfer was sent
+ * but not confirmed; the next run looks for it on chain before sending again.
+ */
+export const ROW_STATUSES = ['new', 'initiating', 'initiated', 'signed', 'completed', 'cancelled'];
+
+// Rows that no longer need anything from the vault
+const SETTLED = ['completed', 'cancelled'];
+
+/**
+ * PayoutBatch - Runs a batch of payouts through the vault: owner1 initiates
+ * every row, owner2 signs them all, owner1 completes them.
+ *
+ * Progress is kept in a JSON report, saved after every row, so a run that
+ * stops halfway resumes where it left off. The report also carries the
+ * nonces and approvals between the owners:
+ *
+ *   { version, id, chainId, vault, source, createdAt, startNonce,
+ *     rows: [{ row, recipient, amount, amountWei, memo, status, nonce,
+ *              initiationTxHash, approval, completionTxHash, error }] }
+ */
+export class PayoutBatch {
+    /**
+     * @param {BaseMultisigClient} client - Client connected to the vault
+     * @param {Object} report - Batch report
+     * @param {Object} options - { file } where the report is saved (none: kept in memory)
+     */
+    constructor(client, report, { file = null } = {}) {
+        this.client = client;
+        this.report = report;
+        this.file = file ? path.resolve(file) : null;
+    }
+
+    /**
+     * Start a batch from validated rows (see utils/batch.js), or resume it when
+     * its report already exists
+     * @param {BaseMultisigClient} client - Client connected to the vault
+     * @param {Object[]} rows - { row, recipient, amount (wei), memo }
+     * @param {Object} options - { file, source } report path and batch file name
+     */
+    static async open(client, rows, { file = null, source = null } = {}) {
+        const id = batchId(rows);
+
+        if (file && fs.existsSync(file)) {
+            const batch = await PayoutBatch.load(client, file);
+            if (batch.report.id !== id) {
+                throw new Error(`${file} is the report of another batch (${batch.report.id}, this file is ${id})`);
+            }
+            return batch;
+        }
+
+        client.requireConnection();
+        const report = {
+            version: BATCH_REPORT_VERSION,
+            id,
+            chainId: (await client.getChainId()).toString(),
+            vault: ethers.getAddress(client.contractAddress),
+            source,
+            createdAt: new Date().toISOString(),
+            startNonce: null,
+            rows: rows.map(({ row, recipient, amount, memo }) => ({
+                row,
+                recipient,
+                amount: ethers.formatEther(amount),
+                amountWei: amount.toString(),
+                memo,
+                status: 'new',
+                nonce: null,
+                initiationTxHash: null,
+                approval: null,
+                completionTxHash: null,
+                error: null
+            }))
+        };
+
+        const batch = new PayoutBatch(client, report, { file });
+        batch.save();
+        return batch;
+    }
+
+    /**
+     * Resume a batch from its report, checking it belongs to the connected vault
+     */
+    static async load(client, file) {
+        const report = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (report.version !== BATCH_REPORT_VERSION) {
+            throw new Error(`Unsupported batch report version: ${report.version}`);
+        }
+
+        client.requireConnection();
+        const chainId = await client.getChainId();
+        if (BigInt(report.chainId) !== chainId || report.vault !== ethers.getAddress(client.contractAddress)) {
+            throw new Error(`${file} is for vault ${report.vault} on chain ${report.chainId}, connected to ${client.contractAddress} on chain ${chainId}`);
+        }
+
+        return new PayoutBatch(client, report, { file });
+    }
+
+    /**
+     * Write the report
+     */
+    save() {
+        if (this.file) {
+            writeFileAtomic(this.file, JSON.stringify(this.report, null, 2));
+        }
+    }
+
+    get rows() {
+        return this.report.rows;
+    }
+
+    /**
+     * Counts and totals of the batch
+     * @returns {Object} { rows, total, paid, remaining, statuses, failed }
+     */
+    summary() {
+        const sum = rows => rows.reduce((total, row) => total + BigInt(row.amountWei), 0n);
+        const statuses = Object.fromEntries(ROW_STATUSES.map(status => [status, 0]));
+        for (const row of this.rows) {
+            statuses[row.status]++;
+        }
+
+        return {
+            rows: this.rows.length,
+            total: sum(this.rows),
+            paid: sum(this.rows.filter(row => row.status === 'completed')),
+            remaining: sum(this.rows.filter(row => !SETTLED.includes(row.status))),
+            statuses,
+            failed: this.rows.filter(row => row.error !== null).length
+        };
+    }
+
+    /**
+     * Compare what the batch still has to pay with the vault balance
+     * @returns {Promise<Object>} { balance, remaining, sufficient }
+     */
+    async checkFunds() {
+        const balance = await this.client.getBalance();
+        const { remaining } = this.summary();
+        return { balance, remaining, sufficient: remaining <= balance };
+    }
+
+    /**
+     * Update rows from the chain: transfers completed or cancelled elsewhere,
+     * and signed rows whose approval expired, which go back to owner2
+     */
+    async refresh() {
+        let now = null;
+        for (const row of this.rows) {
+            if (row.nonce === null || SETTLED.includes(row.status)) {
+                continue;
+            }
+            const status = transferStatus(await this.client.getTransferDetails(BigInt(row.nonce)));
+            if (SETTLED.includes(status)) {
+                row.status = status;
+                row.error = null;
+            } else if (row.status === 'signed') {
+                now ??= await this.client.getLatestTimestamp();
+                const expired = PayoutBatch.approvalExpired(row, now);
+                if (expired) {
+                    PayoutBatch.resign(row, expired);
+                }
+            }
+        }
+        this.save();
+    }
+
+    /**
+     * Why the approval of a signed row can no longer complete it
+     * @param {bigint} now - Latest block timestamp
+     * @returns {string|null} Reason, or null while it is valid
+     */
+    static approvalExpired(row, now) {
+        let approval;
+        try {
+            approval = decodeApproval(row.approval);
+        } catch (error) {
+            return error.message;
+        }
+        if (approval.deadline <= now) {
+            return `The approval expired at ${new Date(Number(approval.deadline) * 1000).toISOString()}; owner2 has to sign it again`;
+        }
+        return null;
+    }
+
+    /**
+     * Send a signed row back to owner2
+     */
+    static resign(row, reason) {
+        Object.assign(row, { status: 'initiated', approval: null, error: reason });
+    }
+
+    /**
+     * Whether on-chain transfer details are the payment of a row
+     */
+    static matches(row, details) {
+        return details.initiated
+            && ethers.getAddress(details.to) === row.recipient
+            && details.amount === BigInt(row.amountWei);
+    }
+
+    /**
+     * Settle rows left 'initiating' by an interrupted run: a transfer of the
+     * row's recipient and amount at a nonce no other row holds was initiated,
+     * anything else was not
+     */
+    async recoverInitiating() {
+        const pending = this.rows.filter(row => row.status === 'initiating');
+        if (pending.length === 0) {
+            return;
+        }
+
+        const claimed = new Set(this.rows.filter(row => row.nonce !== null).map(row => row.nonce));
+        const current = await this.client.getCurrentNonce();
+        for (const row of pending) {
+            row.status = 'new';
+            for (let nonce = BigInt(this.report.startNonce ?? 0); nonce < current; nonce++) {
+                if (!claimed.has(nonce.toString()) && PayoutBatch.matches(row, await this.client.getTransferDetails(nonce))) {
+                    Object.assign(row, { status: 'initiated', nonce: nonce.toString(), error: null });
+                    claimed.add(row.nonce);
+                    break;
+                }
+            }
+        }
+        this.save();
+    }
+
+    /**
+     * Initiate every row not initiated yet, one transaction at a time so the
+     * vault assigns nonces in row order (owner1)
+     * @param {*} owner1Signer - Owner1 signer of the client's library
+     * @param {Object} options - { onRow } called with each processed row
+     */
+    async initiate(owner1Signer, { onRow = () => {} } = {}) {
+        await this.recoverInitiating();
+        if (this.report.startNonce === null) {
+            this.report.startNonce = (await this.client.getCurrentNonce()).toString();
+        }
+
+        const initiatedBy = await this.client.getSignerAddress(owner1Signer);
+        for (const row of this.rows.filter(({ status }) => status === 'new')) {
+            row.status = 'initiating';
+            row.error = null;
+            this.save();
+
+            try {
+                const result = await this.client.initiateTransfer(owner1Signer, row.recipient, BigInt(row.amountWei), { memo: row.memo });
+                Object.assign(row, { status: 'initiated', nonce: result.nonce.toString(), initiationTxHash: result.tx.hash });
+                this.client.saveTransfer(result.nonce, createTransferRecord({
+                    nonce: result.nonce,
+                    recipient: row.recipient,
+                    amount: BigInt(row.amountWei),
+                    memo: row.memo || null,
+                    initiatedBy,
+                    txHash: result.tx.hash
+                }));
+            } catch (error) {
+                // A revert or the policy certainly did not initiate; anything else is checked on the next run
+                if (error instanceof VaultError || error instanceof PolicyError) {
+                    row.status = 'new';
+                }
+                row.error = error.message;
+            }
+
+            this.save();
+            onRow(row);
+        }
+    }
+
+    /**
+     * Rows waiting for owner2, each with the on-chain transfer it would approve
+     * @returns {Promise<Object[]>} { row, details, matches }
+     */
+    async pendingApprovals() {
+        await this.refresh();
+
+        const pending = [];
+        for (const row of this.rows.filter(({ status }) => status === 'initiated')) {
+            const details = await this.client.getTransferDetails(BigInt(row.nonce));
+            pending.push({ row, details, matches: PayoutBatch.matches(row, details) });
+        }
+        return pending;
+    }
+
+    /**
+     * Sign every initiated row whose on-chain transfer matches it (owner2).
+     * Approvals are stored locally and in the report for owner1.
+     * @param {*} owner2Signer - Owner2 signer of the client's library
+     * @param {Object} options - { deadline, onRow } where deadline (unix seconds)
+     *   defaults to the client's, and onRow is called with each processed row
+     */
+    async sign(owner2Signer, { deadline = null, onRow = () => {} } = {}) {
+        for (const { row, matches } of await this.pendingApprovals()) {
+            try {
+                if (!matches) {
+                    throw new Error(`On-chain transfer ${row.nonce} is not ${row.amount} ETH to ${row.recipient}; not signed`);
+                }
+
+                const { approval } = await this.client.signTransfer(owner2Signer, BigInt(row.nonce), { deadline, memo: row.memo || null });
+                this.client.saveSignature(approval.nonce, {
+                    ...JSON.parse(encodeApprovalJSON(approval)),
+                    timestamp: new Date().toISOString()
+                });
+                Object.assign(row, { status: 'signed', approval: encodeApprovalCompact(approval), error: null });
+            } catch (error) {
+                row.error = error.message;
+            }
+
+            this.save();
+            onRow(row);
+        }
+    }
+
+    /**
+     * Complete every signed row (owner1)
+     * @param {*} owner1Signer - Owner1 signer of the client's library
+     * @param {Object} options - { onRow } called with each processed row
+     */
+    async complete(owner1Signer, { onRow = () => {} } = {}) {
+        await this.refresh();
+
+        for (const row of this.rows.filter(({ status }) => status === 'signed')) {
+            try {
+                const result = await this.client.completeTransfer(owner1Signer, decodeApproval(row.approval));
+                Object.assign(row, { status: 'completed', completionTxHash: result.tx.hash, error: null });
+
+                let record = null;
+                try {
+                    record = this.client.loadTransfer(row.nonce);
+                } catch {
+                    // Initiated from another machine
+                }
+                if (record) {
+                    this.client.saveTransfer(row.nonce, markTransferCompleted(record, { txHash: result.tx.hash }));
+                }
+            } catch (error) {
+                if (error instanceof ApprovalExpiredError) {
+                    PayoutBatch.resign(row, error.message);
+                } else {
+                    row.error = error.message;
+                }
+            }
+
+            this.save();
+            onRow(row);
+        }
+    }
+}
+
+export default PayoutBatch;
@@ -0,0 +1,168 @@
+import { ethers } from 'ethers';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_FILE = path.join(__dirname, '../vaults.json');
+
+const ALIAS_PATTERN = /^[a-z][a-z0-9_-]*$/i;
+
+/**
+ * VaultRegistry - Known vaults by alias, stored in vaults.json:
+ *
+ *   {
+ *     "defaults": { "<chainId>": "<alias>" },
+ *     "vaults": { "<alias>": { address, chainId, network, owner1, owner2, ... } }
+ *   }
+ *
+ * Each chain has its own default vault, used when no --vault is given.
+ */
+export class VaultRegistry {
+    /**
+     * @param {Object} options - { file } path of the registry file
+     */
+    constructor({ file = DEFAULT_FILE } = {}) {
+        this.file = path.resolve(file);
+    }
+
+    /**
+     * Read the registry file; an absent file is an empty registry
+     */
+    load() {
+        if (!fs.existsSync(this.file)) {
+            return { defaults: {}, vaults: {} };
+        }
+
+        const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        return { defaults: data.defaults ?? {}, vaults: data.vaults ?? {} };
+    }
+
+    /**
+     * Whether a string is usable as an alias; aliases start with a letter,
+     * so they never look like an address
+     */
+    static isAlias(value) {
+        return ALIAS_PATTERN.test(value);
+    }
+
+    /**
+     * All vaults, sorted by chain and alias
+     * @returns {Array<Object>} Entries with { alias, isDefault, ... }
+     */
+    list() {
+        const { defaults, vaults } = this.load();
+        return Object.entries(vaults)
+            .map(([alias, entry]) => ({ alias, ...entry, isDefault: defaults[entry.chainId] === alias }))
+            .sort((a, b) => a.chainId - b.chainId || a.alias.localeCompare(b.alias));
+    }
+
+    /**
+     * Vault registered under an alias
+     * @returns {Object|null} Entry with { alias, isDefault, ... }
+     */
+    get(alias) {
+        return this.list().find(entry => entry.alias === alias) ?? null;
+    }
+
+    /**
+     * Vault registered for an address on a chain
+     * @returns {Object|null} Entry with { alias, isDefault, ... }
+     */
+    find(address, chainId) {
+        const target = ethers.getAddress(address);
+        return this.list().find(entry => entry.address === target && entry.chainId === Number(chainId)) ?? null;
+    }
+
+    /**
+     * Default vault of a chain
+     * @returns {Object|null} Entry with { alias, isDefault, ... }
+     */
+    getDefault(chainId) {
+        return this.list().find(entry => entry.isDefault && entry.chainId === Number(chainId)) ?? null;
+    }
+
+    /**
+     * Register a vault. The first vault of a chain becomes its default.
+     * @param {string} alias - Alias to register the vault under
+     * @param {Object} entry - { address, chainId, network, owner1, owner2, description, ... }
+     * @param {Object} options - { overwrite, makeDefault }
+     * @returns {Object} Stored entry with { alias, isDefault }
+     */
+    add(alias, entry, { overwrite = false, makeDefault = false } = {}) {
+        if (!VaultRegistry.isAlias(alias)) {
+            throw new Error(`Invalid vault alias: ${alias} (letters, digits, - and _; starting with a letter)`);
+        }
+        if (!Number.isSafeInteger(Number(entry.chainId))) {
+            throw new Error(`Vault ${alias} needs a chain id`);
+        }
+
+        const registry = this.load();
+        if (!overwrite && registry.vaults[alias]) {
+            throw new Error(`Vault alias ${alias} is already registered for ${registry.vaults[alias].address}`);
+        }
+
+        const stored = {
+            ...entry,
+            address: ethers.getAddress(entry.address),
+            chainId: Number(entry.chainId),
+            addedAt: entry.addedAt ?? new Date().toISOString()
+        };
+        const duplicate = Object.entries(registry.vaults)
+            .find(([name, other]) => name !== alias && other.address === stored.address && other.chainId === stored.chainId);
+        if (duplicate) {
+            throw new Error(`Vault ${stored.address} is already registered as ${duplicate[0]}`);
+        }
+
+        registry.vaults[alias] = stored;
+        if (makeDefault || !registry.defaults[stored.chainId]) {
+            registry.defaults[stored.chainId] = alias;
+        }
+        this._save(registry);
+        return this.get(alias);
+    }
+
+    /**
+     * Make a vault the default of its chain
+     * @returns {Object} Entry with { alias, isDefault, ... }
+     */
+    setDefault(alias) {
+        const registry = this.load();
+        const entry = registry.vaults[alias];
+        if (!entry) {
+            throw new Error(`No vault registered as ${alias}`);
+        }
+
+        registry.defaults[entry.chainId] = alias;
+        this._save(registry);
+        return this.get(alias);
+    }
+
+    /**
+     * Remove a vault; a removed default leaves its chain without one
+     * @returns {Object} Removed entry
+     */
+    remove(alias) {
+        const removed = this.get(alias);
+        if (!removed) {
+            throw new Error(`No vault registered as ${alias}`);
+        }
+
+        const registry = this.load();
+        delete registry.vaults[alias];
+        if (registry.defaults[removed.chainId] === alias) {
+            delete registry.defaults[removed.chainId];
+        }
+        this._save(registry);
+        return removed;
+    }
+
+    _save(registry) {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.writeFileSync(this.file, JSON.stringify(registry, null, 2));
+    }
+}
+
+export default VaultRegistry;
@@ -0,0 +1,298 @@
+import { ethers } from 'ethers';
+import { EventEmitter } from 'events';
+import { vaultEventTopics, decodeVaultLog } from './utils/events.js';
+
+// Emitter event name for each contract event
+const EVENT_NAMES = {
+    Deposit: 'deposit',
+    TransferInitiated: 'initiated',
+    TransferCompleted: 'completed',
+    TransferCancelled: 'cancelled'
+};
+
+/**
+ * VaultWatcher - Streams new MultisigVault events as they are confirmed.
+ *
+ * Emits 'deposit', 'initiated', 'completed' and 'cancelled' with typed event
+ * records, 'event' for all of them, 'checkpoint' with the last processed
+ * block, and 'disconnected'/'reconnected' around RPC failures. The watcher
+ * is also an async iterable of event records.
+ *
+ * The hashes of the last `reorgDepth` delivered blocks are checked on every
+ * poll. When the chain replaced them, 'reorg' is emitted with the first
+ * replaced block and the events from there on are delivered again. A
+ * listener that throws does not stop delivery; its error is emitted as
+ * 'listenerError'.
+ */
+export class VaultWatcher extends EventEmitter {
+    constructor({
+        provider,
+        address,
+        abi,
+        providerFactory = null,
+        fromBlock = null,
+        confirmations = 0,
+        reorgDepth = 64,
+        pollInterval = 4000,
+        chunkSize = 2000,
+        requestTimeout = 30000,
+        reconnectDelay = 1000,
+        maxReconnectDelay = 30000
+    }) {
+        super();
+        this.provider = provider;
+        this.providerFactory = providerFactory;
+        this.address = ethers.getAddress(address);
+        this.interface = new ethers.Interface(abi);
+        this.confirmations = confirmations;
+        this.reorgDepth = reorgDepth;
+        this.pollInterval = pollInterval;
+        this.chunkSize = chunkSize;
+        this.requestTimeout = requestTimeout;
+        this.reconnectDelay = reconnectDelay;
+        this.maxReconnectDelay = maxReconnectDelay;
+
+        // Next block to scan; null means "start at the current head"
+        this.nextBlock = fromBlock;
+        // Hashes of recently delivered blocks by number, to detect reorgs
+        this.blockHashes = new Map();
+        this.running = false;
+        this.failures = 0;
+        this.timer = null;
+        this.generation = 0;
+        this.iterating = false;
+        this.queue = [];
+        this.waiters = [];
+    }
+
+    /**
+     * Last block whose events have been delivered
+     */
+    get lastBlock() {
+        return this.nextBlock === null ? null : this.nextBlock - 1;
+    }
+
+    /**
+     * Start polling
+     */
+    start() {
+        if (!this.running) {
+            this.running = true;
+            this._schedule(0);
+        }
+        return this;
+    }
+
+    /**
+     * Stop polling and finish any pending async iteration. Providers created
+     * through `providerFactory` are owned by the watcher and destroyed.
+     */
+    stop() {
+        this.running = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        if (this.providerFactory) {
+            this.provider.destroy?.();
+        }
+
+        for (const resolve of this.waiters.splice(0)) {
+            resolve({ value: undefined, done: true });
+        }
+        this.emit('stop');
+    }
+
+    _schedule(delay) {
+        if (this.running) {
+            this.timer = setTimeout(() => this._tick(), delay);
+        }
+    }
+
+    async _tick() {
+        const generation = ++this.generation;
+        let timeout;
+        try {
+            // A dropped connection can leave requests hanging instead of failing
+            await Promise.race([
+                this._poll(generation),
+                new Promise((resolve, reject) => {
+                    timeout = setTimeout(() => reject(new Error('RPC request timed out')), this.requestTimeout);
+                })
+            ]);
+            clearTimeout(timeout);
+            this._schedule(this.pollInterval);
+        } catch (error) {
+            clearTimeout(timeout);
+            if (!this.running) {
+                return;
+            }
+
+            this.failures++;
+            this.emit('disconnected', { error, attempt: this.failures, lastBlock: this.lastBlock });
+
+            if (this.providerFactory) {
+                this.provider.destroy?.();
+                this.provider = this.providerFactory();
+            }
+
+            const delay = Math.min(this.reconnectDelay * 2 ** (this.failures - 1), this.maxReconnectDelay);
+            this._schedule(delay);
+        }
+    }
+
+    /**
+     * Deliver events between the last processed block and the confirmed head.
+     * A poll abandoned after a timeout stops as soon as its generation is stale.
+     */
+    async _poll(generation) {
+        const current = () => this.running && generation === this.generation;
+
+        const head = (await this.provider.getBlockNumber()) - this.confirmations;
+        if (!current()) {
+            return;
+        }
+
+        // Announce recovery before replaying what was missed while offline
+        if (this.failures > 0) {
+            this.failures = 0;
+            this.emit('reconnected', { lastBlock: this.lastBlock });
+        }
+
+        if (this.nextBlock === null) {
+            this.nextBlock = head + 1;
+        }
+        if (!await this._rewindReorg(current)) {
+            return;
+        }
+
+        while (current() && this.nextBlock <= head) {
+            const toBlock = Math.min(this.nextBlock + this.chunkSize - 1, head);
+            const logs = await this.provider.getLogs({
+                address: this.address,
+                topics: vaultEventTopics(this.interface),
+                fromBlock: this.nextBlock,
+                toBlock
+            });
+
+            const events = logs
+                .map(log => decodeVaultLog(this.interface, log))
+                .filter(Boolean);
+
+            // A block that changed since its logs were read is scanned again on the next poll
+            const blocks = new Map();
+            for (const block of [...new Set(events.map(event => event.blockNumber)), toBlock]) {
+                blocks.set(block, await this.provider.getBlock(block));
+            }
+            if (!current()) {
+                return;
+            }
+            if ([...blocks.values()].includes(null) || events.some(event => event.blockHash !== blocks.get(event.blockNumber).hash)) {
+                return;
+            }
+
+            this.nextBlock = toBlock + 1;
+            for (const [number, block] of blocks) {
+                this.blockHashes.set(number, block.hash);
+            }
+            for (const number of this.blockHashes.keys()) {
+                if (number <= toBlock - this.reorgDepth) {
+                    this.blockHashes.delete(number);
+                }
+            }
+
+            for (const event of events) {
+                event.timestamp = blocks.get(event.blockNumber).timestamp;
+                this._deliver(event);
+            }
+            this._notify('checkpoint', { lastBlock: toBlock });
+        }
+    }
+
+    /**
+     * Rewind to the newest delivered block the chain still has, emitting
+     * 'reorg' when later blocks were replaced. Without any matching block in
+     * the window, delivery restarts at the oldest one checked.
+     * @returns {Promise<boolean>} False when the poll went stale
+     */
+    async _rewindReorg(current) {
+        const recorded = [...this.blockHashes.keys()].sort((a, b) => b - a);
+        let ancestor = null;
+        for (const number of recorded) {
+            const block = await this.provider.getBlock(number);
+            if (!current()) {
+                return false;
+            }
+            if (block && block.hash === this.blockHashes.get(number)) {
+                ancestor = number;
+                break;
+            }
+        }
+        if (recorded.length === 0 || ancestor === recorded[0]) {
+            return true;
+        }
+
+        const fromBlock = ancestor === null ? recorded[recorded.length - 1] : ancestor + 1;
+        const lastBlock = this.lastBlock;
+        for (const number of recorded) {
+            if (number >= fromBlock) {
+                this.blockHashes.delete(number);
+            }
+        }
+        this.nextBlock = fromBlock;
+        this.queue = this.queue.filter(event => event.blockNumber < fromBlock);
+        this._notify('reorg', { fromBlock, lastBlock });
+        return true;
+    }
+
+    /**
+     * Call each listener on its own, so one that throws (or rejects) neither
+     * stops the others nor the rest of the batch
+     */
+    _notify(name, payload) {
+        for (const listener of this.rawListeners(name)) {
+            const fail = error => this.emit('listenerError', { error, name, payload });
+            try {
+                Promise.resolve(listener.call(this, payload)).catch(fail);
+            } catch (error) {
+                fail(error);
+            }
+        }
+    }
+
+    _deliver(event) {
+        this._notify(EVENT_NAMES[event.type], event);
+        this._notify('event', event);
+
+        const waiter = this.waiters.shift();
+        if (waiter) {
+            waiter({ value: event, done: false });
+        } else if (this.iterating) {
+            this.queue.push(event);
+        }
+    }
+
+    [Symbol.asyncIterator]() {
+        this.iterating = true;
+
+        return {
+            next: () => {
+                if (this.queue.length > 0) {
+                    return Promise.resolve({ value: this.queue.shift(), done: false });
+                }
+                if (!this.running) {
+                    return Promise.resolve({ value: undefined, done: true });
+                }
+                return new Promise(resolve => this.waiters.push(resolve));
+            },
+            return: () => {
+                this.stop();
+                return Promise.resolve({ value: undefined, done: true });
+            },
+            [Symbol.asyncIterator]() {
+                return this;
+            }
+        };
+    }
+}
+
+export default VaultWatcher;
@@ -0,0 +1,548 @@
+import { ethers } from 'ethers';
+import {
+    createPublicClient,
+    createWalletClient,
+    defineChain,
+    getAddress,
+    getContract,
+    http,
+    parseEventLogs
+} from 'viem';
+import { generatePrivateKey, mnemonicToAccount, privateKeyToAccount } from 'viem/accounts';
+import fs from 'fs';
+import { BaseMultisigClient } from './BaseMultisigClient.js';
+import { loadContractABI, loadContractArtifact } from './utils/abi.js';
+import { SIGNER_TYPES } from './utils/signers.js';
+import { getRevertData } from './utils/errors.js';
+import { createEventProvider } from './utils/viemProvider.js';
+
+/**
+ * ViemMultisigClient - The MultisigClient API on top of viem: reads go
+ * through a public client, transactions and signatures through wallet
+ * clients. Signers are viem wallet clients with an account (see
+ * createWallet/createSigner) or bare viem accounts. The event index and
+ * watchers read through an ethers-style adapter of the public client (see
+ * utils/viemProvider.js).
+ */
+export class ViemMultisigClient extends BaseMultisigClient {
+    /**
+     * @param {string} rpcUrl - RPC endpoint (defaults to the network's, then the default network's)
+     * @param {Object} options - { network, storage, pollingInterval } where network and storage
+     *   are as in BaseMultisigClient and pollingInterval (ms) is used while waiting for receipts
+     */
+    constructor(rpcUrl = null, { pollingInterval = undefined, ...options } = {}) {
+        super(rpcUrl, options);
+        this.pollingInterval = pollingInterval;
+        this.transport = http(this.rpcUrl);
+        this.chain = this.network ? this._defineChain(this.network.chainId) : null;
+        this.publicClient = createPublicClient({ chain: this.chain ?? undefined, transport: this.transport, pollingInterval });
+        this.events = createEventProvider(this.publicClient);
+        this.contract = null;
+        this.abi = null;
+    }
+
+    /**
+     * Load contract ABI from compiled artifact
+     */
+    loadABI() {
+        this.abi = loadContractABI('MultisigVault');
+        return this.abi;
+    }
+
+    /**
+     * Connect to deployed contract
+     */
+    async connect(contractAddress) {
+        await this.checkNetwork();
+
+        if (!this.abi) {
+            this.loadABI();
+        }
+
+        this.contractAddress = getAddress(contractAddress);
+        this.useVaultStorage(await this.getChainId(), this.contractAddress);
+        this.deploymentBlock = null;
+        this.contract = getContract({ address: this.contractAddress, abi: this.abi, client: this.publicClient });
+
+        return this.contract;
+    }
+
+    /**
+     * Deploy new MultisigVault contract
+     * @param {Object} options - { salt } to deploy through the CREATE2 proxy (see deployDeterministic)
+     */
+    async deploy(owner1Address, owner2Address, deployerSigner, { salt = null } = {}) {
+        const artifact = loadContractArtifact('MultisigVault');
+        this.abi = artifact.abi;
+
+        if (salt !== null) {
+            return await this.deployDeterministic(owner1Address, owner2Address, deployerSigner, { salt });
+        }
+
+        await this.checkNetwork();
+
+        const wallet = this._wallet(deployerSigner);
+        const { hash, receipt } = await this.withVaultErrors({ operation: 'deploy', signer: wallet }, async () => {
+            const hash = await wallet.deployContract({
+                abi: artifact.abi,
+                bytecode: artifact.bytecode,
+                args: [owner1Address, owner2Address],
+                account: wallet.account,
+                chain: await this._getChain(),
+                ...this._overrides()
+            });
+            return { hash, receipt: await this._waitForReceipt(hash) };
+        });
+
+        this.contractAddress = getAddress(receipt.contractAddress);
+        this.contract = getContract({ address: this.contractAddress, abi: this.abi, client: this.publicClient });
+        this.useVaultStorage(await this.getChainId(), this.contractAddress);
+        this.deploymentBlock = Number(receipt.blockNumber);
+
+        return {
+            contract: this.contract,
+            address: this.contractAddress,
+            deploymentTx: { hash },
+            receipt
+        };
+    }
+
+    /**
+     * Create a wallet client from a private key
+     */
+    createWallet(privateKey) {
+        return this._wallet(privateKeyToAccount(privateKey));
+    }
+
+    /**
+     * Create a wallet client from a signer backend configuration (see
+     * utils/signers.js). Node-managed accounts sign with personal_sign only.
+     */
+    async createSigner(config) {
+        switch (config.type) {
+            case 'privateKey':
+                return this.createWallet(config.privateKey);
+
+            case 'keystore': {
+                if (!config.json && !config.path) {
+                    throw new Error('Keystore signer needs a keystore file path');
+                }
+                if (config.password === undefined || config.password === null) {
+                    throw new Error(`No password given for keystore ${config.path ?? ''}`.trim());
+                }
+                const json = config.json ?? fs.readFileSync(config.path, 'utf8');
+                const { privateKey } = await ethers.decryptKeystoreJson(json, config.password);
+                return this.createWallet(privateKey);
+            }
+
+            case 'mnemonic': {
+                if (!config.mnemonic) {
+                    throw new Error('Mnemonic signer needs a mnemonic phrase');
+                }
+                const account = mnemonicToAccount(config.mnemonic, {
+                    path: config.path ?? `m/44'/60'/0'/0/${config.index ?? 0}`,
+                    passphrase: config.passphrase
+                });
+                return this._wallet(account);
+            }
+
+            case 'rpc':
+                if (!ethers.isAddress(config.address)) {
+                    throw new Error(`RPC signer needs an account address, got: ${config.address}`);
+                }
+                if ((config.method ?? 'personal_sign') !== 'personal_sign') {
+                    throw new Error(`The viem client signs with personal_sign only, not ${config.method}`);
+                }
+                return this._wallet(getAddress(config.address));
+
+            default:
+                throw new Error(`Unknown signer type: ${config.type} (expected ${SIGNER_TYPES.join(', ')})`);
+        }
+    }
+
+    /**
+     * Generate random wallet
+     */
+    generateWallet() {
+        return this.createWallet(generatePrivateKey());
+    }
+
+    /**
+     * Initiate a transfer (Owner1 only). Throws a PolicyError when the
+     * transfer breaks the client's policy.
+     * @param {Object} options - { memo } checked by the policy
+     */
+    async initiateTransfer(owner1Signer, recipient, amount, { memo = null } = {}) {
+        await this.enforcePolicy({ recipient, amount, memo }, { action: 'initiating this transfer' });
+        const { hash, receipt } = await this._write(owner1Signer, 'initiateTransfer', [recipient, amount], { recipient, amount });
+
+        const [event] = parseEventLogs({ abi: this.abi, logs: receipt.logs, eventName: 'TransferInitiated' });
+        if (!event) {
+            throw new Error('TransferInitiated event not found');
+        }
+
+        return {
+            nonce: event.args.nonce,
+            recipient,
+            amount,
+            tx: { hash },
+            receipt
+        };
+    }
+
+    /**
+     * EIP-712 digest Owner2 signs to approve a transfer until the deadline
+     */
+    async getTransferHash(nonce, deadline) {
+        return await this.withVaultErrors({ operation: 'hashTransfer', nonce }, () => this._read('hashTransfer', [BigInt(nonce), BigInt(deadline)]));
+    }
+
+    /**
+     * Get the chain id of the connected network
+     */
+    async getChainId() {
+        return BigInt(await this.publicClient.getChainId());
+    }
+
+    /**
+     * Sign a transfer's dataHash with the Ethereum signed message prefix
+     * @param {Object} signer - Owner2 wallet client or account
+     * @param {string} dataHash - Transfer dataHash
+     * @returns {Promise<string>} Signature
+     */
+    async signDataHash(signer, dataHash) {
+        const wallet = this._wallet(signer);
+        return await wallet.signMessage({ account: wallet.account, message: { raw: dataHash } });
+    }
+
+    /**
+     * Sign EIP-712 typed data
+     * @param {Object} signer - Owner2 wallet client or account
+     * @param {Object} typedData - { domain, types, primaryType, message }
+     * @returns {Promise<string>} Signature
+     */
+    async signTypedData(signer, { domain, types, primaryType, message }) {
+        const wallet = this._wallet(signer);
+        return await wallet.signTypedData({ account: wallet.account, domain, types, primaryType, message });
+    }
+
+    /**
+     * Address of a signer
+     */
+    async getSignerAddress(signer) {
+        return this._wallet(signer).account.address;
+    }
+
+    /**
+     * Complete transfer with signature (Owner1 only)
+     * @param {Object} owner1Signer - Owner1 wallet client or account
+     * @param {bigint|Object|string} nonceOrApproval - Nonce, or an approval response
+     * @param {Object|string} signatureOrApproval - { signature, deadline } or an approval response
+     */
+    async completeTransfer(owner1Signer, nonceOrApproval, signatureOrApproval) {
+        const { nonce, signature, deadline } = await this.resolveCompletion(nonceOrApproval, signatureOrApproval);
+
+        const [functionName, args] = this.completionCall(nonce, signature, deadline);
+        const { hash, receipt } = await this._write(owner1Signer, functionName, args, { nonce });
+
+        return {
+            tx: { hash },
+            receipt
+        };
+    }
+
+    /**
+     * Cancel a pending transfer (Owner1 or Owner2)
+     */
+    async cancelTransfer(ownerSigner, nonce) {
+        this.requireConnection();
+        await this.assertTransferPending(nonce);
+
+        const { hash, receipt } = await this._write(ownerSigner, 'cancelTransfer', [BigInt(nonce)], { nonce });
+
+        return {
+            tx: { hash },
+            receipt
+        };
+    }
+
+    /**
+     * Run a transaction request ({ from, to, data, value }) as a static call
+     * @returns {Promise<string>} Return data
+     */
+    async callTransaction({ from, ...request }) {
+        const { data } = await this.publicClient.call({ account: from, ...request });
+        return data ?? '0x';
+    }
+
+    /**
+     * Code deployed at an address ('0x' for accounts)
+     */
+    async getCode(address) {
+        return await this.publicClient.getCode({ address }) ?? '0x';
+    }
+
+    /**
+     * Send a transaction request ({ to, data, value }) and wait for it
+     * @returns {Promise<Object>} { tx, receipt }
+     */
+    async sendTransaction(signer, request) {
+        const wallet = this._wallet(signer);
+        const hash = await wallet.sendTransaction({
+            account: wallet.account,
+            chain: await this._getChain(),
+            ...request,
+            ...this._overrides()
+        });
+        return { tx: { hash }, receipt: await this._waitForReceipt(hash) };
+    }
+
+    /**
+     * Broadcast an already signed transaction and wait for it
+     * @returns {Promise<Object>} Receipt
+     */
+    async sendRawTransaction(signedTransaction) {
+        const hash = await this.publicClient.sendRawTransaction({ serializedTransaction: signedTransaction });
+        return await this._waitForReceipt(hash);
+    }
+
+    /**
+     * Timestamp of the latest block, in seconds
+     */
+    async getLatestTimestamp() {
+        return (await this.publicClient.getBlock({ blockTag: 'latest' })).timestamp;
+    }
+
+    /**
+     * Estimate the gas a transaction request would use
+     */
+    async estimateTransactionGas({ from, ...request }) {
+        return await this.publicClient.estimateGas({ account: from, ...request });
+    }
+
+    /**
+     * Current gas price of the network
+     */
+    async getGasPrice() {
+        return await this.publicClient.getGasPrice();
+    }
+
+    /**
+     * ETH balance of any address
+     */
+    async getAddressBalance(address) {
+        return await this.publicClient.getBalance({ address });
+    }
+
+    /**
+     * Next nonce of an account, counting pending transactions
+     */
+    async getTransactionCount(address) {
+        return await this.publicClient.getTransactionCount({ address, blockTag: 'pending' });
+    }
+
+    /**
+     * Get contract balance
+     */
+    async getBalance() {
+        return await this._read('getBalance');
+    }
+
+    /**
+     * Get transfer details
+     */
+    async getTransferDetails(nonce) {
+        const details = await this._read('getTransferDetails', [BigInt(nonce)]);
+        return {
+            to: details[0],
+            amount: details[1],
+            dataHash: details[2],
+            initiated: details[3],
+            completed: details[4],
+            cancelled: details[5]
+        };
+    }
+
+    /**
+     * Get the vault's owner addresses
+     * @returns {Promise<Object>} { owner1, owner2 }
+     */
+    async getOwners() {
+        const [owner1, owner2] = await Promise.all([this._read('owner1'), this._read('owner2')]);
+        return { owner1, owner2 };
+    }
+
+    /**
+     * Get current transfer nonce
+     */
+    async getCurrentNonce() {
+        return await this._read('transferNonce');
+    }
+
+    /**
+     * Validate signature using ERC-1271 standard
+     */
+    async isValidSignature(hash, signature) {
+        this.requireConnection();
+
+        try {
+            const result = await this._read('isValidSignature', [hash, signature]);
+            return result === '0x1626ba7e';
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Provider the event index reads from, on the client's public client
+     */
+    eventProvider() {
+        return this.events;
+    }
+
+    /**
+     * New provider for a watcher, on a public client of its own
+     */
+    createEventProvider() {
+        return createEventProvider(createPublicClient({ chain: this.chain ?? undefined, transport: http(this.rpcUrl) }));
+    }
+
+    /**
+     * Sender of a mined transaction, or null when the node does not know it
+     */
+    async getTransactionSender(hash) {
+        try {
+            return getAddress((await this.publicClient.getTransaction({ hash })).from);
+        } catch (error) {
+            if (error.name === 'TransactionNotFoundError') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Fund contract with ETH
+     */
+    async fundContract(signer, amount) {
+        this.requireConnection();
+
+        const wallet = this._wallet(signer);
+        const hash = await wallet.sendTransaction({
+            account: wallet.account,
+            chain: await this._getChain(),
+            to: this.contractAddress,
+            value: amount,
+            ...this._overrides()
+        });
+
+        return await this._waitForReceipt(hash);
+    }
+
+    /**
+     * Revert data of a mined transaction that reverted, obtained by replaying
+     * it on the state it ran on
+     */
+    async replayRevert(error) {
+        if (!error?.receipt) {
+            return null;
+        }
+
+        try {
+            const tx = await this.publicClient.getTransaction({ hash: error.receipt.transactionHash });
+            await this.publicClient.call({
+                account: tx.from,
+                to: tx.to,
+                data: tx.input,
+                value: tx.value,
+                blockNumber: error.receipt.blockNumber - 1n
+            });
+        } catch (replayError) {
+            return getRevertData(replayError);
+        }
+
+        return null;
+    }
+
+    /**
+     * Wallet client for a signer: wallet clients are used as they are,
+     * accounts (or node-managed addresses) get one on this client's transport
+     */
+    _wallet(signer) {
+        if (signer?.account && typeof signer.writeContract === 'function') {
+            return signer;
+        }
+        return createWalletClient({ account: signer, chain: this.chain ?? undefined, transport: this.transport });
+    }
+
+    /**
+     * Chain definition for the connected chain id, so wallet clients can
+     * check they send to the right chain
+     */
+    async _getChain() {
+        if (!this.chain) {
+            this.chain = this._defineChain(Number(await this.getChainId()));
+        }
+        return this.chain;
+    }
+
+    _defineChain(chainId) {
+        return defineChain({
+            id: Number(chainId),
+            name: this.network?.name ?? `chain-${chainId}`,
+            nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+            rpcUrls: { default: { http: [this.rpcUrl] } }
+        });
+    }
+
+    /**
+     * Transaction overrides in viem's terms (txOverrides follow ethers, which names the gas limit gasLimit)
+     */
+    _overrides() {
+        const { gasLimit, ...overrides } = this.txOverrides;
+        return gasLimit === undefined ? overrides : { ...overrides, gas: BigInt(gasLimit) };
+    }
+
+    async _read(functionName, args = []) {
+        this.requireConnection();
+        return await this.publicClient.readContract({ address: this.contractAddress, abi: this.abi, functionName, args });
+    }
+
+    async _write(signer, functionName, args, context = {}) {
+        this.requireConnection();
+
+        const wallet = this._wallet(signer);
+        return await this.withVaultErrors({ operation: functionName, signer: wallet, ...context }, async () => {
+            const hash = await wallet.writeContract({
+                address: this.contractAddress,
+                abi: this.abi,
+                functionName,
+                args,
+                account: wallet.account,
+                chain: await this._getChain(),
+                ...this._overrides()
+            });
+
+            return { hash, receipt: await this._waitForReceipt(hash) };
+        });
+    }
+
+    /**
+     * Wait for the configured confirmations; a reverted transaction throws,
+     * as it does with ethers
+     */
+    async _waitForReceipt(hash) {
+        const receipt = await this.publicClient.waitForTransactionReceipt({
+            hash,
+            confirmations: this.confirmations,
+            ...(this.pollingInterval ? { pollingInterval: this.pollingInterval } : {})
+        });
+        if (receipt.status !== 'success') {
+            throw Object.assign(new Error(`Transaction ${hash} reverted`), { receipt });
+        }
+        return receipt;
+    }
+
+}
+
+export default ViemMultisigClient;
@@ -0,0 +1,149 @@
+import { ethers } from 'ethers';
+import fs from 'fs';
+import { decodeApproval } from '../utils/approval.js';
+import { UsageError } from './errors.js';
+
+/**
+ * Argument parsing helpers shared by CLI commands
+ */
+
+/**
+ * Parse a transfer nonce
+ * @param {string} value - Raw argument
+ * @returns {bigint} Nonce
+ */
+export function parseNonce(value) {
+    if (value === undefined) {
+        throw new UsageError('Missing <nonce> argument');
+    }
+    if (!/^\d+$/.test(value)) {
+        throw new UsageError(`Invalid nonce: ${value}`);
+    }
+    return BigInt(value);
+}
+
+/**
+ * Parse an ETH amount into wei
+ * @param {string} value - Amount in ETH (e.g. "1.5")
+ * @param {string} name - Argument name used in error messages
+ * @returns {bigint} Amount in wei
+ */
+export function parseAmount(value, name = 'amount') {
+    if (value === undefined) {
+        throw new UsageError(`Missing <${name}> argument`);
+    }
+
+    let amount;
+    try {
+        amount = ethers.parseEther(value);
+    } catch {
+        throw new UsageError(`Invalid ${name}: ${value}`);
+    }
+
+    if (amount <= 0n) {
+        throw new UsageError(`${name} must be greater than zero`);
+    }
+    return amount;
+}
+
+/**
+ * Parse an Ethereum address
+ * @param {string} value - Raw argument
+ * @param {string} name - Argument name used in error messages
+ * @returns {string} Checksummed address
+ */
+export function parseAddress(value, name = 'address') {
+    if (value === undefined) {
+        throw new UsageError(`Missing <${name}> argument`);
+    }
+    if (!ethers.isAddress(value)) {
+        throw new UsageError(`Invalid ${name}: ${value}`);
+    }
+    return ethers.getAddress(value);
+}
+
+/**
+ * Parse an address that must carry its EIP-55 checksum, so a mistyped
+ * character cannot go unnoticed
+ * @param {string} value - Raw argument
+ * @param {string} name - Argument name used in error messages
+ * @returns {string} Checksummed address
+ */
+export function parseChecksummedAddress(value, name = 'address') {
+    const address = parseAddress(value, name);
+    if (value !== address) {
+        throw new UsageError(`${name} ${value} is not checksummed; copy the address from its source or use ${address} after checking it`);
+    }
+    return address;
+}
+
+/**
+ * Parse a block number
+ * @param {string} value - Raw option value
+ * @param {string} name - Option name used in error messages
+ * @returns {number} Block number
+ */
+export function parseBlock(value, name = 'block') {
+    if (!/^\d+$/.test(value)) {
+        throw new UsageError(`Invalid ${name}: ${value}`);
+    }
+    return Number(value);
+}
+
+/**
+ * Parse a TCP port
+ * @param {string} value - Raw option value
+ * @param {string} name - Option name used in error messages
+ * @returns {number} Port between 1 and 65535
+ */
+export function parsePort(value, name = 'port') {
+    if (!/^\d+$/.test(value) || Number(value) < 1 || Number(value) > 65535) {
+        throw new UsageError(`Invalid ${name}: ${value} (expected 1-65535)`);
+    }
+    return Number(value);
+}
+
+/**
+ * Parse a point in time given as unix seconds or an ISO 8601 date
+ * @param {string} value - Raw option value
+ * @param {string} name - Option name used in error messages
+ * @returns {number} Unix timestamp in seconds
+ */
+export function parseTime(value, name = 'time') {
+    if (/^\d+$/.test(value)) {
+        return Number(value);
+    }
+
+    const millis = Date.parse(value);
+    if (Number.isNaN(millis)) {
+        throw new UsageError(`Invalid ${name}: ${value}`);
+    }
+    return Math.floor(millis / 1000);
+}
+
+/**
+ * Read an approval given as a file path, JSON text or multisig:v2: string
+ * @param {string} value - Raw option value
+ * @param {string} name - Option name used in error messages
+ * @returns {Object} Decoded approval
+ */
+export function readApproval(value, name = 'approval') {
+    const input = fs.existsSync(value) ? fs.readFileSync(value, 'utf8') : value;
+
+    try {
+        return decodeApproval(input);
+    } catch (error) {
+        throw new UsageError(`Invalid --${name}: ${error.message}`);
+    }
+}
+
+export default {
+    parseNonce,
+    parseAmount,
+    parseAddress,
+    parseChecksummedAddress,
+    parseBlock,
+    parsePort,
+    parseTime,
+    readApproval
+};
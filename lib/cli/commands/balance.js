@@ -0,0 +1,25 @@
+import { ethers } from 'ethers';
+import { formatFields } from '../output.js';
+
+export default {
+    name: 'balance',
+    summary: 'Show the vault ETH balance',
+    usage: 'balance',
+    options: {},
+
+    async run(ctx) {
+        const client = await ctx.connect(null, { readOnly: true });
+
+        return {
+            vault: ctx.vaultAddress,
+            balance: await client.getBalance()
+        };
+    },
+
+    format(result) {
+        return formatFields([
+            ['Vault', result.vault],
+            ['Balance', `${ethers.formatEther(result.balance)} ETH`]
+        ]);
+    }
+};
@@ -0,0 +1,282 @@
+import { ethers } from 'ethers';
+import fs from 'fs';
+import path from 'path';
+import { ConfigError, StateError, UsageError } from '../errors.js';
+import { formatFields } from '../output.js';
+import { describeAddress, recipientWarnings } from '../recipients.js';
+import { PayoutBatch } from '../../PayoutBatch.js';
+import {
+    BATCH_FORMATS,
+    BatchError,
+    batchFormat,
+    defaultReportPath,
+    parseBatch,
+    validateBatch
+} from '../../utils/batch.js';
+
+const ACTIONS = ['check', 'initiate', 'sign', 'complete', 'status'];
+
+// Owner whose key each action needs
+const ROLES = {
+    initiate: 'owner1',
+    sign: 'owner2',
+    complete: 'owner1'
+};
+
+function formatEth(value) {
+    return `${ethers.formatEther(value)} ETH`;
+}
+
+/**
+ * Read and validate a batch file; recipients may be address book labels
+ * @returns {Object} { rows, warnings }
+ */
+function readBatchFile(ctx, file, options) {
+    if (options.format && !BATCH_FORMATS.includes(options.format)) {
+        throw new UsageError(`Invalid --format value: ${options.format} (expected ${BATCH_FORMATS.join(' or ')})`);
+    }
+
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        throw new ConfigError(`Cannot read ${file}: ${error.message}`);
+    }
+
+    let entries;
+    try {
+        entries = parseBatch(text, options.format ?? batchFormat(file));
+    } catch (error) {
+        if (error instanceof BatchError) {
+            throw new UsageError(`${file}: ${error.message}`);
+        }
+        throw error;
+    }
+
+    const { rows, problems, warnings } = validateBatch(entries, { addressBook: ctx.addressBook });
+    if (problems.length > 0) {
+        const lines = problems.map(({ row, message }) => (row === null ? `  ${message}` : `  row ${row}: ${message}`));
+        throw new UsageError(`${file} has ${problems.length} invalid row(s); nothing was sent:\n${lines.join('\n')}`);
+    }
+    return { rows, warnings };
+}
+
+/**
+ * Recipient warnings of rows (see recipients.js), each recipient checked once
+ * @param {CliContext} ctx - Command context, connected to the vault
+ * @param {Object[]} rows - Rows with { row, recipient }
+ * @returns {Promise<Object[]>} Warnings as { row, message }
+ */
+async function rowWarnings(ctx, rows) {
+    const byRecipient = new Map();
+    const warnings = [];
+    for (const { row, recipient } of rows) {
+        if (!byRecipient.has(recipient)) {
+            byRecipient.set(recipient, await recipientWarnings(ctx, recipient));
+        }
+        warnings.push(...byRecipient.get(recipient).map(message => ({ row, message })));
+    }
+    return warnings;
+}
+
+function logRowWarnings(ctx, warnings) {
+    for (const { row, message } of warnings) {
+        ctx.log(`Warning: row ${row}: ${message}`);
+    }
+}
+
+/**
+ * Open the batch of a file, or the report given with --report
+ */
+async function openBatch(ctx, client, file, reportFile) {
+    try {
+        if (file) {
+            const { rows } = readBatchFile(ctx, file.path, file.options);
+            return await PayoutBatch.open(client, rows, { file: reportFile, source: path.basename(file.path) });
+        }
+        if (!fs.existsSync(reportFile)) {
+            throw new Error(`No batch report at ${reportFile}. Run "multisig batch initiate <file>" first.`);
+        }
+        return await PayoutBatch.load(client, reportFile);
+    } catch (error) {
+        if (error instanceof UsageError || error instanceof ConfigError) {
+            throw error;
+        }
+        throw new ConfigError(error.message);
+    }
+}
+
+/**
+ * One line describing a row of the report
+ */
+function describeRow(row) {
+    return [
+        String(row.row).padStart(4),
+        row.status.padEnd(10),
+        (row.nonce ?? '-').padStart(5),
+        row.label ? `${row.label} (${row.recipient})` : row.recipient,
+        formatEth(row.amountWei).padEnd(14),
+        row.memo,
+        row.error ? `  ! ${row.error}` : ''
+    ].join('  ').trimEnd();
+}
+
+/**
+ * Let owner2 review everything it is about to sign
+ * @returns {Promise<boolean>} Whether to go ahead
+ */
+async function reviewApprovals(ctx, batch, options) {
+    const pending = await batch.pendingApprovals();
+    if (pending.length === 0) {
+        return true;
+    }
+
+    const approvable = pending.filter(({ matches }) => matches);
+    const total = approvable.reduce((sum, { details }) => sum + details.amount, 0n);
+
+    ctx.log(`Batch ${batch.report.id} on vault ${batch.report.vault}:`);
+    for (const { row, details, matches } of pending) {
+        ctx.log(`  #${row.nonce}  ${describeAddress(ctx, details.to)}  ${formatEth(details.amount).padEnd(14)}  ${row.memo}${matches ? '' : '  (does not match the batch, will not be signed)'}`);
+    }
+    ctx.log(`  ${approvable.length} transfer(s), ${formatEth(total)} in total`);
+    logRowWarnings(ctx, await rowWarnings(ctx, approvable.map(({ row, details }) => ({ row: row.row, recipient: details.to }))));
+
+    if (options.yes) {
+        return true;
+    }
+    const answer = await ctx.confirm(`Sign ${approvable.length} transfer(s) totalling ${formatEth(total)}? [y/N] `);
+    if (answer === null) {
+        throw new UsageError('No terminal to confirm the batch; review the report and pass --yes.');
+    }
+    return answer;
+}
+
+export default {
+    name: 'batch',
+    summary: 'Pay a CSV or JSON file of recipients through the vault',
+    usage: 'batch check|initiate <file> | batch sign|complete|status [<file>] [--report <file>] [--yes]',
+    description: [
+        'The file lists recipient, amount (ETH) and an optional memo per row, as CSV',
+        '(header optional) or a JSON array. Recipients are checksummed addresses or',
+        'address book labels, and get the same warnings as "multisig initiate"',
+        '(lookalikes, contracts, first payments), shown by check, initiate and sign.',
+        'check validates every row and the total against the vault balance;',
+        'initiate sends one initiateTransfer per row (owner1);',
+        'sign shows all pending rows and signs them at once after confirmation (owner2);',
+        'complete executes the signed rows (owner1). Progress is saved after each row',
+        'in <file>.report.json, the per-row result report: rerunning a step resumes',
+        'after a partial failure. Owner2 needs the report (--report) to sign.'
+    ],
+    options: {
+        report: { type: 'string', description: 'Report file (default: <file> with .report.json)' },
+        format: { type: 'string', description: 'File format, csv or json (default: from the extension)' },
+        yes: { type: 'boolean', description: 'sign: skip the interactive confirmation' }
+    },
+
+    async run(ctx, args, options) {
+        const [action, file] = args;
+        if (!ACTIONS.includes(action)) {
+            throw new UsageError(`Expected one of ${ACTIONS.join(', ')}, got ${action ?? 'nothing'}`);
+        }
+        if (!file && (action === 'check' || action === 'initiate' || !options.report)) {
+            throw new UsageError('Missing <file> argument');
+        }
+        const reportFile = options.report ?? defaultReportPath(file);
+
+        if (action === 'check') {
+            const { rows, warnings } = readBatchFile(ctx, file, options);
+            const client = await ctx.connect(null, { readOnly: true });
+            const balance = await client.getBalance();
+            const total = rows.reduce((sum, row) => sum + row.amount, 0n);
+            if (total > balance) {
+                throw new StateError(`Batch total ${formatEth(total)} exceeds the vault balance of ${formatEth(balance)}.`);
+            }
+
+            return {
+                action,
+                vault: ctx.vaultAddress,
+                rows: rows.length,
+                total,
+                balance,
+                warnings: [...warnings, ...await rowWarnings(ctx, rows)].sort((a, b) => a.row - b.row)
+            };
+        }
+
+        const signer = ROLES[action] ? await ctx.getSigner(ROLES[action]) : null;
+        const client = await ctx.connect(signer, { readOnly: action === 'status' });
+        const batch = await openBatch(ctx, client, file && action !== 'status' ? { path: file, options } : null, reportFile);
+        const progress = row => ctx.log(describeRow(row));
+
+        if (action === 'initiate') {
+            const hasNew = batch.rows.some(({ status }) => status === 'new' || status === 'initiating');
+            const { balance, remaining, sufficient } = await batch.checkFunds();
+            if (hasNew && !sufficient) {
+                throw new StateError(`Batch still has ${formatEth(remaining)} to pay but the vault holds ${formatEth(balance)}.`);
+            }
+            logRowWarnings(ctx, await rowWarnings(ctx, batch.rows.filter(({ status }) => status === 'new')));
+            ctx.log(`Initiating batch ${batch.report.id} (report: ${batch.file})...`);
+            await batch.initiate(signer, { onRow: progress });
+        } else if (action === 'sign') {
+            if (!await reviewApprovals(ctx, batch, options)) {
+                throw new StateError('Batch not signed.');
+            }
+            await batch.sign(signer, { onRow: progress });
+        } else if (action === 'complete') {
+            ctx.log(`Completing batch ${batch.report.id}...`);
+            await batch.complete(signer, { onRow: progress });
+        } else {
+            await batch.refresh();
+        }
+
+        return {
+            action,
+            id: batch.report.id,
+            vault: batch.report.vault,
+            report: batch.file,
+            ...batch.summary(),
+            transfers: batch.rows.map(row => ({ ...row, label: ctx.addressBook.find(row.recipient)?.label ?? null }))
+        };
+    },
+
+    format(result) {
+        if (result.action === 'check') {
+            return [
+                ...formatFields([
+                    ['Vault', result.vault],
+                    ['Rows', result.rows],
+                    ['Total', formatEth(result.total)],
+                    ['Vault balance', formatEth(result.balance)]
+                ]),
+                ...result.warnings.map(({ row, message }) => `Warning: row ${row}: ${message}`)
+            ];
+        }
+
+        const counts = Object.entries(result.statuses)
+            .filter(([, count]) => count > 0)
+            .map(([status, count]) => `${count} ${status}`)
+            .join(', ');
+        let next = 'nothing left to do';
+        if (result.failed > 0) {
+            next = `fix the failed rows and rerun "multisig batch ${result.action}" to resume`;
+        } else if (result.statuses.new > 0 || result.statuses.initiating > 0) {
+            next = 'multisig batch initiate';
+        } else if (result.statuses.initiated > 0) {
+            next = 'owner2 runs "multisig batch sign" with the report';
+        } else if (result.statuses.signed > 0) {
+            next = 'multisig batch complete';
+        }
+
+        return [
+            ...formatFields([
+                ['Batch', `${result.id} on ${result.vault}`],
+                ['Report', result.report],
+                ['Rows', `${result.rows} (${counts})`],
+                ['Paid', `${formatEth(result.paid)} of ${formatEth(result.total)}`],
+                ['Failed', result.failed],
+                ['Next', next]
+            ]),
+            '',
+            ...result.transfers.map(describeRow)
+        ];
+    }
+};
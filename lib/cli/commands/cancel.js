@@ -0,0 +1,70 @@
+import { ethers } from 'ethers';
+import { parseNonce } from '../args.js';
+import { UsageError } from '../errors.js';
+import { recordCancellation, requirePending } from '../transfers.js';
+import { formatFields } from '../output.js';
+import { DRY_RUN_OPTION, dryRunResult, formatDryRun } from '../simulation.js';
+
+export default {
+    name: 'cancel',
+    summary: 'Cancel a pending transfer (either owner)',
+    usage: 'cancel <nonce> [--as owner1|owner2] [--dry-run]',
+    options: {
+        as: { type: 'string', description: 'Owner sending the cancellation (default owner1)' },
+        ...DRY_RUN_OPTION
+    },
+
+    async run(ctx, args, options) {
+        const nonce = parseNonce(args[0]);
+        const role = options.as || 'owner1';
+
+        if (role !== 'owner1' && role !== 'owner2') {
+            throw new UsageError(`Invalid --as value: ${role}`);
+        }
+
+        const owner = await ctx.getSigner(role);
+        const ownerAddress = await owner.getAddress();
+        // Cancelling only stops a payout, so it stays possible on a vault that fails verification
+        const client = await ctx.connect(owner, { readOnly: true });
+
+        const details = await client.getTransferDetails(nonce);
+        requirePending(details, nonce);
+
+        if (options['dry-run']) {
+            const simulation = await client.simulateCancelTransfer(owner, nonce);
+            return dryRunResult(simulation, { vault: ctx.vaultAddress, nonce, recipient: details.to, amount: details.amount });
+        }
+
+        ctx.log(`Cancelling transfer ${nonce} as ${role}...`);
+        const result = await client.cancelTransfer(owner, nonce);
+
+        recordCancellation(client, nonce, { cancelledBy: ownerAddress, txHash: result.tx.hash });
+
+        return {
+            vault: ctx.vaultAddress,
+            nonce,
+            recipient: details.to,
+            amount: details.amount,
+            cancelledBy: ownerAddress,
+            txHash: result.tx.hash
+        };
+    },
+
+    format(result) {
+        if (result.dryRun) {
+            return formatDryRun([
+                ['Nonce', result.nonce],
+                ['Recipient', result.recipient],
+                ['Amount', `${ethers.formatEther(result.amount)} ETH`]
+            ], result);
+        }
+
+        return formatFields([
+            ['Nonce', result.nonce],
+            ['Recipient', result.recipient],
+            ['Amount', `${ethers.formatEther(result.amount)} ETH`],
+            ['Cancelled by', result.cancelledBy],
+            ['Transaction', result.txHash]
+        ]);
+    }
+};
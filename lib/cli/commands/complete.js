@@ -0,0 +1,79 @@
+import { ethers } from 'ethers';
+import { parseNonce, readApproval } from '../args.js';
+import { loadApproval, recordCompletion, requirePending } from '../transfers.js';
+import { formatFields } from '../output.js';
+import { DRY_RUN_OPTION, dryRunResult, formatDryRun } from '../simulation.js';
+import { COORDINATOR_OPTION } from '../coordination.js';
+import { describeAddress, logWarnings, lookalikeWarnings } from '../recipients.js';
+
+export default {
+    name: 'complete',
+    summary: "Execute a pending transfer with owner2's signature (owner1)",
+    usage: 'complete <nonce> [--approval <file|string>] [--signature <hex> --deadline <time>] [--dry-run] [--coordinator <url>]',
+    description: [
+        'Uses the approval stored by "multisig sign" unless an approval response or',
+        'raw signature is given; without a stored approval it is fetched from the',
+        'coordination server when one is configured. Approvals are checked against',
+        'the chain and owner2 before sending; expired approvals are refused.'
+    ],
+    options: {
+        approval: { type: 'string', description: 'Approval response (file, JSON or multisig:v2: string)' },
+        signature: { type: 'string', description: 'Raw owner2 signature (any length for contract wallets)' },
+        deadline: { type: 'string', description: 'Deadline the --signature covers (unix seconds or ISO 8601)' },
+        ...DRY_RUN_OPTION,
+        ...COORDINATOR_OPTION
+    },
+
+    async run(ctx, args, options) {
+        const nonce = args[0] === undefined && options.approval
+            ? readApproval(options.approval).nonce
+            : parseNonce(args[0]);
+
+        const owner1 = await ctx.getSigner('owner1');
+        const client = await ctx.connect(owner1);
+
+        const details = await client.getTransferDetails(nonce);
+        requirePending(details, nonce);
+
+        const signature = await loadApproval(ctx, owner1, nonce, options);
+
+        if (options['dry-run']) {
+            const simulation = await client.simulateCompleteTransfer(owner1, nonce, signature);
+            return dryRunResult(simulation, { vault: ctx.vaultAddress, nonce, recipient: details.to, amount: details.amount });
+        }
+
+        ctx.log(`Completing transfer ${nonce}: ${ethers.formatEther(details.amount)} ETH to ${describeAddress(ctx, details.to)}...`);
+        logWarnings(ctx, lookalikeWarnings(ctx, details.to));
+        const result = await client.completeTransfer(owner1, nonce, signature);
+
+        recordCompletion(client, nonce, result.tx.hash);
+
+        return {
+            vault: ctx.vaultAddress,
+            nonce,
+            recipient: details.to,
+            label: ctx.addressBook.find(details.to)?.label ?? null,
+            amount: details.amount,
+            txHash: result.tx.hash,
+            vaultBalance: await client.getBalance()
+        };
+    },
+
+    format(result) {
+        if (result.dryRun) {
+            return formatDryRun([
+                ['Nonce', result.nonce],
+                ['Recipient', result.recipient],
+                ['Amount', `${ethers.formatEther(result.amount)} ETH`]
+            ], result);
+        }
+
+        return formatFields([
+            ['Nonce', result.nonce],
+            ['Recipient', result.label ? `${result.label} (${result.recipient})` : result.recipient],
+            ['Amount', `${ethers.formatEther(result.amount)} ETH`],
+            ['Transaction', result.txHash],
+            ['Vault balance', `${ethers.formatEther(result.vaultBalance)} ETH`]
+        ]);
+    }
+};
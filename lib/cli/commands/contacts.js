@@ -0,0 +1,104 @@
+import { parseChecksummedAddress } from '../args.js';
+import { ConfigError, UsageError } from '../errors.js';
+import { formatFields } from '../output.js';
+import { logWarnings, lookalikeWarnings } from '../recipients.js';
+
+const ACTIONS = ['list', 'add', 'show', 'remove'];
+
+/**
+ * Tags from a comma-separated --tags value
+ */
+function parseTags(value) {
+    return (value ?? '').split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+export default {
+    name: 'contacts',
+    summary: 'Manage the address book of labelled recipients',
+    usage: 'contacts list [--tag <tag>] | contacts add <label> <address> [--note <text>] [--tags <a,b>] | contacts show <label> | contacts remove <label>',
+    description: [
+        'Contacts are saved in addressbook.json (ADDRESS_BOOK_FILE overrides the',
+        'path). Labels are accepted wherever a recipient is expected, e.g.',
+        '"multisig initiate alice 1.5", and shown next to addresses when',
+        'transfers are initiated, signed and completed. Addresses must be given',
+        'with their checksum; add warns when the address looks like a saved one.'
+    ],
+    options: {
+        note: { type: 'string', description: 'add: free-form note' },
+        tags: { type: 'string', description: 'add: comma-separated tags, e.g. "payroll,eu"' },
+        tag: { type: 'string', description: 'list: only contacts with this tag' },
+        force: { type: 'boolean', description: 'add: replace an existing label' }
+    },
+
+    async run(ctx, args, options) {
+        const [action, label, address] = args;
+        if (!ACTIONS.includes(action)) {
+            throw new UsageError(`contacts expects one of ${ACTIONS.join(', ')}`);
+        }
+
+        if (action === 'list') {
+            return { action, file: ctx.addressBook.file, contacts: ctx.addressBook.list({ tag: options.tag ?? null }) };
+        }
+
+        if (!label) {
+            throw new UsageError(`contacts ${action} needs a label`);
+        }
+
+        if (action === 'show') {
+            const contact = ctx.addressBook.get(label);
+            if (!contact) {
+                throw new ConfigError(`No contact saved as ${label}`);
+            }
+            return { action, ...contact, lookalikes: ctx.addressBook.lookalikes(contact.address).map(({ label: other }) => other) };
+        }
+
+        try {
+            if (action === 'remove') {
+                return { action, ...ctx.addressBook.remove(label) };
+            }
+
+            const checked = parseChecksummedAddress(address, 'address');
+            const warnings = lookalikeWarnings(ctx, checked);
+            logWarnings(ctx, warnings);
+
+            const contact = ctx.addressBook.add(label, {
+                address: checked,
+                note: options.note ?? null,
+                tags: parseTags(options.tags)
+            }, { overwrite: Boolean(options.force) });
+            return { action, ...contact, warnings };
+        } catch (error) {
+            if (error instanceof UsageError) {
+                throw error;
+            }
+            throw new ConfigError(error.message);
+        }
+    },
+
+    format(result) {
+        if (result.action === 'list') {
+            if (result.contacts.length === 0) {
+                return [`No contacts saved in ${result.file}`];
+            }
+            return result.contacts.map(contact => [
+                contact.label.padEnd(12),
+                contact.address,
+                contact.tags.length > 0 ? `[${contact.tags.join(', ')}]` : '',
+                contact.note ?? ''
+            ].join(' ').trimEnd());
+        }
+
+        if (result.action === 'remove') {
+            return [`Removed ${result.label} (${result.address})`];
+        }
+
+        return formatFields([
+            ['Label', result.label],
+            ['Address', result.address],
+            ['Tags', result.tags.length > 0 ? result.tags.join(', ') : '-'],
+            ['Note', result.note ?? '-'],
+            ['Added', result.addedAt],
+            ...(result.lookalikes?.length > 0 ? [['Lookalikes', result.lookalikes.join(', ')]] : [])
+        ]);
+    }
+};
@@ -0,0 +1,268 @@
+import { ethers } from 'ethers';
+import { VaultRegistry } from '../../VaultRegistry.js';
+import { parseAddress, parseAmount } from '../args.js';
+import { ConfigError, UsageError } from '../errors.js';
+import { Create2Error, parseSalt } from '../../utils/create2.js';
+import { localChainId } from '../../utils/networks.js';
+import { formatFields } from '../output.js';
+import { DRY_RUN_OPTION, dryRunResult, formatDryRun } from '../simulation.js';
+
+// Pre-funded Anvil accounts #0-#2, used when no keys are configured
+const ANVIL_KEYS = {
+    deployer: '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80',
+    owner1: '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d',
+    owner2: '0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a'
+};
+
+/**
+ * Store a generated owner key in the role's keystore, keeping an existing
+ * keystore for the same account
+ * @returns {Promise<string>} Owner address
+ */
+async function storeOwnerKey(ctx, role, privateKey) {
+    const { address } = new ethers.Wallet(privateKey);
+    const existing = ctx.keystores.list().find(entry => entry.name === role);
+
+    if (existing) {
+        if (existing.address !== address) {
+            throw new ConfigError(
+                `Keystore ${existing.path} holds ${existing.address}, not ${address}. ` +
+                'Pass --owner1/--owner2 or move the keystore away.'
+            );
+        }
+        return address;
+    }
+
+    const password = await ctx.getKeystorePassword(role, { confirm: true });
+    ctx.log(`Encrypting the ${role} key into ${ctx.keystores.path(role)}...`);
+    await ctx.keystores.importPrivateKey(role, privateKey, password);
+    return address;
+}
+
+export default {
+    name: 'deploy',
+    summary: 'Deploy a new vault and fund it',
+    usage: 'deploy [--owner1 <address>] [--owner2 <address>] [--fund <eth>] [--alias <name>] [--salt <salt>] [--predict] [--dry-run]',
+    description: [
+        'Without --owner1/--owner2 the pre-funded Anvil accounts #1 and #2 become',
+        'the owners and their keys are stored as encrypted keystores (passwords',
+        'from OWNER1/OWNER2_KEYSTORE_PASSWORD or a prompt). The deployer is the',
+        'DEPLOYER_SIGNER / DEPLOYER_PRIVATE_KEY signer (Anvil account #0 by default).',
+        'Outside Anvil both owners and a deployer key are required. The deployment',
+        'is stored per chain (see STORAGE) and registered in the vault registry',
+        'as the default vault of its chain (see "multisig vaults"). --dry-run',
+        'simulates the deployment without storing keys, deploying or funding.',
+        '',
+        'With --salt the vault is deployed through the CREATE2 deployment proxy',
+        '(installed automatically on Anvil) to an address that only depends on',
+        'the owners and the salt: the same on every chain. --predict prints that',
+        'address without deploying, so it can be funded in advance. Deploying to',
+        'an address that already holds the vault only registers it, and funds it',
+        'only when --fund is given.'
+    ],
+    options: {
+        owner1: { type: 'string', description: 'Owner1 address' },
+        owner2: { type: 'string', description: 'Owner2 address' },
+        fund: { type: 'string', description: 'ETH to deposit after deployment (default 10, 0 to skip)' },
+        alias: { type: 'string', description: 'Registry alias (default: <network>-<address prefix>)' },
+        description: { type: 'string', description: 'Registry note, e.g. "payroll"' },
+        salt: { type: 'string', description: 'CREATE2 salt: 32-byte hex, or a label that is hashed' },
+        predict: { type: 'boolean', description: 'Print the CREATE2 address of the vault without deploying' },
+        ...DRY_RUN_OPTION
+    },
+
+    async run(ctx, args, options) {
+        const { client } = ctx;
+
+        if (Boolean(options.owner1) !== Boolean(options.owner2)) {
+            throw new UsageError('--owner1 and --owner2 must be given together');
+        }
+
+        let salt = null;
+        if (options.salt !== undefined || options.predict) {
+            try {
+                salt = parseSalt(options.salt ?? null);
+            } catch (error) {
+                if (error instanceof Create2Error) {
+                    throw new UsageError(`Invalid --salt: ${error.message}`);
+                }
+                throw error;
+            }
+        }
+
+        const fundAmount = options.fund === '0' ? 0n : parseAmount(options.fund ?? '10', 'fund');
+
+        // Fail before deploying rather than leave an unregistered vault behind
+        if (options.alias && !VaultRegistry.isAlias(options.alias)) {
+            throw new UsageError(`Invalid --alias: ${options.alias} (letters, digits, - and _; starting with a letter)`);
+        }
+        if (options.alias && ctx.registry.get(options.alias)) {
+            throw new ConfigError(`Vault alias ${options.alias} is already registered. Pick another --alias.`);
+        }
+
+        await ctx.checkNetwork();
+        const chainId = await client.getChainId();
+
+        // The well-known Anvil keys must never own or deploy a vault on a real chain
+        const isAnvil = chainId === BigInt(localChainId());
+        if (!isAnvil && !options.owner1) {
+            throw new UsageError(`--owner1 and --owner2 are required on chain ${chainId}`);
+        }
+
+        if (options.predict) {
+            const owner1 = options.owner1 ? parseAddress(options.owner1, 'owner1') : new ethers.Wallet(ANVIL_KEYS.owner1).address;
+            const owner2 = options.owner2 ? parseAddress(options.owner2, 'owner2') : new ethers.Wallet(ANVIL_KEYS.owner2).address;
+            const contractAddress = client.predictVaultAddress(owner1, owner2, salt);
+            return {
+                predicted: true,
+                contractAddress,
+                owner1,
+                owner2,
+                salt,
+                chainId: Number(chainId),
+                network: ctx.network.name,
+                deployed: await client.isContract(contractAddress),
+                balance: await client.getAddressBalance(contractAddress)
+            };
+        }
+
+        const deployer = await ctx.getSigner('deployer', isAnvil ? ANVIL_KEYS.deployer : null);
+        const deployerAddress = await deployer.getAddress();
+
+        let owner1Address;
+        let owner2Address;
+        let storedKeys = null;
+
+        if (options.owner1) {
+            owner1Address = parseAddress(options.owner1, 'owner1');
+            owner2Address = parseAddress(options.owner2, 'owner2');
+        } else if (options['dry-run']) {
+            owner1Address = new ethers.Wallet(ANVIL_KEYS.owner1).address;
+            owner2Address = new ethers.Wallet(ANVIL_KEYS.owner2).address;
+        } else {
+            owner1Address = await storeOwnerKey(ctx, 'owner1', ANVIL_KEYS.owner1);
+            owner2Address = await storeOwnerKey(ctx, 'owner2', ANVIL_KEYS.owner2);
+            storedKeys = ctx.keystores.directory;
+        }
+
+        if (options['dry-run']) {
+            const simulation = await client.simulateDeploy(owner1Address, owner2Address, deployer, { salt });
+            return dryRunResult(simulation, {
+                contractAddress: simulation.result,
+                salt,
+                owner1: owner1Address,
+                owner2: owner2Address,
+                deployer: deployerAddress,
+                chainId: Number(chainId),
+                network: ctx.network.name,
+                fund: fundAmount
+            });
+        }
+
+        ctx.log(`Deploying MultisigVault from ${deployerAddress}...`);
+        const deployment = await client.deploy(owner1Address, owner2Address, deployer, { salt });
+        if (deployment.existing) {
+            ctx.log(`MultisigVault already deployed at ${deployment.address}`);
+        }
+
+        // Redeploying an existing vault only tops it up when asked to
+        if (fundAmount > 0n && !(deployment.existing && options.fund === undefined)) {
+            ctx.log(`Funding vault with ${ethers.formatEther(fundAmount)} ETH...`);
+            await client.fundContract(deployer, fundAmount);
+        }
+
+        const balance = await client.getBalance();
+
+        const deploymentInfo = {
+            contractAddress: deployment.address,
+            owner1: owner1Address,
+            owner2: owner2Address,
+            deployer: deployerAddress,
+            deploymentTx: deployment.deploymentTx?.hash ?? null,
+            deploymentBlock: deployment.receipt ? Number(deployment.receipt.blockNumber) : null,
+            timestamp: new Date().toISOString(),
+            chainId: Number(chainId),
+            network: ctx.network.name,
+            ...(salt !== null ? { salt, factory: deployment.factory, existing: deployment.existing } : {})
+        };
+        const deploymentFile = client.saveDeployment(deploymentInfo);
+
+        const registered = ctx.registry.find(deployment.address, chainId);
+        const alias = registered?.alias ?? (options.alias || `${ctx.network.name}-${deployment.address.slice(2, 8).toLowerCase()}`);
+        if (registered) {
+            ctx.registry.setDefault(alias);
+        } else {
+            ctx.registry.add(alias, {
+                address: deployment.address,
+                chainId: deploymentInfo.chainId,
+                network: deploymentInfo.network,
+                owner1: owner1Address,
+                owner2: owner2Address,
+                ...(options.description ? { description: options.description } : {}),
+                deployer: deployerAddress,
+                deploymentTx: deploymentInfo.deploymentTx,
+                ...(deploymentInfo.deploymentBlock !== null ? { deploymentBlock: deploymentInfo.deploymentBlock } : {}),
+                deployedAt: deploymentInfo.timestamp,
+                ...(salt !== null ? { salt } : {})
+            }, { makeDefault: true });
+        }
+
+        // Only these lines change; the rest of .env is kept as written
+        client.updateEnv({
+            // Plaintext keys would take precedence over the new keystores
+            ...(storedKeys ? { OWNER1_PRIVATE_KEY: null, OWNER2_PRIVATE_KEY: null } : {}),
+            // The vault is found through the registry; a fixed CONTRACT_ADDRESS
+            // would shadow the default vault on every chain
+            CONTRACT_ADDRESS: null,
+            OWNER1_ADDRESS: owner1Address,
+            OWNER2_ADDRESS: owner2Address
+        });
+
+        return {
+            ...deploymentInfo,
+            deploymentFile,
+            alias,
+            balance,
+            keystores: storedKeys
+        };
+    },
+
+    format(result) {
+        if (result.predicted) {
+            return formatFields([
+                ['Vault', `${result.contractAddress} (predicted)`],
+                ['Salt', result.salt],
+                ['Owner1', result.owner1],
+                ['Owner2', result.owner2],
+                ['Network', `${result.network} (chain ${result.chainId})`],
+                ['Deployed', result.deployed ? 'yes' : 'no'],
+                ['Balance', `${ethers.formatEther(result.balance)} ETH`]
+            ]);
+        }
+
+        if (result.dryRun) {
+            return formatDryRun([
+                ['Vault', `${result.contractAddress} (predicted)`],
+                ...(result.salt ? [['Salt', result.salt]] : []),
+                ['Network', `${result.network} (chain ${result.chainId})`],
+                ['Owner1', result.owner1],
+                ['Owner2', result.owner2],
+                ['Funding', `${ethers.formatEther(result.fund)} ETH after deployment`]
+            ], result);
+        }
+
+        return formatFields([
+            ['Vault', result.contractAddress],
+            ['Alias', result.alias],
+            ['Network', `${result.network} (chain ${result.chainId})`],
+            ['Owner1', result.owner1],
+            ['Owner2', result.owner2],
+            ['Deployer', result.deployer],
+            ...(result.salt ? [['Salt', result.salt]] : []),
+            ['Deployment tx', result.deploymentTx ?? 'none (already deployed)'],
+            ['Balance', `${ethers.formatEther(result.balance)} ETH`],
+            ['Saved to', result.deploymentFile],
+            ['Owner keys', result.keystores ? `encrypted in ${result.keystores}` : 'not stored']
+        ]);
+    }
+};
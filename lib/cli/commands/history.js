@@ -0,0 +1,98 @@
+import { ethers } from 'ethers';
+import { parseAddress, parseBlock, parseNonce, parseTime } from '../args.js';
+import { UsageError } from '../errors.js';
+
+const STATUSES = ['pending', 'completed', 'cancelled'];
+
+/**
+ * Format a unix timestamp for display
+ */
+function formatTime(timestamp) {
+    return new Date(timestamp * 1000).toISOString();
+}
+
+export default {
+    name: 'history',
+    summary: 'Index vault events and query past transfers',
+    usage: 'history [--nonce <n>] [--recipient <address>] [--status <status>] [--from-block <n>] [--to-block <n>] [--since <time>] [--until <time>]',
+    description: [
+        'Events are backfilled into the vault\'s records (see STORAGE) on the first',
+        'run and indexed incrementally afterwards; each chain has its own index.',
+        'Times are unix seconds or ISO dates.'
+    ],
+    options: {
+        nonce: { type: 'string', description: 'Only this transfer' },
+        recipient: { type: 'string', description: 'Only transfers to this address' },
+        status: { type: 'string', description: 'pending, completed or cancelled' },
+        'from-block': { type: 'string', description: 'First block to index and report (default 0)' },
+        'to-block': { type: 'string', description: 'Last block to report' },
+        since: { type: 'string', description: 'Only transfers initiated at or after this time' },
+        until: { type: 'string', description: 'Only transfers initiated at or before this time' },
+        deposits: { type: 'boolean', description: 'List deposits instead of transfers' }
+    },
+
+    async run(ctx, args, options) {
+        if (options.status && !STATUSES.includes(options.status)) {
+            throw new UsageError(`Invalid --status value: ${options.status}`);
+        }
+
+        const fromBlock = options['from-block'] !== undefined ? parseBlock(options['from-block'], 'from-block') : null;
+        const range = {
+            fromBlock: fromBlock ?? undefined,
+            toBlock: options['to-block'] !== undefined ? parseBlock(options['to-block'], 'to-block') : undefined,
+            fromTime: options.since !== undefined ? parseTime(options.since, 'since') : undefined,
+            toTime: options.until !== undefined ? parseTime(options.until, 'until') : undefined
+        };
+
+        const client = await ctx.connect(null, { readOnly: true });
+
+        ctx.log('Indexing vault events...');
+        const sync = await client.syncEvents({
+            fromBlock,
+            onProgress: ({ fromBlock: start, toBlock: end, events }) => ctx.log(`  blocks ${start}-${end}: ${events} events`)
+        });
+
+        if (options.deposits) {
+            return {
+                vault: ctx.vaultAddress,
+                indexed: sync,
+                deposits: client.queryEvents({ type: 'Deposit', ...range })
+            };
+        }
+
+        return {
+            vault: ctx.vaultAddress,
+            indexed: sync,
+            transfers: client.queryTransfers({
+                nonce: options.nonce !== undefined ? parseNonce(options.nonce) : undefined,
+                recipient: options.recipient ? parseAddress(options.recipient, 'recipient') : undefined,
+                status: options.status,
+                ...range
+            })
+        };
+    },
+
+    format(result) {
+        if (result.deposits) {
+            if (result.deposits.length === 0) {
+                return ['No deposits found.'];
+            }
+            return result.deposits.map(deposit => [
+                formatTime(deposit.timestamp),
+                deposit.from,
+                `${ethers.formatEther(deposit.amount)} ETH`
+            ].join('  '));
+        }
+
+        if (result.transfers.length === 0) {
+            return ['No transfers found.'];
+        }
+        return result.transfers.map(transfer => [
+            String(transfer.nonce).padStart(5),
+            transfer.status.padEnd(10),
+            formatTime(transfer.initiated.timestamp),
+            transfer.to,
+            `${ethers.formatEther(transfer.amount)} ETH`
+        ].join('  '));
+    }
+};
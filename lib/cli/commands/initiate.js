@@ -0,0 +1,108 @@
+import { ethers } from 'ethers';
+import { parseAmount } from '../args.js';
+import { StateError } from '../errors.js';
+import { formatFields } from '../output.js';
+import { DRY_RUN_OPTION, dryRunResult, formatDryRun } from '../simulation.js';
+import { COORDINATOR_OPTION, publishRequest } from '../coordination.js';
+import { describeAddress, logWarnings, recipientWarnings, resolveRecipient } from '../recipients.js';
+import { createTransferRecord } from '../../utils/records.js';
+
+export default {
+    name: 'initiate',
+    summary: 'Initiate a transfer from the vault (owner1)',
+    usage: 'initiate <to> <amount-eth> | initiate --to <label|address> <amount-eth> [--memo <text>] [--dry-run] [--coordinator <url>]',
+    description: [
+        'The recipient is an address book label or a checksummed address. Lookalikes',
+        'of saved contacts, contracts and first-time recipients outside the address',
+        'book are warned about.',
+        'The transfer is checked against the spending policy (--policy) first.',
+        'With a coordination server configured the approval request is published',
+        'for owner2; if that fails the transfer stays initiated and "multisig request"',
+        'publishes it again.'
+    ],
+    options: {
+        to: { type: 'string', description: 'Recipient label or address (instead of the first argument)' },
+        memo: { type: 'string', description: 'Purpose of the transfer, kept with its record' },
+        ...DRY_RUN_OPTION,
+        ...COORDINATOR_OPTION
+    },
+
+    async run(ctx, args, options) {
+        const [toArg, amountArg] = options.to !== undefined ? [options.to, args[0]] : args;
+        const { address: recipient, contact } = resolveRecipient(ctx, toArg);
+        const amount = parseAmount(amountArg);
+        const memo = options.memo ?? null;
+
+        const owner1 = await ctx.getSigner('owner1');
+        const client = await ctx.connect(owner1);
+
+        const vaultBalance = await client.getBalance();
+        if (amount > vaultBalance) {
+            throw new StateError(
+                `Vault balance ${ethers.formatEther(vaultBalance)} ETH is lower than ${ethers.formatEther(amount)} ETH.`
+            );
+        }
+
+        const warnings = await recipientWarnings(ctx, recipient);
+        logWarnings(ctx, warnings);
+
+        if (options['dry-run']) {
+            await client.enforcePolicy({ recipient, amount, memo }, { action: 'initiating this transfer' });
+            const simulation = await client.simulateInitiateTransfer(owner1, recipient, amount);
+            return dryRunResult(simulation, { vault: ctx.vaultAddress, nonce: simulation.result, recipient, amount });
+        }
+
+        ctx.log(`Initiating transfer of ${ethers.formatEther(amount)} ETH to ${describeAddress(ctx, recipient)}...`);
+        const result = await client.initiateTransfer(owner1, recipient, amount, { memo });
+
+        client.saveTransfer(result.nonce, createTransferRecord({
+            nonce: result.nonce,
+            recipient,
+            amount,
+            memo,
+            initiatedBy: await owner1.getAddress(),
+            txHash: result.tx.hash
+        }));
+
+        let proposal = null;
+        try {
+            proposal = await publishRequest(ctx, owner1, await client.createApprovalRequest(result.nonce), memo);
+        } catch (error) {
+            // The transfer is on chain either way
+            ctx.log(`Could not publish the approval request: ${error.message}. Retry with "multisig request ${result.nonce}".`);
+        }
+
+        return {
+            vault: ctx.vaultAddress,
+            nonce: result.nonce,
+            recipient,
+            label: contact?.label ?? null,
+            amount,
+            memo,
+            txHash: result.tx.hash,
+            warnings,
+            published: proposal !== null
+        };
+    },
+
+    format(result) {
+        if (result.dryRun) {
+            return formatDryRun([
+                ['Nonce', result.nonce],
+                ['Recipient', result.recipient],
+                ['Amount', `${ethers.formatEther(result.amount)} ETH`]
+            ], result);
+        }
+
+        return formatFields([
+            ['Nonce', result.nonce],
+            ['Recipient', result.label ? `${result.label} (${result.recipient})` : result.recipient],
+            ['Amount', `${ethers.formatEther(result.amount)} ETH`],
+            ['Memo', result.memo ?? '-'],
+            ['Transaction', result.txHash],
+            ['Next', result.published
+                ? `owner2 runs "multisig proposals" and "multisig sign ${result.nonce}"`
+                : `multisig sign ${result.nonce}`]
+        ]);
+    }
+};
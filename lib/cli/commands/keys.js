@@ -0,0 +1,180 @@
+import { ethers } from 'ethers';
+import fs from 'fs';
+import { ConfigError, UsageError } from '../errors.js';
+import { formatFields } from '../output.js';
+
+const ACTIONS = ['list', 'import', 'export'];
+
+/**
+ * Private key to import: --private-key, then <ROLE>_PRIVATE_KEY, then a prompt
+ * @returns {Promise<Object>} { privateKey, fromEnv }
+ */
+async function resolvePrivateKey(ctx, name, options) {
+    if (options['private-key']) {
+        return { privateKey: options['private-key'], fromEnv: false };
+    }
+
+    const variable = `${name.toUpperCase()}_PRIVATE_KEY`;
+    if (ctx.env[variable]) {
+        return { privateKey: ctx.env[variable], fromEnv: variable };
+    }
+
+    const privateKey = await ctx.promptSecret(`Private key for ${name}: `);
+    if (!privateKey) {
+        throw new UsageError(`No private key given for ${name}. Pass --private-key, --keystore or set ${variable}.`);
+    }
+    return { privateKey, fromEnv: false };
+}
+
+/**
+ * Remove a migrated plaintext key from .env
+ */
+function removeFromEnvFile(ctx, variable) {
+    let env;
+    try {
+        env = ctx.client.loadEnv();
+    } catch {
+        return false;
+    }
+    if (!(variable in env)) {
+        return false;
+    }
+
+    ctx.client.updateEnv({ [variable]: null });
+    return true;
+}
+
+async function importKey(ctx, name, options) {
+    const overwrite = Boolean(options.force);
+
+    if (options.keystore) {
+        let json;
+        try {
+            json = fs.readFileSync(options.keystore, 'utf8');
+        } catch (error) {
+            throw new UsageError(`Cannot read --keystore: ${error.message}`);
+        }
+
+        const password = await ctx.getKeystorePassword(name);
+        try {
+            return { ...(await ctx.keystores.importKeystore(name, json, password, { overwrite })), source: options.keystore };
+        } catch (error) {
+            throw new ConfigError(error.message);
+        }
+    }
+
+    const { privateKey, fromEnv } = await resolvePrivateKey(ctx, name, options);
+    const password = await ctx.getKeystorePassword(name, { confirm: true });
+
+    let stored;
+    try {
+        stored = await ctx.keystores.importPrivateKey(name, privateKey, password, { overwrite });
+    } catch (error) {
+        throw new ConfigError(error.message);
+    }
+
+    // Migrating from .env: the plaintext copy must not outlive the import
+    const removed = fromEnv ? removeFromEnvFile(ctx, fromEnv) : false;
+    return { ...stored, source: fromEnv || 'private key', removedFromEnv: removed ? fromEnv : null };
+}
+
+async function exportKey(ctx, name, options) {
+    let json;
+    try {
+        json = ctx.keystores.exportKeystore(name);
+    } catch (error) {
+        throw new ConfigError(error.message);
+    }
+
+    if (options.reveal) {
+        const password = await ctx.getKeystorePassword(name);
+        let wallet;
+        try {
+            wallet = await ctx.keystores.load(name, password);
+        } catch (error) {
+            throw new ConfigError(`Cannot decrypt keystore ${name}: ${error.shortMessage || error.message}`);
+        }
+        return { name, address: wallet.address, privateKey: wallet.privateKey };
+    }
+
+    if (options.out) {
+        fs.writeFileSync(options.out, json, { mode: 0o600 });
+    }
+    const keystore = JSON.parse(json);
+    return { name, address: ethers.getAddress(keystore.address), file: options.out || null, keystore };
+}
+
+export default {
+    name: 'keys',
+    summary: 'Manage encrypted owner keystores',
+    usage: 'keys list | keys import <name> [--private-key <hex> | --keystore <file>] | keys export <name> [--out <file> | --reveal]',
+    description: [
+        'Keys are stored as encrypted JSON keystores in keystores/<name>.json',
+        '(KEYSTORE_DIR overrides the directory). Owners use the names owner1,',
+        'owner2 and deployer and are picked up automatically by the other commands.',
+        'Passwords come from <NAME>_KEYSTORE_PASSWORD or an interactive prompt.',
+        'import without a key migrates <NAME>_PRIVATE_KEY and removes it from .env.'
+    ],
+    options: {
+        'private-key': { type: 'string', description: 'import: private key to encrypt' },
+        keystore: { type: 'string', description: 'import: existing keystore file to add' },
+        out: { type: 'string', description: 'export: write the encrypted keystore to this file' },
+        reveal: { type: 'boolean', description: 'export: print the decrypted private key instead' },
+        force: { type: 'boolean', description: 'import: replace an existing keystore' }
+    },
+
+    async run(ctx, args, options) {
+        const [action, name] = args;
+        if (!ACTIONS.includes(action)) {
+            throw new UsageError(`keys expects one of ${ACTIONS.join(', ')}`);
+        }
+
+        if (action === 'list') {
+            return { action, directory: ctx.keystores.directory, keystores: ctx.keystores.list() };
+        }
+
+        if (!name) {
+            throw new UsageError(`keys ${action} needs a keystore name, e.g. owner1`);
+        }
+        try {
+            ctx.keystores.path(name);
+        } catch (error) {
+            throw new UsageError(error.message);
+        }
+
+        const result = action === 'import'
+            ? await importKey(ctx, name, options)
+            : await exportKey(ctx, name, options);
+        return { action, ...result };
+    },
+
+    format(result) {
+        if (result.action === 'list') {
+            if (result.keystores.length === 0) {
+                return [`No keystores in ${result.directory}`];
+            }
+            return result.keystores.map(entry => `${entry.name.padEnd(12)} ${entry.address ?? '(unreadable)'}  ${entry.path}`);
+        }
+
+        if (result.action === 'import') {
+            return formatFields([
+                ['Name', result.name],
+                ['Address', result.address],
+                ['Keystore', result.path],
+                ['Source', result.source],
+                ...(result.removedFromEnv ? [['Removed', `${result.removedFromEnv} from .env`]] : [])
+            ]);
+        }
+
+        if (result.privateKey) {
+            return formatFields([
+                ['Name', result.name],
+                ['Address', result.address],
+                ['Private key', result.privateKey]
+            ]);
+        }
+        return result.file
+            ? formatFields([['Name', result.name], ['Address', result.address], ['File', result.file]])
+            : [JSON.stringify(result.keystore, null, 2)];
+    }
+};
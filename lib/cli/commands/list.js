@@ -0,0 +1,58 @@
+import { ethers } from 'ethers';
+import { UsageError } from '../errors.js';
+import { transferStatus } from '../../utils/records.js';
+
+const STATUSES = ['pending', 'completed', 'cancelled'];
+
+export default {
+    name: 'list',
+    summary: 'List all transfers of the vault',
+    usage: 'list [--status pending|completed|cancelled]',
+    options: {
+        status: { type: 'string', description: 'Only show transfers with this status' }
+    },
+
+    async run(ctx, args, options) {
+        if (options.status && !STATUSES.includes(options.status)) {
+            throw new UsageError(`Invalid --status value: ${options.status}`);
+        }
+
+        const client = await ctx.connect(null, { readOnly: true });
+        const currentNonce = await client.getCurrentNonce();
+
+        const transfers = [];
+        for (let nonce = 0n; nonce < currentNonce; nonce++) {
+            const details = await client.getTransferDetails(nonce);
+            const status = transferStatus(details);
+
+            if (options.status && status !== options.status) {
+                continue;
+            }
+
+            transfers.push({
+                nonce,
+                status,
+                recipient: details.to,
+                amount: details.amount
+            });
+        }
+
+        return {
+            vault: ctx.vaultAddress,
+            transfers
+        };
+    },
+
+    format(result) {
+        if (result.transfers.length === 0) {
+            return ['No transfers found.'];
+        }
+
+        return result.transfers.map(transfer => [
+            String(transfer.nonce).padStart(5),
+            transfer.status.padEnd(10),
+            transfer.recipient,
+            `${ethers.formatEther(transfer.amount)} ETH`
+        ].join('  '));
+    }
+};
@@ -0,0 +1,182 @@
+import { ethers } from 'ethers';
+import fs from 'fs';
+import { StateError, UsageError } from '../errors.js';
+import { formatFields } from '../output.js';
+import { MESSAGE_TYPES, MessageError, hashVaultMessage, parseTypedData } from '../../utils/messages.js';
+
+const ACTIONS = ['sign', 'sign-typed', 'verify', 'log'];
+
+/**
+ * Message to sign from the argument or --file; --hex signs raw bytes
+ */
+function readMessage(text, options) {
+    const message = options.file ? fs.readFileSync(options.file, 'utf8') : text;
+    if (message === undefined) {
+        throw new UsageError('message sign needs the message as an argument or --file <path>');
+    }
+    if (options.hex) {
+        if (!ethers.isHexString(message.trim())) {
+            throw new UsageError(`--hex expects a hex string, got ${message}`);
+        }
+        return ethers.getBytes(message.trim());
+    }
+    return message;
+}
+
+/**
+ * Typed data from a file or inline JSON
+ */
+function readTypedData(value) {
+    if (value === undefined) {
+        throw new UsageError('message sign-typed needs the typed data as a file or JSON');
+    }
+    try {
+        return parseTypedData(fs.existsSync(value) ? fs.readFileSync(value, 'utf8') : value);
+    } catch (error) {
+        throw new UsageError(`Invalid typed data: ${error.message}`);
+    }
+}
+
+/**
+ * Show what the vault is about to sign and ask owner2 to confirm
+ * @returns {Promise<boolean>} Whether to go ahead
+ */
+async function review(ctx, request, hash, options) {
+    ctx.log(`Signing on behalf of vault ${ctx.vaultAddress}:`);
+    if (request.type === MESSAGE_TYPES.MESSAGE) {
+        const shown = typeof request.message === 'string' ? request.message : ethers.hexlify(request.message);
+        for (const line of shown.split('\n')) {
+            ctx.log(`  | ${line}`);
+        }
+    } else {
+        const { domain, primaryType, message } = request.typedData;
+        for (const line of formatFields([
+            ['Domain', [domain.name, domain.version && `v${domain.version}`].filter(Boolean).join(' ') || '-'],
+            ['Chain id', domain.chainId ?? '-'],
+            ['Contract', domain.verifyingContract ?? '-'],
+            ['Type', primaryType]
+        ])) {
+            ctx.log(`  ${line}`);
+        }
+        for (const line of JSON.stringify(message, null, 2).split('\n')) {
+            ctx.log(`  | ${line}`);
+        }
+
+        const chainId = await ctx.client.getChainId();
+        if (domain.chainId !== undefined && BigInt(domain.chainId) !== chainId) {
+            ctx.log(`Warning: the typed data is for chain ${domain.chainId}, the vault is on chain ${chainId}`);
+        }
+    }
+    ctx.log(`  Hash: ${hash}`);
+
+    if (options.yes) {
+        return true;
+    }
+    const answer = await ctx.confirm('Sign this message as the vault? [y/N] ');
+    if (answer === null) {
+        throw new UsageError('No terminal to confirm the message; review it and pass --yes.');
+    }
+    return answer;
+}
+
+export default {
+    name: 'message',
+    summary: 'Sign messages on behalf of the vault (ERC-1271) and keep a log of them',
+    usage: 'message sign <text> [--file <path>] [--hex] | message sign-typed <file|json> | message verify <hash> <signature> | message log',
+    description: [
+        "The vault's isValidSignature accepts whatever owner2 signs, so owner2 can",
+        'sign in to dApps and off-chain protocols as the vault. sign signs an',
+        'EIP-191 message, sign-typed EIP-712 typed data (eth_signTypedData_v4 JSON).',
+        'Every signature is checked against the deployed vault with an eth_call',
+        'before it is printed, and logged in the vault\'s records (see STORAGE);',
+        'message log lists what the vault has signed. verify checks any hash and',
+        'signature against the vault. Owner2 confirms each message unless --yes.'
+    ],
+    options: {
+        file: { type: 'string', description: 'sign: read the message from a file' },
+        hex: { type: 'boolean', description: 'sign: the message is hex-encoded bytes' },
+        signature: { type: 'string', description: 'sign: signature of the contract wallet acting as owner2' },
+        yes: { type: 'boolean', description: 'sign: skip the interactive confirmation' }
+    },
+
+    async run(ctx, args, options) {
+        const [action, ...rest] = args;
+        if (!ACTIONS.includes(action)) {
+            throw new UsageError(`message expects one of ${ACTIONS.join(', ')}`);
+        }
+
+        if (action === 'log') {
+            const client = await ctx.connect(null, { readOnly: true });
+            return { action, vault: ctx.vaultAddress, messages: client.listSignedMessages() };
+        }
+
+        if (action === 'verify') {
+            const [hash, signature] = rest;
+            if (!ethers.isHexString(hash, 32) || !ethers.isHexString(signature)) {
+                throw new UsageError('message verify expects a 32-byte hash and a hex signature');
+            }
+            const client = await ctx.connect(null, { readOnly: true });
+            if (!await client.isValidSignature(hash, signature)) {
+                throw new StateError(`Vault ${ctx.vaultAddress} does not accept the signature of ${hash}`);
+            }
+            return { action, vault: ctx.vaultAddress, hash, signature, valid: true };
+        }
+
+        const request = action === 'sign'
+            ? { type: MESSAGE_TYPES.MESSAGE, message: readMessage(rest[0], options) }
+            : { type: MESSAGE_TYPES.TYPED_DATA, typedData: readTypedData(rest[0]) };
+        let hash;
+        try {
+            hash = hashVaultMessage(request);
+        } catch (error) {
+            if (error instanceof MessageError) {
+                throw new UsageError(error.message);
+            }
+            throw error;
+        }
+
+        // A contract wallet's signature needs no key of ours
+        const owner2 = options.signature ? null : await ctx.getSigner('owner2');
+        const client = await ctx.connect();
+        if (!await review(ctx, request, hash, options)) {
+            throw new StateError('Message not signed.');
+        }
+
+        const record = request.type === MESSAGE_TYPES.MESSAGE
+            ? await client.signVaultMessage(owner2, request.message, { signature: options.signature ?? null })
+            : await client.signVaultTypedData(owner2, request.typedData, { signature: options.signature ?? null });
+        return { action, ...record };
+    },
+
+    format(result) {
+        if (result.action === 'log') {
+            if (result.messages.length === 0) {
+                return [`Vault ${result.vault} has not signed any message`];
+            }
+            return result.messages.map(record => [
+                record.signedAt,
+                record.type.padEnd(6),
+                record.hash,
+                record.type === MESSAGE_TYPES.TYPED_DATA
+                    ? `${record.typedData.domain.name ?? '-'} ${record.typedData.primaryType}`
+                    : JSON.stringify(record.message.length > 40 ? `${record.message.slice(0, 40)}...` : record.message)
+            ].join('  '));
+        }
+
+        if (result.action === 'verify') {
+            return [`Valid: vault ${result.vault} accepts the signature of ${result.hash}`];
+        }
+
+        return [
+            ...formatFields([
+                ['Vault', result.vault],
+                ['Type', result.type === MESSAGE_TYPES.MESSAGE ? 'EIP-191 message' : `EIP-712 ${result.typedData.primaryType}`],
+                ['Hash', result.hash],
+                ['Signer', result.signer],
+                ['Checked', 'accepted by the vault (isValidSignature)']
+            ]),
+            '',
+            result.signature
+        ];
+    }
+};
@@ -0,0 +1,68 @@
+import { ethers } from 'ethers';
+import { ConfigError, UsageError } from '../errors.js';
+import { COORDINATOR_OPTION } from '../coordination.js';
+import { TRANSFER_STATUSES } from '../../utils/records.js';
+
+const ROLES = ['owner1', 'owner2'];
+
+export default {
+    name: 'proposals',
+    summary: 'List transfers proposed on the coordination server',
+    usage: 'proposals [--status pending|completed|cancelled|all] [--as owner1|owner2] [--coordinator <url>]',
+    description: [
+        'Shows the approval requests owner1 published for the vault and whether',
+        'owner2 has uploaded its approval. Requests are signed with the --as',
+        "owner's key (default owner2)."
+    ],
+    options: {
+        status: { type: 'string', description: 'Only show proposals with this on-chain status (default pending)' },
+        as: { type: 'string', description: 'Owner authenticating the request (default owner2)' },
+        ...COORDINATOR_OPTION
+    },
+
+    async run(ctx, args, options) {
+        const status = options.status ?? 'pending';
+        if (status !== 'all' && !TRANSFER_STATUSES.includes(status)) {
+            throw new UsageError(`Invalid --status value: ${status}`);
+        }
+        const role = options.as ?? 'owner2';
+        if (!ROLES.includes(role)) {
+            throw new UsageError(`Invalid --as value: ${role} (expected ${ROLES.join(' or ')})`);
+        }
+        if (!ctx.coordinatorUrl) {
+            throw new ConfigError('No coordination server configured. Pass --coordinator <url> or set COORDINATOR_URL.');
+        }
+
+        const signer = await ctx.getSigner(role);
+        await ctx.connect(null, { readOnly: true });
+
+        const proposals = await ctx.getCoordinator(signer).listProposals(ctx.vaultAddress, { status });
+
+        return {
+            vault: ctx.vaultAddress,
+            coordinator: ctx.coordinatorUrl,
+            proposals: proposals.map(({ nonce, status: proposalStatus, request, proposedAt, approval }) => ({
+                nonce,
+                status: proposalStatus,
+                recipient: request.recipient,
+                amount: request.amount,
+                proposedAt,
+                approved: approval !== null
+            }))
+        };
+    },
+
+    format(result) {
+        if (result.proposals.length === 0) {
+            return ['No proposals found.'];
+        }
+
+        return result.proposals.map(proposal => [
+            String(proposal.nonce).padStart(5),
+            proposal.status.padEnd(10),
+            proposal.recipient,
+            `${ethers.formatEther(proposal.amount)} ETH`.padEnd(14),
+            proposal.approved ? 'approved' : 'awaiting owner2'
+        ].join('  '));
+    }
+};
@@ -0,0 +1,72 @@
+import { parseBlock } from '../args.js';
+import { StateError } from '../errors.js';
+import { formatFields } from '../output.js';
+
+// What reconcile does about each issue, for the report
+const ACTIONS = {
+    missing: 'rebuilt from the chain',
+    'legacy-file': 'imported from transfer-<nonce>.json',
+    legacy: 'migrated to the current schema',
+    stale: 'status updated',
+    cancelled: 'marked cancelled',
+    conflicting: 'replaced with the on-chain transfer',
+    signature: 'approval marked unusable'
+};
+
+export default {
+    name: 'reconcile',
+    summary: 'Check local transfer records against the chain and repair them',
+    usage: 'reconcile [--check] [--from-block <n>]',
+    description: [
+        'Reads every nonce below transferNonce and compares it with the stored',
+        'record: missing records are rebuilt from vault events, records in the old',
+        'CLI or MultisigVault schemas are migrated, and stale or conflicting ones',
+        'are updated from the chain. --check only reports and exits with the',
+        'state code when anything drifted.'
+    ],
+    options: {
+        check: { type: 'boolean', description: 'Report drift without changing local records' },
+        'from-block': { type: 'string', description: 'First block to index events from (default 0)' }
+    },
+
+    async run(ctx, args, options) {
+        const fromBlock = options['from-block'] !== undefined ? parseBlock(options['from-block'], 'from-block') : null;
+        const client = await ctx.connect(null, { readOnly: true });
+
+        ctx.log(`Reconciling transfer records of ${ctx.vaultAddress}...`);
+        const report = await client.reconcileTransfers({ apply: !options.check, fromBlock });
+        const drifted = report.transfers.filter(({ issues }) => issues.length > 0);
+
+        if (options.check && drifted.length > 0) {
+            const summary = drifted.map(({ nonce, issues }) => `${nonce} (${issues.join(', ')})`).join(', ');
+            throw new StateError(
+                `${drifted.length} transfer record(s) differ from the chain: ${summary}. Run "multisig reconcile" to repair them.`
+            );
+        }
+
+        return {
+            ...report,
+            applied: !options.check,
+            drifted: drifted.length
+        };
+    },
+
+    format(result) {
+        const lines = formatFields([
+            ['Vault', result.vault],
+            ['Transfers', `${result.transferNonce} on chain, ${result.drifted} out of date`],
+            ['Orphans', result.orphans.length > 0
+                ? `${result.orphans.join(', ')} (not on chain, kept)`
+                : 'none']
+        ]);
+
+        for (const { nonce, status, issues } of result.transfers) {
+            if (issues.length > 0) {
+                const actions = issues.map(issue => `${issue}: ${ACTIONS[issue]}`).join('; ');
+                lines.push(`${String(nonce).padStart(5)}  ${status.padEnd(10)}  ${actions}`);
+            }
+        }
+
+        return lines;
+    }
+};
@@ -0,0 +1,62 @@
+import { ethers } from 'ethers';
+import fs from 'fs';
+import { parseNonce } from '../args.js';
+import { requirePending } from '../transfers.js';
+import { formatFields } from '../output.js';
+import { COORDINATOR_OPTION, publishRequest } from '../coordination.js';
+import { encodeApprovalCompact, encodeApprovalJSON } from '../../utils/approval.js';
+
+export default {
+    name: 'request',
+    summary: 'Export an approval request for owner2 to sign',
+    usage: 'request <nonce> [--out <file>] [--coordinator <url>]',
+    description: [
+        'The request carries chain id, vault, nonce, recipient, amount and dataHash.',
+        'Share the JSON file or the compact multisig:v2: string over any channel.',
+        'With a coordination server configured it is also published there (owner1).'
+    ],
+    options: {
+        out: { type: 'string', description: 'Also write the request as JSON to this file' },
+        ...COORDINATOR_OPTION
+    },
+
+    async run(ctx, args, options) {
+        const nonce = parseNonce(args[0]);
+        const client = await ctx.connect();
+
+        requirePending(await client.getTransferDetails(nonce), nonce);
+        const request = await client.createApprovalRequest(nonce);
+
+        if (options.out) {
+            fs.writeFileSync(options.out, encodeApprovalJSON(request));
+        }
+
+        const proposal = ctx.coordinatorUrl ? await publishRequest(ctx, await ctx.getSigner('owner1'), request, client.localMemo(request.nonce)) : null;
+
+        return {
+            request: JSON.parse(encodeApprovalJSON(request)),
+            compact: encodeApprovalCompact(request),
+            file: options.out || null,
+            published: proposal !== null
+        };
+    },
+
+    format(result) {
+        const { request } = result;
+        return [
+            ...formatFields([
+                ['Chain id', request.chainId],
+                ['Vault', request.vault],
+                ['Nonce', request.nonce],
+                ['Recipient', request.recipient],
+                ['Amount', `${ethers.formatEther(request.amount)} ETH`],
+                ['Memo', request.memo ?? '-'],
+                ['Data hash', request.dataHash],
+                ['File', result.file || '-'],
+                ['Published', result.published ? 'yes' : 'no']
+            ]),
+            '',
+            result.compact
+        ];
+    }
+};
@@ -0,0 +1,81 @@
+import { UsageError } from '../errors.js';
+import { COORDINATOR_OPTION } from '../coordination.js';
+import { loadApproval, recordCancellation, recordCompletion, saveApproval } from '../transfers.js';
+import { TransferReview } from '../tui.js';
+import { recipientWarnings } from '../recipients.js';
+
+const ROLES = ['owner1', 'owner2'];
+
+export default {
+    name: 'review',
+    summary: 'Review, sign, complete or reject transfers in an interactive terminal UI',
+    usage: 'review [--as owner1|owner2] [--coordinator <url>]',
+    description: [
+        'Shows the vault balance and every transfer; the detail view compares the',
+        'on-chain transfer with the local records. owner2 can sign and owner1 can',
+        'complete pending transfers, either can reject (cancel) them. Every action',
+        'shows recipient (with its address book label and warnings), amount,',
+        'dataHash and, when signing, the approval deadline, and waits for "y"',
+        'before anything is signed or sent.'
+    ],
+    options: {
+        as: { type: 'string', description: 'Owner using the UI (default owner2)' },
+        ...COORDINATOR_OPTION
+    },
+
+    async run(ctx, args, options) {
+        const role = options.as ?? 'owner2';
+        if (!ROLES.includes(role)) {
+            throw new UsageError(`Invalid --as value: ${role} (expected ${ROLES.join(' or ')})`);
+        }
+        if (!ctx.input.isTTY) {
+            throw new UsageError('review needs an interactive terminal; use status, sign, complete and cancel in scripts.');
+        }
+
+        const owner = await ctx.getSigner(role);
+        const address = await owner.getAddress();
+        const client = await ctx.connect(owner);
+        const coordinator = ctx.getCoordinator(owner);
+
+        const review = new TransferReview({
+            client,
+            role,
+            address,
+            input: ctx.input,
+            describeRecipient: async recipient => ({
+                label: ctx.addressBook.find(recipient)?.label ?? null,
+                warnings: await recipientWarnings(ctx, recipient)
+            }),
+            actions: {
+                async sign(request, { deadline }) {
+                    const { approval } = await client.signTransfer(owner, request, { deadline });
+                    saveApproval(client, approval);
+                    if (coordinator) {
+                        await coordinator.submitApproval(approval);
+                        return `Signed transfer ${request.nonce} and uploaded the approval to ${coordinator.url}`;
+                    }
+                    return `Signed transfer ${request.nonce}; owner1 can complete it with the stored approval`;
+                },
+
+                async complete(nonce) {
+                    const approval = await loadApproval(ctx, owner, nonce);
+                    const result = await client.completeTransfer(owner, nonce, approval);
+                    recordCompletion(client, nonce, result.tx.hash);
+                    return `Completed transfer ${nonce} in ${result.tx.hash}`;
+                },
+
+                async cancel(nonce) {
+                    const result = await client.cancelTransfer(owner, nonce);
+                    recordCancellation(client, nonce, { cancelledBy: address, txHash: result.tx.hash });
+                    return `Cancelled transfer ${nonce} in ${result.tx.hash}`;
+                }
+            }
+        });
+
+        await review.run();
+    },
+
+    format() {
+        return [];
+    }
+};
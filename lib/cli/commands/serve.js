@@ -0,0 +1,60 @@
+import { parsePort } from '../args.js';
+import { ConfigError } from '../errors.js';
+import { CoordinationServer } from '../../CoordinationServer.js';
+
+export default {
+    name: 'serve',
+    summary: 'Run a coordination server for exchanging approvals',
+    usage: 'serve [--port <n>] [--host <address>]',
+    description: [
+        'Owners of any vault on the selected network post approval requests and',
+        'responses here instead of passing them around by hand (see --coordinator).',
+        'Requests are authenticated by owner signatures and approvals are checked',
+        'against the vault before they are stored (see STORAGE). Runs until interrupted.'
+    ],
+    options: {
+        port: { type: 'string', description: 'Port to listen on (default 8547)' },
+        host: { type: 'string', description: 'Address to bind (default 127.0.0.1)' }
+    },
+
+    async run(ctx, args, options) {
+        const port = options.port !== undefined ? parsePort(options.port) : 8547;
+        await ctx.checkNetwork();
+
+        const server = new CoordinationServer({ rpcUrl: ctx.rpcUrl, network: ctx.network, storage: ctx.client.storage });
+        server.on('request', ({ method, path, status, address, error }) => {
+            const line = `${method} ${path} ${status}${address ? ` ${address}` : ''}${error ? ` - ${error.message}` : ''}`;
+            ctx.output.event({ method, path, status, address, error: error?.message ?? null }, line);
+        });
+
+        let url;
+        try {
+            url = await server.listen({
+                port,
+                host: options.host ?? '127.0.0.1'
+            });
+        } catch (error) {
+            throw new ConfigError(`Cannot listen: ${error.message}`);
+        }
+
+        ctx.log(`Coordination server for ${ctx.network.name} listening on ${url} (Ctrl+C to stop)`);
+        let stop;
+        try {
+            await new Promise(resolve => {
+                stop = resolve;
+                process.once('SIGINT', stop);
+                process.once('SIGTERM', stop);
+            });
+        } finally {
+            process.off('SIGINT', stop);
+            process.off('SIGTERM', stop);
+            await server.close();
+        }
+
+        ctx.log('Stopped');
+    },
+
+    format() {
+        return [];
+    }
+};
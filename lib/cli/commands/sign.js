@@ -0,0 +1,260 @@
+import { ethers } from 'ethers';
+import fs from 'fs';
+import { parseNonce, parseTime, readApproval } from '../args.js';
+import { StateError, UsageError } from '../errors.js';
+import { requirePending, saveApproval } from '../transfers.js';
+import { formatDeadline, formatFields } from '../output.js';
+import { COORDINATOR_OPTION } from '../coordination.js';
+import { addressBookWarnings, describeAddress, logWarnings, recipientWarnings } from '../recipients.js';
+import { PolicyError, evaluatePolicy, policyNeedsHistory } from '../../utils/policy.js';
+import {
+    APPROVAL_TYPES,
+    computeDataHash,
+    defaultDeadline,
+    encodeApprovalCompact,
+    encodeApprovalJSON,
+    signApprovalRequest
+} from '../../utils/approval.js';
+
+/**
+ * Read --request and check it is a request for the given nonce, if any
+ */
+function loadRequest(options, nonceArg) {
+    const request = readApproval(options.request, 'request');
+    if (request.type !== APPROVAL_TYPES.REQUEST) {
+        throw new UsageError(`--request expects an approval request, got ${request.type}`);
+    }
+    if (nonceArg !== undefined && parseNonce(nonceArg) !== request.nonce) {
+        throw new UsageError(`Request is for nonce ${request.nonce}, not ${nonceArg}`);
+    }
+    return request;
+}
+
+const OVERRIDE_HINT = 'Pass --override-policy to sign anyway.';
+
+/**
+ * Refuse a transfer that breaks the policy, unless --override-policy is given
+ */
+function refuseViolations(nonce, violations, options) {
+    if (violations.length > 0 && !options['override-policy']) {
+        throw new PolicyError(
+            `Policy does not allow signing transfer ${nonce}: ${violations.map(({ message }) => message).join('; ')}. ${OVERRIDE_HINT}`,
+            violations
+        );
+    }
+}
+
+/**
+ * Report the policy violations an --override-policy let through
+ */
+function logOverrides(ctx, violations) {
+    for (const { message } of violations) {
+        ctx.log(`Policy overridden: ${message}`);
+    }
+}
+
+/**
+ * Sign on an air-gapped machine: no RPC, the dataHash is recomputed locally
+ * and the default deadline comes from the local clock
+ */
+async function signOffline(ctx, request, options, deadline) {
+    const owner2 = await ctx.getSigner('owner2');
+
+    const { policy } = ctx.client;
+    const violations = policy ? evaluatePolicy(policy, request) : [];
+    // Without the chain the rolling limits would only see this transfer
+    if (policy && policyNeedsHistory(policy)) {
+        violations.push({ rule: 'limits', message: 'the rolling limits need the vault history, which offline signing cannot read' });
+    }
+    refuseViolations(request.nonce, violations, options);
+    logOverrides(ctx, violations);
+
+    ctx.log('Offline signing - review the transfer before sharing the response:');
+    for (const line of formatFields([
+        ['Chain id', request.chainId],
+        ['Vault', request.vault],
+        ['Nonce', request.nonce],
+        ['Recipient', describeAddress(ctx, request.recipient)],
+        ['Amount', `${ethers.formatEther(request.amount)} ETH`],
+        ['Memo', request.memo ?? '-'],
+        ['Data hash', `${computeDataHash(request)} (recomputed)`],
+        ['Valid until', formatDeadline(deadline)]
+    ])) {
+        ctx.log(`  ${line}`);
+    }
+    logWarnings(ctx, addressBookWarnings(ctx, request.recipient));
+
+    return signApprovalRequest(request, owner2, { deadline });
+}
+
+export default {
+    name: 'sign',
+    summary: 'Sign the approval for a pending transfer (owner2)',
+    usage: 'sign <nonce> | sign --request <file|string> [--offline] [--deadline <time>] [--out <file>] [--coordinator <url>] [--override-policy] [--signature <hex>] [--yes]',
+    description: [
+        'The request is checked against the chain (chain id, vault, recipient,',
+        'amount, dataHash) before signing. The transfer, its deadline and the',
+        'recipient warnings are shown and signing waits for "y" (--yes skips the',
+        'question, as needed in scripts). Owner2 signs the EIP-712 Transfer',
+        '(nonce, to, amount, deadline) of the vault, so the wallet shows what it',
+        'approves; the approval expires after --deadline (default: 24 hours).',
+        'The approval response is stored locally (see STORAGE) and printed as a',
+        'compact multisig:v2: string.',
+        'With --offline no RPC is used: the dataHash is recomputed from the',
+        'request fields and the chain checks happen when owner1 completes. A policy',
+        'with daily or weekly limits needs --override-policy offline, as the limits',
+        'cannot be checked without the vault history.',
+        'Online approvals are uploaded to the coordination server when one is',
+        'configured; the server checks them against the vault before storing.',
+        'Transfers that break the spending policy (--policy) are not signed',
+        'unless --override-policy is given.',
+        'When owner2 is a MultisigVault, sign with the key of its own owner2 (or',
+        "that vault's, for deeper nesting). Other contract wallets sign the",
+        'transfer themselves; pass their signature with --signature and the',
+        "deadline it covers with --deadline. Either way owner2's isValidSignature",
+        '(ERC-1271) must accept it before it is stored.'
+    ],
+    options: {
+        request: { type: 'string', description: 'Approval request to sign (file, JSON or multisig:v2: string)' },
+        offline: { type: 'boolean', description: 'Sign the --request without connecting to any RPC' },
+        deadline: { type: 'string', description: 'Last time the approval is valid (unix seconds or ISO 8601; default: in 24 hours)' },
+        out: { type: 'string', description: 'Also write the approval response as JSON to this file' },
+        'override-policy': { type: 'boolean', description: 'Sign even if the transfer breaks the spending policy' },
+        signature: { type: 'string', description: 'Signature of the contract wallet acting as owner2' },
+        yes: { type: 'boolean', description: 'Sign without the interactive confirmation' },
+        ...COORDINATOR_OPTION
+    },
+
+    async run(ctx, args, options) {
+        const deadline = options.deadline !== undefined ? BigInt(parseTime(options.deadline, 'deadline')) : null;
+        if (options.signature && deadline === null) {
+            throw new UsageError('--signature needs the --deadline the contract wallet signed');
+        }
+
+        let approval;
+        let published = false;
+        if (options.offline) {
+            if (!options.request) {
+                throw new UsageError('--offline needs the transfer as --request <file|string>');
+            }
+            if (options.signature) {
+                throw new UsageError('--signature needs the chain to check it; it cannot be used with --offline');
+            }
+            const offlineDeadline = deadline ?? defaultDeadline();
+            if (offlineDeadline <= BigInt(Math.floor(Date.now() / 1000))) {
+                throw new UsageError(`--deadline ${options.deadline} has already passed`);
+            }
+            approval = await signOffline(ctx, loadRequest(options, args[0]), options, offlineDeadline);
+        } else {
+            const target = options.request ? loadRequest(options, args[0]) : parseNonce(args[0]);
+            const nonce = typeof target === 'bigint' ? target : target.nonce;
+
+            // A contract wallet's signature needs no key of ours
+            const owner2 = options.signature ? null : await ctx.getSigner('owner2');
+            const client = await ctx.connect();
+            const coordinator = owner2 ? ctx.getCoordinator(owner2) : null;
+
+            const details = await client.getTransferDetails(nonce);
+            requirePending(details, nonce);
+
+            // The memo travels with the local record, the request or the proposal
+            const memo = client.localMemo(nonce)
+                ?? (typeof target === 'bigint' ? null : target.memo)
+                ?? (coordinator ? (await coordinator.getProposal(ctx.vaultAddress, nonce))?.memo : null)
+                ?? null;
+
+            // A transfer the policy refuses is not put to the user first
+            const violations = await client.checkPolicy({ recipient: details.to, amount: details.amount, memo, nonce });
+            refuseViolations(nonce, violations, options);
+
+            // The deadline shown is the one signed
+            const signDeadline = deadline ?? defaultDeadline(await client.getLatestTimestamp());
+            ctx.log(`Signing transfer ${nonce}: ${ethers.formatEther(details.amount)} ETH to ${describeAddress(ctx, details.to)}${memo ? `, memo "${memo}"` : ''}`);
+            ctx.log(`  Valid until ${formatDeadline(signDeadline)}`);
+            logWarnings(ctx, await recipientWarnings(ctx, details.to));
+
+            const signing = await client.resolveOwner2Signer();
+            if (signing.vaults.length > 0) {
+                ctx.log(`Owner2 is the vault ${signing.vaults.join(' -> ')}; signing for it as ${signing.signer}`);
+            }
+            if (!options.yes) {
+                const answer = await ctx.confirm(`Sign transfer ${nonce} as owner2? [y/N] `);
+                if (answer === null) {
+                    throw new UsageError('No terminal to confirm the signature; review the transfer above and pass --yes.');
+                }
+                if (!answer) {
+                    throw new StateError(`Transfer ${nonce} not signed.`);
+                }
+            }
+
+            let signed;
+            try {
+                signed = await client.signTransfer(owner2, target, {
+                    memo,
+                    overridePolicy: options['override-policy'],
+                    deadline: signDeadline,
+                    signature: options.signature ?? null
+                });
+            } catch (error) {
+                if (error instanceof PolicyError) {
+                    throw new PolicyError(`${error.message}. ${OVERRIDE_HINT}`, error.violations);
+                }
+                throw error;
+            }
+            logOverrides(ctx, signed.policyViolations);
+            ({ approval } = signed);
+
+            if (coordinator) {
+                ctx.log(`Uploading the approval to ${coordinator.url}...`);
+                await coordinator.submitApproval(approval);
+                published = true;
+            }
+        }
+
+        saveApproval(ctx.client, approval);
+        if (options.out) {
+            fs.writeFileSync(options.out, encodeApprovalJSON(approval));
+        }
+
+        return {
+            vault: approval.vault,
+            nonce: approval.nonce,
+            recipient: approval.recipient,
+            label: ctx.addressBook.find(approval.recipient)?.label ?? null,
+            amount: approval.amount,
+            dataHash: approval.dataHash,
+            deadline: approval.deadline,
+            signer: approval.signer,
+            signature: approval.signature,
+            offline: Boolean(options.offline),
+            published,
+            approval: encodeApprovalCompact(approval),
+            file: options.out || null
+        };
+    },
+
+    format(result) {
+        let next = `multisig complete ${result.nonce}`;
+        if (result.offline) {
+            next = 'hand the response below to owner1 for "multisig complete --approval"';
+        } else if (result.published) {
+            next = `owner1 runs "multisig complete ${result.nonce}" with the same coordination server`;
+        }
+
+        return [
+            ...formatFields([
+                ['Nonce', result.nonce],
+                ['Recipient', result.label ? `${result.label} (${result.recipient})` : result.recipient],
+                ['Amount', `${ethers.formatEther(result.amount)} ETH`],
+                ['Data hash', result.dataHash],
+                ['Valid until', formatDeadline(result.deadline)],
+                ['Signer', result.signer],
+                ['Signature', result.signature],
+                ['File', result.file || '-'],
+                ['Next', next]
+            ]),
+            '',
+            result.approval
+        ];
+    }
+};
@@ -0,0 +1,59 @@
+import { ethers } from 'ethers';
+import { parseNonce } from '../args.js';
+import { StateError } from '../errors.js';
+import { transferStatus } from '../../utils/records.js';
+import { formatFields } from '../output.js';
+
+/**
+ * Whether a local record exists for the nonce
+ */
+function hasLocalRecord(load, nonce) {
+    try {
+        load(nonce);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+export default {
+    name: 'status',
+    summary: 'Show the on-chain state of a transfer',
+    usage: 'status <nonce>',
+    options: {},
+
+    async run(ctx, args) {
+        const nonce = parseNonce(args[0]);
+        const client = await ctx.connect(null, { readOnly: true });
+
+        const currentNonce = await client.getCurrentNonce();
+        if (nonce >= currentNonce) {
+            throw new StateError(`Transfer ${nonce} does not exist (next nonce is ${currentNonce}).`);
+        }
+
+        const details = await client.getTransferDetails(nonce);
+
+        return {
+            vault: ctx.vaultAddress,
+            nonce,
+            status: transferStatus(details),
+            recipient: details.to,
+            amount: details.amount,
+            dataHash: details.dataHash,
+            localTransfer: hasLocalRecord(n => client.loadTransfer(n), nonce),
+            localSignature: hasLocalRecord(n => client.loadSignature(n), nonce)
+        };
+    },
+
+    format(result) {
+        return formatFields([
+            ['Nonce', result.nonce],
+            ['Status', result.status],
+            ['Recipient', result.recipient],
+            ['Amount', `${ethers.formatEther(result.amount)} ETH`],
+            ['Data hash', result.dataHash],
+            ['Transfer record', result.localTransfer ? 'stored' : 'missing'],
+            ['Signature record', result.localSignature ? 'stored' : 'missing']
+        ]);
+    }
+};
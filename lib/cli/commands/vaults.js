@@ -0,0 +1,137 @@
+import { parseAddress } from '../args.js';
+import { ConfigError, StateError, UsageError } from '../errors.js';
+import { formatFields } from '../output.js';
+
+const ACTIONS = ['list', 'add', 'use', 'remove'];
+
+/**
+ * Read the owners of a vault from chain, checking them against the
+ * expected addresses when given
+ * @returns {Promise<Object>} { chainId, owner1, owner2 }
+ */
+async function readVault(ctx, address, expected) {
+    await ctx.checkNetwork();
+    const chainId = await ctx.client.getChainId();
+
+    const code = await ctx.client.getCode(address);
+    if (code === '0x') {
+        throw new ConfigError(`No contract deployed at ${address} on ${ctx.rpcUrl}`);
+    }
+
+    let owners;
+    try {
+        await ctx.client.connect(address);
+        owners = await ctx.client.getOwners();
+    } catch (error) {
+        throw new ConfigError(`${address} does not look like a MultisigVault: ${error.shortMessage || error.message}`);
+    }
+
+    for (const role of ['owner1', 'owner2']) {
+        if (expected[role] && expected[role] !== owners[role]) {
+            throw new StateError(`Vault ${address} has ${role} ${owners[role]}, not ${expected[role]}`);
+        }
+    }
+    return { chainId, ...owners };
+}
+
+async function addVault(ctx, alias, args, options) {
+    const address = parseAddress(args[0], 'address');
+    const expected = {
+        owner1: options.owner1 ? parseAddress(options.owner1, 'owner1') : null,
+        owner2: options.owner2 ? parseAddress(options.owner2, 'owner2') : null
+    };
+
+    const { chainId, owner1, owner2 } = await readVault(ctx, address, expected);
+
+    try {
+        return ctx.registry.add(alias, {
+            address,
+            chainId,
+            network: ctx.network.name,
+            owner1,
+            owner2,
+            ...(options.description ? { description: options.description } : {})
+        }, { overwrite: Boolean(options.force), makeDefault: Boolean(options.default) });
+    } catch (error) {
+        throw new ConfigError(error.message);
+    }
+}
+
+export default {
+    name: 'vaults',
+    summary: 'Manage the registry of known vaults',
+    usage: 'vaults list | vaults add <alias> <address> [--owner1 <address>] [--owner2 <address>] | vaults use <alias> | vaults remove <alias>',
+    description: [
+        'Vaults are registered under an alias in vaults.json (VAULTS_FILE overrides',
+        'the path) and can then be selected with --vault <alias>. add reads owner1',
+        'and owner2 from the contract and, when given, checks them against',
+        '--owner1/--owner2. Each chain has a default vault, used when --vault is',
+        'omitted: the first vault added for it, or the one picked with use.',
+        'Deployments are registered automatically.'
+    ],
+    options: {
+        owner1: { type: 'string', description: 'add: expected owner1 address' },
+        owner2: { type: 'string', description: 'add: expected owner2 address' },
+        description: { type: 'string', description: 'add: free-form note, e.g. "payroll"' },
+        default: { type: 'boolean', description: 'add: make the vault the default of its chain' },
+        force: { type: 'boolean', description: 'add: replace an existing alias' }
+    },
+
+    async run(ctx, args, options) {
+        const [action, alias, ...rest] = args;
+        if (!ACTIONS.includes(action)) {
+            throw new UsageError(`vaults expects one of ${ACTIONS.join(', ')}`);
+        }
+
+        if (action === 'list') {
+            return { action, file: ctx.registry.file, vaults: ctx.registry.list() };
+        }
+
+        if (!alias) {
+            throw new UsageError(`vaults ${action} needs a vault alias`);
+        }
+
+        if (action === 'add') {
+            return { action, ...(await addVault(ctx, alias, rest, options)) };
+        }
+
+        try {
+            const entry = action === 'use' ? ctx.registry.setDefault(alias) : ctx.registry.remove(alias);
+            return { action, ...entry };
+        } catch (error) {
+            throw new ConfigError(error.message);
+        }
+    },
+
+    format(result) {
+        if (result.action === 'list') {
+            if (result.vaults.length === 0) {
+                return [`No vaults registered in ${result.file}`];
+            }
+            return result.vaults.map(entry => [
+                entry.isDefault ? '*' : ' ',
+                entry.alias.padEnd(12),
+                entry.address,
+                `${entry.network ?? 'chain'} (${entry.chainId})`,
+                entry.description ?? ''
+            ].join(' ').trimEnd());
+        }
+
+        if (result.action === 'remove') {
+            return [`Removed ${result.alias} (${result.address})`];
+        }
+        if (result.action === 'use') {
+            return [`${result.alias} (${result.address}) is now the default vault on chain ${result.chainId}`];
+        }
+
+        return formatFields([
+            ['Alias', result.alias],
+            ['Vault', result.address],
+            ['Network', `${result.network} (chain ${result.chainId})`],
+            ['Owner1', result.owner1],
+            ['Owner2', result.owner2],
+            ...(result.description ? [['Description', result.description]] : []),
+            ['Default', result.isDefault ? 'yes' : 'no']
+        ]);
+    }
+};
@@ -0,0 +1,58 @@
+import { StateError } from '../errors.js';
+import { formatFields } from '../output.js';
+
+/**
+ * Report lines of a verification
+ */
+function formatReport(result) {
+    const owner = ({ recorded, deployed }) => (recorded ? `${deployed} (recorded ${recorded})` : `${deployed} (not recorded)`);
+
+    return formatFields([
+        ['Vault', result.vault],
+        ['Artifact', result.artifact],
+        ['Code', result.codeMatches ? 'matches (immutables masked)' : 'differs'],
+        ...(result.owners ? [['Owner1', owner(result.owners.owner1)], ['Owner2', owner(result.owners.owner2)]] : []),
+        ...(result.compiler ? [['Compiler', `${result.compiler.deployed ?? 'unknown'} (artifact ${result.compiler.artifact ?? 'unknown'})`]] : []),
+        ...(result.metadataHash ? [['Metadata', result.metadataHash.deployed ?? 'none']] : []),
+        ...result.warnings.map(warning => ['Warning', warning]),
+        ...result.issues.map(issue => ['Problem', issue]),
+        ['Result', result.verified ? 'verified' : 'NOT verified']
+    ]);
+}
+
+export default {
+    name: 'verify',
+    summary: 'Check that the vault runs the code of the local build',
+    usage: 'verify',
+    description: [
+        'Compares the runtime code of the vault with the deployed bytecode in',
+        'out/MultisigVault.sol/MultisigVault.json, with the immutables masked, and',
+        'then checks the immutables against the owners recorded in the registry or',
+        'the deployment. Compiler version and metadata hash differences are',
+        'reported as warnings. Every command that uses the vault runs the same',
+        'check first and refuses a vault that fails it.'
+    ],
+    options: {},
+
+    async run(ctx) {
+        await ctx.checkNetwork();
+        ctx.vaultAddress = await ctx.resolveVaultAddress();
+
+        const report = await ctx.verifyDeployment();
+
+        const result = { vault: ctx.vaultAddress, ...report };
+        delete result.address;
+
+        if (!report.verified) {
+            for (const line of formatReport(result)) {
+                ctx.log(line);
+            }
+            throw new StateError(`Vault ${ctx.vaultAddress} does not match the local build: ${report.issues.join('; ')}`);
+        }
+        return result;
+    },
+
+    format(result) {
+        return formatReport(result);
+    }
+};
@@ -0,0 +1,69 @@
+import { ethers } from 'ethers';
+import { parseBlock } from '../args.js';
+
+/**
+ * One-line description of a watched event
+ */
+function describeEvent(event) {
+    const amount = `${ethers.formatEther(event.amount)} ETH`;
+
+    switch (event.type) {
+        case 'Deposit':
+            return `deposit     ${amount} from ${event.from}`;
+        case 'TransferInitiated':
+            return `initiated   #${event.nonce} ${amount} to ${event.to} (awaiting owner2 signature)`;
+        case 'TransferCompleted':
+            return `completed   #${event.nonce} ${amount} to ${event.to}`;
+        default:
+            return `cancelled   #${event.nonce} ${amount} to ${event.to}`;
+    }
+}
+
+export default {
+    name: 'watch',
+    summary: 'Stream vault events as they happen',
+    usage: 'watch [--from-block <n>] [--confirmations <n>] [--poll-interval <ms>]',
+    description: [
+        'Runs until interrupted. With --json every event is printed as one JSON',
+        'object per line. --from-block replays events missed since that block.'
+    ],
+    options: {
+        'from-block': { type: 'string', description: 'Replay events from this block (default: current head)' },
+        confirmations: { type: 'string', description: 'Blocks to wait for after an event\'s block (default: the network\'s confirmations less one)' },
+        'poll-interval': { type: 'string', description: 'Polling interval in milliseconds (default 4000)' }
+    },
+
+    async run(ctx, args, options) {
+        const client = await ctx.connect(null, { readOnly: true });
+
+        const watcher = client.watch({
+            fromBlock: options['from-block'] !== undefined ? parseBlock(options['from-block'], 'from-block') : null,
+            ...(options.confirmations !== undefined ? { confirmations: parseBlock(options.confirmations, 'confirmations') } : {}),
+            pollInterval: options['poll-interval'] !== undefined ? parseBlock(options['poll-interval'], 'poll-interval') : 4000
+        });
+
+        watcher.on('disconnected', ({ error, attempt }) => ctx.log(`RPC unavailable (attempt ${attempt}): ${error.message}`));
+        watcher.on('reconnected', ({ lastBlock }) => ctx.log(`Reconnected, resuming after block ${lastBlock}`));
+        watcher.on('reorg', ({ fromBlock, lastBlock }) => ctx.log(`Blocks ${fromBlock}-${lastBlock} were replaced; their events are reported again`));
+
+        ctx.log(`Watching ${ctx.vaultAddress} (Ctrl+C to stop)...`);
+        const stop = () => watcher.stop();
+        process.once('SIGINT', stop);
+        process.once('SIGTERM', stop);
+
+        try {
+            for await (const event of watcher) {
+                ctx.output.event(event, `block ${String(event.blockNumber).padStart(8)}  ${describeEvent(event)}`);
+            }
+        } finally {
+            process.off('SIGINT', stop);
+            process.off('SIGTERM', stop);
+        }
+
+        ctx.log(`Stopped after block ${watcher.lastBlock}`);
+    },
+
+    format() {
+        return [];
+    }
+};
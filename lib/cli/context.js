@@ -0,0 +1,373 @@
+import { ethers } from 'ethers';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { MultisigClient } from '../MultisigClient.js';
+import { CoordinationClient } from '../CoordinationClient.js';
+import { KeystoreManager } from '../KeystoreManager.js';
+import { VaultRegistry } from '../VaultRegistry.js';
+import { AddressBook } from '../AddressBook.js';
+import { ConfigError, StateError, UsageError } from './errors.js';
+import { signerConfigFromEnv } from '../utils/signers.js';
+import { ChainMismatchError, resolveNetwork } from '../utils/networks.js';
+import { storageConfigFromEnv } from '../utils/storage.js';
+import { loadPolicy, resolvePolicyPath } from '../utils/policy.js';
+import { promptConfirm, promptSecret } from './prompt.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PROJECT_ROOT = path.join(__dirname, '../..');
+
+// Environment variable prefix of each role's signer configuration
+const SIGNER_PREFIXES = {
+    owner1: 'OWNER1',
+    owner2: 'OWNER2',
+    deployer: 'DEPLOYER'
+};
+
+/**
+ * Shared state for a single CLI invocation: global options, environment,
+ * client instance and vault resolution
+ */
+export class CliContext {
+    constructor(options = {}, output) {
+        this.options = options;
+        this.output = output;
+
+        dotenv.config({ path: path.join(PROJECT_ROOT, '.env'), quiet: true });
+        this.env = process.env;
+
+        this.registry = new VaultRegistry(this.env.VAULTS_FILE ? { file: this.env.VAULTS_FILE } : {});
+        this.vaultEntry = this.lookupVaultAlias(options.vault);
+        this.addressBook = new AddressBook(this.env.ADDRESS_BOOK_FILE ? { file: this.env.ADDRESS_BOOK_FILE } : {});
+
+        // An explicitly chosen network brings its own RPC URL; otherwise RPC_URL
+        // may point the default network elsewhere. --rpc always wins. A vault
+        // alias selects the network it was registered on.
+        const networkName = options.network || this.vaultEntry?.network || this.env.NETWORK || null;
+        try {
+            this.network = resolveNetwork(networkName, {
+                env: this.env,
+                rpcUrl: options.rpc || (networkName ? null : this.env.RPC_URL)
+            });
+        } catch (error) {
+            throw new ConfigError(error.message);
+        }
+        this.rpcUrl = this.network.rpcUrl;
+
+        let storage;
+        try {
+            storage = storageConfigFromEnv(this.env);
+        } catch (error) {
+            throw new ConfigError(error.message);
+        }
+
+        // The policy guards initiate and sign of every command
+        this.policyPath = resolvePolicyPath(options.policy, this.env);
+        let policy = null;
+        if (this.policyPath) {
+            try {
+                policy = loadPolicy(this.policyPath);
+            } catch (error) {
+                throw new ConfigError(error.message);
+            }
+        }
+        this.client = new MultisigClient(this.rpcUrl, { network: this.network, storage, policy });
+        this.keystores = new KeystoreManager({ directory: this.env.KEYSTORE_DIR });
+        this.input = process.stdin;
+        this.vaultAddress = null;
+        this.vaultAlias = null;
+    }
+
+    /**
+     * Registry entry for a --vault alias; null for addresses and unknown aliases
+     */
+    lookupVaultAlias(value) {
+        if (!value || !VaultRegistry.isAlias(value)) {
+            return null;
+        }
+        try {
+            return this.registry.get(value);
+        } catch (error) {
+            throw new ConfigError(`Cannot read ${this.registry.file}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Progress message (hidden in --json mode)
+     */
+    log(message) {
+        this.output.log(message);
+    }
+
+    /**
+     * Check that the RPC serves the selected network's chain
+     */
+    async checkNetwork() {
+        try {
+            await this.client.checkNetwork();
+        } catch (error) {
+            if (error instanceof ChainMismatchError) {
+                throw new ConfigError(`${error.message}. Pick the matching --network or --rpc.`);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Resolve the vault address from --vault (address or alias),
+     * CONTRACT_ADDRESS, the chain's default vault in the registry or the
+     * deployment for the connected chain
+     */
+    async resolveVaultAddress() {
+        const chainId = await this.client.getChainId();
+
+        if (this.options.vault) {
+            if (ethers.isAddress(this.options.vault)) {
+                return ethers.getAddress(this.options.vault);
+            }
+            if (!VaultRegistry.isAlias(this.options.vault)) {
+                throw new UsageError(`Invalid --vault address or alias: ${this.options.vault}`);
+            }
+
+            const entry = this.vaultEntry;
+            if (!entry) {
+                throw new ConfigError(`No vault registered as ${this.options.vault}. Run "multisig vaults list".`);
+            }
+            if (BigInt(entry.chainId) !== chainId) {
+                throw new ConfigError(`Vault ${entry.alias} is on chain ${entry.chainId}, but ${this.rpcUrl} is on chain ${chainId}.`);
+            }
+            this.vaultAlias = entry.alias;
+            return entry.address;
+        }
+
+        if (this.env.CONTRACT_ADDRESS) {
+            return ethers.getAddress(this.env.CONTRACT_ADDRESS);
+        }
+
+        const defaultVault = this.registry.getDefault(chainId);
+        if (defaultVault) {
+            this.vaultAlias = defaultVault.alias;
+            return defaultVault.address;
+        }
+
+        let deployment;
+        try {
+            deployment = this.client.loadDeployment(chainId);
+        } catch (error) {
+            throw new ConfigError(`${error.message} Or pass --vault <address|alias>.`);
+        }
+
+        const address = deployment.contractAddress || deployment.vaultAddress;
+        if (!address) {
+            throw new ConfigError(`The deployment for chain ${deployment.chainId} does not contain a vault address.`);
+        }
+        return ethers.getAddress(address);
+    }
+
+    /**
+     * Connect the client to the vault, optionally with a signer
+     * @param {*} signer - Signer to connect with, if any
+     * @param {Object} options - { readOnly } for commands that only read the vault,
+     *   which run on a vault that fails verification after a warning
+     */
+    async connect(signer = null, { readOnly = false } = {}) {
+        await this.checkNetwork();
+        this.vaultAddress = await this.resolveVaultAddress();
+
+        const code = await this.client.getCode(this.vaultAddress);
+        if (code === '0x') {
+            throw new ConfigError(`No contract deployed at ${this.vaultAddress} on ${this.rpcUrl}`);
+        }
+
+        await this.verifyVault({ readOnly });
+
+        try {
+            await this.client.connect(this.vaultAddress, signer);
+        } catch (error) {
+            throw new ConfigError(error.message);
+        }
+        // Event scans start where the vault's history does
+        this.client.deploymentBlock = this.recordedDeploymentBlock(await this.client.getChainId());
+        return this.client;
+    }
+
+    /**
+     * Records of the resolved vault: its registry entry and the chain's
+     * deployment, when they are about it
+     * @returns {Object[]} Registry entry and deployment, whichever exist
+     */
+    vaultRecords(chainId) {
+        const records = [];
+        const entry = this.registry.find(this.vaultAddress, chainId);
+        if (entry) {
+            records.push(entry);
+        }
+
+        let deployment;
+        try {
+            deployment = this.client.loadDeployment(chainId);
+        } catch {
+            return records;
+        }
+        const address = deployment.contractAddress || deployment.vaultAddress;
+        if (address && ethers.getAddress(address) === this.vaultAddress) {
+            records.push(deployment);
+        }
+        return records;
+    }
+
+    /**
+     * Owners recorded for the resolved vault in the registry or the chain's
+     * deployment
+     * @returns {Object|null} { owner1, owner2 }, null for a vault never recorded
+     */
+    recordedOwners(chainId) {
+        const record = this.vaultRecords(chainId).find(({ owner1, owner2 }) => owner1 && owner2);
+        return record ? { owner1: record.owner1, owner2: record.owner2 } : null;
+    }
+
+    /**
+     * Block the resolved vault was deployed in, from its records
+     * @returns {number|null} Block number, null when not recorded
+     */
+    recordedDeploymentBlock(chainId) {
+        return this.vaultRecords(chainId).find(record => Number.isInteger(record.deploymentBlock))?.deploymentBlock ?? null;
+    }
+
+    /**
+     * Verify the resolved vault against the local build and its recorded owners
+     * @returns {Promise<Object>} Verification report (see BaseMultisigClient.verifyDeployment)
+     */
+    async verifyDeployment() {
+        const chainId = await this.client.getChainId();
+        try {
+            return await this.client.verifyDeployment(this.vaultAddress, this.recordedOwners(chainId) ?? {});
+        } catch (error) {
+            throw new ConfigError(error.message);
+        }
+    }
+
+    /**
+     * Check the resolved vault before anything touches it: compiler and
+     * metadata differences are reported, a vault running other code or owned
+     * by others than recorded is refused unless the command only reads it
+     * @param {Object} options - { readOnly } to report a mismatch instead of refusing
+     * @returns {Promise<Object>} Verification report
+     */
+    async verifyVault({ readOnly = false } = {}) {
+        const report = await this.verifyDeployment();
+
+        for (const warning of report.warnings) {
+            this.log(`Warning: ${warning}`);
+        }
+        if (!report.verified) {
+            const mismatch = `Vault ${this.vaultAddress} does not match the local build: ${report.issues.join('; ')}.`;
+            if (!readOnly) {
+                throw new StateError(`${mismatch} Run "multisig verify" for details.`);
+            }
+            this.log(`Warning: ${mismatch} Nothing is sent to it; run "multisig verify" for details.`);
+        }
+        return report;
+    }
+
+    /**
+     * Ask for a secret on the terminal; null when not interactive
+     */
+    promptSecret(question) {
+        return promptSecret(question, { input: this.input });
+    }
+
+    /**
+     * Ask a yes/no question on the terminal; null when not interactive
+     */
+    confirm(question) {
+        return promptConfirm(question, { input: this.input });
+    }
+
+    /**
+     * Password for a role's keystore from <ROLE>_KEYSTORE_PASSWORD or a prompt
+     * @param {string} role - Role name
+     * @param {Object} options - { confirm } to ask twice for a new password
+     */
+    async getKeystorePassword(role, { confirm = false } = {}) {
+        const variable = `${SIGNER_PREFIXES[role] || role.toUpperCase()}_KEYSTORE_PASSWORD`;
+        if (this.env[variable] !== undefined) {
+            return this.env[variable];
+        }
+
+        const password = await this.promptSecret(`Password for the ${role} keystore: `);
+        if (password === null) {
+            throw new ConfigError(`${variable} is not set and no terminal is available to ask for it.`);
+        }
+        if (confirm && (await this.promptSecret('Repeat the password: ')) !== password) {
+            throw new UsageError('Passwords do not match.');
+        }
+        return password;
+    }
+
+    /**
+     * Signer for a role ('owner1', 'owner2' or 'deployer'), configured through
+     * <ROLE>_SIGNER and the matching variables (see utils/signers.js). Without
+     * any configuration the role's keystore in the keystore directory is used.
+     * @param {string} role - Role name
+     * @param {string} fallbackKey - Private key used when nothing is configured
+     */
+    async getSigner(role, fallbackKey = null) {
+        const prefix = SIGNER_PREFIXES[role];
+
+        let config;
+        try {
+            config = signerConfigFromEnv(prefix, this.env);
+        } catch (error) {
+            throw new ConfigError(error.message);
+        }
+
+        if (!config && this.keystores.has(role)) {
+            config = { type: 'keystore' };
+        }
+        if (!config && fallbackKey) {
+            config = { type: 'privateKey', privateKey: fallbackKey };
+        }
+        if (!config) {
+            throw new ConfigError(`No ${role} key found. Run "multisig deploy" or "multisig keys import ${role}", or configure ${prefix}_SIGNER.`);
+        }
+
+        if (config.type === 'keystore') {
+            config.path = config.path || this.keystores.path(role);
+            config.password ??= await this.getKeystorePassword(role);
+        }
+
+        try {
+            return await this.client.createSigner(config);
+        } catch (error) {
+            throw new ConfigError(`Cannot load the ${role} ${config.type} signer: ${error.shortMessage || error.message}`);
+        }
+    }
+
+    /**
+     * URL of the coordination server from --coordinator or COORDINATOR_URL, if any
+     */
+    get coordinatorUrl() {
+        return this.options.coordinator || this.env.COORDINATOR_URL || null;
+    }
+
+    /**
+     * Client of the coordination server authenticating as the given owner;
+     * null when no server is configured
+     * @param {ethers.Signer} signer - Owner signer
+     */
+    getCoordinator(signer) {
+        return this.coordinatorUrl ? new CoordinationClient(this.coordinatorUrl, signer) : null;
+    }
+
+    /**
+     * Release the provider so the process can exit
+     */
+    close() {
+        this.client.provider.destroy();
+    }
+}
+
+export default CliContext;
@@ -0,0 +1,33 @@
+/**
+ * Helpers for commands that exchange approvals through a coordination server
+ */
+
+/**
+ * Option shared by every command that talks to the coordination server
+ */
+export const COORDINATOR_OPTION = {
+    coordinator: { type: 'string', description: 'Coordination server URL (default: COORDINATOR_URL)' }
+};
+
+/**
+ * Publish the approval request of a transfer when a coordination server is configured
+ * @param {CliContext} ctx - Command context
+ * @param {ethers.Signer} owner1 - Signer authenticating the request
+ * @param {Object} request - Approval request
+ * @param {string} memo - Memo of the transfer, if any
+ * @returns {Promise<Object|null>} Stored proposal, or null without a server
+ */
+export async function publishRequest(ctx, owner1, request, memo = null) {
+    const coordinator = ctx.getCoordinator(owner1);
+    if (!coordinator) {
+        return null;
+    }
+
+    ctx.log(`Publishing the approval request to ${coordinator.url}...`);
+    return await coordinator.propose(request, { memo });
+}
+
+export default {
+    COORDINATOR_OPTION,
+    publishRequest
+};
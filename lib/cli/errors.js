@@ -0,0 +1,64 @@
+/**
+ * Error types and process exit codes for the multisig CLI
+ */
+
+/**
+ * Exit codes returned by the `multisig` command
+ */
+export const EXIT_CODES = {
+    OK: 0,
+    ERROR: 1,
+    USAGE: 2,
+    CONFIG: 3,
+    STATE: 4,
+    POLICY: 5
+};
+
+/**
+ * Base error carrying the exit code the CLI should terminate with
+ */
+export class CliError extends Error {
+    constructor(message, exitCode = EXIT_CODES.ERROR) {
+        super(message);
+        this.name = 'CliError';
+        this.exitCode = exitCode;
+    }
+}
+
+/**
+ * Invalid command line: unknown command, bad option or malformed argument
+ */
+export class UsageError extends CliError {
+    constructor(message) {
+        super(message, EXIT_CODES.USAGE);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Missing or invalid local configuration (keys, deployment, artifacts)
+ */
+export class ConfigError extends CliError {
+    constructor(message) {
+        super(message, EXIT_CODES.CONFIG);
+        this.name = 'ConfigError';
+    }
+}
+
+/**
+ * On-chain state does not allow the requested operation
+ */
+export class StateError extends CliError {
+    constructor(message) {
+        super(message, EXIT_CODES.STATE);
+        this.name = 'StateError';
+    }
+}
+
+export default {
+    EXIT_CODES,
+    CliError,
+    UsageError,
+    ConfigError,
+    StateError
+};
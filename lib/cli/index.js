@@ -0,0 +1,228 @@
+import { parseArgs } from 'util';
+import { CliContext } from './context.js';
+import { CliError, EXIT_CODES, UsageError } from './errors.js';
+import { ApprovalError } from '../utils/approval.js';
+import { VaultError } from '../utils/errors.js';
+import { CoordinationError } from '../utils/coordination.js';
+import { PolicyError } from '../utils/policy.js';
+import { MessageError } from '../utils/messages.js';
+import { Create2Error } from '../utils/create2.js';
+import { createOutput } from './output.js';
+import deploy from './commands/deploy.js';
+import initiate from './commands/initiate.js';
+import request from './commands/request.js';
+import sign from './commands/sign.js';
+import complete from './commands/complete.js';
+import cancel from './commands/cancel.js';
+import status from './commands/status.js';
+import list from './commands/list.js';
+import balance from './commands/balance.js';
+import history from './commands/history.js';
+import reconcile from './commands/reconcile.js';
+import review from './commands/review.js';
+import batch from './commands/batch.js';
+import watch from './commands/watch.js';
+import proposals from './commands/proposals.js';
+import serve from './commands/serve.js';
+import keys from './commands/keys.js';
+import vaults from './commands/vaults.js';
+import contacts from './commands/contacts.js';
+import message from './commands/message.js';
+import verify from './commands/verify.js';
+
+/**
+ * Entry point of the `multisig` command line tool
+ */
+
+export const COMMANDS = [
+    deploy,
+    initiate,
+    request,
+    sign,
+    complete,
+    cancel,
+    review,
+    batch,
+    status,
+    list,
+    balance,
+    history,
+    reconcile,
+    watch,
+    proposals,
+    serve,
+    keys,
+    vaults,
+    contacts,
+    message,
+    verify
+];
+
+const GLOBAL_OPTIONS = {
+    help: { type: 'boolean', short: 'h', description: 'Show help' },
+    json: { type: 'boolean', description: 'Print the result as JSON on stdout' },
+    vault: { type: 'string', description: "Vault address or registry alias (default: CONTRACT_ADDRESS or the chain's default vault)" },
+    network: { type: 'string', description: 'Network from networks.json (default: NETWORK or its defaultNetwork)' },
+    rpc: { type: 'string', description: "RPC URL (default: the network's, or RPC_URL for the default network)" },
+    policy: { type: 'string', description: 'Spending policy file (default: POLICY_FILE, or policy.json if present)' }
+};
+
+/**
+ * Strip CLI-only metadata so the options can be passed to util.parseArgs
+ */
+function toParseArgsOptions(options) {
+    return Object.fromEntries(
+        Object.entries(options).map(([name, { description, ...config }]) => [name, config])
+    );
+}
+
+/**
+ * Render an option table
+ */
+function formatOptions(options) {
+    const rows = Object.entries(options).map(([name, option]) => {
+        const flag = option.short ? `-${option.short}, --${name}` : `--${name}`;
+        return [option.type === 'string' ? `${flag} <value>` : flag, option.description];
+    });
+    const width = Math.max(...rows.map(([flag]) => flag.length));
+    return rows.map(([flag, description]) => `  ${flag.padEnd(width + 2)}${description}`);
+}
+
+/**
+ * Build help text for the whole tool or a single command
+ * @param {Object} command - Command definition, or null for the overview
+ * @returns {string} Help text
+ */
+export function formatHelp(command = null) {
+    const lines = [];
+
+    if (command) {
+        lines.push(`Usage: multisig ${command.usage}`, '', command.summary);
+        if (command.description) {
+            lines.push('', ...command.description);
+        }
+        if (Object.keys(command.options).length > 0) {
+            lines.push('', 'Options:', ...formatOptions(command.options));
+        }
+    } else {
+        const width = Math.max(...COMMANDS.map(({ name }) => name.length));
+        lines.push(
+            'Usage: multisig <command> [options]',
+            '',
+            'Commands:',
+            ...COMMANDS.map(({ name, summary }) => `  ${name.padEnd(width + 2)}${summary}`),
+            '',
+            'Run "multisig <command> --help" for command options.'
+        );
+    }
+
+    lines.push(
+        '',
+        'Global options:',
+        ...formatOptions(GLOBAL_OPTIONS),
+        '',
+        `Exit codes: ${Object.entries(EXIT_CODES).map(([name, code]) => `${code} ${name.toLowerCase()}`).join(', ')}`
+    );
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Exit code for a failed command. Approvals that do not match the chain,
+ * signatures the vault does not accept and reverts of the vault are reported
+ * like any other state mismatch, as are proposals the coordination server
+ * refused for the same reasons; requests it rejected as unauthenticated or
+ * from a non-owner point at the key setup.
+ */
+function exitCodeFor(error) {
+    if (error instanceof CliError) {
+        return error.exitCode;
+    }
+    if (error instanceof ApprovalError || error instanceof VaultError || error instanceof MessageError) {
+        return EXIT_CODES.STATE;
+    }
+    if (error instanceof PolicyError) {
+        return EXIT_CODES.POLICY;
+    }
+    if (error instanceof Create2Error) {
+        return EXIT_CODES.CONFIG;
+    }
+    if (error instanceof CoordinationError) {
+        if (error.status === 409 || error.status === 422) {
+            return EXIT_CODES.STATE;
+        }
+        if (error.status === 401 || error.status === 403) {
+            return EXIT_CODES.CONFIG;
+        }
+    }
+    return EXIT_CODES.ERROR;
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments without the node and script paths
+ * @param {Object} io - Optional { stdout, stderr } streams
+ * @returns {Promise<number>} Process exit code
+ */
+export async function main(argv, io = {}) {
+    const { stdout = process.stdout, stderr = process.stderr } = io;
+
+    const preliminary = parseArgs({
+        args: argv,
+        options: toParseArgsOptions(GLOBAL_OPTIONS),
+        strict: false,
+        allowPositionals: true
+    });
+    const output = createOutput({ json: preliminary.values.json === true, stdout, stderr });
+    const commandName = preliminary.positionals[0];
+
+    if (!commandName) {
+        if (preliminary.values.help) {
+            stdout.write(formatHelp());
+            return EXIT_CODES.OK;
+        }
+        stderr.write(formatHelp());
+        return EXIT_CODES.USAGE;
+    }
+
+    const command = COMMANDS.find(({ name }) => name === commandName);
+    if (!command) {
+        output.error(commandName, new UsageError(`Unknown command "${commandName}". Run "multisig --help".`), EXIT_CODES.USAGE);
+        return EXIT_CODES.USAGE;
+    }
+
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            options: toParseArgsOptions({ ...GLOBAL_OPTIONS, ...command.options }),
+            allowPositionals: true
+        });
+    } catch (error) {
+        output.error(command.name, new UsageError(error.message), EXIT_CODES.USAGE);
+        return EXIT_CODES.USAGE;
+    }
+
+    if (parsed.values.help) {
+        stdout.write(formatHelp(command));
+        return EXIT_CODES.OK;
+    }
+
+    let ctx = null;
+    try {
+        ctx = new CliContext(parsed.values, output);
+        const result = await command.run(ctx, parsed.positionals.slice(1), parsed.values);
+        // Streaming commands write their own output and return nothing
+        if (result !== undefined) {
+            output.result(command.name, result, command.format(result));
+        }
+        return EXIT_CODES.OK;
+    } catch (error) {
+        const exitCode = exitCodeFor(error);
+        output.error(command.name, error, exitCode);
+        return exitCode;
+    } finally {
+        ctx?.close();
+    }
+}
+
+export default main;
@@ -0,0 +1,106 @@
+/**
+ * Output helpers for human-readable and --json CLI modes
+ */
+
+/**
+ * Serialize a command result to JSON, encoding bigints as decimal strings
+ * @param {*} value - Value to serialize
+ * @param {number} indent - Indentation, 0 for a single line
+ * @returns {string} JSON text
+ */
+export function toJSON(value, indent = 2) {
+    return JSON.stringify(
+        value,
+        (key, val) => (typeof val === 'bigint' ? val.toString() : val),
+        indent
+    );
+}
+
+/**
+ * Render key/value pairs as aligned lines
+ * @param {Array<[string, *]>} pairs - Label and value pairs
+ * @returns {string[]} Formatted lines
+ */
+export function formatFields(pairs) {
+    const width = Math.max(...pairs.map(([label]) => label.length));
+    return pairs.map(([label, value]) => `${(label + ':').padEnd(width + 2)}${value}`);
+}
+
+/**
+ * Approval deadline as ISO time and unix seconds
+ * @param {bigint|number} deadline - Unix seconds
+ * @returns {string} e.g. "2024-01-01T00:00:00.000Z (1704067200)"
+ */
+export function formatDeadline(deadline) {
+    return `${new Date(Number(deadline) * 1000).toISOString()} (${deadline})`;
+}
+
+/**
+ * Create the output sink used by commands
+ * @param {Object} options - { json, stdout, stderr }
+ * @returns {Object} Output with log/result/error methods
+ */
+export function createOutput({ json = false, stdout = process.stdout, stderr = process.stderr } = {}) {
+    return {
+        json,
+
+        /**
+         * Progress message; suppressed in --json mode so stdout stays parseable
+         */
+        log(message) {
+            if (!json) {
+                stderr.write(`${message}\n`);
+            }
+        },
+
+        /**
+         * Final command result
+         */
+        result(command, data, lines = []) {
+            if (json) {
+                stdout.write(`${toJSON({ ok: true, command, ...data })}\n`);
+            } else if (lines.length > 0) {
+                stdout.write(`${lines.join('\n')}\n`);
+            }
+        },
+
+        /**
+         * Streamed item; one compact JSON document per line in --json mode
+         */
+        event(data, line) {
+            if (json) {
+                stdout.write(`${toJSON(data, 0)}\n`);
+            } else {
+                stdout.write(`${line}\n`);
+            }
+        },
+
+        /**
+         * Command failure
+         */
+        error(command, error, exitCode) {
+            if (json) {
+                stdout.write(`${toJSON({
+                    ok: false,
+                    command,
+                    error: {
+                        name: error.name,
+                        message: error.message,
+                        exitCode,
+                        // Custom error of the vault the transaction reverted with
+                        ...(error.errorName ? { errorName: error.errorName } : {})
+                    }
+                })}\n`);
+            } else {
+                stderr.write(`Error: ${error.message}\n`);
+            }
+        }
+    };
+}
+
+export default {
+    toJSON,
+    formatFields,
+    formatDeadline,
+    createOutput
+};
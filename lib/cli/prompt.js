@@ -0,0 +1,73 @@
+import readline from 'readline';
+
+/**
+ * Interactive input: secrets (passwords, private keys) and confirmations
+ */
+
+/**
+ * Ask for a secret on the terminal without echoing it
+ * @param {string} question - Prompt text
+ * @param {Object} io - { input, output } streams (default stdin/stderr)
+ * @returns {Promise<string|null>} Entered value, or null when input is not a terminal
+ */
+export function promptSecret(question, { input = process.stdin, output = process.stderr } = {}) {
+    if (!input.isTTY) {
+        return Promise.resolve(null);
+    }
+
+    return new Promise((resolve, reject) => {
+        const rl = readline.createInterface({ input, output, terminal: true });
+
+        // Echo the prompt itself, then swallow the typed characters
+        let muted = false;
+        rl._writeToOutput = (text) => {
+            if (!muted) {
+                output.write(text);
+            }
+        };
+
+        rl.question(question, (answer) => {
+            output.write('\n');
+            rl.close();
+            resolve(answer);
+        });
+        muted = true;
+
+        rl.on('SIGINT', () => {
+            rl.close();
+            reject(new Error('Cancelled'));
+        });
+    });
+}
+
+/**
+ * Ask a yes/no question on the terminal
+ * @param {string} question - Prompt text
+ * @param {Object} io - { input, output } streams (default stdin/stderr)
+ * @returns {Promise<boolean|null>} Whether the answer was yes, or null when input is not a terminal
+ */
+export function promptConfirm(question, { input = process.stdin, output = process.stderr } = {}) {
+    if (!input.isTTY) {
+        return Promise.resolve(null);
+    }
+
+    return new Promise((resolve) => {
+        const rl = readline.createInterface({ input, output, terminal: true });
+
+        rl.question(question, (answer) => {
+            rl.close();
+            resolve(/^y(es)?$/i.test(answer.trim()));
+        });
+
+        rl.on('SIGINT', () => {
+            output.write('\n');
+            rl.close();
+            resolve(false);
+        });
+    });
+}
+
+export default {
+    promptSecret,
+    promptConfirm
+};
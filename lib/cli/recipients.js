@@ -0,0 +1,122 @@
+import { AddressBook } from '../AddressBook.js';
+import { parseChecksummedAddress } from './args.js';
+import { UsageError } from './errors.js';
+
+/**
+ * Recipient handling shared by the commands: address book labels as input,
+ * labels in displays and the safety checks shown before a transfer is
+ * initiated or signed
+ */
+
+/**
+ * Resolve a recipient given as an address book label or a checksummed address
+ * @param {CliContext} ctx - Command context
+ * @param {string} value - Raw argument
+ * @param {string} name - Argument name used in error messages
+ * @returns {Object} { address, contact } where contact is the address book entry, if any
+ */
+export function resolveRecipient(ctx, value, name = 'to') {
+    if (value !== undefined && AddressBook.isLabel(value)) {
+        const contact = ctx.addressBook.get(value);
+        if (!contact) {
+            throw new UsageError(`No contact saved as ${value}. Run "multisig contacts list".`);
+        }
+        return { address: contact.address, contact };
+    }
+
+    const address = parseChecksummedAddress(value, name);
+    return { address, contact: ctx.addressBook.find(address) };
+}
+
+/**
+ * Address with its label, when it is in the address book
+ * @param {CliContext} ctx - Command context
+ * @param {string} address - Address to show
+ * @returns {string} "label (address)" or the address
+ */
+export function describeAddress(ctx, address) {
+    const contact = ctx.addressBook.find(address);
+    return contact ? `${contact.label} (${address})` : address;
+}
+
+/**
+ * Warnings about saved contacts the address could be mistaken for: same
+ * first or last characters, as a poisoned address would have
+ * @param {CliContext} ctx - Command context
+ * @param {string} address - Checksummed address
+ * @returns {string[]} Warnings
+ */
+export function lookalikeWarnings(ctx, address) {
+    return ctx.addressBook.lookalikes(address).map(contact => {
+        const ends = [contact.prefix && 'starts', contact.suffix && 'ends'].filter(Boolean).join(' and ');
+        return `${address} ${ends} like saved contact ${contact.label} (${contact.address}) but is a different address; check every character`;
+    });
+}
+
+/**
+ * Warnings from the address book alone: lookalikes and unknown recipients
+ * @param {CliContext} ctx - Command context
+ * @param {string} address - Checksummed recipient
+ * @returns {string[]} Warnings, most serious first
+ */
+export function addressBookWarnings(ctx, address) {
+    const warnings = lookalikeWarnings(ctx, address);
+    if (!ctx.addressBook.find(address)) {
+        warnings.push(`${address} is not in the address book`);
+    }
+    return warnings;
+}
+
+/**
+ * Warnings about a recipient: those of the address book, contracts and
+ * addresses the vault never paid before. Saved contacts are known, so the
+ * vault's history is only scanned (from its deployment block) for others;
+ * with no deployment block and no index yet, the scan would start at block 0
+ * and is skipped with a warning instead.
+ * @param {CliContext} ctx - Command context, connected to the vault
+ * @param {string} address - Checksummed recipient
+ * @returns {Promise<string[]>} Warnings, most serious first
+ */
+export async function recipientWarnings(ctx, address) {
+    const { client } = ctx;
+    const warnings = addressBookWarnings(ctx, address);
+
+    if (await client.getCode(address) !== '0x') {
+        warnings.push(`${address} is a contract; make sure it can receive ETH`);
+    }
+    if (ctx.addressBook.find(address)) {
+        return warnings;
+    }
+
+    if (client.deploymentBlock === null && client.getIndexer().load().startBlock === null) {
+        warnings.push(
+            `Did not check whether the vault paid ${address} before: its deployment block is unknown ` +
+            '(record it as deploymentBlock in the registry, or run "multisig history" to index the vault)'
+        );
+        return warnings;
+    }
+    await client.syncEvents({ fromBlock: client.deploymentBlock });
+    if (client.queryTransfers({ recipient: address, status: 'completed' }).length === 0) {
+        warnings.push(`The vault has never paid ${address} before`);
+    }
+
+    return warnings;
+}
+
+/**
+ * Log recipient warnings on stderr
+ */
+export function logWarnings(ctx, warnings) {
+    for (const warning of warnings) {
+        ctx.log(`Warning: ${warning}`);
+    }
+}
+
+export default {
+    resolveRecipient,
+    describeAddress,
+    lookalikeWarnings,
+    addressBookWarnings,
+    recipientWarnings,
+    logWarnings
+};
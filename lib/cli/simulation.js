@@ -0,0 +1,67 @@
+import { ethers } from 'ethers';
+import { formatFields } from './output.js';
+
+/**
+ * Helpers for the --dry-run mode of state-changing commands
+ */
+
+/**
+ * Option shared by every command that sends a transaction
+ */
+export const DRY_RUN_OPTION = {
+    'dry-run': { type: 'boolean', description: 'Simulate the transaction and report gas and balance changes without sending it' }
+};
+
+/**
+ * Turn a client simulation report into a command result. A simulation that
+ * would revert fails the command with the decoded error.
+ * @param {Object} simulation - Report from a client simulate* method
+ * @param {Object} fields - Command-specific result fields
+ * @returns {Object} Result with dryRun, gas and balanceChanges
+ */
+export function dryRunResult(simulation, fields) {
+    if (!simulation.ok) {
+        throw simulation.error;
+    }
+
+    return {
+        dryRun: true,
+        ...fields,
+        operation: simulation.operation,
+        from: simulation.from,
+        gas: simulation.gas,
+        balanceChanges: simulation.balanceChanges
+    };
+}
+
+function formatEth(value) {
+    return `${ethers.formatEther(value)} ETH`;
+}
+
+/**
+ * Render a dry-run result
+ * @param {Array<[string, *]>} pairs - Command-specific label and value pairs
+ * @param {Object} result - Result from dryRunResult
+ * @returns {string[]} Formatted lines
+ */
+export function formatDryRun(pairs, result) {
+    const { gas } = result;
+
+    return formatFields([
+        ['Dry run', `${result.operation} from ${result.from} (not sent)`],
+        ...pairs,
+        ['Gas', `${gas.limit} at ${ethers.formatUnits(gas.price, 'gwei')} gwei = ${formatEth(gas.cost)}`],
+        ...result.balanceChanges.map(change => [
+            change.labels.length > 0
+                ? change.labels.map(label => label[0].toUpperCase() + label.slice(1)).join(', ')
+                : change.address,
+            `${formatEth(change.before)} -> ${formatEth(change.after)} (${change.change > 0n ? '+' : ''}${formatEth(change.change)})`
+        ])
+    ]);
+}
+
+export default {
+    DRY_RUN_OPTION,
+    dryRunResult,
+    formatDryRun
+};
@@ -0,0 +1,147 @@
+import { ethers } from 'ethers';
+import { parseTime, readApproval } from './args.js';
+import { ConfigError, StateError, UsageError } from './errors.js';
+import { APPROVAL_TYPES, encodeApprovalJSON, isApproval } from '../utils/approval.js';
+import { markTransferCancelled, markTransferCompleted, transferStatus } from '../utils/records.js';
+
+/**
+ * Helpers shared by the commands that act on transfers: on-chain state
+ * checks and the local records kept alongside each action
+ */
+
+/**
+ * Ensure a transfer is still waiting for approval
+ * @param {Object} details - Transfer details from MultisigClient
+ * @param {bigint} nonce - Transfer nonce used in the error message
+ */
+export function requirePending(details, nonce) {
+    const status = transferStatus(details);
+
+    if (status !== 'pending') {
+        throw new StateError(`Transfer ${nonce} is ${status}, expected pending.`);
+    }
+}
+
+/**
+ * Resolve owner2's approval from --approval, --signature, the stored approval
+ * or the coordination server
+ * @param {CliContext} ctx - Command context, connected to the vault
+ * @param {ethers.Signer} owner1 - Signer authenticating coordination requests
+ * @param {bigint} nonce - Transfer nonce
+ * @param {Object} options - { approval, signature, deadline } command options
+ * @returns {Promise<Object>} Approval response, { signature, deadline } or a legacy { v, r, s }
+ *   signature, which the client refuses
+ */
+export async function loadApproval(ctx, owner1, nonce, options = {}) {
+    if (options.approval) {
+        const approval = readApproval(options.approval);
+        if (approval.type !== APPROVAL_TYPES.RESPONSE) {
+            throw new UsageError('--approval expects a signed approval response, not a request');
+        }
+        return approval;
+    }
+
+    if (options.signature) {
+        if (!ethers.isHexString(options.signature) || options.signature === '0x') {
+            throw new UsageError(`Invalid --signature: ${options.signature}`);
+        }
+        if (options.deadline === undefined) {
+            throw new UsageError('--signature needs the --deadline owner2 signed');
+        }
+        // Contract wallets acting as owner2 sign with bytes of any length
+        return { signature: options.signature, deadline: BigInt(parseTime(options.deadline, 'deadline')) };
+    }
+
+    let signatureData;
+    try {
+        signatureData = ctx.client.loadSignature(nonce);
+    } catch (error) {
+        const coordinator = ctx.getCoordinator(owner1);
+        if (!coordinator) {
+            throw new ConfigError(`${error.message} Run "multisig sign ${nonce}" or pass --approval.`);
+        }
+
+        ctx.log(`Fetching the approval from ${coordinator.url}...`);
+        const approval = await coordinator.getApproval(ctx.vaultAddress, nonce);
+        if (!approval) {
+            throw new ConfigError(`Owner2 has not uploaded an approval for transfer ${nonce} to ${coordinator.url} yet.`);
+        }
+        return approval;
+    }
+
+    // Files written before the approval format hold a bare { v, r, s }
+    return isApproval(signatureData) ? signatureData : signatureData.signature;
+}
+
+/**
+ * Store an approval response under the vault of the approval
+ * @param {BaseMultisigClient} client - Client whose storage holds the records
+ * @param {Object} approval - Approval response
+ * @returns {string} Location of the stored record
+ */
+export function saveApproval(client, approval) {
+    // Offline there is no connected vault; file the approval under the request's
+    client.useVaultStorage(approval.chainId, approval.vault);
+    return client.saveSignature(approval.nonce, {
+        ...JSON.parse(encodeApprovalJSON(approval)),
+        timestamp: new Date().toISOString()
+    });
+}
+
+/**
+ * Stored record of a transfer, or null when it was initiated elsewhere
+ */
+function findTransfer(client, nonce) {
+    try {
+        return client.loadTransfer(nonce);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Update the local record of a transfer after completing it
+ * @param {BaseMultisigClient} client - Connected client
+ * @param {bigint} nonce - Transfer nonce
+ * @param {string} txHash - Completion transaction
+ */
+export function recordCompletion(client, nonce, txHash) {
+    const transferData = findTransfer(client, nonce);
+    if (transferData) {
+        client.saveTransfer(nonce, markTransferCompleted(transferData, { txHash }));
+    }
+}
+
+/**
+ * Update the local records of a transfer after cancelling it: the transfer
+ * is marked cancelled and a stored approval unusable
+ * @param {BaseMultisigClient} client - Connected client
+ * @param {bigint} nonce - Transfer nonce
+ * @param {Object} cancellation - { cancelledBy, txHash }
+ */
+export function recordCancellation(client, nonce, { cancelledBy, txHash }) {
+    const transferData = findTransfer(client, nonce);
+    if (transferData) {
+        client.saveTransfer(nonce, markTransferCancelled(transferData, { cancelledBy, txHash }));
+    }
+
+    let signatureData = null;
+    try {
+        signatureData = client.loadSignature(nonce);
+    } catch {
+        // Not signed yet
+    }
+    if (signatureData) {
+        // Keep the record for auditing but mark it unusable
+        signatureData.cancelled = true;
+        client.saveSignature(nonce, signatureData);
+    }
+}
+
+export default {
+    requirePending,
+    loadApproval,
+    saveApproval,
+    recordCompletion,
+    recordCancellation
+};
@@ -0,0 +1,421 @@
+import { ethers } from 'ethers';
+import readline from 'readline';
+import { computeDataHash, defaultDeadline } from '../utils/approval.js';
+import { migrateTransferRecord, transferStatus } from '../utils/records.js';
+import { formatDeadline } from './output.js';
+
+/**
+ * Interactive terminal UI for reviewing and approving transfers.
+ *
+ * Screens: the transfer list, the detail of one transfer (on-chain data next
+ * to the local records) and a confirmation screen shown before every action.
+ * Nothing is signed or sent until the confirmation is answered with "y".
+ */
+
+const FILTERS = ['all', 'pending', 'completed', 'cancelled'];
+
+// Actions on a pending transfer; role is the owner allowed to take it (null: either)
+const ACTIONS = {
+    sign: { key: 's', label: 'Sign approval', role: 'owner2' },
+    complete: { key: 'c', label: 'Complete transfer', role: 'owner1' },
+    cancel: { key: 'x', label: 'Reject (cancel transfer)', role: null }
+};
+
+const CLEAR_SCREEN = '\x1b[2J\x1b[H';
+const HIDE_CURSOR = '\x1b[?25l';
+const SHOW_CURSOR = '\x1b[?25h';
+
+function formatEth(value) {
+    return `${ethers.formatEther(value)} ETH`;
+}
+
+/**
+ * Read a local record, null when there is none
+ */
+function readRecord(load, nonce) {
+    try {
+        return load(nonce);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Read the vault and every transfer, newest first, with their local records
+ * @param {BaseMultisigClient} client - Connected client
+ * @returns {Promise<Object>} { vault, chainId, balance, owners, transfers }
+ */
+export async function loadVaultState(client) {
+    const [chainId, balance, owners, count] = await Promise.all([
+        client.getChainId(),
+        client.getBalance(),
+        client.getOwners(),
+        client.getCurrentNonce()
+    ]);
+
+    const transfers = [];
+    for (let nonce = count - 1n; nonce >= 0n; nonce--) {
+        const details = await client.getTransferDetails(nonce);
+        const record = readRecord(n => client.loadTransfer(n), nonce);
+        transfers.push({
+            nonce,
+            status: transferStatus(details),
+            details,
+            record: record ? migrateTransferRecord(record) : null,
+            approval: readRecord(n => client.loadSignature(n), nonce)
+        });
+    }
+
+    return { vault: client.contractAddress, chainId, balance, owners, transfers };
+}
+
+/**
+ * Compare a transfer's on-chain data with its local record
+ * @param {Object} transfer - Entry of loadVaultState
+ * @returns {Array<[string, string, string]>} Label, on-chain value and local verdict
+ */
+export function compareWithRecord({ status, details, record }) {
+    const fields = [
+        ['Recipient', details.to, record?.recipient],
+        ['Amount', formatEth(details.amount), record?.amountWei ? formatEth(record.amountWei) : null],
+        ['Data hash', details.dataHash.toLowerCase(), record?.dataHash?.toLowerCase()],
+        ['Status', status, record?.status]
+    ];
+
+    return fields.map(([label, chain, local]) => {
+        if (!record) {
+            return [label, chain, 'no local record'];
+        }
+        if (local === null || local === undefined) {
+            return [label, chain, 'not recorded'];
+        }
+        return [label, chain, local === chain ? 'matches' : `differs: ${local}`];
+    });
+}
+
+function describeApproval(approval) {
+    if (!approval) {
+        return 'none stored';
+    }
+    if (approval.cancelled) {
+        return 'stored, unusable (transfer cancelled)';
+    }
+    return approval.signer ? `stored, signed by ${approval.signer}` : 'stored (legacy signature)';
+}
+
+/**
+ * TransferReview - The interactive UI. Actions are supplied by the caller:
+ * { sign(request, { deadline }), complete(nonce), cancel(nonce) }, each
+ * resolving to a message for the status line.
+ */
+export class TransferReview {
+    /**
+     * @param {Object} options - { client, role, address, actions, describeRecipient, input, output }
+     *   where client is connected to the vault, role the owner using the UI ('owner1' or
+     *   'owner2'), address its address and describeRecipient an async
+     *   address => { label, warnings } shown on the confirmation screen
+     */
+    constructor({ client, role, address, actions, describeRecipient = null, input = process.stdin, output = process.stdout }) {
+        this.client = client;
+        this.role = role;
+        this.address = address;
+        this.actions = actions;
+        this.describeRecipient = describeRecipient;
+        this.input = input;
+        this.output = output;
+
+        this.state = null;
+        this.screen = 'list';
+        this.filter = 'all';
+        this.selected = 0;
+        this.confirmation = null;
+        this.message = '';
+        this.done = false;
+    }
+
+    /**
+     * Transfers shown with the current filter
+     */
+    get visible() {
+        const transfers = this.state?.transfers ?? [];
+        return this.filter === 'all' ? transfers : transfers.filter(({ status }) => status === this.filter);
+    }
+
+    get current() {
+        return this.visible[this.selected] ?? null;
+    }
+
+    /**
+     * Actions the role may take on a transfer
+     */
+    availableActions(transfer) {
+        if (!transfer || transfer.status !== 'pending') {
+            return [];
+        }
+        return Object.entries(ACTIONS)
+            .filter(([, action]) => action.role === null || action.role === this.role)
+            .map(([name]) => name);
+    }
+
+    /**
+     * Reload the vault state, keeping the selection on the same transfer
+     */
+    async refresh() {
+        const nonce = this.current?.nonce;
+        this.state = await loadVaultState(this.client);
+
+        const index = this.visible.findIndex(transfer => transfer.nonce === nonce);
+        this.selected = index >= 0 ? index : Math.min(this.selected, Math.max(this.visible.length - 1, 0));
+        if (!this.current) {
+            this.screen = 'list';
+        }
+    }
+
+    /**
+     * Run until the user quits
+     */
+    async run() {
+        readline.emitKeypressEvents(this.input);
+        if (this.input.isTTY) {
+            this.input.setRawMode(true);
+        }
+
+        await this.refresh();
+        this.output.write(HIDE_CURSOR);
+        this.draw();
+
+        try {
+            await new Promise((resolve, reject) => {
+                let queue = Promise.resolve();
+                this.onKeypress = (sequence, key = {}) => {
+                    // One key at a time; actions may take a while
+                    queue = queue
+                        .then(() => this.handleKey({ ...key, sequence }))
+                        .catch(error => {
+                            // RPC failures and transfers changed by the other owner
+                            this.message = `Error: ${error.shortMessage || error.message}`;
+                        })
+                        .then(() => (this.done ? resolve() : this.draw()))
+                        .catch(reject);
+                };
+                this.input.on('keypress', this.onKeypress);
+                this.input.once('end', resolve);
+                this.input.resume();
+            });
+        } finally {
+            this.input.off('keypress', this.onKeypress);
+            if (this.input.isTTY) {
+                this.input.setRawMode(false);
+            }
+            this.input.pause();
+            this.output.write(SHOW_CURSOR);
+        }
+    }
+
+    /**
+     * Redraw the whole screen
+     */
+    draw() {
+        this.output.write(`${CLEAR_SCREEN}${this.render().join('\n')}\n`);
+    }
+
+    /**
+     * Handle one key press
+     * @param {Object} key - readline keypress: { name, ctrl, sequence }
+     */
+    async handleKey(key) {
+        const name = key.name ?? key.sequence;
+
+        if (key.ctrl && name === 'c') {
+            this.done = true;
+            return;
+        }
+        this.message = '';
+
+        if (this.screen === 'confirm') {
+            await this.handleConfirmKey(name);
+            return;
+        }
+
+        switch (name) {
+            case 'q':
+                this.done = true;
+                return;
+            case 'up':
+            case 'k':
+                this.selected = Math.max(this.selected - 1, 0);
+                return;
+            case 'down':
+            case 'j':
+                this.selected = Math.min(this.selected + 1, Math.max(this.visible.length - 1, 0));
+                return;
+            case 'r':
+                await this.refresh();
+                this.message = 'Refreshed';
+                return;
+        }
+
+        if (this.screen === 'list') {
+            if (name === 'f') {
+                this.filter = FILTERS[(FILTERS.indexOf(this.filter) + 1) % FILTERS.length];
+                this.selected = 0;
+            } else if ((name === 'return' || name === 'right') && this.current) {
+                this.screen = 'detail';
+            }
+            return;
+        }
+
+        if (name === 'escape' || name === 'left' || name === 'b') {
+            this.screen = 'list';
+            return;
+        }
+
+        const action = this.availableActions(this.current).find(action => ACTIONS[action].key === name);
+        if (action) {
+            await this.confirm(action, this.current);
+        }
+    }
+
+    /**
+     * Show the confirmation screen for an action. The approval request and
+     * its deadline are fixed here so that exactly the reviewed transfer is signed.
+     */
+    async confirm(action, transfer) {
+        const request = await this.client.createApprovalRequest(transfer.nonce);
+        const recipient = this.describeRecipient ? await this.describeRecipient(request.recipient) : { label: null, warnings: [] };
+        this.confirmation = {
+            action,
+            request,
+            dataHashMatches: computeDataHash(request) === request.dataHash,
+            deadline: action === 'sign' ? defaultDeadline(await this.client.getLatestTimestamp()) : null,
+            label: recipient.label,
+            warnings: recipient.warnings
+        };
+        this.screen = 'confirm';
+    }
+
+    async handleConfirmKey(name) {
+        const { action, request, dataHashMatches, deadline } = this.confirmation;
+
+        if (['n', 'escape', 'b', 'q'].includes(name)) {
+            this.message = 'Aborted, nothing was signed or sent';
+            this.confirmation = null;
+            this.screen = 'detail';
+            return;
+        }
+        // Any other key, and "y" for a transfer whose dataHash does not add up, is ignored
+        if (name !== 'y' || !dataHashMatches) {
+            return;
+        }
+
+        this.confirmation = null;
+        this.screen = 'detail';
+        this.message = `${ACTIONS[action].label}...`;
+        this.draw();
+
+        try {
+            this.message = await (action === 'sign'
+                ? this.actions.sign(request, { deadline })
+                : this.actions[action](request.nonce));
+        } catch (error) {
+            this.message = `Error: ${error.shortMessage || error.message}`;
+        }
+        await this.refresh();
+    }
+
+    /**
+     * Current screen as lines of text
+     */
+    render() {
+        const { state } = this;
+        const header = [
+            `Vault ${state.vault} on chain ${state.chainId}    Balance ${formatEth(state.balance)}`,
+            `You are ${this.role} (${this.address})`,
+            ''
+        ];
+
+        let body;
+        let keys;
+        if (this.screen === 'confirm') {
+            body = this.renderConfirmation();
+            keys = this.confirmation.dataHashMatches ? 'y confirm  n abort' : 'n abort';
+        } else if (this.screen === 'detail') {
+            body = this.renderDetail(this.current);
+            const actions = this.availableActions(this.current).map(name => `${ACTIONS[name].key} ${ACTIONS[name].label.toLowerCase()}`);
+            keys = [...actions, 'j/k next/previous', 'b back', 'r refresh', 'q quit'].join('  ');
+        } else {
+            body = this.renderList();
+            keys = 'j/k move  enter details  f filter  r refresh  q quit';
+        }
+
+        return [...header, ...body, '', keys, this.message];
+    }
+
+    renderList() {
+        const lines = [`Transfers (${this.filter}, ${this.visible.length} of ${this.state.transfers.length})`];
+        if (this.visible.length === 0) {
+            return [...lines, '  No transfers.'];
+        }
+
+        return [...lines, ...this.visible.map((transfer, index) => [
+            index === this.selected ? '>' : ' ',
+            String(transfer.nonce).padStart(5),
+            transfer.status.padEnd(10),
+            transfer.details.to,
+            formatEth(transfer.details.amount).padEnd(14),
+            transfer.status === 'pending' && transfer.approval && !transfer.approval.cancelled ? 'approval stored' : ''
+        ].join(' ').trimEnd())];
+    }
+
+    renderDetail(transfer) {
+        const rows = compareWithRecord(transfer);
+        const width = Math.max(...rows.map(([label]) => label.length), 'Approval'.length) + 2;
+
+        return [
+            `Transfer ${transfer.nonce}`,
+            '',
+            `${''.padEnd(width)}On chain / local record`,
+            ...rows.flatMap(([label, chain, verdict]) => [
+                `${label.padEnd(width)}${chain}`,
+                `${''.padEnd(width)}${verdict}`
+            ]),
+            `${'Approval'.padEnd(width)}${describeApproval(transfer.approval)}`
+        ];
+    }
+
+    renderConfirmation() {
+        const { action, request, dataHashMatches, deadline, label, warnings } = this.confirmation;
+
+        const lines = [
+            `${ACTIONS[action].label} - review before confirming`,
+            '',
+            `  Vault       ${request.vault}`,
+            `  Nonce       ${request.nonce}`,
+            `  Recipient   ${label ? `${label} (${request.recipient})` : request.recipient}`,
+            `  Amount      ${formatEth(request.amount)}`,
+            `  Data hash   ${request.dataHash}`,
+            `              ${dataHashMatches ? 'matches' : 'DOES NOT MATCH'} keccak256(vault, nonce, recipient, amount)`,
+            ...(deadline !== null ? [`  Valid until ${formatDeadline(deadline)}`] : []),
+            '',
+            ...warnings.map(warning => `  Warning: ${warning}`),
+            ...(warnings.length > 0 ? [''] : [])
+        ];
+
+        if (!dataHashMatches) {
+            return [...lines, 'The on-chain dataHash does not describe this transfer. Do not approve it.'];
+        }
+        if (action === 'sign') {
+            return [...lines, `Sign this transfer as owner2 (${this.address})?`];
+        }
+        if (action === 'complete') {
+            return [...lines, "Send completeTransfer with owner2's approval?"];
+        }
+        return [...lines, `Cancel this transfer as ${this.role}? It cannot be completed afterwards.`];
+    }
+}
+
+export default {
+    loadVaultState,
+    compareWithRecord,
+    TransferReview
+};
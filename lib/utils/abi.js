@@ -36,7 +36,8 @@ export function loadContractABI(contractName, basePath = null) {
  * Load full contract artifact (ABI + bytecode)
  * @param {string} contractName - Name of the contract
  * @param {string} basePath - Base path to search from (defaults to project root)
- * @returns {Object} Full contract artifact with abi and bytecode
+ * @returns {Object} Full contract artifact with abi, bytecode, deployedBytecode
+ *   and its immutableReferences, the artifact path and compiler metadata
  */
 export function loadContractArtifact(contractName, basePath = null) {
     const projectRoot = basePath || path.join(__dirname, '../..');
@@ -59,6 +60,9 @@ export function loadContractArtifact(contractName, basePath = null) {
     return {
         abi: contractJson.abi,
         bytecode: contractJson.bytecode.object,
+        deployedBytecode: contractJson.deployedBytecode?.object ?? null,
+        immutableReferences: contractJson.deployedBytecode?.immutableReferences ?? {},
+        path: contractPath,
         metadata: {
             compiler: contractJson.metadata?.compiler,
             settings: contractJson.metadata?.settings,
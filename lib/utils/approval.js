@@ -0,0 +1,373 @@
+import { ethers } from 'ethers';
+
+/**
+ * Portable approval format exchanged between the vault owners.
+ *
+ * Owner1 hands out an approval request describing a pending transfer; Owner2
+ * answers with an approval response that adds the signature and its deadline.
+ * Both are self-describing (chain id and vault address included) so they can
+ * travel over any channel and be checked against the chain before use.
+ *
+ * Owner2 signs the EIP-712 Transfer struct of the vault's domain, so wallets
+ * show the transfer fields instead of an opaque hash.
+ *
+ * A request may carry owner1's memo, which the spending policy can require
+ * (requireMemoAbove). It is not signed and responses leave it out.
+ */
+
+// Version 1 approvals signed the prefixed dataHash, which the vault no longer accepts
+export const APPROVAL_VERSION = 2;
+
+export const APPROVAL_TYPES = {
+    REQUEST: 'approval-request',
+    RESPONSE: 'approval-response'
+};
+
+// Prefix of the compact string form: multisig:v2:<base64url JSON>
+const COMPACT_PREFIX = `multisig:v${APPROVAL_VERSION}:`;
+
+// Compact strings of any version, so old ones are reported rather than misread
+const ANY_COMPACT_PREFIX = /^multisig:v\d+:/;
+
+// How long an approval stays valid unless Owner2 picks a deadline (seconds)
+export const DEFAULT_APPROVAL_TTL = 24n * 60n * 60n;
+
+// EIP712("MultisigVault", "1") in the contract; chainId and verifyingContract are per vault
+export const TRANSFER_DOMAIN = {
+    name: 'MultisigVault',
+    version: '1'
+};
+
+export const TRANSFER_TYPES = {
+    Transfer: [
+        { name: 'nonce', type: 'uint256' },
+        { name: 'to', type: 'address' },
+        { name: 'amount', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+    ]
+};
+
+/**
+ * Raised when an approval is malformed or does not match the chain
+ */
+export class ApprovalError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ApprovalError';
+    }
+}
+
+function requireField(data, field) {
+    if (data[field] === undefined || data[field] === null || data[field] === '') {
+        throw new ApprovalError(`Approval is missing "${field}"`);
+    }
+    return data[field];
+}
+
+function toUint(value, field) {
+    try {
+        const result = BigInt(value);
+        if (result < 0n) {
+            throw new Error();
+        }
+        return result;
+    } catch {
+        throw new ApprovalError(`Approval field "${field}" is not an unsigned integer: ${value}`);
+    }
+}
+
+function toAddress(value, field) {
+    if (!ethers.isAddress(value)) {
+        throw new ApprovalError(`Approval field "${field}" is not an address: ${value}`);
+    }
+    return ethers.getAddress(value);
+}
+
+function toBytes32(value, field) {
+    if (!ethers.isHexString(value, 32)) {
+        throw new ApprovalError(`Approval field "${field}" is not a 32-byte hex string: ${value}`);
+    }
+    return value.toLowerCase();
+}
+
+/**
+ * Build an approval request for a pending transfer
+ * @param {Object} fields - { chainId, vault, nonce, recipient, amount, dataHash, memo }
+ * @returns {Object} Normalized approval request; memo only when there is one
+ */
+export function createApprovalRequest({ chainId, vault, nonce, recipient, amount, dataHash, memo = null }) {
+    if (memo !== null && typeof memo !== 'string') {
+        throw new ApprovalError(`Approval field "memo" is not a string: ${memo}`);
+    }
+
+    return {
+        version: APPROVAL_VERSION,
+        type: APPROVAL_TYPES.REQUEST,
+        chainId: toUint(chainId, 'chainId'),
+        vault: toAddress(vault, 'vault'),
+        nonce: toUint(nonce, 'nonce'),
+        recipient: toAddress(recipient, 'recipient'),
+        amount: toUint(amount, 'amount'),
+        dataHash: toBytes32(dataHash, 'dataHash'),
+        ...(memo ? { memo } : {})
+    };
+}
+
+/**
+ * Answer an approval request with Owner2's signature
+ * @param {Object} request - Approval request
+ * @param {string} signature - Serialized signature
+ * @param {string} signer - Address of the signer
+ * @param {bigint|number|string} deadline - Last timestamp the signature is valid at
+ * @returns {Object} Normalized approval response
+ */
+export function createApprovalResponse(request, signature, signer, deadline) {
+    if (!ethers.isHexString(signature)) {
+        throw new ApprovalError(`Approval signature is not a hex string: ${signature}`);
+    }
+
+    return {
+        ...createApprovalRequest({ ...request, memo: null }),
+        type: APPROVAL_TYPES.RESPONSE,
+        deadline: toUint(deadline, 'deadline'),
+        signature: signature.toLowerCase(),
+        signer: toAddress(signer, 'signer')
+    };
+}
+
+/**
+ * Validate and normalize a parsed approval object
+ * @param {Object} data - Parsed approval (fields may be strings)
+ * @returns {Object} Normalized approval request or response
+ */
+export function normalizeApproval(data) {
+    if (!data || typeof data !== 'object') {
+        throw new ApprovalError('Approval must be an object');
+    }
+
+    const version = Number(requireField(data, 'version'));
+    if (version === 1) {
+        throw new ApprovalError('Version 1 approvals are no longer accepted by the vault; Owner2 has to sign the transfer again');
+    }
+    if (version !== APPROVAL_VERSION) {
+        throw new ApprovalError(`Unsupported approval version: ${data.version}`);
+    }
+
+    const type = requireField(data, 'type');
+    const request = createApprovalRequest({
+        chainId: requireField(data, 'chainId'),
+        vault: requireField(data, 'vault'),
+        nonce: requireField(data, 'nonce'),
+        recipient: requireField(data, 'recipient'),
+        amount: requireField(data, 'amount'),
+        dataHash: requireField(data, 'dataHash'),
+        memo: type === APPROVAL_TYPES.REQUEST ? data.memo ?? null : null
+    });
+
+    if (type === APPROVAL_TYPES.REQUEST) {
+        return request;
+    }
+    if (type === APPROVAL_TYPES.RESPONSE) {
+        return createApprovalResponse(
+            request,
+            requireField(data, 'signature'),
+            requireField(data, 'signer'),
+            requireField(data, 'deadline')
+        );
+    }
+    throw new ApprovalError(`Unknown approval type: ${type}`);
+}
+
+/**
+ * Whether a value looks like an approval (object or encoded string)
+ */
+export function isApproval(value) {
+    if (typeof value === 'string') {
+        const text = value.trim();
+        return ANY_COMPACT_PREFIX.test(text) || text.startsWith('{');
+    }
+    return Boolean(value) && typeof value === 'object' && Object.values(APPROVAL_TYPES).includes(value.type);
+}
+
+/**
+ * Convert an approval to plain JSON-compatible data
+ */
+function toPlain(approval) {
+    const normalized = normalizeApproval(approval);
+    const plain = {
+        ...normalized,
+        chainId: normalized.chainId.toString(),
+        nonce: normalized.nonce.toString(),
+        amount: normalized.amount.toString()
+    };
+    if (normalized.deadline !== undefined) {
+        plain.deadline = normalized.deadline.toString();
+    }
+    return plain;
+}
+
+/**
+ * Encode an approval as JSON text
+ * @param {Object} approval - Approval request or response
+ * @returns {string} Pretty-printed JSON
+ */
+export function encodeApprovalJSON(approval) {
+    return JSON.stringify(toPlain(approval), null, 2);
+}
+
+/**
+ * Encode an approval as a compact, URL-safe string
+ * @param {Object} approval - Approval request or response
+ * @returns {string} multisig:v2:<base64url>
+ */
+export function encodeApprovalCompact(approval) {
+    return COMPACT_PREFIX + Buffer.from(JSON.stringify(toPlain(approval))).toString('base64url');
+}
+
+/**
+ * Decode an approval from JSON text, a compact string or an object
+ * @param {string|Object} input - Encoded approval
+ * @returns {Object} Normalized approval request or response
+ */
+export function decodeApproval(input) {
+    if (typeof input !== 'string') {
+        return normalizeApproval(input);
+    }
+
+    const text = input.trim();
+    let data;
+    try {
+        const prefix = text.match(ANY_COMPACT_PREFIX);
+        if (prefix) {
+            data = JSON.parse(Buffer.from(text.slice(prefix[0].length), 'base64url').toString('utf8'));
+        } else {
+            data = JSON.parse(text);
+        }
+    } catch {
+        throw new ApprovalError(`Approval is neither valid JSON nor a ${COMPACT_PREFIX} string`);
+    }
+
+    return normalizeApproval(data);
+}
+
+/**
+ * Recompute a transfer's dataHash exactly as the vault does:
+ * keccak256(abi.encodePacked(vault, nonce, to, amount))
+ * @param {Object} fields - { vault, nonce, recipient, amount }
+ * @returns {string} dataHash (lowercase hex)
+ */
+export function computeDataHash({ vault, nonce, recipient, amount }) {
+    return ethers.solidityPackedKeccak256(
+        ['address', 'uint256', 'address', 'uint256'],
+        [vault, nonce, recipient, amount]
+    ).toLowerCase();
+}
+
+/**
+ * Check that an approval's dataHash matches its vault, nonce, recipient and amount
+ * @param {Object} approval - Normalized approval
+ * @returns {Object} The same approval
+ */
+export function verifyApprovalHash(approval) {
+    const expected = computeDataHash(approval);
+    if (approval.dataHash !== expected) {
+        throw new ApprovalError(`Approval dataHash ${approval.dataHash} does not match its transfer fields (expected ${expected})`);
+    }
+    return approval;
+}
+
+/**
+ * Deadline of an approval signed now
+ * @param {bigint|number} now - Current timestamp in seconds, e.g. of the latest block
+ * @returns {bigint} Deadline DEFAULT_APPROVAL_TTL from now
+ */
+export function defaultDeadline(now = Math.floor(Date.now() / 1000)) {
+    return BigInt(now) + DEFAULT_APPROVAL_TTL;
+}
+
+/**
+ * EIP-712 typed data Owner2 signs to approve a transfer until the deadline,
+ * as hashed by the vault's hashTransfer
+ * @param {Object} fields - { chainId, vault, nonce, recipient, amount, deadline }
+ * @returns {Object} { domain, types, primaryType, message }
+ */
+export function transferTypedData({ chainId, vault, nonce, recipient, amount, deadline }) {
+    return {
+        domain: { ...TRANSFER_DOMAIN, chainId: toUint(chainId, 'chainId'), verifyingContract: toAddress(vault, 'vault') },
+        types: TRANSFER_TYPES,
+        primaryType: 'Transfer',
+        message: {
+            nonce: toUint(nonce, 'nonce'),
+            to: toAddress(recipient, 'recipient'),
+            amount: toUint(amount, 'amount'),
+            deadline: toUint(deadline, 'deadline')
+        }
+    };
+}
+
+/**
+ * EIP-712 digest of a transfer approval (see transferTypedData)
+ * @param {Object} fields - { chainId, vault, nonce, recipient, amount, deadline }
+ * @returns {string} Digest
+ */
+export function hashTransfer(fields) {
+    const { domain, types, message } = transferTypedData(fields);
+    return ethers.TypedDataEncoder.hash(domain, types, message);
+}
+
+/**
+ * Sign an approval request without any provider. The dataHash is recomputed
+ * locally so a tampered request cannot smuggle in a different transfer.
+ * @param {Object|string} input - Approval request (object, JSON or compact string)
+ * @param {ethers.Signer} signer - Owner2 signer; only signTypedData is used
+ * @param {Object} options - { deadline } (default: DEFAULT_APPROVAL_TTL from the local clock)
+ * @returns {Promise<Object>} Approval response
+ */
+export async function signApprovalRequest(input, signer, { deadline = defaultDeadline() } = {}) {
+    const request = decodeApproval(input);
+    if (request.type !== APPROVAL_TYPES.REQUEST) {
+        throw new ApprovalError(`Expected an approval request, got ${request.type}`);
+    }
+    verifyApprovalHash(request);
+
+    const { domain, types, message } = transferTypedData({ ...request, deadline });
+    const signature = await signer.signTypedData(domain, types, message);
+    return createApprovalResponse(request, signature, await signer.getAddress(), deadline);
+}
+
+/**
+ * Recover the address that produced an approval response signature
+ * @param {Object} response - Approval response
+ * @returns {string} Recovered address
+ */
+export function recoverApprovalSigner(response) {
+    const { domain, types, message } = transferTypedData(response);
+    try {
+        return ethers.verifyTypedData(domain, types, message, response.signature);
+    } catch {
+        throw new ApprovalError('Approval signature is malformed');
+    }
+}
+
+export default {
+    APPROVAL_VERSION,
+    APPROVAL_TYPES,
+    DEFAULT_APPROVAL_TTL,
+    TRANSFER_DOMAIN,
+    TRANSFER_TYPES,
+    ApprovalError,
+    createApprovalRequest,
+    createApprovalResponse,
+    normalizeApproval,
+    isApproval,
+    encodeApprovalJSON,
+    encodeApprovalCompact,
+    decodeApproval,
+    computeDataHash,
+    verifyApprovalHash,
+    defaultDeadline,
+    transferTypedData,
+    hashTransfer,
+    signApprovalRequest,
+    recoverApprovalSigner
+};
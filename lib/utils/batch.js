@@ -0,0 +1,264 @@
+import { ethers } from 'ethers';
+import path from 'path';
+import { AddressBook } from '../AddressBook.js';
+
+/**
+ * Payout batch files: one row per transfer with recipient, amount (ETH) and
+ * an optional memo.
+ *
+ * CSV files may start with a header naming the columns (recipient/address/to,
+ * amount/value, memo/note/description); without one the columns are
+ * recipient,amount,memo. JSON files hold an array of { recipient, amount, memo }
+ * objects, or { transfers: [...] }. Recipients are checksummed addresses or
+ * address book labels.
+ */
+
+export const BATCH_FORMATS = ['csv', 'json'];
+
+const COLUMN_NAMES = {
+    recipient: ['recipient', 'address', 'to'],
+    amount: ['amount', 'value', 'eth'],
+    memo: ['memo', 'note', 'description', 'reference']
+};
+
+/**
+ * Raised when a batch file cannot be read; problems lists the offending rows
+ */
+export class BatchError extends Error {
+    constructor(message, problems = []) {
+        super(message);
+        this.name = 'BatchError';
+        this.problems = problems;
+    }
+}
+
+/**
+ * Format of a batch file from its extension
+ * @param {string} file - File path
+ * @returns {string} 'csv' or 'json'
+ */
+export function batchFormat(file) {
+    const extension = path.extname(file).slice(1).toLowerCase();
+    if (!BATCH_FORMATS.includes(extension)) {
+        throw new BatchError(`Cannot tell the format of ${file}; expected a .csv or .json file`);
+    }
+    return extension;
+}
+
+/**
+ * Split CSV text into records. Fields may be quoted; quotes inside quoted
+ * fields are doubled.
+ * @param {string} text - CSV text
+ * @returns {string[][]} Records, without blank lines
+ */
+export function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field.trim() === '') {
+            quoted = true;
+            field = '';
+        } else if (char === ',') {
+            record.push(field.trim());
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            record.push(field.trim());
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) {
+        throw new BatchError('Unterminated quoted field in CSV');
+    }
+    record.push(field.trim());
+    records.push(record);
+
+    return records.filter(fields => fields.some(value => value !== ''));
+}
+
+/**
+ * Column positions from a CSV header, or null when the first record is data
+ */
+function headerColumns(fields) {
+    const names = fields.map(name => name.toLowerCase());
+    if (!names.some(name => COLUMN_NAMES.recipient.includes(name))) {
+        return null;
+    }
+
+    return Object.fromEntries(Object.entries(COLUMN_NAMES).map(([column, aliases]) => [
+        column,
+        names.findIndex(name => aliases.includes(name))
+    ]));
+}
+
+/**
+ * Read the raw entries of a batch file
+ * @param {string} text - File content
+ * @param {string} format - 'csv' or 'json'
+ * @returns {Object[]} { row, recipient, amount, memo } as written in the file; row is 1-based
+ */
+export function parseBatch(text, format) {
+    if (format === 'json') {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new BatchError(`Batch file is not valid JSON: ${error.message}`);
+        }
+
+        const entries = Array.isArray(data) ? data : data?.transfers;
+        if (!Array.isArray(entries)) {
+            throw new BatchError('JSON batch files hold an array of transfers, or { "transfers": [...] }');
+        }
+        return entries.map((entry, index) => ({
+            row: index + 1,
+            recipient: entry?.recipient ?? entry?.to ?? entry?.address,
+            amount: entry?.amount ?? entry?.value,
+            memo: entry?.memo ?? entry?.note ?? ''
+        }));
+    }
+
+    const records = parseCsv(text);
+    const header = records.length > 0 ? headerColumns(records[0]) : null;
+    const columns = header ?? { recipient: 0, amount: 1, memo: 2 };
+    if (header && columns.amount < 0) {
+        throw new BatchError('CSV header has no amount column');
+    }
+
+    return records.slice(header ? 1 : 0).map((fields, index) => ({
+        row: index + 1,
+        recipient: fields[columns.recipient],
+        amount: fields[columns.amount],
+        memo: columns.memo >= 0 ? fields[columns.memo] ?? '' : ''
+    }));
+}
+
+/**
+ * Recipient of a row: a saved contact's address or a checksummed address
+ * @returns {Object} { address, problem } where one of them is null
+ */
+function resolveRowRecipient(recipient, addressBook) {
+    if (addressBook && AddressBook.isLabel(recipient)) {
+        const contact = addressBook.get(recipient);
+        return contact
+            ? { address: contact.address, problem: null }
+            : { address: null, problem: `no contact saved as ${recipient}` };
+    }
+    if (!ethers.isAddress(recipient)) {
+        return { address: null, problem: `invalid recipient address "${recipient}"` };
+    }
+
+    const address = ethers.getAddress(recipient);
+    if (address === ethers.ZeroAddress) {
+        return { address: null, problem: 'recipient is the zero address' };
+    }
+    if (recipient !== address) {
+        return { address: null, problem: `recipient ${recipient} is not checksummed; copy the address from its source or use ${address} after checking it` };
+    }
+    return { address, problem: null };
+}
+
+/**
+ * Validate batch entries
+ * @param {Object[]} entries - Output of parseBatch
+ * @param {Object} options - { addressBook } whose labels are accepted as recipients
+ * @returns {Object} { rows, problems, warnings } where rows are { row, recipient, amount (wei), memo }
+ *   and problems/warnings are { row, message }
+ */
+export function validateBatch(entries, { addressBook = null } = {}) {
+    const rows = [];
+    const problems = [];
+    const warnings = [];
+    const seen = new Map();
+
+    if (entries.length === 0) {
+        problems.push({ row: null, message: 'Batch has no transfers' });
+    }
+
+    for (const entry of entries) {
+        const recipient = String(entry.recipient ?? '').trim();
+        const amountText = String(entry.amount ?? '').trim();
+        const memo = String(entry.memo ?? '').trim();
+        const rowProblems = [];
+
+        const { address, problem } = resolveRowRecipient(recipient, addressBook);
+        if (problem) {
+            rowProblems.push(problem);
+        }
+
+        let amount = null;
+        try {
+            amount = ethers.parseEther(amountText);
+        } catch {
+            rowProblems.push(`invalid amount "${amountText}"`);
+        }
+        if (amount !== null && amount <= 0n) {
+            rowProblems.push('amount must be greater than zero');
+        }
+
+        if (rowProblems.length > 0) {
+            problems.push(...rowProblems.map(message => ({ row: entry.row, message })));
+            continue;
+        }
+
+        const row = { row: entry.row, recipient: address, amount, memo };
+        const key = `${row.recipient}:${amount}`;
+        if (seen.has(key)) {
+            warnings.push({ row: entry.row, message: `same recipient and amount as row ${seen.get(key)}` });
+        } else {
+            seen.set(key, entry.row);
+        }
+        rows.push(row);
+    }
+
+    return { rows, problems, warnings };
+}
+
+/**
+ * Identifier of a batch: a hash of its validated rows, so the same file
+ * always maps to the same report
+ * @param {Object[]} rows - Validated rows
+ * @returns {string} 16 hex characters
+ */
+export function batchId(rows) {
+    const canonical = rows.map(({ recipient, amount, memo }) => [recipient, amount.toString(), memo]);
+    return ethers.id(JSON.stringify(canonical)).slice(2, 18);
+}
+
+/**
+ * Default report file of a batch file: payroll.csv -> payroll.report.json
+ */
+export function defaultReportPath(file) {
+    const { dir, name } = path.parse(file);
+    return path.join(dir, `${name}.report.json`);
+}
+
+export default {
+    BATCH_FORMATS,
+    BatchError,
+    batchFormat,
+    parseCsv,
+    parseBatch,
+    validateBatch,
+    batchId,
+    defaultReportPath
+};
@@ -0,0 +1,123 @@
+import { ethers } from 'ethers';
+
+/**
+ * Request authentication for the coordination server.
+ *
+ * There are no accounts or passwords: every request carries the sender's
+ * address, a timestamp and a personal_sign signature over the method, path,
+ * timestamp and body hash. The server recovers the signer and checks it is
+ * an owner of the vault the request is about. A contract wallet owner signs
+ * through ERC-1271 instead; the server asks the wallet whether it accepts the
+ * signature of the message hash.
+ */
+
+export const AUTH_VERSION = 1;
+
+export const AUTH_HEADERS = {
+    ADDRESS: 'x-multisig-address',
+    TIMESTAMP: 'x-multisig-timestamp',
+    SIGNATURE: 'x-multisig-signature'
+};
+
+// Accepted difference between the request timestamp and the server clock (seconds)
+export const DEFAULT_MAX_CLOCK_SKEW = 300;
+
+/**
+ * Raised by the coordination server and client; status is the HTTP status
+ */
+export class CoordinationError extends Error {
+    constructor(message, status = 500) {
+        super(message);
+        this.name = 'CoordinationError';
+        this.status = status;
+    }
+}
+
+/**
+ * Text an owner signs to authenticate a request
+ * @param {Object} request - { method, path, timestamp, body } where path includes the query string
+ * @returns {string} Message to sign
+ */
+export function authMessage({ method, path, timestamp, body = '' }) {
+    return [
+        `multisig-coordination:v${AUTH_VERSION}`,
+        method.toUpperCase(),
+        path,
+        String(timestamp),
+        ethers.keccak256(ethers.toUtf8Bytes(body))
+    ].join('\n');
+}
+
+/**
+ * Authentication headers for a request
+ * @param {ethers.Signer} signer - Owner signer (any backend with signMessage)
+ * @param {Object} request - { method, path, body, timestamp }
+ * @returns {Promise<Object>} Headers to send
+ */
+export async function signRequest(signer, { method, path, body = '', timestamp = Math.floor(Date.now() / 1000) }) {
+    return {
+        [AUTH_HEADERS.ADDRESS]: await signer.getAddress(),
+        [AUTH_HEADERS.TIMESTAMP]: String(timestamp),
+        [AUTH_HEADERS.SIGNATURE]: await signer.signMessage(authMessage({ method, path, timestamp, body }))
+    };
+}
+
+/**
+ * Check the authentication headers of a request
+ * @param {Object} headers - Request headers (lower-case names)
+ * @param {Object} request - { method, path, body }
+ * @param {Object} options - { now, maxClockSkew } in unix seconds, and { isValidSignature }, an
+ *   async (address, hash, signature) => boolean asked when the signature does not recover to the
+ *   claimed address, so contract wallets can authenticate through ERC-1271
+ * @returns {Promise<Object>} { address, signature, timestamp } of the authenticated sender
+ */
+export async function verifyRequest(headers, { method, path, body = '' }, {
+    now = Math.floor(Date.now() / 1000),
+    maxClockSkew = DEFAULT_MAX_CLOCK_SKEW,
+    isValidSignature = null
+} = {}) {
+    const claimed = headers[AUTH_HEADERS.ADDRESS];
+    const timestamp = headers[AUTH_HEADERS.TIMESTAMP];
+    const signature = headers[AUTH_HEADERS.SIGNATURE];
+
+    if (!claimed || !timestamp || !signature) {
+        throw new CoordinationError('Request is not signed', 401);
+    }
+    if (!ethers.isAddress(claimed) || !/^\d+$/.test(timestamp) || !ethers.isHexString(signature)) {
+        throw new CoordinationError('Malformed authentication headers', 401);
+    }
+    if (Math.abs(now - Number(timestamp)) > maxClockSkew) {
+        throw new CoordinationError(`Request timestamp ${timestamp} is more than ${maxClockSkew}s off`, 401);
+    }
+
+    const address = ethers.getAddress(claimed.toLowerCase());
+    const message = authMessage({ method, path, timestamp, body });
+    const auth = { address, signature: signature.toLowerCase(), timestamp: Number(timestamp) };
+
+    let recovered = null;
+    try {
+        recovered = ethers.verifyMessage(message, signature);
+    } catch {
+        // Not an ECDSA signature; a contract wallet may still accept it
+    }
+    if (recovered === address) {
+        return auth;
+    }
+    if (isValidSignature && await isValidSignature(address, ethers.hashMessage(message), signature)) {
+        return auth;
+    }
+
+    throw new CoordinationError(recovered
+        ? `Request signature was produced by ${recovered}, not ${address}`
+        : 'Malformed request signature', 401);
+}
+
+export default {
+    AUTH_VERSION,
+    AUTH_HEADERS,
+    DEFAULT_MAX_CLOCK_SKEW,
+    CoordinationError,
+    authMessage,
+    signRequest,
+    verifyRequest
+};
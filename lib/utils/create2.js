@@ -0,0 +1,91 @@
+import { ethers } from 'ethers';
+
+/**
+ * Deterministic vault deployment through the CREATE2 deployment proxy
+ * (github.com/Arachnid/deterministic-deployment-proxy). The proxy lives at
+ * the same address on most chains, so a vault's address only depends on its
+ * init code (bytecode and owners) and a salt: it can be computed and funded
+ * before the vault is deployed, and is the same on every chain.
+ */
+
+export const CREATE2_FACTORY = '0x4e59b44847b379578588920cA78FbF26c0B4956C';
+
+// Keyless pre-EIP-155 transaction that deploys the proxy on any chain
+// accepting it; its sender needs FACTORY_DEPLOYMENT_COST for gas
+export const FACTORY_DEPLOYER = '0x3fAB184622Dc19b6109349B94811493BF2a45362';
+export const FACTORY_DEPLOYMENT_TX = '0xf8a58085174876e800830186a08080b853604580600e600039806000f350fe' +
+    '7fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffe03601600081602082378035828234f58015156039578182fd5b' +
+    '8082525050506014600cf31ba02222222222222222222222222222222222222222222222222222222222222222a0222222222222222222222222' +
+    '2222222222222222222222222222222222222222';
+export const FACTORY_DEPLOYMENT_COST = 100000n * 100n * 10n ** 9n;
+
+export const DEFAULT_SALT = ethers.ZeroHash;
+
+/**
+ * Raised when a deterministic deployment cannot go ahead
+ */
+export class Create2Error extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'Create2Error';
+    }
+}
+
+/**
+ * Normalize a salt: 32-byte hex is used as is, any other text is hashed
+ * (so "payroll" is keccak256("payroll"))
+ * @param {string|null} salt - Salt, or null for DEFAULT_SALT
+ * @returns {string} 32-byte salt
+ */
+export function parseSalt(salt = null) {
+    if (salt === null || salt === undefined) {
+        return DEFAULT_SALT;
+    }
+    if (typeof salt !== 'string' || salt === '') {
+        throw new Create2Error(`Salt must be a 32-byte hex string or a non-empty label: ${salt}`);
+    }
+    return ethers.isHexString(salt, 32) ? salt.toLowerCase() : ethers.id(salt);
+}
+
+/**
+ * Creation code of a vault: contract bytecode followed by the constructor arguments
+ * @param {Object} artifact - Contract artifact with abi and bytecode (see utils/abi.js)
+ * @param {string} owner1 - Owner1 address
+ * @param {string} owner2 - Owner2 address
+ * @returns {string} Init code
+ */
+export function vaultInitCode(artifact, owner1, owner2) {
+    const args = new ethers.Interface(artifact.abi).encodeDeploy([owner1, owner2]);
+    return ethers.concat([artifact.bytecode, args]);
+}
+
+/**
+ * Address the proxy deploys an init code to
+ * @param {string} initCode - Creation code (see vaultInitCode)
+ * @param {string} salt - 32-byte salt (see parseSalt)
+ * @returns {string} Checksummed address
+ */
+export function predictCreate2Address(initCode, salt = DEFAULT_SALT) {
+    return ethers.getCreate2Address(CREATE2_FACTORY, salt, ethers.keccak256(initCode));
+}
+
+/**
+ * Call data for the proxy: the salt followed by the init code
+ * @returns {string} Transaction data
+ */
+export function create2Calldata(initCode, salt = DEFAULT_SALT) {
+    return ethers.concat([salt, initCode]);
+}
+
+export default {
+    CREATE2_FACTORY,
+    FACTORY_DEPLOYER,
+    FACTORY_DEPLOYMENT_TX,
+    FACTORY_DEPLOYMENT_COST,
+    DEFAULT_SALT,
+    Create2Error,
+    parseSalt,
+    vaultInitCode,
+    predictCreate2Address,
+    create2Calldata
+};
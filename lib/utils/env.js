@@ -0,0 +1,72 @@
+/**
+ * .env file helpers. Values may contain '=' (URLs with query strings,
+ * passwords), and edits leave every other line - comments and blank lines
+ * included - as it was written.
+ */
+
+/**
+ * Variable a line assigns, or null for comments, blank and malformed lines
+ * @param {string} line - Line of a .env file
+ * @returns {Object|null} { key, value }
+ */
+function parseLine(line) {
+    const separator = line.indexOf('=');
+    if (separator <= 0 || line.trimStart().startsWith('#')) {
+        return null;
+    }
+    return { key: line.slice(0, separator).trim(), value: line.slice(separator + 1) };
+}
+
+/**
+ * Parse .env text; each value is everything after the first '='
+ * @param {string} text - File content
+ * @returns {Object} Variables with a non-empty value
+ */
+export function parseEnv(text) {
+    const env = {};
+    for (const line of text.split('\n')) {
+        const entry = parseLine(line);
+        if (entry && entry.key && entry.value) {
+            env[entry.key] = entry.value;
+        }
+    }
+    return env;
+}
+
+/**
+ * Set or remove variables in .env text. A set variable replaces its line in
+ * place or is appended; null removes its line. Other lines are kept.
+ * @param {string} text - File content
+ * @param {Object} changes - Values by variable name, null to remove one
+ * @returns {string} Updated content
+ */
+export function updateEnv(text, changes) {
+    const pending = new Map(Object.entries(changes));
+    const lines = [];
+
+    for (const line of text.split('\n')) {
+        const entry = parseLine(line);
+        if (!entry || !Object.hasOwn(changes, entry.key)) {
+            lines.push(line);
+            continue;
+        }
+        // Later duplicates of a changed variable are dropped with it
+        if (pending.has(entry.key) && changes[entry.key] !== null) {
+            lines.push(`${entry.key}=${changes[entry.key]}`);
+        }
+        pending.delete(entry.key);
+    }
+
+    const added = [...pending].filter(([, value]) => value !== null).map(([key, value]) => `${key}=${value}`);
+    if (lines.length > 0 && lines[lines.length - 1] === '') {
+        lines.splice(lines.length - 1, 0, ...added);
+    } else {
+        lines.push(...added);
+    }
+    return lines.join('\n');
+}
+
+export default {
+    parseEnv,
+    updateEnv
+};
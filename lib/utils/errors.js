@@ -0,0 +1,230 @@
+import { ethers } from 'ethers';
+
+/**
+ * Typed errors for the vault's custom reverts.
+ *
+ * The contract reverts with argument-less custom errors (OnlyOwner1(),
+ * TransferAlreadyCancelled(), ...). decodeVaultError finds the revert data in
+ * an ethers or viem error, whether it comes from a call, a gas estimate or a
+ * mined transaction, and turns it into one of the classes below carrying the
+ * nonce, sender and vault of the failed operation.
+ */
+
+/**
+ * Base class of all vault reverts
+ */
+export class VaultError extends Error {
+    /**
+     * @param {string} message - Human readable message
+     * @param {Object} details - { errorName, operation, nonce, address, vault, data, cause }
+     */
+    constructor(message, { errorName = null, operation = null, nonce = null, address = null, vault = null, data = null, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = 'VaultError';
+        this.errorName = errorName;
+        this.operation = operation;
+        this.nonce = nonce;
+        this.address = address;
+        this.vault = vault;
+        this.data = data;
+    }
+}
+
+function vaultErrorClass(name) {
+    return class extends VaultError {
+        constructor(message, details = {}) {
+            super(message, details);
+            this.name = name;
+        }
+    };
+}
+
+export const OnlyOwner1Error = vaultErrorClass('OnlyOwner1Error');
+export const OnlyOwnersError = vaultErrorClass('OnlyOwnersError');
+export const InvalidSignatureError = vaultErrorClass('InvalidSignatureError');
+export const TransferNotInitiatedError = vaultErrorClass('TransferNotInitiatedError');
+export const TransferAlreadyCompletedError = vaultErrorClass('TransferAlreadyCompletedError');
+export const TransferAlreadyCancelledError = vaultErrorClass('TransferAlreadyCancelledError');
+export const InsufficientBalanceError = vaultErrorClass('InsufficientBalanceError');
+export const InvalidAmountError = vaultErrorClass('InvalidAmountError');
+export const InvalidAddressError = vaultErrorClass('InvalidAddressError');
+export const InvalidOwnerError = vaultErrorClass('InvalidOwnerError');
+export const OwnersCannotBeSameError = vaultErrorClass('OwnersCannotBeSameError');
+export const TransferFailedError = vaultErrorClass('TransferFailedError');
+export const ApprovalExpiredError = vaultErrorClass('ApprovalExpiredError');
+
+// What each client operation does, for "only owner1 can ..." messages
+const OPERATIONS = {
+    deploy: 'deploy the vault',
+    initiateTransfer: 'initiate transfers',
+    completeTransfer: 'complete transfers',
+    cancelTransfer: 'cancel transfers'
+};
+
+function sender(ctx) {
+    return ctx.address ?? 'The sender';
+}
+
+function vaultName(ctx) {
+    return ctx.vault ? `vault ${ctx.vault}` : 'the vault';
+}
+
+function transferName(ctx) {
+    return ctx.nonce !== null && ctx.nonce !== undefined ? `Transfer ${ctx.nonce}` : 'The transfer';
+}
+
+function deadlineText(ctx) {
+    return ctx.deadline !== null && ctx.deadline !== undefined
+        ? ` at ${new Date(Number(ctx.deadline) * 1000).toISOString()}`
+        : '';
+}
+
+function amountText(ctx) {
+    return ctx.amount !== null && ctx.amount !== undefined ? `${ethers.formatEther(ctx.amount)} ETH` : 'the transfer amount';
+}
+
+/**
+ * Custom errors of the contract: class and message built from the context
+ */
+const VAULT_ERRORS = {
+    OnlyOwner1: {
+        ErrorClass: OnlyOwner1Error,
+        message: ctx => `${sender(ctx)} is not owner1 of ${vaultName(ctx)}; only owner1 can ${OPERATIONS[ctx.operation] ?? 'do this'}. Use the owner1 signer.`
+    },
+    OnlyOwners: {
+        ErrorClass: OnlyOwnersError,
+        message: ctx => `${sender(ctx)} is not an owner of ${vaultName(ctx)}; only owner1 or owner2 can ${OPERATIONS[ctx.operation] ?? 'do this'}.`
+    },
+    InvalidSignature: {
+        ErrorClass: InvalidSignatureError,
+        message: ctx => `The signature for ${transferName(ctx).toLowerCase()} was not produced by owner2 of ${vaultName(ctx)}. Ask owner2 to sign it again.`
+    },
+    TransferNotInitiated: {
+        ErrorClass: TransferNotInitiatedError,
+        message: ctx => `${transferName(ctx)} has not been initiated`
+    },
+    TransferAlreadyCompleted: {
+        ErrorClass: TransferAlreadyCompletedError,
+        message: ctx => `${transferName(ctx)} has already been completed`
+    },
+    TransferAlreadyCancelled: {
+        ErrorClass: TransferAlreadyCancelledError,
+        message: ctx => `${transferName(ctx)} has been cancelled`
+    },
+    InsufficientBalance: {
+        ErrorClass: InsufficientBalanceError,
+        message: ctx => `${ctx.vault ? `Vault ${ctx.vault}` : 'The vault'} holds less than ${amountText(ctx)}. Fund the vault first.`
+    },
+    InvalidAmount: {
+        ErrorClass: InvalidAmountError,
+        message: () => 'The transfer amount must be greater than zero'
+    },
+    InvalidAddress: {
+        ErrorClass: InvalidAddressError,
+        message: () => 'The recipient must not be the zero address'
+    },
+    InvalidOwner: {
+        ErrorClass: InvalidOwnerError,
+        message: () => 'Vault owners must not be the zero address'
+    },
+    OwnersCannotBeSame: {
+        ErrorClass: OwnersCannotBeSameError,
+        message: () => 'owner1 and owner2 must be different addresses'
+    },
+    TransferFailed: {
+        ErrorClass: TransferFailedError,
+        message: ctx => `${transferName(ctx)} was approved, but the recipient${ctx.recipient ? ` ${ctx.recipient}` : ''} rejected the payment`
+    },
+    ApprovalExpired: {
+        ErrorClass: ApprovalExpiredError,
+        message: ctx => `The approval of ${transferName(ctx).toLowerCase()} expired${deadlineText(ctx)}. Ask owner2 to sign it again.`
+    }
+};
+
+/**
+ * Four-byte selectors of the vault's custom errors
+ */
+export const ERROR_SELECTORS = Object.fromEntries(
+    Object.keys(VAULT_ERRORS).map(name => [ethers.id(`${name}()`).slice(0, 10), name])
+);
+
+/**
+ * Build the typed error for a custom error of the vault
+ * @param {string} errorName - Custom error name, e.g. 'OnlyOwner1'
+ * @param {Object} context - { operation, nonce, address, vault, amount, recipient, deadline, data, cause }
+ * @returns {VaultError} Typed error
+ */
+export function createVaultError(errorName, context = {}) {
+    const { ErrorClass, message } = VAULT_ERRORS[errorName];
+    return new ErrorClass(message(context), { ...context, errorName });
+}
+
+/**
+ * Find the revert data in an ethers or viem error, following nested causes
+ * @param {Error} error - Error thrown by a call, estimate or transaction
+ * @returns {string|null} Hex revert data, or null if the error carries none
+ */
+export function getRevertData(error) {
+    const seen = new Set();
+    const queue = [error];
+
+    while (queue.length > 0) {
+        const current = queue.shift();
+        if (!current || typeof current !== 'object' || seen.has(current)) {
+            continue;
+        }
+        seen.add(current);
+
+        // viem: ContractFunctionRevertedError.raw; ethers and RPC errors: data
+        for (const candidate of [current.raw, current.data, current.data?.data]) {
+            if (typeof candidate === 'string' && ethers.isHexString(candidate) && candidate.length >= 10) {
+                return candidate;
+            }
+        }
+
+        queue.push(current.cause, current.error, current.info?.error);
+    }
+
+    return null;
+}
+
+/**
+ * Turn a revert of the vault into a typed VaultError
+ * @param {Error} error - Error thrown by a call, estimate or transaction
+ * @param {Object} context - { operation, nonce, address, vault, amount, recipient }
+ * @param {string} data - Revert data, when already known (e.g. from replaying a mined transaction)
+ * @returns {Error} Typed error, or the original error when it is not a vault revert
+ */
+export function decodeVaultError(error, context = {}, data = getRevertData(error)) {
+    if (error instanceof VaultError) {
+        return error;
+    }
+
+    const errorName = data ? ERROR_SELECTORS[data.slice(0, 10).toLowerCase()] : undefined;
+    if (!errorName) {
+        return error;
+    }
+
+    return createVaultError(errorName, { ...context, data, cause: error });
+}
+
+export default {
+    VaultError,
+    OnlyOwner1Error,
+    OnlyOwnersError,
+    InvalidSignatureError,
+    TransferNotInitiatedError,
+    TransferAlreadyCompletedError,
+    TransferAlreadyCancelledError,
+    InsufficientBalanceError,
+    InvalidAmountError,
+    InvalidAddressError,
+    InvalidOwnerError,
+    OwnersCannotBeSameError,
+    TransferFailedError,
+    ApprovalExpiredError,
+    ERROR_SELECTORS,
+    createVaultError,
+    getRevertData,
+    decodeVaultError
+};
@@ -0,0 +1,183 @@
+/**
+ * Decoding utilities for MultisigVault event logs
+ */
+
+/**
+ * Events tracked by the indexer and watcher
+ */
+export const VAULT_EVENTS = [
+    'Deposit',
+    'TransferInitiated',
+    'TransferCompleted',
+    'TransferCancelled'
+];
+
+// Event fields stored as bigint
+const BIGINT_FIELDS = ['nonce', 'amount'];
+
+/**
+ * Topic filter matching any tracked vault event
+ * @param {ethers.Interface} iface - Contract interface
+ * @returns {Array} Topics array for eth_getLogs
+ */
+export function vaultEventTopics(iface) {
+    return [VAULT_EVENTS.map(name => iface.getEvent(name).topicHash)];
+}
+
+/**
+ * Decode a raw log into a typed event record
+ * @param {ethers.Interface} iface - Contract interface
+ * @param {Object} log - Log returned by the provider
+ * @returns {Object|null} Event record, or null for unrelated logs
+ */
+export function decodeVaultLog(iface, log) {
+    let parsed;
+    try {
+        parsed = iface.parseLog(log);
+    } catch {
+        return null;
+    }
+
+    if (!parsed || !VAULT_EVENTS.includes(parsed.name)) {
+        return null;
+    }
+
+    const record = {
+        type: parsed.name,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        logIndex: log.index ?? log.logIndex
+    };
+
+    switch (parsed.name) {
+        case 'Deposit':
+            record.from = parsed.args.from;
+            record.amount = parsed.args.amount;
+            break;
+        case 'TransferInitiated':
+            record.nonce = parsed.args.nonce;
+            record.to = parsed.args.to;
+            record.amount = parsed.args.amount;
+            record.dataHash = parsed.args.dataHash;
+            break;
+        default:
+            record.nonce = parsed.args.nonce;
+            record.to = parsed.args.to;
+            record.amount = parsed.args.amount;
+    }
+
+    return record;
+}
+
+/**
+ * Order events by chain position
+ */
+export function compareEvents(a, b) {
+    return a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+}
+
+/**
+ * Convert an event record to plain JSON (bigints as decimal strings)
+ * @param {Object} event - Event record
+ * @returns {Object} Serializable record
+ */
+export function serializeEvent(event) {
+    const result = { ...event };
+    for (const field of BIGINT_FIELDS) {
+        if (result[field] !== undefined) {
+            result[field] = result[field].toString();
+        }
+    }
+    return result;
+}
+
+/**
+ * Restore an event record produced by serializeEvent
+ * @param {Object} data - Serialized record
+ * @returns {Object} Event record
+ */
+export function deserializeEvent(data) {
+    const result = { ...data };
+    for (const field of BIGINT_FIELDS) {
+        if (result[field] !== undefined) {
+            result[field] = BigInt(result[field]);
+        }
+    }
+    return result;
+}
+
+/**
+ * Fold transfer events into one record per nonce
+ * @param {Object[]} events - Event records in chain order
+ * @returns {Object[]} Transfers sorted by nonce
+ */
+export function buildTransfers(events) {
+    const transfers = new Map();
+
+    for (const event of events) {
+        if (event.nonce === undefined) {
+            continue;
+        }
+
+        const key = event.nonce.toString();
+        const position = {
+            blockNumber: event.blockNumber,
+            timestamp: event.timestamp,
+            transactionHash: event.transactionHash
+        };
+
+        if (event.type === 'TransferInitiated') {
+            transfers.set(key, {
+                nonce: event.nonce,
+                to: event.to,
+                amount: event.amount,
+                dataHash: event.dataHash,
+                status: 'pending',
+                initiated: position,
+                completed: null,
+                cancelled: null
+            });
+            continue;
+        }
+
+        const transfer = transfers.get(key);
+        if (!transfer) {
+            continue;
+        }
+
+        if (event.type === 'TransferCompleted') {
+            transfer.status = 'completed';
+            transfer.completed = position;
+        } else if (event.type === 'TransferCancelled') {
+            transfer.status = 'cancelled';
+            transfer.cancelled = position;
+        }
+    }
+
+    return [...transfers.values()].sort((a, b) => (a.nonce < b.nonce ? -1 : a.nonce > b.nonce ? 1 : 0));
+}
+
+/**
+ * Check whether a value lies in an optional inclusive range
+ */
+export function inRange(value, from, to) {
+    if (from !== undefined && from !== null && value < from) {
+        return false;
+    }
+    if (to !== undefined && to !== null && value > to) {
+        return false;
+    }
+    return true;
+}
+
+export default {
+    VAULT_EVENTS,
+    vaultEventTopics,
+    decodeVaultLog,
+    compareEvents,
+    serializeEvent,
+    deserializeEvent,
+    buildTransfers,
+    inRange
+};
@@ -0,0 +1,115 @@
+import { ethers } from 'ethers';
+
+/**
+ * Messages signed on behalf of the vault. The vault's isValidSignature
+ * (ERC-1271) accepts any hash owner2 signed, so owner2 can sign in to dApps
+ * and off-chain protocols as the vault. Two kinds of messages are supported:
+ * EIP-191 personal messages and EIP-712 typed data; both come down to the
+ * hash the verifier passes to isValidSignature.
+ */
+
+export const MESSAGE_TYPES = {
+    MESSAGE: 'eip191',
+    TYPED_DATA: 'eip712'
+};
+
+/**
+ * Raised when a message is malformed or its signature is not valid for the vault
+ */
+export class MessageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MessageError';
+    }
+}
+
+/**
+ * Validate EIP-712 typed data as produced by eth_signTypedData_v4 callers
+ * @param {Object|string} input - { domain, types, primaryType, message } or its JSON
+ * @returns {Object} { domain, types, primaryType, message } where types omits EIP712Domain
+ */
+export function parseTypedData(input) {
+    let data = input;
+    if (typeof input === 'string') {
+        try {
+            data = JSON.parse(input);
+        } catch {
+            throw new MessageError('Typed data is not valid JSON');
+        }
+    }
+    if (!data || typeof data !== 'object') {
+        throw new MessageError('Typed data must be an object');
+    }
+
+    for (const field of ['domain', 'types', 'message']) {
+        if (!data[field] || typeof data[field] !== 'object') {
+            throw new MessageError(`Typed data is missing "${field}"`);
+        }
+    }
+
+    // ethers derives the domain type from the domain itself
+    const { EIP712Domain, ...types } = data.types;
+
+    let primaryType;
+    try {
+        primaryType = ethers.TypedDataEncoder.getPrimaryType(types);
+    } catch (error) {
+        throw new MessageError(`Invalid typed data types: ${error.shortMessage ?? error.message}`);
+    }
+    if (data.primaryType !== undefined && data.primaryType !== primaryType) {
+        throw new MessageError(`Typed data primaryType ${data.primaryType} is not the root type ${primaryType}`);
+    }
+
+    return { domain: data.domain, types, primaryType, message: data.message };
+}
+
+/**
+ * Hash a message the way a verifier passes it to isValidSignature
+ * @param {Object} request - { type: 'eip191', message } where message is a string or
+ *   bytes, or { type: 'eip712', typedData }
+ * @returns {string} Hash
+ */
+export function hashVaultMessage({ type, message, typedData }) {
+    if (type === MESSAGE_TYPES.MESSAGE) {
+        return ethers.hashMessage(message);
+    }
+    if (type === MESSAGE_TYPES.TYPED_DATA) {
+        const { domain, types, message: value } = parseTypedData(typedData);
+        try {
+            return ethers.TypedDataEncoder.hash(domain, types, value);
+        } catch (error) {
+            throw new MessageError(`Typed data does not match its types: ${error.shortMessage ?? error.message}`);
+        }
+    }
+    throw new MessageError(`Unknown message type: ${type}`);
+}
+
+/**
+ * Entry of the signed message log
+ * @param {Object} fields - { type, message, typedData, hash, signature, signer, vault, chainId }
+ * @returns {Object} Record with JSON-compatible fields and signedAt
+ */
+export function createMessageRecord({ type, message = null, typedData = null, hash, signature, signer, vault, chainId }) {
+    return {
+        type,
+        // Bytes messages are kept as hex, text as it was signed
+        message: message === null || typeof message === 'string' ? message : ethers.hexlify(message),
+        typedData: typedData === null
+            ? null
+            : JSON.parse(JSON.stringify(parseTypedData(typedData), (key, value) => (typeof value === 'bigint' ? value.toString() : value))),
+        hash,
+        signature,
+        signer,
+        vault,
+        chainId: chainId.toString(),
+        signedAt: new Date().toISOString()
+    };
+}
+
+export default {
+    MESSAGE_TYPES,
+    MessageError,
+    parseTypedData,
+    hashVaultMessage,
+    createMessageRecord
+};
@@ -0,0 +1,138 @@
+import { ethers } from 'ethers';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PROJECT_ROOT = path.join(__dirname, '../..');
+
+/**
+ * Network configuration utilities (networks.json)
+ */
+
+// Used when the project has no networks.json
+const DEFAULT_CONFIG = {
+    defaultNetwork: 'anvil',
+    networks: {
+        anvil: { rpcUrl: 'http://127.0.0.1:8545', chainId: 31337, confirmations: 1 }
+    }
+};
+
+// Network of the local development chain; its chain id is where Anvil's
+// well-known keys and the keyless CREATE2 proxy installation are allowed
+export const LOCAL_NETWORK = 'anvil';
+
+// Fee settings are given in gwei
+const FEE_FIELDS = ['gasPrice', 'maxFeePerGas', 'maxPriorityFeePerGas'];
+
+/**
+ * Raised when the connected chain is not the one a network or deployment expects
+ */
+export class ChainMismatchError extends Error {
+    constructor(message, { expected, actual } = {}) {
+        super(message);
+        this.name = 'ChainMismatchError';
+        this.expected = expected;
+        this.actual = actual;
+    }
+}
+
+/**
+ * Load the networks configuration
+ * @param {string} filePath - Path to networks.json (defaults to project root)
+ * @returns {Object} { defaultNetwork, networks }
+ */
+export function loadNetworks(filePath = path.join(PROJECT_ROOT, 'networks.json')) {
+    if (!fs.existsSync(filePath)) {
+        return DEFAULT_CONFIG;
+    }
+
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!config.networks || typeof config.networks !== 'object') {
+        throw new Error(`${filePath} has no "networks" section`);
+    }
+    return { defaultNetwork: config.defaultNetwork || Object.keys(config.networks)[0], networks: config.networks };
+}
+
+/**
+ * Chain id of the local development chain (the anvil network of the config)
+ * @param {Object} config - Loaded networks config
+ * @returns {number} Chain id
+ */
+export function localChainId(config = loadNetworks()) {
+    return (config.networks[LOCAL_NETWORK] ?? DEFAULT_CONFIG.networks[LOCAL_NETWORK]).chainId;
+}
+
+/**
+ * Replace ${VAR} references with environment values
+ */
+function interpolate(value, env, field) {
+    return value.replace(/\$\{(\w+)\}/g, (match, name) => {
+        if (env[name] === undefined || env[name] === '') {
+            throw new Error(`${field} needs the ${name} environment variable`);
+        }
+        return env[name];
+    });
+}
+
+/**
+ * Resolve a named network to a normalized configuration
+ * @param {string} name - Network name (defaults to the config's defaultNetwork)
+ * @param {Object} options - { env, config, rpcUrl } where config is a loaded networks
+ *   config and rpcUrl replaces the configured endpoint
+ * @returns {Object} { name, rpcUrl, chainId, confirmations, fees }; fees in wei
+ */
+export function resolveNetwork(name = null, { env = process.env, config = loadNetworks(), rpcUrl = null } = {}) {
+    const networkName = name || config.defaultNetwork;
+    const network = config.networks[networkName];
+    if (!network) {
+        throw new Error(`Unknown network "${networkName}" (configured: ${Object.keys(config.networks).join(', ')})`);
+    }
+
+    if (!network.rpcUrl && !rpcUrl) {
+        throw new Error(`Network "${networkName}" has no rpcUrl`);
+    }
+    if (!Number.isSafeInteger(network.chainId) || network.chainId <= 0) {
+        throw new Error(`Network "${networkName}" needs a numeric chainId`);
+    }
+
+    const fees = {};
+    for (const field of FEE_FIELDS) {
+        if (network.fees?.[field] !== undefined) {
+            fees[field] = ethers.parseUnits(String(network.fees[field]), 'gwei');
+        }
+    }
+    if (fees.gasPrice !== undefined && (fees.maxFeePerGas !== undefined || fees.maxPriorityFeePerGas !== undefined)) {
+        throw new Error(`Network "${networkName}" mixes gasPrice with EIP-1559 fee settings`);
+    }
+
+    return {
+        name: networkName,
+        rpcUrl: rpcUrl || interpolate(network.rpcUrl, env, `Network "${networkName}" rpcUrl`),
+        chainId: network.chainId,
+        confirmations: network.confirmations ?? 1,
+        fees
+    };
+}
+
+/**
+ * Find the configured network for a chain id
+ * @param {number|bigint} chainId - Chain id
+ * @param {Object} config - Loaded networks config
+ * @returns {string|null} Network name
+ */
+export function networkNameForChain(chainId, config = loadNetworks()) {
+    const entry = Object.entries(config.networks).find(([, network]) => network.chainId === Number(chainId));
+    return entry ? entry[0] : null;
+}
+
+export default {
+    ChainMismatchError,
+    LOCAL_NETWORK,
+    loadNetworks,
+    localChainId,
+    resolveNetwork,
+    networkNameForChain
+};
@@ -0,0 +1,232 @@
+import { ethers } from 'ethers';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PROJECT_ROOT = path.join(__dirname, '../..');
+
+/**
+ * Client-side spending policy (policy.json).
+ *
+ * A declarative file checked before owner1 initiates and before owner2
+ * signs. Every field is optional; amounts are in ETH:
+ *
+ *   {
+ *     "allowlist": ["0x..."],        only these recipients
+ *     "denylist": ["0x..."],         never these recipients
+ *     "maxPerTransfer": "5",
+ *     "limits": { "daily": "10", "weekly": "25" },
+ *     "requireMemoAbove": "1"
+ *   }
+ *
+ * Daily and weekly limits are rolling 24 hour and 7 day windows over the
+ * transfers initiated on the vault, from the indexed event history.
+ * Cancelled transfers do not count; pending ones do.
+ */
+
+export const POLICY_FIELDS = ['allowlist', 'denylist', 'maxPerTransfer', 'limits', 'requireMemoAbove'];
+
+// Rolling windows in seconds
+export const LIMIT_WINDOWS = {
+    daily: 24 * 60 * 60,
+    weekly: 7 * 24 * 60 * 60
+};
+
+/**
+ * Raised when a transfer breaks the policy; violations lists every broken rule
+ */
+export class PolicyError extends Error {
+    /**
+     * @param {string} message - Human readable message
+     * @param {Object[]} violations - { rule, message }
+     */
+    constructor(message, violations = []) {
+        super(message);
+        this.name = 'PolicyError';
+        this.violations = violations;
+    }
+}
+
+function parseAddressList(value, field) {
+    if (!Array.isArray(value)) {
+        throw new Error(`Policy "${field}" must be an array of addresses`);
+    }
+    return value.map(address => {
+        if (typeof address !== 'string' || !ethers.isAddress(address)) {
+            throw new Error(`Policy "${field}" has an invalid address: ${address}`);
+        }
+        return ethers.getAddress(address);
+    });
+}
+
+function parseEthAmount(value, field) {
+    try {
+        const amount = ethers.parseEther(String(value));
+        if (amount >= 0n) {
+            return amount;
+        }
+    } catch {
+        // Reported below
+    }
+    throw new Error(`Policy "${field}" must be an amount of ETH, got ${JSON.stringify(value)}`);
+}
+
+/**
+ * Validate a policy and convert it to addresses and wei
+ * @param {Object} data - Policy as written in policy.json
+ * @returns {Object} { allowlist, denylist, maxPerTransfer, limits: { daily, weekly }, requireMemoAbove },
+ *   null for rules that are not set
+ */
+export function parsePolicy(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Policy must be a JSON object');
+    }
+
+    // A misspelt rule would silently not apply
+    const unknown = Object.keys(data).filter(field => field !== 'version' && !POLICY_FIELDS.includes(field));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown policy field(s): ${unknown.join(', ')} (expected ${POLICY_FIELDS.join(', ')})`);
+    }
+
+    const limits = data.limits ?? {};
+    const unknownLimits = Object.keys(limits).filter(window => !(window in LIMIT_WINDOWS));
+    if (unknownLimits.length > 0) {
+        throw new Error(`Unknown policy limit(s): ${unknownLimits.join(', ')} (expected ${Object.keys(LIMIT_WINDOWS).join(', ')})`);
+    }
+
+    const optional = (value, parse, field) => (value === undefined || value === null ? null : parse(value, field));
+    return {
+        allowlist: optional(data.allowlist, parseAddressList, 'allowlist'),
+        denylist: optional(data.denylist, parseAddressList, 'denylist') ?? [],
+        maxPerTransfer: optional(data.maxPerTransfer, parseEthAmount, 'maxPerTransfer'),
+        limits: Object.fromEntries(Object.keys(LIMIT_WINDOWS).map(window => [
+            window,
+            optional(limits[window], parseEthAmount, `limits.${window}`)
+        ])),
+        requireMemoAbove: optional(data.requireMemoAbove, parseEthAmount, 'requireMemoAbove')
+    };
+}
+
+/**
+ * Read and validate a policy file
+ * @param {string} filePath - Path to the policy file
+ * @returns {Object} Parsed policy (see parsePolicy)
+ */
+export function loadPolicy(filePath) {
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read policy ${filePath}: ${error.message}`);
+    }
+
+    try {
+        return parsePolicy(data);
+    } catch (error) {
+        throw new Error(`${filePath}: ${error.message}`);
+    }
+}
+
+/**
+ * Policy file to use: the given path, POLICY_FILE, or policy.json in the
+ * project root when it exists
+ * @param {string} filePath - Explicit path, if any
+ * @param {Object} env - Environment variables
+ * @returns {string|null} Path of the policy file, null when there is none
+ */
+export function resolvePolicyPath(filePath = null, env = process.env) {
+    if (filePath || env.POLICY_FILE) {
+        return filePath || env.POLICY_FILE;
+    }
+
+    const defaultPath = path.join(PROJECT_ROOT, 'policy.json');
+    return fs.existsSync(defaultPath) ? defaultPath : null;
+}
+
+/**
+ * Whether any rule needs the vault's transfer history
+ */
+export function policyNeedsHistory(policy) {
+    return Object.values(policy.limits).some(limit => limit !== null);
+}
+
+/**
+ * Amount of the transfers initiated since a time, cancelled ones excluded
+ * @param {Object[]} history - Indexed transfers (see utils/events.js buildTransfers)
+ * @param {Object} options - { since } unix seconds, { exclude } nonce left out
+ * @returns {bigint} Total in wei
+ */
+export function spentSince(history, { since, exclude = null }) {
+    return history
+        .filter(transfer => transfer.status !== 'cancelled'
+            && transfer.initiated.timestamp >= since
+            && (exclude === null || BigInt(transfer.nonce) !== BigInt(exclude)))
+        .reduce((total, transfer) => total + BigInt(transfer.amount), 0n);
+}
+
+function formatEth(value) {
+    return `${ethers.formatEther(value)} ETH`;
+}
+
+/**
+ * Check a transfer against a policy
+ * @param {Object} policy - Parsed policy
+ * @param {Object} transfer - { recipient, amount (wei), memo, nonce } where nonce is set for
+ *   transfers already initiated, which are then not counted twice in the limits
+ * @param {Object} options - { history, now } indexed transfers and the current unix time
+ * @returns {Object[]} Violations as { rule, message }; empty when the transfer is allowed
+ */
+export function evaluatePolicy(policy, { recipient, amount, memo = null, nonce = null }, { history = [], now = Math.floor(Date.now() / 1000) } = {}) {
+    const violations = [];
+    const to = ethers.getAddress(recipient);
+
+    if (policy.denylist.includes(to)) {
+        violations.push({ rule: 'denylist', message: `recipient ${to} is on the denylist` });
+    }
+    if (policy.allowlist !== null && !policy.allowlist.includes(to)) {
+        violations.push({ rule: 'allowlist', message: `recipient ${to} is not on the allowlist` });
+    }
+    if (policy.maxPerTransfer !== null && amount > policy.maxPerTransfer) {
+        violations.push({
+            rule: 'maxPerTransfer',
+            message: `${formatEth(amount)} exceeds the per-transfer maximum of ${formatEth(policy.maxPerTransfer)}`
+        });
+    }
+
+    for (const [window, limit] of Object.entries(policy.limits)) {
+        if (limit === null) {
+            continue;
+        }
+        const spent = spentSince(history, { since: now - LIMIT_WINDOWS[window], exclude: nonce });
+        if (spent + amount > limit) {
+            violations.push({
+                rule: window,
+                message: `${formatEth(amount)} on top of ${formatEth(spent)} already initiated exceeds the ${window} limit of ${formatEth(limit)}`
+            });
+        }
+    }
+
+    if (policy.requireMemoAbove !== null && amount > policy.requireMemoAbove && !memo?.trim()) {
+        violations.push({
+            rule: 'requireMemoAbove',
+            message: `transfers above ${formatEth(policy.requireMemoAbove)} need a memo`
+        });
+    }
+
+    return violations;
+}
+
+export default {
+    POLICY_FIELDS,
+    LIMIT_WINDOWS,
+    PolicyError,
+    parsePolicy,
+    loadPolicy,
+    resolvePolicyPath,
+    policyNeedsHistory,
+    spentSince,
+    evaluatePolicy
+};
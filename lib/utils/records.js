@@ -0,0 +1,232 @@
+import { ethers } from 'ethers';
+
+/**
+ * Local transfer records.
+ *
+ * Every writer stores the same schema (version 2). Two older schemas are
+ * still read and migrated:
+ * - CLI records: { recipient, initiated, completed, cancelled, txHash, timestamp,
+ *   completionTxHash, completionTimestamp, cancellationTxHash, cancellationTimestamp }
+ * - MultisigVault records: { to, status, initiatedBy, txHash, timestamp,
+ *   completedTxHash, completedAt, cancelledTxHash, cancelledAt }
+ */
+
+export const TRANSFER_RECORD_VERSION = 2;
+
+export const TRANSFER_STATUSES = ['pending', 'completed', 'cancelled'];
+
+// Fields describing the initiation, which never change once on chain
+const INITIATION_FIELDS = ['recipient', 'amount', 'amountWei', 'dataHash', 'memo', 'initiatedBy', 'initiationTxHash', 'initiatedAt'];
+
+// Fields only meaningful for one final status
+const OUTCOME_FIELDS = ['completionTxHash', 'completedAt', 'cancelledBy', 'cancellationTxHash', 'cancelledAt'];
+
+/**
+ * Derive a status label from getTransferDetails output
+ * @param {Object} details - Transfer details from a client
+ * @returns {string} 'not-initiated' | 'pending' | 'completed' | 'cancelled'
+ */
+export function transferStatus(details) {
+    if (!details.initiated) {
+        return 'not-initiated';
+    }
+    if (details.completed) {
+        return 'completed';
+    }
+    if (details.cancelled) {
+        return 'cancelled';
+    }
+    return 'pending';
+}
+
+function toTimestamp(value) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    // Event timestamps are unix seconds
+    return typeof value === 'number' ? new Date(value * 1000).toISOString() : value;
+}
+
+/**
+ * Build the record of a newly initiated transfer
+ * @param {Object} transfer - { nonce, recipient, amount (wei), dataHash, memo, initiatedBy, txHash, timestamp }
+ * @returns {Object} Transfer record
+ */
+export function createTransferRecord({ nonce, recipient, amount, dataHash = null, memo = null, initiatedBy = null, txHash = null, timestamp = new Date().toISOString() }) {
+    return {
+        version: TRANSFER_RECORD_VERSION,
+        nonce: nonce.toString(),
+        recipient: ethers.getAddress(recipient),
+        amount: ethers.formatEther(amount),
+        amountWei: amount.toString(),
+        dataHash,
+        memo,
+        status: 'pending',
+        initiatedBy,
+        initiationTxHash: txHash,
+        initiatedAt: toTimestamp(timestamp),
+        completionTxHash: null,
+        completedAt: null,
+        cancelledBy: null,
+        cancellationTxHash: null,
+        cancelledAt: null
+    };
+}
+
+/**
+ * Record the completion of a transfer
+ * @param {Object} record - Transfer record
+ * @param {Object} completion - { txHash, timestamp }
+ */
+export function markTransferCompleted(record, { txHash, timestamp = new Date().toISOString() }) {
+    return { ...migrateTransferRecord(record), status: 'completed', completionTxHash: txHash, completedAt: toTimestamp(timestamp) };
+}
+
+/**
+ * Record the cancellation of a transfer
+ * @param {Object} record - Transfer record
+ * @param {Object} cancellation - { cancelledBy, txHash, timestamp }
+ */
+export function markTransferCancelled(record, { cancelledBy, txHash, timestamp = new Date().toISOString() }) {
+    return {
+        ...migrateTransferRecord(record),
+        status: 'cancelled',
+        cancelledBy,
+        cancellationTxHash: txHash,
+        cancelledAt: toTimestamp(timestamp)
+    };
+}
+
+/**
+ * Whether a record already uses the current schema
+ */
+export function isCurrentTransferRecord(record) {
+    return record?.version === TRANSFER_RECORD_VERSION;
+}
+
+function legacyStatus(record) {
+    if (TRANSFER_STATUSES.includes(record.status)) {
+        return record.status;
+    }
+    if (record.cancelled) {
+        return 'cancelled';
+    }
+    if (record.completed) {
+        return 'completed';
+    }
+    return 'pending';
+}
+
+/**
+ * Convert a record of any known schema to the current one
+ * @param {Object} record - Stored transfer record
+ * @returns {Object} Transfer record
+ */
+export function migrateTransferRecord(record) {
+    if (isCurrentTransferRecord(record)) {
+        return record;
+    }
+
+    const recipient = record.recipient ?? record.to;
+    const amountWei = record.amountWei ?? (record.amount !== undefined ? ethers.parseEther(String(record.amount)).toString() : null);
+
+    return {
+        version: TRANSFER_RECORD_VERSION,
+        nonce: String(record.nonce),
+        recipient: recipient ? ethers.getAddress(recipient) : null,
+        amount: amountWei !== null ? ethers.formatEther(amountWei) : null,
+        amountWei,
+        dataHash: record.dataHash ?? null,
+        memo: record.memo ?? null,
+        status: legacyStatus(record),
+        initiatedBy: record.initiatedBy ?? null,
+        initiationTxHash: record.txHash ?? null,
+        initiatedAt: record.timestamp ?? null,
+        completionTxHash: record.completionTxHash ?? record.completedTxHash ?? null,
+        completedAt: record.completionTimestamp ?? record.completedAt ?? null,
+        cancelledBy: record.cancelledBy ?? null,
+        cancellationTxHash: record.cancellationTxHash ?? record.cancelledTxHash ?? null,
+        cancelledAt: record.cancellationTimestamp ?? record.cancelledAt ?? null
+    };
+}
+
+/**
+ * Rebuild a record from on-chain details and, when available, the indexed
+ * history of the transfer (see EventIndexer.getTransfer)
+ * @param {bigint} nonce - Transfer nonce
+ * @param {Object} details - Transfer details from a client
+ * @param {Object} history - Indexed transfer, or null
+ * @param {Object} senders - { initiatedBy, cancelledBy } senders of the transactions, if known
+ * @returns {Object} Transfer record
+ */
+export function transferRecordFromChain(nonce, details, history = null, { initiatedBy = null, cancelledBy = null } = {}) {
+    const record = createTransferRecord({
+        nonce,
+        recipient: details.to,
+        amount: details.amount,
+        dataHash: details.dataHash,
+        initiatedBy,
+        txHash: history?.initiated.transactionHash ?? null,
+        timestamp: history?.initiated.timestamp ?? null
+    });
+    const status = transferStatus(details);
+
+    if (status === 'completed') {
+        return markTransferCompleted(record, {
+            txHash: history?.completed?.transactionHash ?? null,
+            timestamp: history?.completed?.timestamp ?? null
+        });
+    }
+    if (status === 'cancelled') {
+        return markTransferCancelled(record, {
+            cancelledBy,
+            txHash: history?.cancelled?.transactionHash ?? null,
+            timestamp: history?.cancelled?.timestamp ?? null
+        });
+    }
+    return record;
+}
+
+/**
+ * Fill the gaps of a stored record from a record rebuilt from the chain. The
+ * chain decides the status; outcome fields of a status the transfer never
+ * reached are dropped.
+ * @param {Object} record - Stored record (current schema)
+ * @param {Object} rebuilt - Record from transferRecordFromChain
+ * @returns {Object} Merged record
+ */
+export function mergeTransferRecords(record, rebuilt) {
+    const merged = { ...rebuilt };
+    const keepOutcome = record.status === rebuilt.status;
+
+    for (const field of [...INITIATION_FIELDS, ...(keepOutcome ? OUTCOME_FIELDS : [])]) {
+        if (record[field] !== null && record[field] !== undefined) {
+            merged[field] = record[field];
+        }
+    }
+
+    return merged;
+}
+
+/**
+ * Whether a record describes the on-chain transfer (same recipient and amount)
+ * @param {Object} record - Transfer record (current schema)
+ * @param {Object} details - Transfer details from a client
+ */
+export function recordMatchesChain(record, details) {
+    return record.recipient === ethers.getAddress(details.to) && record.amountWei === details.amount.toString();
+}
+
+export default {
+    TRANSFER_RECORD_VERSION,
+    TRANSFER_STATUSES,
+    transferStatus,
+    createTransferRecord,
+    markTransferCompleted,
+    markTransferCancelled,
+    isCurrentTransferRecord,
+    migrateTransferRecord,
+    transferRecordFromChain,
+    mergeTransferRecords,
+    recordMatchesChain
+};
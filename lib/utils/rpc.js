@@ -10,7 +10,9 @@ import { ethers } from 'ethers';
  * @returns {ethers.JsonRpcProvider} Provider instance
  */
 export function createProvider(rpcUrl = 'http://127.0.0.1:8545') {
-    return new ethers.JsonRpcProvider(rpcUrl);
+    // No request cache: back-to-back transactions from one account would
+    // otherwise reuse a stale pending nonce
+    return new ethers.JsonRpcProvider(rpcUrl, undefined, { cacheTimeout: -1 });
 }
 
 /**
@@ -0,0 +1,145 @@
+import { ethers } from 'ethers';
+import fs from 'fs';
+
+/**
+ * Signer backends used for initiating, signing and completing transfers.
+ *
+ * Every backend resolves to an ethers.Signer, so callers only rely on
+ * getAddress(), signMessage(), signTypedData() and sendTransaction().
+ */
+
+export const SIGNER_TYPES = ['privateKey', 'keystore', 'mnemonic', 'rpc'];
+
+export const RPC_SIGN_METHODS = ['personal_sign', 'eth_sign'];
+
+/**
+ * Account managed by the node (e.g. Anvil's unlocked accounts). Messages are
+ * signed with personal_sign by default, or eth_sign for nodes that only
+ * offer that; both apply the Ethereum signed message prefix. Transfer
+ * approvals are typed data and always use eth_signTypedData_v4.
+ */
+export class RpcSigner extends ethers.JsonRpcSigner {
+    constructor(provider, address, method = 'personal_sign') {
+        if (!RPC_SIGN_METHODS.includes(method)) {
+            throw new Error(`Unsupported RPC sign method: ${method}`);
+        }
+        super(provider, ethers.getAddress(address));
+        this.signMethod = method;
+    }
+
+    connect(provider) {
+        return new RpcSigner(provider, this.address, this.signMethod);
+    }
+
+    async signMessage(message) {
+        if (this.signMethod === 'personal_sign') {
+            return super.signMessage(message);
+        }
+
+        const data = typeof message === 'string' ? ethers.toUtf8Bytes(message) : message;
+        return this.provider.send('eth_sign', [this.address.toLowerCase(), ethers.hexlify(data)]);
+    }
+}
+
+/**
+ * Create a signer from a backend configuration
+ * @param {Object} config - { type, ... } where type is one of SIGNER_TYPES:
+ *   privateKey: { privateKey }
+ *   keystore:   { path or json, password }
+ *   mnemonic:   { mnemonic, path or index, passphrase }
+ *   rpc:        { address, method }
+ * @param {ethers.Provider} provider - Provider to connect the signer to
+ * @returns {Promise<ethers.Signer>} Connected signer
+ */
+export async function createSigner(config, provider) {
+    switch (config.type) {
+        case 'privateKey':
+            return new ethers.Wallet(config.privateKey, provider);
+
+        case 'keystore': {
+            if (!config.json && !config.path) {
+                throw new Error('Keystore signer needs a keystore file path');
+            }
+            if (config.password === undefined || config.password === null) {
+                throw new Error(`No password given for keystore ${config.path ?? ''}`.trim());
+            }
+            const json = config.json ?? fs.readFileSync(config.path, 'utf8');
+            const wallet = await ethers.Wallet.fromEncryptedJson(json, config.password);
+            return wallet.connect(provider);
+        }
+
+        case 'mnemonic': {
+            if (!config.mnemonic) {
+                throw new Error('Mnemonic signer needs a mnemonic phrase');
+            }
+            const derivationPath = config.path ?? `m/44'/60'/0'/0/${config.index ?? 0}`;
+            return ethers.HDNodeWallet
+                .fromPhrase(config.mnemonic, config.passphrase ?? '', derivationPath)
+                .connect(provider);
+        }
+
+        case 'rpc':
+            if (!ethers.isAddress(config.address)) {
+                throw new Error(`RPC signer needs an account address, got: ${config.address}`);
+            }
+            return new RpcSigner(provider, config.address, config.method);
+
+        default:
+            throw new Error(`Unknown signer type: ${config.type} (expected ${SIGNER_TYPES.join(', ')})`);
+    }
+}
+
+/**
+ * Read a signer configuration from environment variables with a role prefix.
+ * `<PREFIX>_SIGNER` selects the backend (privateKey by default):
+ *   privateKey: <PREFIX>_PRIVATE_KEY
+ *   keystore:   <PREFIX>_KEYSTORE, <PREFIX>_KEYSTORE_PASSWORD
+ *   mnemonic:   <PREFIX>_MNEMONIC, <PREFIX>_MNEMONIC_PATH or <PREFIX>_MNEMONIC_INDEX
+ *   rpc:        <PREFIX>_ADDRESS, <PREFIX>_RPC_SIGN_METHOD
+ * @param {string} prefix - Variable prefix, e.g. 'OWNER2'
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Object|null} Signer configuration, or null when nothing is configured
+ */
+export function signerConfigFromEnv(prefix, env = process.env) {
+    const variable = name => env[`${prefix}_${name}`];
+    const type = variable('SIGNER') || 'privateKey';
+
+    switch (type) {
+        case 'privateKey':
+            return variable('PRIVATE_KEY') ? { type, privateKey: variable('PRIVATE_KEY') } : null;
+
+        case 'keystore':
+            return {
+                type,
+                path: variable('KEYSTORE'),
+                password: variable('KEYSTORE_PASSWORD')
+            };
+
+        case 'mnemonic':
+            return {
+                type,
+                mnemonic: variable('MNEMONIC'),
+                path: variable('MNEMONIC_PATH'),
+                index: variable('MNEMONIC_INDEX'),
+                passphrase: variable('MNEMONIC_PASSPHRASE')
+            };
+
+        case 'rpc':
+            return {
+                type,
+                address: variable('ADDRESS'),
+                method: variable('RPC_SIGN_METHOD') || 'personal_sign'
+            };
+
+        default:
+            throw new Error(`${prefix}_SIGNER must be one of ${SIGNER_TYPES.join(', ')}, got: ${type}`);
+    }
+}
+
+export default {
+    SIGNER_TYPES,
+    RPC_SIGN_METHODS,
+    RpcSigner,
+    createSigner,
+    signerConfigFromEnv
+};
@@ -0,0 +1,399 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PROJECT_ROOT = path.join(__dirname, '../..');
+
+/**
+ * Storage backends for local records: deployments, transfers and signatures.
+ *
+ * Records are JSON values stored under a collection and a key, e.g.
+ * ('transfers', '3'). namespace() returns a view whose collections are
+ * prefixed, which keeps the records of different vaults apart:
+ *
+ *   storage.namespace('31337-0x5fbd...').put('transfers', 3, { ... })
+ *
+ * Every backend is synchronous and offers get, put, delete, keys and namespace.
+ */
+
+export const STORAGE_TYPES = ['file', 'memory', 'embedded'];
+
+export const DEFAULT_DIRECTORY = path.join(PROJECT_ROOT, 'data');
+
+export const DEFAULT_DATABASE = path.join(DEFAULT_DIRECTORY, 'multisig.db');
+
+const SEGMENT_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9_.-]*$/;
+
+/**
+ * Validate a collection path ('transfers', '31337-0xabc/transfers') or key
+ */
+function checkName(value, kind) {
+    const name = String(value);
+    const segments = kind === 'key' ? [name] : name.split('/');
+    if (!segments.every(segment => SEGMENT_PATTERN.test(segment))) {
+        throw new Error(`Invalid storage ${kind}: ${name}`);
+    }
+    return name;
+}
+
+/**
+ * Copy a value through JSON, as a persistent backend would store it
+ */
+function cloneValue(value) {
+    return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Write a file through a temporary file and a rename, so readers never see
+ * a partially written file
+ * @param {string} filePath - Destination
+ * @param {string} content - File content
+ */
+export function writeFileAtomic(filePath, content) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    try {
+        fs.writeFileSync(tmpPath, content);
+        fs.renameSync(tmpPath, filePath);
+    } catch (error) {
+        fs.rmSync(tmpPath, { force: true });
+        throw error;
+    }
+}
+
+/**
+ * Namespace of a vault's records
+ * @param {number|bigint} chainId - Chain id of the vault
+ * @param {string} address - Vault address
+ * @returns {string} Namespace, e.g. '31337-0x5fbdb2315678afecb367f032d93f642f64180aa3'
+ */
+export function vaultNamespace(chainId, address) {
+    return `${chainId}-${address.toLowerCase()}`;
+}
+
+/**
+ * Shared namespace support
+ */
+class Storage {
+    /**
+     * View of this storage with every collection prefixed by a namespace
+     */
+    namespace(name) {
+        return new NamespacedStorage(this, checkName(name, 'collection'));
+    }
+}
+
+class NamespacedStorage extends Storage {
+    constructor(parent, prefix) {
+        super();
+        this.parent = parent;
+        this.prefix = prefix;
+    }
+
+    get(collection, key) {
+        return this.parent.get(`${this.prefix}/${collection}`, key);
+    }
+
+    put(collection, key, value) {
+        return this.parent.put(`${this.prefix}/${collection}`, key, value);
+    }
+
+    delete(collection, key) {
+        return this.parent.delete(`${this.prefix}/${collection}`, key);
+    }
+
+    keys(collection) {
+        return this.parent.keys(`${this.prefix}/${collection}`);
+    }
+}
+
+/**
+ * Records kept in process memory, for tests and short-lived scripts
+ */
+export class MemoryStorage extends Storage {
+    constructor() {
+        super();
+        this.collections = new Map();
+    }
+
+    get(collection, key) {
+        const value = this.collections.get(checkName(collection, 'collection'))?.get(checkName(key, 'key'));
+        return value === undefined ? null : cloneValue(value);
+    }
+
+    /**
+     * @returns {string} Location of the record
+     */
+    put(collection, key, value) {
+        const name = checkName(collection, 'collection');
+        if (!this.collections.has(name)) {
+            this.collections.set(name, new Map());
+        }
+        this.collections.get(name).set(checkName(key, 'key'), cloneValue(value));
+        return `memory:${name}/${key}`;
+    }
+
+    delete(collection, key) {
+        return this.collections.get(checkName(collection, 'collection'))?.delete(checkName(key, 'key')) ?? false;
+    }
+
+    keys(collection) {
+        return [...(this.collections.get(checkName(collection, 'collection'))?.keys() ?? [])];
+    }
+}
+
+/**
+ * One JSON file per record: <directory>/<collection>/<key>.json.
+ * Files are replaced atomically.
+ */
+export class FileStorage extends Storage {
+    /**
+     * @param {Object} options - { directory } (default: data/ in the project)
+     */
+    constructor({ directory = DEFAULT_DIRECTORY } = {}) {
+        super();
+        this.directory = path.resolve(directory);
+    }
+
+    /**
+     * Path of a record's file
+     */
+    path(collection, key) {
+        const segments = checkName(collection, 'collection').split('/');
+        return path.join(this.directory, ...segments, `${checkName(key, 'key')}.json`);
+    }
+
+    get(collection, key) {
+        const filePath = this.path(collection, key);
+        if (!fs.existsSync(filePath)) {
+            return null;
+        }
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+
+    /**
+     * @returns {string} Path of the written file
+     */
+    put(collection, key, value) {
+        const filePath = this.path(collection, key);
+        writeFileAtomic(filePath, JSON.stringify(cloneValue(value), null, 2));
+        return filePath;
+    }
+
+    delete(collection, key) {
+        const filePath = this.path(collection, key);
+        if (!fs.existsSync(filePath)) {
+            return false;
+        }
+        fs.rmSync(filePath);
+        return true;
+    }
+
+    keys(collection) {
+        const directory = path.join(this.directory, ...checkName(collection, 'collection').split('/'));
+        if (!fs.existsSync(directory)) {
+            return [];
+        }
+        return fs.readdirSync(directory)
+            .filter(file => file.endsWith('.json'))
+            .map(file => file.slice(0, -'.json'.length));
+    }
+}
+
+/**
+ * Embedded single-file database: every change is appended to one file as a
+ * JSON line and the file is replayed when read. Other processes' changes are
+ * picked up on the next access. compact() rewrites the file with only the
+ * live records; run it while no other process is writing.
+ */
+export class EmbeddedStorage extends Storage {
+    /**
+     * @param {Object} options - { file } (default: data/multisig.db in the project)
+     */
+    constructor({ file = DEFAULT_DATABASE } = {}) {
+        super();
+        this.file = path.resolve(file);
+        this.records = new Map();
+        this.offset = 0;
+        this.inode = null;
+        this.entries = 0;
+    }
+
+    get(collection, key) {
+        this._refresh();
+        const value = this.records.get(this._recordKey(collection, key));
+        return value === undefined ? null : cloneValue(value);
+    }
+
+    /**
+     * @returns {string} Location of the record
+     */
+    put(collection, key, value) {
+        this._append({ op: 'put', collection, key: String(key), value: cloneValue(value) });
+        return `${this.file}#${collection}/${key}`;
+    }
+
+    delete(collection, key) {
+        if (this.get(collection, key) === null) {
+            return false;
+        }
+        this._append({ op: 'delete', collection, key: String(key) });
+        return true;
+    }
+
+    keys(collection) {
+        this._refresh();
+        const prefix = `${checkName(collection, 'collection')}\u0000`;
+        return [...this.records.keys()]
+            .filter(recordKey => recordKey.startsWith(prefix))
+            .map(recordKey => recordKey.slice(prefix.length));
+    }
+
+    /**
+     * Rewrite the database with only the live records
+     * @returns {Object} { before, after } entry counts
+     */
+    compact() {
+        this._refresh();
+        const before = this.entries;
+        const lines = [...this.records.entries()].map(([recordKey, value]) => {
+            const [collection, key] = recordKey.split('\u0000');
+            return `${JSON.stringify({ op: 'put', collection, key, value })}\n`;
+        });
+
+        writeFileAtomic(this.file, lines.join(''));
+        this.inode = null;
+        this._refresh();
+        return { before, after: this.entries };
+    }
+
+    _recordKey(collection, key) {
+        return `${checkName(collection, 'collection')}\u0000${checkName(key, 'key')}`;
+    }
+
+    _append(entry) {
+        this._recordKey(entry.collection, entry.key);
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.appendFileSync(this.file, `${JSON.stringify(entry)}\n`);
+        this._refresh();
+    }
+
+    /**
+     * Apply entries written since the last read; start over when the file
+     * was replaced (compaction) or removed
+     */
+    _refresh() {
+        if (!fs.existsSync(this.file)) {
+            this.records.clear();
+            this.offset = 0;
+            this.inode = null;
+            this.entries = 0;
+            return;
+        }
+
+        const stats = fs.statSync(this.file);
+        if (stats.ino !== this.inode || stats.size < this.offset) {
+            this.records.clear();
+            this.offset = 0;
+            this.inode = stats.ino;
+            this.entries = 0;
+        }
+        if (stats.size === this.offset) {
+            return;
+        }
+
+        const buffer = Buffer.alloc(stats.size - this.offset);
+        const fd = fs.openSync(this.file, 'r');
+        try {
+            fs.readSync(fd, buffer, 0, buffer.length, this.offset);
+        } finally {
+            fs.closeSync(fd);
+        }
+
+        // A line still being written by another process is read next time
+        const end = buffer.lastIndexOf('\n');
+        if (end === -1) {
+            return;
+        }
+        for (const line of buffer.subarray(0, end).toString('utf8').split('\n')) {
+            if (line.trim() === '') {
+                continue;
+            }
+            const entry = JSON.parse(line);
+            const recordKey = `${entry.collection}\u0000${entry.key}`;
+            if (entry.op === 'delete') {
+                this.records.delete(recordKey);
+            } else {
+                this.records.set(recordKey, entry.value);
+            }
+            this.entries++;
+        }
+        this.offset += end + 1;
+    }
+}
+
+/**
+ * Create a storage backend
+ * @param {Object} config - A storage instance (returned as is), or { type, ... }
+ *   where type is one of STORAGE_TYPES:
+ *   file:     { directory }
+ *   memory:   {}
+ *   embedded: { file }
+ * @returns {Object} Storage
+ */
+export function createStorage(config = { type: 'file' }) {
+    if (config instanceof Storage) {
+        return config;
+    }
+
+    switch (config.type) {
+        case 'file':
+            return new FileStorage({ directory: config.directory ?? DEFAULT_DIRECTORY });
+
+        case 'memory':
+            return new MemoryStorage();
+
+        case 'embedded':
+            return new EmbeddedStorage({ file: config.file ?? DEFAULT_DATABASE });
+
+        default:
+            throw new Error(`Unknown storage type: ${config.type} (expected ${STORAGE_TYPES.join(', ')})`);
+    }
+}
+
+/**
+ * Read the storage configuration from environment variables:
+ *   STORAGE:      file (default), memory or embedded
+ *   STORAGE_DIR:  directory of the file backend
+ *   STORAGE_FILE: database file of the embedded backend
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Object} Storage configuration
+ */
+export function storageConfigFromEnv(env = process.env) {
+    const type = env.STORAGE || 'file';
+    if (!STORAGE_TYPES.includes(type)) {
+        throw new Error(`STORAGE must be one of ${STORAGE_TYPES.join(', ')}, got: ${type}`);
+    }
+
+    return {
+        type,
+        ...(type === 'file' && env.STORAGE_DIR ? { directory: env.STORAGE_DIR } : {}),
+        ...(type === 'embedded' && env.STORAGE_FILE ? { file: env.STORAGE_FILE } : {})
+    };
+}
+
+export default {
+    STORAGE_TYPES,
+    DEFAULT_DIRECTORY,
+    DEFAULT_DATABASE,
+    MemoryStorage,
+    FileStorage,
+    EmbeddedStorage,
+    vaultNamespace,
+    writeFileAtomic,
+    createStorage,
+    storageConfigFromEnv
+};
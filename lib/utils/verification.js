@@ -0,0 +1,159 @@
+import { ethers } from 'ethers';
+
+/**
+ * Helpers to check deployed runtime code against a local build artifact.
+ * Solidity appends a CBOR-encoded metadata trailer (IPFS hash of the
+ * metadata JSON and compiler version) to the runtime code, and writes
+ * immutables into it at deployment; both are compared separately from the
+ * code itself.
+ */
+
+/**
+ * Raised when a deployed vault does not run the code of the local build
+ */
+export class VerificationError extends Error {
+    /**
+     * @param {string} message - Human readable message
+     * @param {Object} report - Verification report (see BaseMultisigClient.verifyDeployment)
+     */
+    constructor(message, report = null) {
+        super(message);
+        this.name = 'VerificationError';
+        this.report = report;
+    }
+}
+
+/**
+ * Read one CBOR item (the subset solc emits: maps, text, bytes, booleans)
+ * @returns {Array} [value, next offset]
+ */
+function readCborItem(bytes, offset) {
+    const initial = bytes[offset];
+    const major = initial >> 5;
+    const info = initial & 0x1f;
+    let length = info;
+    let next = offset + 1;
+
+    if (info === 24) {
+        length = bytes[next];
+        next += 1;
+    } else if (info === 25) {
+        length = (bytes[next] << 8) | bytes[next + 1];
+        next += 2;
+    } else if (info > 25) {
+        throw new Error(`Unsupported CBOR item 0x${initial.toString(16)}`);
+    }
+
+    switch (major) {
+        case 2:
+            return [bytes.slice(next, next + length), next + length];
+        case 3:
+            return [ethers.toUtf8String(bytes.slice(next, next + length)), next + length];
+        case 5: {
+            const map = {};
+            for (let i = 0; i < length; i++) {
+                const [key, afterKey] = readCborItem(bytes, next);
+                const [value, afterValue] = readCborItem(bytes, afterKey);
+                map[key] = value;
+                next = afterValue;
+            }
+            return [map, next];
+        }
+        case 7:
+            if (info === 20 || info === 21) {
+                return [info === 21, next];
+            }
+            break;
+    }
+    throw new Error(`Unsupported CBOR item 0x${initial.toString(16)}`);
+}
+
+/**
+ * Split runtime code into the code proper and its metadata trailer
+ * @param {string} code - Runtime code
+ * @returns {Object} { code, metadata } where metadata is { ipfs, solc } (CID
+ *   and compiler version, null when absent) or null without a trailer
+ */
+export function splitMetadata(code) {
+    const bytes = ethers.getBytes(code);
+    if (bytes.length < 2) {
+        return { code: ethers.hexlify(bytes), metadata: null };
+    }
+
+    const length = (bytes[bytes.length - 2] << 8) | bytes[bytes.length - 1];
+    const start = bytes.length - 2 - length;
+    if (length === 0 || start < 0) {
+        return { code: ethers.hexlify(bytes), metadata: null };
+    }
+
+    try {
+        const [map, end] = readCborItem(bytes, start);
+        if (end !== bytes.length - 2 || typeof map !== 'object' || map instanceof Uint8Array) {
+            return { code: ethers.hexlify(bytes), metadata: null };
+        }
+        return {
+            code: ethers.hexlify(bytes.slice(0, start)),
+            metadata: {
+                ipfs: map.ipfs ? ethers.encodeBase58(map.ipfs) : null,
+                solc: map.solc instanceof Uint8Array ? Array.from(map.solc).join('.') : (map.solc ?? null)
+            }
+        };
+    } catch {
+        return { code: ethers.hexlify(bytes), metadata: null };
+    }
+}
+
+/**
+ * Values of the immutables in runtime code, by AST id
+ * @param {string} code - Runtime code
+ * @param {Object} immutableReferences - { [id]: [{ start, length }] } from the artifact
+ * @returns {Object} { [id]: value }, value null when its occurrences disagree
+ */
+export function readImmutables(code, immutableReferences = {}) {
+    const values = {};
+    for (const [id, references] of Object.entries(immutableReferences)) {
+        const found = new Set(references.map(({ start, length }) => ethers.dataSlice(code, start, start + length)));
+        values[id] = found.size === 1 ? [...found][0] : null;
+    }
+    return values;
+}
+
+/**
+ * Runtime code with every immutable zeroed
+ * @param {string} code - Runtime code
+ * @param {Object} immutableReferences - { [id]: [{ start, length }] } from the artifact
+ * @returns {string} Masked code
+ */
+export function maskImmutables(code, immutableReferences = {}) {
+    const bytes = ethers.getBytes(code);
+    for (const references of Object.values(immutableReferences)) {
+        for (const { start, length } of references) {
+            bytes.fill(0, start, Math.min(start + length, bytes.length));
+        }
+    }
+    return ethers.hexlify(bytes);
+}
+
+/**
+ * Offset of the first byte at which two codes differ
+ * @returns {number|null} Byte offset, or null when they are equal
+ */
+export function firstDifference(actual, expected) {
+    const a = ethers.getBytes(actual);
+    const b = ethers.getBytes(expected);
+    const length = Math.min(a.length, b.length);
+    for (let i = 0; i < length; i++) {
+        if (a[i] !== b[i]) {
+            return i;
+        }
+    }
+    return a.length === b.length ? null : length;
+}
+
+export default {
+    VerificationError,
+    splitMetadata,
+    readImmutables,
+    maskImmutables,
+    firstDifference
+};
@@ -0,0 +1,62 @@
+import { numberToHex } from 'viem';
+
+/**
+ * The ethers-style provider the event index and watchers read through
+ * (getNetwork, getBlockNumber, getBlock, getLogs), on top of a viem public
+ * client. Block numbers, timestamps and log positions are plain numbers, as
+ * ethers returns them.
+ */
+
+/**
+ * Wrap a viem public client
+ * @param {Object} publicClient - viem public client
+ * @returns {Object} Event provider
+ */
+export function createEventProvider(publicClient) {
+    return {
+        async getNetwork() {
+            return { chainId: BigInt(await publicClient.getChainId()) };
+        },
+
+        async getBlockNumber() {
+            return Number(await publicClient.getBlockNumber({ cacheTime: 0 }));
+        },
+
+        /**
+         * Block by number, or null when the chain has no such block
+         */
+        async getBlock(blockNumber) {
+            let block;
+            try {
+                block = await publicClient.getBlock({ blockNumber: BigInt(blockNumber) });
+            } catch (error) {
+                if (error.name === 'BlockNotFoundError') {
+                    return null;
+                }
+                throw error;
+            }
+            return { number: Number(block.number), hash: block.hash, timestamp: Number(block.timestamp) };
+        },
+
+        /**
+         * Raw eth_getLogs, so topics filter as in ethers (viem's getLogs
+         * needs the event ABI instead)
+         */
+        async getLogs({ address, topics, fromBlock, toBlock }) {
+            const logs = await publicClient.request({
+                method: 'eth_getLogs',
+                params: [{ address, topics, fromBlock: numberToHex(fromBlock), toBlock: numberToHex(toBlock) }]
+            });
+            return logs.map(log => ({
+                ...log,
+                blockNumber: Number(log.blockNumber),
+                transactionIndex: Number(log.transactionIndex),
+                index: Number(log.logIndex)
+            }));
+        }
+    };
+}
+
+export default {
+    createEventProvider
+};
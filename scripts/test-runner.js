@@ -3,6 +3,7 @@
 import { spawn } from 'child_process';
 import { promisify } from 'util';
 import { exec } from 'child_process';
+import { localChainId } from '../lib/utils/networks.js';
 
 const execAsync = promisify(exec);
 
@@ -22,7 +23,8 @@ async function runTestSuite() {
         
         // Step 2: Start Anvil
         console.log('\n⚡ Starting Anvil...');
-        anvilProcess = spawn('anvil', ['--chain-id', '1337', '--block-time', '1'], {
+        // The chain id networks.json expects, or clients refuse to connect
+        anvilProcess = spawn('anvil', ['--chain-id', String(localChainId()), '--block-time', '1'], {
             stdio: ['ignore', 'pipe', 'pipe']
         });
         
@@ -58,7 +60,7 @@ async function runTestSuite() {
         // Step 4: Run JavaScript tests  
         console.log('\n🧪 Running JavaScript Tests...');
         try {
-            const { stdout } = await execAsync('npx vitest run test-js/multisig.test.js');
+            const { stdout } = await execAsync('npx vitest run test-js');
             console.log(stdout);
         } catch (error) {
             console.error('❌ JavaScript tests failed:', error.message);
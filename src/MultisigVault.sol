@@ -3,11 +3,16 @@ pragma solidity ^0.8.30;
 
 import {IERC1271} from "@openzeppelin/contracts/interfaces/IERC1271.sol";
 import {SignatureChecker} from "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+import {EIP712} from "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
 
-contract MultisigVault is IERC1271 {
+contract MultisigVault is IERC1271, EIP712 {
     address public immutable owner1;
     address public immutable owner2;
     
+    // EIP-712 struct owner2 signs to approve a transfer
+    bytes32 public constant TRANSFER_TYPEHASH =
+        keccak256("Transfer(uint256 nonce,address to,uint256 amount,uint256 deadline)");
+    
     struct PendingTransfer {
         address to;
         uint256 amount;
@@ -40,6 +45,7 @@ contract MultisigVault is IERC1271 {
     error InvalidOwner();
     error OwnersCannotBeSame();
     error TransferFailed();
+    error ApprovalExpired();
     
     modifier onlyOwner1() {
         if (msg.sender != owner1) revert OnlyOwner1();
@@ -51,7 +57,7 @@ contract MultisigVault is IERC1271 {
         _;
     }
     
-    constructor(address _owner1, address _owner2) {
+    constructor(address _owner1, address _owner2) EIP712("MultisigVault", "1") {
         if (_owner1 == address(0) || _owner2 == address(0)) revert InvalidOwner();
         if (_owner1 == _owner2) revert OwnersCannotBeSame();
         
@@ -74,7 +80,8 @@ contract MultisigVault is IERC1271 {
         
         uint256 nonce = transferNonce++;
         
-        // Create hash of transfer data for signing
+        // Identifies the transfer in events and off-chain records; approvals
+        // sign the EIP-712 Transfer struct (see hashTransfer)
         bytes32 dataHash = keccak256(abi.encodePacked(
             address(this),
             nonce,
@@ -115,27 +122,23 @@ contract MultisigVault is IERC1271 {
         );
     }
     
-    function completeTransfer(
-        uint256 nonce,
-        uint8 v,
-        bytes32 r,
-        bytes32 s
-    ) external onlyOwner1 {
+    /**
+     * @dev Complete a transfer with owner2's signature of the EIP-712 Transfer struct
+     * @param nonce Transfer nonce
+     * @param deadline Last timestamp at which the approval is valid, as signed by owner2
+     * @param signature Owner2's signature: 65-byte ECDSA, or any length for contract wallets (ERC-1271)
+     */
+    function completeTransfer(uint256 nonce, uint256 deadline, bytes calldata signature) external onlyOwner1 {
         PendingTransfer storage transfer = pendingTransfers[nonce];
         
         if (!transfer.initiated) revert TransferNotInitiated();
         if (transfer.completed) revert TransferAlreadyCompleted();
         if (transfer.cancelled) revert TransferAlreadyCancelled();
+        if (block.timestamp > deadline) revert ApprovalExpired();
         if (address(this).balance < transfer.amount) revert InsufficientBalance();
         
-        // Pack signature for validation
-        bytes memory signature = abi.encodePacked(r, s, v);
-        
-        // Create the message hash that was actually signed (Ethereum signed message format)
-        bytes32 ethSignedHash = getEthSignedMessageHash(transfer.dataHash);
-        
         // Verify signature from owner2 (supports both EOA and smart contract signatures)
-        if (!_isValidSignatureFrom(owner2, ethSignedHash, signature)) {
+        if (!_isValidSignatureFrom(owner2, hashTransfer(nonce, deadline), signature)) {
             revert InvalidSignature();
         }
         
@@ -171,11 +174,29 @@ contract MultisigVault is IERC1271 {
         return address(this).balance;
     }
     
-    function getMessageToSign(uint256 nonce) external view returns (bytes32) {
+    /**
+     * @dev EIP-712 digest owner2 signs to approve a transfer until the deadline
+     * @param nonce Transfer nonce
+     * @param deadline Last timestamp at which the approval is valid
+     * @return Digest of Transfer(nonce, to, amount, deadline) in this vault's domain
+     */
+    function hashTransfer(uint256 nonce, uint256 deadline) public view returns (bytes32) {
         PendingTransfer memory transfer = pendingTransfers[nonce];
         if (!transfer.initiated) revert TransferNotInitiated();
-        if (transfer.cancelled) revert TransferAlreadyCancelled();
-        return getEthSignedMessageHash(transfer.dataHash);
+        return _hashTypedDataV4(keccak256(abi.encode(
+            TRANSFER_TYPEHASH,
+            nonce,
+            transfer.to,
+            transfer.amount,
+            deadline
+        )));
+    }
+    
+    /**
+     * @dev EIP-712 domain separator: name "MultisigVault", version "1", chain id and this vault
+     */
+    function DOMAIN_SEPARATOR() external view returns (bytes32) {
+        return _domainSeparatorV4();
     }
     
     /**
@@ -0,0 +1,110 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { ethers } from 'ethers';
+import { MultisigClient } from '../lib/MultisigClient.js';
+import {
+    ApprovalError,
+    computeDataHash,
+    decodeApproval,
+    encodeApprovalCompact,
+    encodeApprovalJSON,
+    hashTransfer,
+    signApprovalRequest,
+    transferTypedData
+} from '../lib/utils/approval.js';
+import { ApprovalExpiredError } from '../lib/utils/errors.js';
+
+describe('Approval requests and responses', () => {
+    const client = new MultisigClient();
+    let owner1;
+    let owner2;
+    let nonce;
+
+    beforeAll(async () => {
+        const deployer = client.createWallet('0x7c852118294e51e653712a81e05800f419141751be58f605c371e15141b007a6');
+        owner1 = client.createWallet('0x47e179ec197488593b187f80a00eb0da91f1b9d0b13f8733639f19c30a34926a');
+        owner2 = client.createWallet('0x8b3a350cf5c34c9194ca85829a2df0ec3153be0318b5e2d3348e872092edffba');
+
+        await client.deploy(owner1.address, owner2.address, deployer);
+        await client.fundContract(deployer, ethers.parseEther('2'));
+
+        const recipient = ethers.Wallet.createRandom().address;
+        ({ nonce } = await client.initiateTransfer(owner1, recipient, ethers.parseEther('1')));
+    });
+
+    it('round-trips through JSON and the compact string form', async () => {
+        const request = await client.createApprovalRequest(nonce);
+
+        expect(decodeApproval(encodeApprovalJSON(request))).toEqual(request);
+        expect(decodeApproval(encodeApprovalCompact(request))).toEqual(request);
+        expect(encodeApprovalCompact(request)).toMatch(/^multisig:v2:[A-Za-z0-9_-]+$/);
+        expect(() => decodeApproval({ ...request, version: 3 })).toThrow(ApprovalError);
+
+        // Version 1 signed the prefixed dataHash, which the vault no longer accepts
+        const v1 = `multisig:v1:${Buffer.from(JSON.stringify({ ...JSON.parse(encodeApprovalJSON(request)), version: 1 })).toString('base64url')}`;
+        expect(() => decodeApproval(v1)).toThrow('Owner2 has to sign the transfer again');
+    });
+
+    it('rejects approvals for another chain, vault or amount', async () => {
+        const request = await client.createApprovalRequest(nonce);
+
+        await expect(client.signTransfer(owner2, { ...request, chainId: 1n })).rejects.toThrow(/chain/);
+        await expect(client.signTransfer(owner2, { ...request, vault: owner1.address })).rejects.toThrow(/vault/);
+        await expect(client.signTransfer(owner2, { ...request, amount: 1n })).rejects.toThrow(/amount/);
+    });
+
+    it('signs a request and completes the transfer from the response', async () => {
+        const request = decodeApproval(encodeApprovalCompact(await client.createApprovalRequest(nonce)));
+        const { approval, messageHash } = await client.signTransfer(owner2, request);
+        expect(approval.signer).toBe(owner2.address);
+        expect(messageHash).toBe(hashTransfer(approval));
+
+        // A response signed by someone other than owner2 is refused before sending
+        const { domain, types, message } = transferTypedData(approval);
+        const forged = {
+            ...approval,
+            signature: await owner1.signTypedData(domain, types, message),
+            signer: owner1.address
+        };
+        await expect(client.completeTransfer(owner1, forged)).rejects.toThrow(ApprovalError);
+
+        await client.completeTransfer(owner1, decodeApproval(encodeApprovalCompact(approval)));
+        const details = await client.getTransferDetails(nonce);
+        expect(details.completed).toBe(true);
+    }, 60000);
+
+    it('signs offline with a recomputed dataHash', async () => {
+        const recipient = ethers.Wallet.createRandom().address;
+        const transfer = await client.initiateTransfer(owner1, recipient, ethers.parseEther('0.25'));
+        const request = await client.createApprovalRequest(transfer.nonce);
+        expect(computeDataHash(request)).toBe(request.dataHash);
+
+        // No provider on the signing side
+        const offlineOwner2 = new ethers.Wallet(owner2.privateKey);
+        const tampered = { ...request, recipient: owner1.address };
+        await expect(signApprovalRequest(tampered, offlineOwner2)).rejects.toThrow(/dataHash/);
+
+        const response = await signApprovalRequest(encodeApprovalCompact(request), offlineOwner2);
+        await client.completeTransfer(owner1, encodeApprovalCompact(response));
+        expect(await client.provider.getBalance(recipient)).toBe(ethers.parseEther('0.25'));
+    }, 60000);
+
+    it('refuses approvals past their deadline', async () => {
+        const recipient = ethers.Wallet.createRandom().address;
+        const transfer = await client.initiateTransfer(owner1, recipient, ethers.parseEther('0.1'));
+        const { timestamp } = await client.provider.getBlock('latest');
+
+        await expect(client.signTransfer(owner2, transfer.nonce, { deadline: timestamp })).rejects.toThrow('has already passed');
+        const { approval } = await client.signTransfer(owner2, transfer.nonce, { deadline: timestamp + 60 });
+
+        await client.provider.send('evm_increaseTime', [120]);
+        await client.provider.send('evm_mine', []);
+
+        const expired = await client.completeTransfer(owner1, approval).catch(error => error);
+        expect(expired).toBeInstanceOf(ApprovalExpiredError);
+        expect(expired.message).toContain(`expired at ${new Date((timestamp + 60) * 1000).toISOString()}`);
+
+        const renewed = await client.signTransfer(owner2, transfer.nonce);
+        await client.completeTransfer(owner1, renewed.approval);
+        expect(await client.provider.getBalance(recipient)).toBe(ethers.parseEther('0.1'));
+    }, 60000);
+});
@@ -0,0 +1,172 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { ethers } from 'ethers';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AddressBook } from '../lib/AddressBook.js';
+import { MultisigClient } from '../lib/MultisigClient.js';
+import { PayoutBatch } from '../lib/PayoutBatch.js';
+import { parseBatch, validateBatch } from '../lib/utils/batch.js';
+import { DEPLOYER_KEY, OWNER1_KEY, OWNER2_KEY } from './clientSuite.js';
+
+describe('Batch files', () => {
+    const alice = ethers.Wallet.createRandom().address;
+    const bob = ethers.Wallet.createRandom().address;
+
+    it('reads CSV with or without a header, and JSON', () => {
+        const withHeader = parseBatch(`Memo,Address,Amount\n"Invoice 7, March",${alice},1.5\n\n,${bob},0.25\n`, 'csv');
+        expect(withHeader).toEqual([
+            { row: 1, recipient: alice, amount: '1.5', memo: 'Invoice 7, March' },
+            { row: 2, recipient: bob, amount: '0.25', memo: '' }
+        ]);
+
+        const plain = parseBatch(`${alice},1\r\n${bob},2,"say ""hi"""`, 'csv');
+        expect(plain.map(({ memo }) => memo)).toEqual(['', 'say "hi"']);
+
+        const json = parseBatch(JSON.stringify({ transfers: [{ to: alice, amount: 1, memo: 'x' }] }), 'json');
+        expect(json).toEqual([{ row: 1, recipient: alice, amount: 1, memo: 'x' }]);
+        expect(() => parseBatch('{"payouts": []}', 'json')).toThrow(/array of transfers/);
+    });
+
+    it('reports every invalid row', () => {
+        const { rows, problems, warnings } = validateBatch(parseBatch([
+            `${alice},1.5`,
+            '0x1234,1',
+            `${bob},-1`,
+            `${ethers.ZeroAddress},one`,
+            `${alice},1.5`,
+            `${bob.toLowerCase()},1`
+        ].join('\n'), 'csv'));
+
+        expect(rows.map(({ row, recipient, amount }) => [row, recipient, amount])).toEqual([
+            [1, alice, ethers.parseEther('1.5')],
+            [5, alice, ethers.parseEther('1.5')]
+        ]);
+        expect(problems).toEqual([
+            { row: 2, message: 'invalid recipient address "0x1234"' },
+            { row: 3, message: 'amount must be greater than zero' },
+            { row: 4, message: 'recipient is the zero address' },
+            { row: 4, message: 'invalid amount "one"' },
+            { row: 6, message: `recipient ${bob.toLowerCase()} is not checksummed; copy the address from its source or use ${bob} after checking it` }
+        ]);
+        expect(warnings).toEqual([{ row: 5, message: 'same recipient and amount as row 1' }]);
+    });
+
+    it('accepts address book labels as recipients', () => {
+        const addressBook = new AddressBook({ file: path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'multisig-batch-book-')), 'book.json') });
+        addressBook.add('alice', { address: alice });
+
+        const { rows, problems } = validateBatch(parseBatch(`alice,1\ncarol,2\n`, 'csv'), { addressBook });
+        expect(rows.map(({ recipient }) => recipient)).toEqual([alice]);
+        expect(problems).toEqual([{ row: 2, message: 'no contact saved as carol' }]);
+
+        // Without an address book a label is no address
+        expect(validateBatch(parseBatch('alice,1', 'csv')).problems).toEqual([{ row: 1, message: 'invalid recipient address "alice"' }]);
+    });
+});
+
+describe('PayoutBatch', () => {
+    const client = new MultisigClient(null, { storage: { type: 'memory' } });
+    const recipients = [0, 1, 2].map(() => ethers.Wallet.createRandom().address);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'multisig-batch-'));
+    let owner1;
+    let owner2;
+    let rows;
+
+    beforeAll(async () => {
+        const deployer = client.createWallet(DEPLOYER_KEY);
+        owner1 = client.createWallet(OWNER1_KEY);
+        owner2 = client.createWallet(OWNER2_KEY);
+
+        await client.deploy(owner1.address, owner2.address, deployer);
+        await client.fundContract(deployer, ethers.parseEther('1'));
+
+        ({ rows } = validateBatch(parseBatch(recipients.map((to, i) => `${to},0.${i + 1},payout ${i}`).join('\n'), 'csv')));
+    });
+
+    afterAll(() => {
+        client.provider.destroy();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('initiates, signs and completes every row, resuming from the report', async () => {
+        const file = path.join(dir, 'payouts.report.json');
+        const batch = await PayoutBatch.open(client, rows, { file, source: 'payouts.csv' });
+        expect(await batch.checkFunds()).toMatchObject({ remaining: ethers.parseEther('0.6'), sufficient: true });
+
+        // A run that stopped after sending row 1 but before recording its nonce
+        batch.report.startNonce = (await client.getCurrentNonce()).toString();
+        await client.initiateTransfer(owner1, recipients[0], ethers.parseEther('0.1'));
+        batch.rows[0].status = 'initiating';
+        batch.save();
+
+        const resumed = await PayoutBatch.open(client, rows, { file });
+        await resumed.initiate(owner1);
+        expect(resumed.rows.map(({ status, nonce }) => [status, nonce])).toEqual([
+            ['initiated', '0'],
+            ['initiated', '1'],
+            ['initiated', '2']
+        ]);
+        expect(await client.getCurrentNonce()).toBe(3n);
+
+        // Owner2 works from the report alone
+        const reviewed = await PayoutBatch.load(client, file);
+        const pending = await reviewed.pendingApprovals();
+        expect(pending.map(({ details, matches }) => [details.to, matches])).toEqual(recipients.map(to => [to, true]));
+        await reviewed.sign(owner2);
+        expect(reviewed.summary().statuses.signed).toBe(3);
+
+        const completing = await PayoutBatch.load(client, file);
+        await completing.complete(owner1);
+        expect(completing.summary()).toMatchObject({ paid: ethers.parseEther('0.6'), remaining: 0n, failed: 0 });
+        expect(await client.getBalance()).toBe(ethers.parseEther('0.4'));
+        expect(client.loadTransfer(1).status).toBe('completed');
+
+        const report = JSON.parse(fs.readFileSync(file, 'utf8'));
+        expect(report.rows.map(({ memo, completionTxHash }) => [memo, /^0x[0-9a-f]{64}$/.test(completionTxHash)])).toEqual([
+            ['payout 0', true],
+            ['payout 1', true],
+            ['payout 2', true]
+        ]);
+    }, 60000);
+
+    it('keeps failed rows for the next run', async () => {
+        const { rows: large } = validateBatch([
+            { row: 1, recipient: recipients[0], amount: '0.1' },
+            { row: 2, recipient: recipients[1], amount: '5' }
+        ]);
+        const batch = await PayoutBatch.open(client, large);
+        expect((await batch.checkFunds()).sufficient).toBe(false);
+
+        await batch.initiate(owner1);
+        expect(batch.rows.map(({ status }) => status)).toEqual(['initiated', 'new']);
+        expect(batch.rows[1].error).toMatch(/holds less than 5.0 ETH/);
+        expect(batch.summary().failed).toBe(1);
+
+        await expect(PayoutBatch.open(client, rows, { file: path.join(dir, 'payouts.report.json') }))
+            .resolves.toBeInstanceOf(PayoutBatch);
+        await expect(PayoutBatch.open(client, large, { file: path.join(dir, 'payouts.report.json') }))
+            .rejects.toThrow(/report of another batch/);
+    }, 30000);
+
+    it('sends rows whose approval expired back to owner2', async () => {
+        const { rows: late } = validateBatch([{ row: 1, recipient: recipients[2], amount: '0.05' }]);
+        const batch = await PayoutBatch.open(client, late);
+        await batch.initiate(owner1);
+        const { timestamp } = await client.provider.getBlock('latest');
+        await batch.sign(owner2, { deadline: timestamp + 60 });
+        expect(batch.rows[0].status).toBe('signed');
+
+        // A short deadline, so the other test files' approvals outlive the jump
+        await client.provider.send('evm_increaseTime', [120]);
+        await client.provider.send('evm_mine', []);
+
+        await batch.complete(owner1);
+        expect(batch.rows[0]).toMatchObject({ status: 'initiated', approval: null });
+        expect(batch.rows[0].error).toMatch(/expired/);
+
+        await batch.sign(owner2);
+        await batch.complete(owner1);
+        expect(batch.rows[0]).toMatchObject({ status: 'completed', error: null });
+    }, 60000);
+});
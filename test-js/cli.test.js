@@ -0,0 +1,265 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { ethers } from 'ethers';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MultisigClient } from '../lib/MultisigClient.js';
+import { CoordinationServer } from '../lib/CoordinationServer.js';
+import { EXIT_CODES } from '../lib/cli/errors.js';
+import { decodeApproval } from '../lib/utils/approval.js';
+import { run, useCliEnvironment } from './cliHarness.js';
+
+describe('multisig CLI', () => {
+    // Anvil accounts #6-#8, distinct from the other test files
+    const deployerPrivateKey = '0x92db14e403b83dfe3df233f83dfa3a0d7096f21ca9b0d6d6b8d88b2b4ec1564e';
+    const owner1PrivateKey = '0x4bbbf85ce3377467afe5d46f804f221813b2bb87f24d81f60f1fcdbf7cbf4356';
+    const owner2PrivateKey = '0xdbda1821b80551c9d65939329250298aa3472ba22feea921c0cf5d620ea67b97';
+
+    let vault;
+
+    beforeAll(async () => {
+        const client = new MultisigClient();
+        const deployer = client.createWallet(deployerPrivateKey);
+        const owner1 = client.createWallet(owner1PrivateKey);
+        const owner2 = client.createWallet(owner2PrivateKey);
+
+        const deployment = await client.deploy(owner1.address, owner2.address, deployer);
+        await client.fundContract(deployer, ethers.parseEther('5'));
+        vault = deployment.address;
+
+        useCliEnvironment('cli', { owner1: owner1PrivateKey, owner2: owner2PrivateKey });
+    });
+
+    it('prints help and rejects unknown commands', async () => {
+        const help = await run(['--help']);
+        expect(help.exitCode).toBe(EXIT_CODES.OK);
+        expect(help.stdout).toContain('Usage: multisig <command>');
+
+        const unknown = await run(['frobnicate', '--json']);
+        expect(unknown.exitCode).toBe(EXIT_CODES.USAGE);
+        expect(JSON.parse(unknown.stdout).error.name).toBe('UsageError');
+
+        const badPort = await run(['serve', '--port', '70000', '--json']);
+        expect(badPort.exitCode).toBe(EXIT_CODES.USAGE);
+        expect(JSON.parse(badPort.stdout).error.message).toMatch(/Invalid port: 70000/);
+    });
+
+    it('runs initiate, sign and complete with --json output', async () => {
+        const recipient = ethers.Wallet.createRandom().address;
+
+        const initiated = await run(['initiate', recipient, '0.5', '--vault', vault, '--json']);
+        expect(initiated.exitCode).toBe(EXIT_CODES.OK);
+        const { nonce } = JSON.parse(initiated.stdout);
+
+        // Signing shows the transfer and waits for a confirmation
+        const unconfirmed = await run(['sign', nonce, '--vault', vault]);
+        expect(unconfirmed.exitCode).toBe(EXIT_CODES.USAGE);
+        expect(unconfirmed.stderr).toMatch(/Valid until \d{4}-\d\d-\d\dT.*Z \(\d+\)/);
+        expect(unconfirmed.stderr).toContain(`Warning: ${recipient} is not in the address book`);
+        expect(unconfirmed.stderr).toContain('pass --yes');
+
+        const signed = await run(['sign', nonce, '--yes', '--vault', vault, '--json']);
+        expect(signed.exitCode).toBe(EXIT_CODES.OK);
+        const { signature, deadline } = JSON.parse(signed.stdout);
+
+        // A raw signature is only valid with the deadline it covers
+        const undated = await run(['complete', nonce, '--signature', signature, '--vault', vault, '--json']);
+        expect(undated.exitCode).toBe(EXIT_CODES.USAGE);
+
+        const completed = await run(['complete', nonce, '--signature', signature, '--deadline', deadline, '--vault', vault, '--json']);
+        expect(completed.exitCode).toBe(EXIT_CODES.OK);
+        expect(JSON.parse(completed.stdout).amount).toBe(ethers.parseEther('0.5').toString());
+
+        const status = await run(['status', nonce, '--vault', vault, '--json']);
+        expect(JSON.parse(status.stdout).status).toBe('completed');
+
+        // A completed transfer cannot be signed again
+        const resigned = await run(['sign', nonce, '--yes', '--vault', vault, '--json']);
+        expect(resigned.exitCode).toBe(EXIT_CODES.STATE);
+    });
+
+    it('simulates with --dry-run without sending', async () => {
+        const recipient = ethers.Wallet.createRandom().address;
+
+        const dryRun = await run(['initiate', recipient, '0.25', '--vault', vault, '--dry-run']);
+        expect(dryRun.exitCode).toBe(EXIT_CODES.OK);
+        expect(dryRun.stdout).toMatch(/Dry run: +initiateTransfer from .* \(not sent\)/);
+        expect(dryRun.stdout).toMatch(/Gas: +\d+ at /);
+
+        const { nonce } = JSON.parse((await run(['initiate', recipient, '0.25', '--vault', vault, '--json'])).stdout);
+        const { signature, deadline } = JSON.parse((await run(['sign', nonce, '--yes', '--vault', vault, '--json'])).stdout);
+
+        const completion = await run(['complete', nonce, '--signature', signature, '--deadline', deadline, '--vault', vault, '--dry-run', '--json']);
+        const result = JSON.parse(completion.stdout);
+        expect(result.dryRun).toBe(true);
+        const recipientChange = result.balanceChanges.find(({ labels }) => labels.includes('recipient'));
+        expect(recipientChange.change).toBe(ethers.parseEther('0.25').toString());
+
+        const status = await run(['status', nonce, '--vault', vault, '--json']);
+        expect(JSON.parse(status.stdout).status).toBe('pending');
+
+        // Owner1's signature would revert with InvalidSignature
+        const client = new MultisigClient(null, { storage: { type: 'memory' } });
+        await client.connect(vault);
+        const { dataHash } = await client.getTransferDetails(nonce);
+        client.provider.destroy();
+        const forged = await new ethers.Wallet(owner1PrivateKey).signMessage(ethers.getBytes(dataHash));
+        const rejected = await run(['complete', nonce, '--signature', forged, '--deadline', deadline, '--vault', vault, '--dry-run', '--json']);
+        expect(rejected.exitCode).toBe(EXIT_CODES.STATE);
+        expect(JSON.parse(rejected.stdout).error.errorName).toBe('InvalidSignature');
+    });
+
+    it('reconciles local records with the chain', async () => {
+        const clean = await run(['reconcile', '--check', '--vault', vault, '--json']);
+        expect(clean.exitCode).toBe(EXIT_CODES.OK);
+        expect(JSON.parse(clean.stdout).drifted).toBe(0);
+
+        // A record in the schema written by earlier versions of the CLI
+        const client = new MultisigClient(null, { storage: { type: 'file', directory: process.env.STORAGE_DIR } });
+        await client.connect(vault);
+        const details = await client.getTransferDetails(0);
+        client.saveTransfer(0, { nonce: '0', recipient: details.to, amountWei: details.amount.toString(), initiated: true, completed: false });
+        client.provider.destroy();
+
+        const check = await run(['reconcile', '--check', '--vault', vault]);
+        expect(check.exitCode).toBe(EXIT_CODES.STATE);
+        expect(check.stderr).toContain('0 (legacy, stale)');
+
+        const fixed = await run(['reconcile', '--vault', vault]);
+        expect(fixed.exitCode).toBe(EXIT_CODES.OK);
+        expect(fixed.stdout).toMatch(/0 +completed +legacy: migrated to the current schema; stale: status updated/);
+        expect((await run(['reconcile', '--check', '--vault', vault])).exitCode).toBe(EXIT_CODES.OK);
+    });
+
+    it('exchanges the approval through a coordination server', async () => {
+        const server = new CoordinationServer({ storage: { type: 'memory' } });
+        const coordinator = await server.listen({ port: 0 });
+        const ownStorage = process.env.STORAGE_DIR;
+        const recipient = ethers.Wallet.createRandom().address;
+
+        try {
+            const initiated = await run(['initiate', recipient, '0.1', '--vault', vault, '--coordinator', coordinator, '--json']);
+            expect(JSON.parse(initiated.stdout).published).toBe(true);
+            const { nonce } = JSON.parse(initiated.stdout);
+
+            const listed = await run(['proposals', '--vault', vault, '--coordinator', coordinator, '--json']);
+            expect(JSON.parse(listed.stdout).proposals).toEqual([expect.objectContaining({ nonce, approved: false })]);
+
+            // Owner2 signs on another machine, so owner1 has no stored approval
+            process.env.STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'multisig-cli-owner2-'));
+            const signed = await run(['sign', nonce, '--yes', '--vault', vault, '--coordinator', coordinator, '--json']);
+            expect(JSON.parse(signed.stdout).published).toBe(true);
+            process.env.STORAGE_DIR = ownStorage;
+
+            const completed = await run(['complete', nonce, '--vault', vault, '--coordinator', coordinator, '--json']);
+            expect(completed.exitCode).toBe(EXIT_CODES.OK);
+            expect((await run(['status', nonce, '--vault', vault, '--json'])).stdout).toContain('"completed"');
+
+            const history = await run(['proposals', '--status', 'all', '--as', 'owner1', '--vault', vault, '--coordinator', coordinator]);
+            expect(history.stdout).toMatch(new RegExp(`${nonce} +completed .* approved`));
+
+            // The server only takes approvals from the vault's owner2
+            const next = JSON.parse((await run(['initiate', recipient, '0.1', '--vault', vault, '--coordinator', coordinator, '--json'])).stdout);
+            process.env.OWNER2_PRIVATE_KEY = owner1PrivateKey;
+            const impostor = await run(['sign', next.nonce, '--yes', '--vault', vault, '--coordinator', coordinator, '--json']);
+            expect(impostor.exitCode).toBe(EXIT_CODES.CONFIG);
+            expect(JSON.parse(impostor.stdout).error.message).toMatch(/is not owner2/);
+        } finally {
+            process.env.STORAGE_DIR = ownStorage;
+            process.env.OWNER2_PRIVATE_KEY = owner2PrivateKey;
+            await server.close();
+        }
+    });
+
+    it('pays a CSV batch and resumes from its report', async () => {
+        const file = path.join(process.env.STORAGE_DIR, 'payroll.csv');
+        const recipients = [0, 1].map(() => ethers.Wallet.createRandom().address);
+        fs.writeFileSync(file, `recipient,amount,memo\n${recipients[0]},0.05,March\n0xnope,0.05,\n`);
+
+        const invalid = await run(['batch', 'check', file, '--vault', vault]);
+        expect(invalid.exitCode).toBe(EXIT_CODES.USAGE);
+        expect(invalid.stderr).toContain('row 2: invalid recipient address "0xnope"');
+
+        fs.writeFileSync(file, `recipient,amount,memo\n${recipients[0]},0.05,March\n${recipients[1]},0.07,April\n`);
+        const checked = JSON.parse((await run(['batch', 'check', file, '--vault', vault, '--json'])).stdout);
+        expect(checked.total).toBe(ethers.parseEther('0.12').toString());
+        expect(checked.warnings).toContainEqual({ row: 2, message: `The vault has never paid ${recipients[1]} before` });
+
+        const initiated = await run(['batch', 'initiate', file, '--vault', vault]);
+        expect(initiated.exitCode).toBe(EXIT_CODES.OK);
+        expect(initiated.stdout).toContain('owner2 runs "multisig batch sign"');
+
+        // Signing needs an explicit confirmation
+        const report = path.join(process.env.STORAGE_DIR, 'payroll.report.json');
+        const unconfirmed = await run(['batch', 'sign', '--report', report, '--vault', vault]);
+        expect(unconfirmed.exitCode).toBe(EXIT_CODES.USAGE);
+        expect(unconfirmed.stderr).toContain('pass --yes');
+        expect(unconfirmed.stderr).toContain(`Warning: row 1: ${recipients[0]} is not in the address book`);
+
+        expect((await run(['batch', 'sign', '--report', report, '--yes', '--vault', vault])).exitCode).toBe(EXIT_CODES.OK);
+        const completed = JSON.parse((await run(['batch', 'complete', file, '--vault', vault, '--json'])).stdout);
+        expect(completed.statuses.completed).toBe(2);
+        expect(completed.transfers.map(({ memo, status }) => [memo, status])).toEqual([['March', 'completed'], ['April', 'completed']]);
+
+        // Rerunning a finished batch sends nothing
+        const rerun = await run(['batch', 'initiate', file, '--vault', vault]);
+        expect(rerun.stdout).toContain('nothing left to do');
+    });
+
+    it('enforces the spending policy on initiate and sign', async () => {
+        const policy = path.join(process.env.STORAGE_DIR, 'policy.json');
+        const recipient = ethers.Wallet.createRandom().address;
+        fs.writeFileSync(policy, JSON.stringify({ maxPerTransfer: '0.2', requireMemoAbove: '0.05' }));
+
+        const blocked = await run(['initiate', recipient, '0.3', '--memo', 'rent', '--policy', policy, '--vault', vault, '--json']);
+        expect(blocked.exitCode).toBe(EXIT_CODES.POLICY);
+        expect(JSON.parse(blocked.stdout).error.message).toMatch(/exceeds the per-transfer maximum of 0.2 ETH/);
+
+        const initiated = await run(['initiate', recipient, '0.1', '--memo', 'rent', '--policy', policy, '--vault', vault, '--json']);
+        expect(initiated.exitCode).toBe(EXIT_CODES.OK);
+        const { nonce } = JSON.parse(initiated.stdout);
+
+        // Owner2 on another machine does not know the memo
+        const ownStorage = process.env.STORAGE_DIR;
+        process.env.STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'multisig-cli-owner2-'));
+        try {
+            // Refused before the confirmation, which has no terminal here
+            const refused = await run(['sign', nonce, '--policy', policy, '--vault', vault]);
+            expect(refused.exitCode).toBe(EXIT_CODES.POLICY);
+            expect(refused.stderr).toContain('need a memo. Pass --override-policy to sign anyway.');
+
+            const overridden = await run(['sign', nonce, '--yes', '--override-policy', '--policy', policy, '--vault', vault]);
+            expect(overridden.exitCode).toBe(EXIT_CODES.OK);
+            expect(overridden.stderr).toContain('Policy overridden: transfers above 0.05 ETH need a memo');
+        } finally {
+            process.env.STORAGE_DIR = ownStorage;
+        }
+
+        // The approval request carries the memo to an offline owner2
+        const request = JSON.parse((await run(['request', nonce, '--vault', vault, '--json'])).stdout);
+        expect(request.request.memo).toBe('rent');
+        const offlineMemo = await run(['sign', '--request', request.compact, '--offline', '--policy', policy, '--json']);
+        expect(offlineMemo.exitCode).toBe(EXIT_CODES.OK);
+        expect(decodeApproval(JSON.parse(offlineMemo.stdout).approval)).not.toHaveProperty('memo');
+
+        // Offline, rolling limits cannot be checked and need an override
+        const limited = path.join(process.env.STORAGE_DIR, 'limited.json');
+        fs.writeFileSync(limited, JSON.stringify({ limits: { daily: '5' } }));
+        const initiatedLimited = JSON.parse((await run(['initiate', recipient, '0.01', '--vault', vault, '--json'])).stdout);
+        const { compact } = JSON.parse((await run(['request', initiatedLimited.nonce, '--vault', vault, '--json'])).stdout);
+        const offline = await run(['sign', '--request', compact, '--offline', '--policy', limited]);
+        expect(offline.exitCode).toBe(EXIT_CODES.POLICY);
+        expect(offline.stderr).toContain('the rolling limits need the vault history');
+        const offlineOverridden = await run(['sign', '--request', compact, '--offline', '--override-policy', '--policy', limited]);
+        expect(offlineOverridden.exitCode).toBe(EXIT_CODES.OK);
+        expect(offlineOverridden.stderr).toContain('Policy overridden: the rolling limits need the vault history');
+
+        const malformed = await run(['balance', '--policy', path.join(process.env.STORAGE_DIR, 'missing.json'), '--vault', vault]);
+        expect(malformed.exitCode).toBe(EXIT_CODES.CONFIG);
+    });
+
+    it('reports a missing contract as a configuration error', async () => {
+        const result = await run(['balance', '--vault', ethers.Wallet.createRandom().address, '--json']);
+        expect(result.exitCode).toBe(EXIT_CODES.CONFIG);
+    });
+});
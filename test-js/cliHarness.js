@@ -0,0 +1,48 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { main } from '../lib/cli/index.js';
+import { OWNER1_KEY, OWNER2_KEY } from './clientSuite.js';
+
+/**
+ * Run the CLI in-process and capture its output
+ * @param {string[]} args - Command line arguments
+ * @returns {Promise<Object>} { exitCode, stdout, stderr }
+ */
+export async function run(args) {
+    let stdout = '';
+    let stderr = '';
+    const io = {
+        stdout: { write: chunk => { stdout += chunk; } },
+        stderr: { write: chunk => { stderr += chunk; } }
+    };
+    const exitCode = await main(args, io);
+    return { exitCode, stdout, stderr };
+}
+
+/**
+ * Run the CLI in-process with --json and parse its result
+ * @param {string[]} args - Command line arguments
+ * @returns {Promise<Object>} { exitCode, result }
+ */
+export async function runJson(args) {
+    const { exitCode, stdout } = await run([...args, '--json']);
+    return { exitCode, result: stdout ? JSON.parse(stdout) : null };
+}
+
+/**
+ * Point the CLI at a new temporary directory for local records, the address
+ * book and the vault registry, and give it the owners' keys
+ * @param {string} name - Directory name prefix
+ * @param {Object} keys - { owner1, owner2 } private keys, the test owners' by default
+ * @returns {string} Directory
+ */
+export function useCliEnvironment(name, { owner1 = OWNER1_KEY, owner2 = OWNER2_KEY } = {}) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), `multisig-${name}-`));
+    process.env.OWNER1_PRIVATE_KEY = owner1;
+    process.env.OWNER2_PRIVATE_KEY = owner2;
+    process.env.STORAGE_DIR = directory;
+    process.env.ADDRESS_BOOK_FILE = path.join(directory, 'addressbook.json');
+    process.env.VAULTS_FILE = path.join(directory, 'vaults.json');
+    return directory;
+}
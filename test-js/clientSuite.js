@@ -0,0 +1,242 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { ethers } from 'ethers';
+import { encodeApprovalCompact, hashTransfer } from '../lib/utils/approval.js';
+import {
+    InsufficientBalanceError,
+    InvalidSignatureError,
+    OnlyOwner1Error,
+    OnlyOwnersError,
+    OwnersCannotBeSameError,
+    TransferFailedError,
+    TransferNotInitiatedError
+} from '../lib/utils/errors.js';
+import { localChainId } from '../lib/utils/networks.js';
+import { parsePolicy } from '../lib/utils/policy.js';
+
+// Chain id of the test chain, as configured for it in networks.json
+export const CHAIN_ID = localChainId();
+
+// Anvil accounts #3-#5, as in multisig.test.js
+export const DEPLOYER_KEY = '0x7c852118294e51e653712a81e05800f419141751be58f605c371e15141b007a6';
+export const OWNER1_KEY = '0x47e179ec197488593b187f80a00eb0da91f1b9d0b13f8733639f19c30a34926a';
+export const OWNER2_KEY = '0x8b3a350cf5c34c9194ca85829a2df0ec3153be0318b5e2d3348e872092edffba';
+
+/**
+ * Contract test suite every client adapter must pass
+ * @param {string} name - Adapter name
+ * @param {Function} createClient - Returns a new client connected to the test chain
+ */
+export function describeMultisigClient(name, createClient) {
+    describe(`${name} client`, () => {
+        const client = createClient();
+        const owner1Address = new ethers.Wallet(OWNER1_KEY).address;
+        const owner2Address = new ethers.Wallet(OWNER2_KEY).address;
+        let deployer;
+        let owner1;
+        let owner2;
+
+        beforeAll(async () => {
+            deployer = client.createWallet(DEPLOYER_KEY);
+            owner1 = client.createWallet(OWNER1_KEY);
+            owner2 = client.createWallet(OWNER2_KEY);
+
+            const deployment = await client.deploy(owner1Address, owner2Address, deployer);
+            expect(ethers.isAddress(deployment.address)).toBe(true);
+            expect(deployment.deploymentTx.hash).toMatch(/^0x[0-9a-f]{64}$/);
+
+            await client.fundContract(deployer, ethers.parseEther('3'));
+        }, 60000);
+
+        it('reads the vault state', async () => {
+            expect(await client.getChainId()).toBe(BigInt(CHAIN_ID));
+            expect(await client.getBalance()).toBe(ethers.parseEther('3'));
+            expect(await client.getOwners()).toEqual({ owner1: owner1Address, owner2: owner2Address });
+            expect(await client.getSignerAddress(owner2)).toBe(owner2Address);
+        });
+
+        it('initiates, signs and completes a transfer', async () => {
+            const recipient = ethers.Wallet.createRandom().address;
+            const amount = ethers.parseEther('1');
+            const nonceBefore = await client.getCurrentNonce();
+
+            const initiated = await client.initiateTransfer(owner1, recipient, amount);
+            expect(initiated.nonce).toBe(nonceBefore);
+            expect(await client.getCurrentNonce()).toBe(nonceBefore + 1n);
+
+            const details = await client.getTransferDetails(initiated.nonce);
+            expect(details).toEqual({
+                to: recipient,
+                amount,
+                dataHash: expect.stringMatching(/^0x[0-9a-f]{64}$/),
+                initiated: true,
+                completed: false,
+                cancelled: false
+            });
+
+            const signed = await client.signTransfer(owner2, initiated.nonce);
+            expect(signed.messageHash).toBe(hashTransfer({
+                chainId: BigInt(CHAIN_ID),
+                vault: client.contractAddress,
+                nonce: initiated.nonce,
+                recipient,
+                amount,
+                deadline: signed.deadline
+            }));
+            expect(signed.approval.signer).toBe(owner2Address);
+            expect(await client.isValidSignature(signed.messageHash, signed.signatureString)).toBe(true);
+            expect(await client.isValidSignature(signed.messageHash, '0x1234')).toBe(false);
+
+            await client.completeTransfer(owner1, initiated.nonce, signed.signature);
+            expect((await client.getTransferDetails(initiated.nonce)).completed).toBe(true);
+            await expect(client.signTransfer(owner2, initiated.nonce)).rejects.toThrow('has already been completed');
+        }, 60000);
+
+        it('completes a transfer from an approval response', async () => {
+            const recipient = ethers.Wallet.createRandom().address;
+            const { nonce } = await client.initiateTransfer(owner1, recipient, ethers.parseEther('0.5'));
+
+            const request = await client.createApprovalRequest(nonce);
+            const { approval } = await client.signTransfer(owner2, request);
+
+            // Signed by owner1 instead of owner2
+            const forged = await client.signTransfer(owner1, request);
+            await expect(client.completeTransfer(owner1, forged.approval)).rejects.toThrow(/owner2/);
+
+            await client.completeTransfer(owner1, encodeApprovalCompact(approval));
+            expect((await client.getTransferDetails(nonce)).completed).toBe(true);
+        }, 60000);
+
+        it('cancels a pending transfer and refuses to sign or complete it', async () => {
+            const recipient = ethers.Wallet.createRandom().address;
+            const { nonce } = await client.initiateTransfer(owner1, recipient, ethers.parseEther('0.5'));
+            const signed = await client.signTransfer(owner2, nonce);
+
+            await client.cancelTransfer(owner2, nonce);
+            expect((await client.getTransferDetails(nonce)).cancelled).toBe(true);
+
+            await expect(client.signTransfer(owner2, nonce)).rejects.toThrow('has been cancelled');
+            await expect(client.completeTransfer(owner1, nonce, signed.signature)).rejects.toThrow('has been cancelled');
+            await expect(client.cancelTransfer(owner1, nonce)).rejects.toThrow('has been cancelled');
+        }, 60000);
+
+        it('decodes reverts into typed errors', async () => {
+            const recipient = ethers.Wallet.createRandom().address;
+
+            // Reverted in gas estimation
+            const notOwner1 = await client.initiateTransfer(owner2, recipient, 1n).catch(error => error);
+            expect(notOwner1).toBeInstanceOf(OnlyOwner1Error);
+            expect(notOwner1.address).toBe(owner2Address);
+            expect(notOwner1.message).toMatch(/is not owner1 of vault .* only owner1 can initiate transfers/);
+
+            await expect(client.initiateTransfer(owner1, recipient, ethers.parseEther('100')))
+                .rejects.toThrow(InsufficientBalanceError);
+
+            const { nonce } = await client.initiateTransfer(owner1, recipient, 1n);
+            const forged = await client.signTransfer(owner1, nonce);
+            const invalid = await client.completeTransfer(owner1, nonce, forged.signature).catch(error => error);
+            expect(invalid).toBeInstanceOf(InvalidSignatureError);
+            expect(invalid.nonce).toBe(nonce);
+
+            // Mined and reverted: replayed to find the custom error
+            client.txOverrides = { gasLimit: 200000n };
+            try {
+                const mined = await client.cancelTransfer(deployer, nonce).catch(error => error);
+                expect(mined).toBeInstanceOf(OnlyOwnersError);
+                expect(mined.errorName).toBe('OnlyOwners');
+                expect(mined.cause.receipt).toBeDefined();
+            } finally {
+                client.txOverrides = {};
+            }
+
+            await expect(client.getTransferHash(9999n, 0n)).rejects.toThrow(TransferNotInitiatedError);
+        }, 60000);
+
+        it('simulates transactions without sending them', async () => {
+            const recipient = ethers.Wallet.createRandom().address;
+            const nonce = await client.getCurrentNonce();
+
+            const initiate = await client.simulateInitiateTransfer(owner1, recipient, 1n);
+            expect(initiate).toMatchObject({ operation: 'initiateTransfer', from: owner1Address, ok: true, result: nonce, error: null });
+            expect(initiate.gas.cost).toBe(initiate.gas.limit * initiate.gas.price);
+            expect(initiate.balanceChanges).toEqual([{
+                address: owner1Address,
+                labels: ['sender'],
+                before: await client.getAddressBalance(owner1Address),
+                after: expect.any(BigInt),
+                change: -initiate.gas.cost
+            }]);
+            expect(await client.getCurrentNonce()).toBe(nonce);
+
+            const denied = await client.simulateInitiateTransfer(owner2, recipient, 1n);
+            expect(denied.ok).toBe(false);
+            expect(denied.error).toBeInstanceOf(OnlyOwner1Error);
+
+            await client.initiateTransfer(owner1, recipient, 1n);
+            const { signature } = await client.signTransfer(owner2, nonce);
+            const complete = await client.simulateCompleteTransfer(owner1, nonce, signature);
+            expect(complete.ok).toBe(true);
+            expect(complete.balanceChanges.find(({ labels }) => labels.includes('vault')).change).toBe(-1n);
+            expect(complete.balanceChanges.find(({ labels }) => labels.includes('recipient'))).toMatchObject({ before: 0n, after: 1n });
+            expect((await client.getTransferDetails(nonce)).completed).toBe(false);
+
+            const cancel = await client.simulateCancelTransfer(deployer, nonce);
+            expect(cancel.error).toBeInstanceOf(OnlyOwnersError);
+
+            // A recipient contract that rejects ETH (runtime code: revert(0, 0))
+            const provider = new ethers.JsonRpcProvider(client.rpcUrl);
+            try {
+                const deployTx = await new ethers.Wallet(DEPLOYER_KEY, provider).sendTransaction({ data: '0x6460006000fd6000526005601bf3' });
+                const { contractAddress: rejecter } = await deployTx.wait();
+
+                const { nonce: rejected } = await client.initiateTransfer(owner1, rejecter, 1n);
+                const approval = await client.signTransfer(owner2, rejected);
+                const failed = await client.simulateCompleteTransfer(owner1, rejected, approval.signature);
+                expect(failed.ok).toBe(false);
+                expect(failed.error).toBeInstanceOf(TransferFailedError);
+                expect(failed.error.message).toContain(rejecter);
+            } finally {
+                provider.destroy();
+            }
+
+            const deploy = await client.simulateDeploy(owner1Address, owner2Address, deployer);
+            expect(deploy.ok).toBe(true);
+            expect(ethers.isAddress(deploy.result)).toBe(true);
+            expect((await client.simulateDeploy(owner1Address, owner1Address, deployer)).error).toBeInstanceOf(OwnersCannotBeSameError);
+        }, 90000);
+
+        it('indexes, reconciles and watches the vault history', async () => {
+            const recipient = ethers.Wallet.createRandom().address;
+            const { nonce } = await client.initiateTransfer(owner1, recipient, ethers.parseEther('0.1'));
+
+            // Rolling limits count the transfers indexed since the deployment
+            client.policy = parsePolicy({ limits: { daily: '0.15' } });
+            try {
+                expect(await client.checkPolicy({ recipient, amount: ethers.parseEther('0.1') })).toEqual([expect.objectContaining({ rule: 'daily' })]);
+            } finally {
+                client.policy = null;
+            }
+            expect(client.getIndexer().store.startBlock).toBe(client.deploymentBlock);
+            expect(client.queryEvents({ type: 'Deposit' })).toHaveLength(1);
+            expect(client.getTransferHistory(nonce)).toMatchObject({ to: recipient, amount: ethers.parseEther('0.1'), status: 'pending' });
+
+            // Records missing locally are rebuilt from the chain and the index
+            const fresh = createClient();
+            await fresh.connect(client.contractAddress);
+            const report = await fresh.reconcileTransfers({ fromBlock: client.deploymentBlock });
+            expect(report.transfers.find(transfer => transfer.nonce === nonce)).toMatchObject({
+                status: 'pending',
+                issues: ['missing'],
+                record: expect.objectContaining({ initiatedBy: owner1Address })
+            });
+            fresh.provider?.destroy();
+
+            const watcher = client.watch({ fromBlock: client.deploymentBlock, pollInterval: 100 });
+            try {
+                const { value } = await watcher[Symbol.asyncIterator]().next();
+                expect(value).toMatchObject({ type: 'Deposit', amount: ethers.parseEther('3') });
+            } finally {
+                watcher.stop();
+            }
+        }, 60000);
+    });
+}
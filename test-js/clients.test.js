@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import { ethers } from 'ethers';
+import { MultisigClient } from '../lib/MultisigClient.js';
+import { ViemMultisigClient } from '../lib/ViemMultisigClient.js';
+import { describeMultisigClient, DEPLOYER_KEY, OWNER1_KEY, OWNER2_KEY } from './clientSuite.js';
+
+describeMultisigClient('ethers', () => new MultisigClient(null, { storage: { type: 'memory' } }));
+
+describeMultisigClient('viem', () => new ViemMultisigClient(null, { storage: { type: 'memory' }, pollingInterval: 250 }));
+
+describe('Client adapters', () => {
+    it('produce the same signatures and state for the same vault', async () => {
+        const ethersClient = new MultisigClient(null, { storage: { type: 'memory' } });
+        const viemClient = new ViemMultisigClient(null, { storage: { type: 'memory' }, pollingInterval: 250 });
+
+        const { address } = await ethersClient.deploy(
+            new ethers.Wallet(OWNER1_KEY).address,
+            new ethers.Wallet(OWNER2_KEY).address,
+            ethersClient.createWallet(DEPLOYER_KEY)
+        );
+        await viemClient.connect(address);
+
+        // Initiated through viem, signed by both, completed through ethers
+        await viemClient.fundContract(viemClient.createWallet(DEPLOYER_KEY), 1n);
+        const recipient = ethers.Wallet.createRandom().address;
+        const { nonce } = await viemClient.initiateTransfer(viemClient.createWallet(OWNER1_KEY), recipient, 1n);
+
+        expect(await viemClient.getTransferDetails(nonce)).toEqual(await ethersClient.getTransferDetails(nonce));
+
+        const fromViem = await viemClient.signTransfer(viemClient.createWallet(OWNER2_KEY), nonce);
+        const fromEthers = await ethersClient.signTransfer(ethersClient.createWallet(OWNER2_KEY), nonce);
+        expect(fromViem.signatureString).toBe(fromEthers.signatureString);
+        expect(fromViem.approval).toEqual(fromEthers.approval);
+
+        await ethersClient.completeTransfer(ethersClient.createWallet(OWNER1_KEY), fromViem.approval);
+        expect((await viemClient.getTransferDetails(nonce)).completed).toBe(true);
+        expect(await viemClient.getBalance()).toBe(0n);
+    }, 60000);
+});
@@ -0,0 +1,148 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { ethers } from 'ethers';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AddressBook } from '../lib/AddressBook.js';
+import { MultisigClient } from '../lib/MultisigClient.js';
+import { VaultRegistry } from '../lib/VaultRegistry.js';
+import { EXIT_CODES } from '../lib/cli/errors.js';
+import { CHAIN_ID, DEPLOYER_KEY, OWNER1_KEY, OWNER2_KEY } from './clientSuite.js';
+import { run, useCliEnvironment } from './cliHarness.js';
+
+/**
+ * An address sharing the first and last characters of another, as used to
+ * poison transaction histories
+ */
+function lookalikeOf(address) {
+    const hex = address.slice(2).toLowerCase();
+    const middle = hex.slice(4, -4).split('').map(char => (char === 'a' ? 'b' : 'a')).join('');
+    return ethers.getAddress(`0x${hex.slice(0, 4)}${middle}${hex.slice(-4)}`);
+}
+
+describe('Address book', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'multisig-contacts-'));
+    const alice = ethers.Wallet.createRandom().address;
+    const bob = ethers.Wallet.createRandom().address;
+
+    it('saves labelled contacts and finds lookalikes', () => {
+        const book = new AddressBook({ file: path.join(directory, 'book.json') });
+        book.add('alice', { address: alice.toLowerCase(), note: 'Contractor', tags: ['payroll', 'payroll'] });
+        book.add('bob', { address: bob, tags: ['vendor'] });
+
+        expect(book.get('ALICE')).toMatchObject({ label: 'alice', address: alice, tags: ['payroll'] });
+        expect(book.find(bob).label).toBe('bob');
+        expect(book.list({ tag: 'vendor' }).map(({ label }) => label)).toEqual(['bob']);
+
+        expect(() => book.add('alice', { address: bob })).toThrow(/already saved for/);
+        expect(() => book.add('carol', { address: bob })).toThrow(`${bob} is already saved as bob`);
+        expect(() => book.add('0xcarol', { address: bob })).toThrow(/Invalid label/);
+
+        expect(book.lookalikes(alice)).toEqual([]);
+        expect(book.lookalikes(lookalikeOf(alice))).toEqual([expect.objectContaining({ label: 'alice', prefix: true, suffix: true })]);
+
+        book.remove('bob');
+        expect(book.list().map(({ label }) => label)).toEqual(['alice']);
+    });
+});
+
+describe('multisig contacts and recipient checks', () => {
+    const recipient = ethers.Wallet.createRandom().address;
+    let directory;
+    let vault;
+    let deploymentBlock;
+
+    beforeAll(async () => {
+        const client = new MultisigClient();
+        const deployer = client.createWallet(DEPLOYER_KEY);
+        const owner1 = client.createWallet(OWNER1_KEY);
+        const owner2 = client.createWallet(OWNER2_KEY);
+
+        const deployment = await client.deploy(owner1.address, owner2.address, deployer);
+        ({ address: vault } = deployment);
+        deploymentBlock = deployment.receipt.blockNumber;
+        await client.fundContract(deployer, ethers.parseEther('2'));
+        client.provider.destroy();
+
+        directory = useCliEnvironment('contacts-cli');
+        new VaultRegistry({ file: process.env.VAULTS_FILE }).add('contacts', {
+            address: vault,
+            chainId: CHAIN_ID,
+            network: 'anvil',
+            owner1: owner1.address,
+            owner2: owner2.address,
+            deploymentBlock
+        });
+    });
+
+    it('requires checksummed addresses and accepts labels as recipients', async () => {
+        const unchecked = await run(['contacts', 'add', 'alice', recipient.toLowerCase()]);
+        expect(unchecked.exitCode).toBe(EXIT_CODES.USAGE);
+        expect(unchecked.stderr).toContain(`is not checksummed; copy the address from its source or use ${recipient}`);
+
+        const added = await run(['contacts', 'add', 'alice', recipient, '--tags', 'payroll', '--note', 'Contractor', '--json']);
+        expect(JSON.parse(added.stdout)).toMatchObject({ label: 'alice', address: recipient, tags: ['payroll'] });
+
+        const unknown = await run(['initiate', '--to', 'carol', '0.1', '--vault', vault]);
+        expect(unknown.exitCode).toBe(EXIT_CODES.USAGE);
+
+        const initiated = await run(['initiate', '--to', 'alice', '0.1', '--vault', vault]);
+        expect(initiated.exitCode).toBe(EXIT_CODES.OK);
+        expect(initiated.stdout).toContain(`alice (${recipient})`);
+        expect(initiated.stderr).not.toContain('not in the address book');
+
+        // Saved contacts are known; the vault's history is not scanned for them
+        expect(initiated.stderr).not.toContain('never paid');
+        expect(fs.existsSync(path.join(directory, `${CHAIN_ID}-${vault.toLowerCase()}`, 'events', 'index.json'))).toBe(false);
+
+        const signed = await run(['sign', '0', '--yes', '--vault', vault]);
+        expect(signed.stderr).toContain(`Signing transfer 0: 0.1 ETH to alice (${recipient})`);
+        const completed = await run(['complete', '0', '--vault', vault]);
+        expect(completed.stdout).toContain(`alice (${recipient})`);
+
+        // Paid once, alice is no longer a first-time recipient
+        const again = await run(['initiate', 'alice', '0.1', '--vault', vault, '--json']);
+        expect(JSON.parse(again.stdout)).toMatchObject({ label: 'alice', warnings: [] });
+    }, 60000);
+
+    it('flags lookalike and contract recipients', async () => {
+        const lookalike = lookalikeOf(recipient);
+        const poisoned = JSON.parse((await run(['initiate', lookalike, '0.1', '--vault', vault, '--json'])).stdout);
+        expect(poisoned.label).toBeNull();
+        expect(poisoned.warnings).toEqual([
+            `${lookalike} starts and ends like saved contact alice (${recipient}) but is a different address; check every character`,
+            `${lookalike} is not in the address book`,
+            `The vault has never paid ${lookalike} before`
+        ]);
+
+        // The scan starts at the block the registry recorded the vault was deployed in
+        const index = JSON.parse(fs.readFileSync(path.join(directory, `${CHAIN_ID}-${vault.toLowerCase()}`, 'events', 'index.json'), 'utf8'));
+        expect(index.startBlock).toBe(deploymentBlock);
+
+        const contract = await run(['initiate', vault, '0.1', '--vault', vault, '--dry-run']);
+        expect(contract.stderr).toContain(`Warning: ${vault} is a contract; make sure it can receive ETH`);
+
+        const shown = JSON.parse((await run(['contacts', 'show', 'alice', '--json'])).stdout);
+        expect(shown).toMatchObject({ label: 'alice', note: 'Contractor', lookalikes: [] });
+    }, 60000);
+
+    it('skips the history check when the deployment block is unknown', async () => {
+        const unknown = useCliEnvironment('contacts-unknown');
+        const { deploymentBlock: _, ...entry } = JSON.parse(fs.readFileSync(path.join(directory, 'vaults.json'), 'utf8')).vaults.contacts;
+        new VaultRegistry({ file: process.env.VAULTS_FILE }).add('contacts', entry);
+
+        const stranger = ethers.Wallet.createRandom().address;
+        const skipped = await run(['initiate', stranger, '0.1', '--vault', 'contacts', '--dry-run']);
+        expect(skipped.exitCode).toBe(EXIT_CODES.OK);
+        expect(skipped.stderr).toContain(`Warning: Did not check whether the vault paid ${stranger} before: its deployment block is unknown`);
+        expect(skipped.stderr).not.toContain('never paid');
+        expect(fs.existsSync(path.join(unknown, `${CHAIN_ID}-${vault.toLowerCase()}`, 'events', 'index.json'))).toBe(false);
+
+        // Once indexed, the history is used
+        expect((await run(['history', '--vault', 'contacts'])).exitCode).toBe(EXIT_CODES.OK);
+        const checked = await run(['initiate', stranger, '0.1', '--vault', 'contacts', '--dry-run']);
+        expect(checked.stderr).toContain(`Warning: The vault has never paid ${stranger} before`);
+
+        delete process.env.VAULTS_FILE;
+    }, 60000);
+});
@@ -0,0 +1,111 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { ethers } from 'ethers';
+import { MultisigClient } from '../lib/MultisigClient.js';
+import { ViemMultisigClient } from '../lib/ViemMultisigClient.js';
+import { CoordinationServer } from '../lib/CoordinationServer.js';
+import { CoordinationClient } from '../lib/CoordinationClient.js';
+import { AUTH_HEADERS, signRequest } from '../lib/utils/coordination.js';
+import { EXIT_CODES } from '../lib/cli/errors.js';
+import { DEPLOYER_KEY, OWNER1_KEY, OWNER2_KEY } from './clientSuite.js';
+import { run, useCliEnvironment } from './cliHarness.js';
+
+describe('Vault as owner2 of another vault (ERC-1271)', () => {
+    const client = new MultisigClient(null, { storage: { type: 'memory' } });
+    const deployer = client.createWallet(DEPLOYER_KEY);
+    const owner1 = client.createWallet(OWNER1_KEY);
+    const owner2 = client.createWallet(OWNER2_KEY);
+    let inner;
+    let outer;
+
+    beforeAll(async () => {
+        ({ address: inner } = await client.deploy(owner1.address, owner2.address, deployer));
+        ({ address: outer } = await client.deploy(owner1.address, inner, deployer));
+        await client.fundContract(deployer, ethers.parseEther('1'));
+    });
+
+    it('signs through the nested vault and completes with its signature', async () => {
+        const recipient = ethers.Wallet.createRandom().address;
+        const { nonce } = await client.initiateTransfer(owner1, recipient, ethers.parseEther('0.1'));
+
+        expect(await client.resolveOwner2Signer()).toEqual({
+            owner2: inner,
+            contract: true,
+            vaults: [inner],
+            signer: owner2.address,
+            wallet: null
+        });
+        await expect(client.signTransfer(owner1, nonce)).rejects.toThrow(`is a vault signed for by ${owner2.address}`);
+
+        const { approval } = await client.signTransfer(owner2, nonce);
+        expect(approval.signer).toBe(inner);
+
+        // The account's own signature is not the contract's
+        await expect(client.validateApproval({ ...approval, signer: owner2.address })).rejects.toThrow('owner2 is the contract');
+        const forged = await owner1.signMessage(ethers.getBytes(await client.getTransferHash(nonce, approval.deadline)));
+        await expect(client.signTransfer(owner2, nonce, { signature: forged, deadline: approval.deadline }))
+            .rejects.toThrow('does not accept the signature');
+
+        // Completed through viem
+        const viemClient = new ViemMultisigClient(null, { storage: { type: 'memory' }, pollingInterval: 250 });
+        await viemClient.connect(outer);
+        const { receipt } = await viemClient.completeTransfer(viemClient.createWallet(OWNER1_KEY), approval);
+        expect(receipt.status).toBe('success');
+        expect(await client.provider.getBalance(recipient)).toBe(ethers.parseEther('0.1'));
+    }, 60000);
+
+    it('lets the nested vault owner2 use the coordination server', async () => {
+        const server = new CoordinationServer({ storage: { type: 'memory' } });
+        const url = await server.listen({ port: 0 });
+
+        const recipient = ethers.Wallet.createRandom().address;
+        const { nonce } = await client.initiateTransfer(owner1, recipient, ethers.parseEther('0.1'));
+        await new CoordinationClient(url, owner1).propose(await client.createApprovalRequest(nonce));
+
+        // The account signing for the inner vault acts as owner2
+        const approver = new CoordinationClient(url, owner2);
+        const [proposal] = await approver.listProposals(outer);
+        const { approval } = await client.signTransfer(owner2, proposal.request);
+        expect((await approver.submitApproval(approval)).approval.signer).toBe(inner);
+
+        // So does the inner vault itself, authenticated through its isValidSignature
+        const path = `/vaults/${outer}/proposals?status=all`;
+        const asInner = { ...(await signRequest(owner2, { method: 'GET', path })), [AUTH_HEADERS.ADDRESS]: inner };
+        expect((await fetch(url + path, { headers: asInner })).status).toBe(200);
+
+        const notSigned = { ...(await signRequest(owner1, { method: 'GET', path })), [AUTH_HEADERS.ADDRESS]: inner };
+        expect((await fetch(url + path, { headers: notSigned })).status).toBe(401);
+        await expect(new CoordinationClient(url, deployer).listProposals(outer)).rejects.toMatchObject({ status: 403 });
+
+        await server.close();
+    }, 60000);
+
+    it('passes contract wallet signatures through the CLI', async () => {
+        useCliEnvironment('erc1271');
+
+        const recipient = ethers.Wallet.createRandom().address;
+        const initiated = JSON.parse((await run(['initiate', recipient, '0.1', '--vault', outer, '--json'])).stdout);
+        const { timestamp } = await client.provider.getBlock('latest');
+        const deadline = String(timestamp + 3600);
+        const hash = await client.getTransferHash(BigInt(initiated.nonce), deadline);
+
+        // Signatures of any length reach the vault, which asks owner2
+        const long = await run(['complete', initiated.nonce, '--signature', `0x${'ab'.repeat(130)}`, '--deadline', deadline, '--vault', outer, '--dry-run', '--json']);
+        expect(long.exitCode).toBe(EXIT_CODES.STATE);
+        expect(JSON.parse(long.stdout).error.errorName).toBe('InvalidSignature');
+
+        // The wallet's signature covers a deadline, which has to come with it
+        const walletSignature = await owner2.signMessage(ethers.getBytes(hash));
+        const undated = await run(['sign', initiated.nonce, '--signature', walletSignature, '--vault', outer]);
+        expect(undated.exitCode).toBe(EXIT_CODES.USAGE);
+
+        const signed = await run(['sign', initiated.nonce, '--signature', walletSignature, '--deadline', deadline, '--yes', '--vault', outer, '--json']);
+        expect(signed.exitCode).toBe(EXIT_CODES.OK);
+        expect(JSON.parse(signed.stdout)).toMatchObject({ signer: inner, signature: walletSignature, deadline });
+
+        const completed = await run(['complete', initiated.nonce, '--vault', outer]);
+        expect(completed.exitCode).toBe(EXIT_CODES.OK);
+        expect(await client.provider.getBalance(recipient)).toBe(ethers.parseEther('0.1'));
+
+        client.provider.destroy();
+    }, 60000);
+});
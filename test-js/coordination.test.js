@@ -0,0 +1,106 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { ethers } from 'ethers';
+import { MultisigClient } from '../lib/MultisigClient.js';
+import { CoordinationServer } from '../lib/CoordinationServer.js';
+import { CoordinationClient } from '../lib/CoordinationClient.js';
+import { AUTH_HEADERS, signRequest } from '../lib/utils/coordination.js';
+import { createApprovalResponse, defaultDeadline, transferTypedData } from '../lib/utils/approval.js';
+import { DEPLOYER_KEY, OWNER1_KEY, OWNER2_KEY } from './clientSuite.js';
+
+describe('Coordination server', () => {
+    const client = new MultisigClient(null, { storage: { type: 'memory' } });
+    const server = new CoordinationServer({ storage: { type: 'memory' } });
+    const outsider = ethers.Wallet.createRandom();
+    let url;
+    let owner1;
+    let owner2;
+    let vault;
+
+    beforeAll(async () => {
+        const deployer = client.createWallet(DEPLOYER_KEY);
+        owner1 = client.createWallet(OWNER1_KEY);
+        owner2 = client.createWallet(OWNER2_KEY);
+
+        ({ address: vault } = await client.deploy(owner1.address, owner2.address, deployer));
+        await client.fundContract(deployer, ethers.parseEther('2'));
+        url = await server.listen({ port: 0 });
+    });
+
+    afterAll(async () => {
+        await server.close();
+        client.provider.destroy();
+    });
+
+    it('relays a proposal and its approval between the owners', async () => {
+        const recipient = ethers.Wallet.createRandom().address;
+        const { nonce } = await client.initiateTransfer(owner1, recipient, ethers.parseEther('0.5'));
+
+        const proposer = new CoordinationClient(url, owner1);
+        const approver = new CoordinationClient(url, owner2);
+
+        const proposal = await proposer.propose(await client.createApprovalRequest(nonce), { memo: 'invoice 12' });
+        expect(proposal).toMatchObject({ nonce, status: 'pending', memo: 'invoice 12', proposedBy: owner1.address, approval: null });
+
+        const pending = await approver.listProposals(vault);
+        expect(pending.map(item => item.nonce)).toEqual([nonce]);
+
+        const { approval } = await client.signTransfer(owner2, pending[0].request);
+        expect((await approver.submitApproval(approval)).approval.signature).toBe(approval.signature);
+
+        const fetched = await proposer.getApproval(vault, nonce);
+        await client.completeTransfer(owner1, fetched);
+
+        expect(await approver.listProposals(vault)).toEqual([]);
+        expect((await proposer.listProposals(vault, { status: 'completed' })).map(item => item.nonce)).toEqual([nonce]);
+        expect(await proposer.getProposal(vault, 99n)).toBeNull();
+    }, 60000);
+
+    it('authorizes requests by owner role', async () => {
+        const { nonce } = await client.initiateTransfer(owner1, ethers.Wallet.createRandom().address, 1000n);
+        const request = await client.createApprovalRequest(nonce);
+
+        await expect(new CoordinationClient(url, owner2).propose(request)).rejects.toMatchObject({ status: 403 });
+        await expect(new CoordinationClient(url, outsider).listProposals(vault)).rejects.toMatchObject({ status: 403 });
+        await new CoordinationClient(url, owner1).propose(request);
+
+        // A well-formed response signed by someone other than owner2
+        const deadline = defaultDeadline();
+        const { domain, types, message } = transferTypedData({ ...request, deadline });
+        const forged = createApprovalResponse(request, await outsider.signTypedData(domain, types, message), owner2.address, deadline);
+        await expect(new CoordinationClient(url, owner2).submitApproval(forged)).rejects.toMatchObject({ status: 422 });
+        await expect(new CoordinationClient(url, owner1).submitApproval(forged)).rejects.toMatchObject({ status: 403 });
+
+        // A genuine approval is refused once the transfer is cancelled
+        const { approval } = await client.signTransfer(owner2, nonce);
+        await client.cancelTransfer(owner1, nonce);
+        await expect(new CoordinationClient(url, owner2).submitApproval(approval))
+            .rejects.toMatchObject({ status: 409, message: expect.stringMatching(/cancelled/) });
+        expect(await new CoordinationClient(url, owner2).listProposals(vault)).toEqual([]);
+    }, 60000);
+
+    it('rejects unsigned, stale, tampered and replayed requests', async () => {
+        const path = `/vaults/${vault}/proposals`;
+        const send = (headers, options = {}) => fetch(url + (options.path ?? path), { method: options.method ?? 'GET', headers, body: options.body });
+
+        expect((await send({})).status).toBe(401);
+
+        const stale = await signRequest(owner1, { method: 'GET', path, timestamp: Math.floor(Date.now() / 1000) - 3600 });
+        expect((await send(stale)).status).toBe(401);
+
+        const other = await signRequest(owner1, { method: 'GET', path: `${path}?status=all` });
+        expect((await send(other)).status).toBe(401);
+
+        const impersonated = { ...(await signRequest(outsider, { method: 'GET', path })), [AUTH_HEADERS.ADDRESS]: owner1.address };
+        expect((await send(impersonated)).status).toBe(401);
+
+        const headers = await signRequest(owner1, { method: 'GET', path });
+        expect((await send(headers)).status).toBe(200);
+        const replayed = await send(headers);
+        expect(replayed.status).toBe(401);
+        expect((await replayed.json()).error).toMatch(/already been used/);
+
+        const body = JSON.stringify({ request: {} });
+        const tampered = await signRequest(owner1, { method: 'POST', path, body });
+        expect((await send(tampered, { method: 'POST', body: JSON.stringify({ request: { nonce: 1 } }) })).status).toBe(401);
+    }, 60000);
+});
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { ethers } from 'ethers';
+import { MultisigClient } from '../lib/MultisigClient.js';
+import { ViemMultisigClient } from '../lib/ViemMultisigClient.js';
+import { EXIT_CODES } from '../lib/cli/errors.js';
+import { CREATE2_FACTORY, parseSalt } from '../lib/utils/create2.js';
+import { DEPLOYER_KEY, OWNER1_KEY, OWNER2_KEY } from './clientSuite.js';
+import { run } from './cliHarness.js';
+
+describe('Deterministic deployment (CREATE2)', () => {
+    const owner1 = new ethers.Wallet(OWNER1_KEY).address;
+    const owner2 = new ethers.Wallet(OWNER2_KEY).address;
+
+    it('parses hex salts and hashes labels', () => {
+        const hex = ethers.hexlify(ethers.randomBytes(32));
+        expect(parseSalt(hex)).toBe(hex);
+        expect(parseSalt('payroll')).toBe(ethers.id('payroll'));
+        expect(parseSalt(null)).toBe(ethers.ZeroHash);
+        expect(() => parseSalt('')).toThrow('non-empty label');
+    });
+
+    it('deploys to the predicted address, keeping funds sent in advance', async () => {
+        const client = new MultisigClient(null, { storage: { type: 'memory' } });
+        const viemClient = new ViemMultisigClient(null, { storage: { type: 'memory' }, pollingInterval: 250 });
+        const deployer = client.createWallet(DEPLOYER_KEY);
+        const salt = ethers.hexlify(ethers.randomBytes(32));
+
+        const address = client.predictVaultAddress(owner1, owner2, salt);
+        expect(viemClient.predictVaultAddress(owner1, owner2, salt)).toBe(address);
+        expect(client.predictVaultAddress(owner1, owner2, ethers.hexlify(ethers.randomBytes(32)))).not.toBe(address);
+
+        await (await deployer.sendTransaction({ to: address, value: ethers.parseEther('1') })).wait();
+
+        const simulation = await client.simulateDeploy(owner1, owner2, deployer, { salt });
+        expect(simulation.result).toBe(address);
+
+        const deployment = await client.deploy(owner1, owner2, deployer, { salt });
+        expect(deployment).toMatchObject({ address, salt, factory: CREATE2_FACTORY, existing: false });
+        expect(await client.isContract(CREATE2_FACTORY)).toBe(true);
+        expect(await client.getBalance()).toBe(ethers.parseEther('1'));
+        expect(await client.contract.owner2()).toBe(owner2);
+
+        // Deploying again only connects to the vault
+        const again = await viemClient.deploy(owner1, owner2, viemClient.createWallet(DEPLOYER_KEY), { salt });
+        expect(again).toMatchObject({ address, existing: true, deploymentTx: null });
+        expect(await viemClient.getBalance()).toBe(ethers.parseEther('1'));
+
+        // viem sends the CREATE2 deployment itself
+        const viemSalt = ethers.hexlify(ethers.randomBytes(32));
+        const viemDeployment = await viemClient.deploy(owner1, owner2, viemClient.createWallet(DEPLOYER_KEY), { salt: viemSalt });
+        expect(viemDeployment.address).toBe(client.predictVaultAddress(owner1, owner2, viemSalt));
+        expect(viemDeployment.deploymentTx.hash).toMatch(/^0x/);
+
+        client.provider.destroy();
+    }, 60000);
+
+    it('predicts the address from the CLI without deploying', async () => {
+        const label = `vault-${ethers.hexlify(ethers.randomBytes(4))}`;
+        const predicted = await run(['deploy', '--owner1', owner1, '--owner2', owner2, '--salt', label, '--predict', '--json']);
+        expect(predicted.exitCode).toBe(EXIT_CODES.OK);
+
+        const result = JSON.parse(predicted.stdout);
+        expect(result).toMatchObject({ predicted: true, salt: ethers.id(label), deployed: false });
+        const client = new MultisigClient(null, { storage: { type: 'memory' } });
+        expect(result.contractAddress).toBe(client.predictVaultAddress(owner1, owner2, label));
+        client.provider.destroy();
+    }, 60000);
+});
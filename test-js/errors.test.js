@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import { ethers } from 'ethers';
+import {
+    ERROR_SELECTORS,
+    TransferAlreadyCancelledError,
+    VaultError,
+    createVaultError,
+    decodeVaultError,
+    getRevertData
+} from '../lib/utils/errors.js';
+
+const VAULT = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+
+describe('Vault errors', () => {
+    it('decodes revert data nested in ethers and viem errors', () => {
+        const selector = ethers.id('TransferAlreadyCancelled()').slice(0, 10);
+        expect(ERROR_SELECTORS[selector]).toBe('TransferAlreadyCancelled');
+
+        // ethers: RPC error wrapped in info.error; viem: ContractFunctionRevertedError as cause
+        const fromEthers = { code: 'CALL_EXCEPTION', data: null, info: { error: { data: { data: selector } } } };
+        const fromViem = new Error('reverted', { cause: { name: 'ContractFunctionRevertedError', raw: selector } });
+        expect(getRevertData(fromEthers)).toBe(selector);
+        expect(getRevertData(fromViem)).toBe(selector);
+
+        const decoded = decodeVaultError(fromViem, { operation: 'cancelTransfer', nonce: 7n, vault: VAULT });
+        expect(decoded).toBeInstanceOf(TransferAlreadyCancelledError);
+        expect(decoded).toBeInstanceOf(VaultError);
+        expect(decoded.name).toBe('TransferAlreadyCancelledError');
+        expect(decoded.message).toBe('Transfer 7 has been cancelled');
+        expect(decoded.cause).toBe(fromViem);
+    });
+
+    it('leaves other errors untouched and builds messages from the context', () => {
+        const unrelated = Object.assign(new Error('execution reverted'), { data: ethers.id('Other()').slice(0, 10) });
+        expect(decodeVaultError(unrelated)).toBe(unrelated);
+        expect(decodeVaultError(new Error('timeout'))).toBeInstanceOf(Error);
+
+        expect(createVaultError('InsufficientBalance', { vault: VAULT, amount: ethers.parseEther('2') }).message)
+            .toBe(`Vault ${VAULT} holds less than 2.0 ETH. Fund the vault first.`);
+        expect(createVaultError('OnlyOwner1', { operation: 'completeTransfer' }).message)
+            .toBe('The sender is not owner1 of the vault; only owner1 can complete transfers. Use the owner1 signer.');
+    });
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import { ethers } from 'ethers';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MultisigClient } from '../lib/MultisigClient.js';
+import { EventIndexer } from '../lib/EventIndexer.js';
+import { CHAIN_ID } from './clientSuite.js';
+
+describe('EventIndexer', () => {
+    it('backfills in chunks, answers queries and resumes incrementally', async () => {
+        const client = new MultisigClient();
+
+        const deployer = client.createWallet('0x7c852118294e51e653712a81e05800f419141751be58f605c371e15141b007a6');
+        const owner1 = client.createWallet('0x47e179ec197488593b187f80a00eb0da91f1b9d0b13f8733639f19c30a34926a');
+        const owner2 = client.createWallet('0x8b3a350cf5c34c9194ca85829a2df0ec3153be0318b5e2d3348e872092edffba');
+
+        const deployment = await client.deploy(owner1.address, owner2.address, deployer);
+        const deployBlock = deployment.deploymentTx.blockNumber ?? (await deployment.deploymentTx.wait()).blockNumber;
+        await client.fundContract(deployer, ethers.parseEther('3'));
+
+        const alice = ethers.Wallet.createRandom().address;
+        const bob = ethers.Wallet.createRandom().address;
+
+        const first = await client.initiateTransfer(owner1, alice, ethers.parseEther('1'));
+        const signature = await client.signTransfer(owner2, first.nonce);
+        await client.completeTransfer(owner1, first.nonce, signature.signature);
+
+        const second = await client.initiateTransfer(owner1, bob, ethers.parseEther('0.5'));
+        await client.cancelTransfer(owner1, second.nonce);
+
+        const storePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'multisig-events-')), 'events.json');
+        const indexer = client.getIndexer({ storePath, chunkSize: 2 });
+
+        const chunks = [];
+        const sync = await client.syncEvents({ fromBlock: deployBlock, onProgress: chunk => chunks.push(chunk) });
+        expect(sync.added).toBe(5);
+        expect(chunks.length).toBeGreaterThan(1);
+
+        expect(client.queryEvents({ type: 'Deposit' })).toHaveLength(1);
+        expect(client.queryTransfers({ status: 'completed' }).map(t => t.to)).toEqual([alice]);
+        expect(client.queryTransfers({ recipient: bob })[0].status).toBe('cancelled');
+
+        const history = client.getTransferHistory(first.nonce);
+        expect(history.amount).toBe(ethers.parseEther('1'));
+        expect(history.completed.blockNumber).toBeGreaterThanOrEqual(history.initiated.blockNumber);
+
+        const { timestamp } = history.initiated;
+        expect(client.queryTransfers({ fromTime: timestamp + 3600 })).toHaveLength(0);
+        expect(client.queryTransfers({ toBlock: history.initiated.blockNumber })).toHaveLength(1);
+
+        // A fresh indexer on the same store resumes after the last indexed block
+        await client.initiateTransfer(owner1, alice, ethers.parseEther('0.1'));
+
+        // Its own provider, so no block number cached before the last transfer is reused
+        const provider = new ethers.JsonRpcProvider(client.rpcUrl);
+        const resumed = new EventIndexer({ provider, address: deployment.address, abi: client.abi, storePath });
+        const resumedSync = await resumed.sync();
+        provider.destroy();
+        expect(resumedSync.fromBlock).toBe(indexer.store.startBlock);
+        expect(resumedSync.added).toBe(1);
+        expect(resumed.queryTransfers({ recipient: alice, status: 'pending' })).toHaveLength(1);
+    }, 120000);
+
+    it('keeps one index per chain and vault, rebuilt after a chain reset', async () => {
+        const client = new MultisigClient(null, { storage: { type: 'memory' } });
+        const deployer = client.createWallet('0x7c852118294e51e653712a81e05800f419141751be58f605c371e15141b007a6');
+        const owner1 = client.createWallet('0x47e179ec197488593b187f80a00eb0da91f1b9d0b13f8733639f19c30a34926a');
+        const owner2 = client.createWallet('0x8b3a350cf5c34c9194ca85829a2df0ec3153be0318b5e2d3348e872092edffba');
+
+        const { address } = await client.deploy(owner1.address, owner2.address, deployer);
+        const snapshot = await client.provider.send('evm_snapshot', []);
+        await client.fundContract(deployer, 1n);
+
+        await client.syncEvents();
+        expect(client.queryEvents({ type: 'Deposit' })).toHaveLength(1);
+        const stored = client.storage.get(`${CHAIN_ID}-${address.toLowerCase()}/events`, 'index');
+        expect(stored).toMatchObject({ vault: address, chainId: CHAIN_ID });
+
+        // The deposit disappears with the blocks it was mined in
+        await client.provider.send('evm_revert', [snapshot]);
+        for (let i = 0; i < 5; i++) {
+            await client.provider.send('evm_mine', []);
+        }
+        await client.syncEvents();
+        expect(client.queryEvents({ type: 'Deposit' })).toHaveLength(0);
+
+        client.provider.destroy();
+    }, 60000);
+});
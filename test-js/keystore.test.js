@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import { ethers } from 'ethers';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { KeystoreManager } from '../lib/KeystoreManager.js';
+import { EXIT_CODES } from '../lib/cli/errors.js';
+import { parseEnv, updateEnv } from '../lib/utils/env.js';
+import { runJson } from './cliHarness.js';
+
+const PRIVATE_KEY = '0x2a871d0798f97d79848a013d4936a73bf4cc922c825d33c1cf7073dff6d409c6';
+
+function tempDirectory() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'multisig-keystores-'));
+}
+
+describe('KeystoreManager', () => {
+    it('encrypts, lists and decrypts owner keys', async () => {
+        // Light scrypt parameters keep the test fast
+        const keystores = new KeystoreManager({ directory: tempDirectory(), scrypt: { N: 1 << 10 } });
+        const { address } = new ethers.Wallet(PRIVATE_KEY);
+
+        const stored = await keystores.importPrivateKey('owner2', PRIVATE_KEY, 'hunter2');
+        expect(stored.address).toBe(address);
+        expect(fs.readFileSync(stored.path, 'utf8')).not.toContain(PRIVATE_KEY.slice(2));
+        expect(fs.statSync(stored.path).mode & 0o777).toBe(0o600);
+
+        expect(keystores.list()).toEqual([{ name: 'owner2', address, path: stored.path }]);
+        await expect(keystores.importPrivateKey('owner2', PRIVATE_KEY, 'other')).rejects.toThrow(/already exists/);
+
+        const wallet = await keystores.load('owner2', 'hunter2');
+        expect(wallet.privateKey).toBe(PRIVATE_KEY);
+        await expect(keystores.load('owner2', 'wrong')).rejects.toThrow();
+
+        // Existing keystores are only accepted with their password
+        const other = new KeystoreManager({ directory: tempDirectory() });
+        const json = keystores.exportKeystore('owner2');
+        await expect(other.importKeystore('owner1', json, 'wrong')).rejects.toThrow();
+        expect((await other.importKeystore('owner1', json, 'hunter2')).address).toBe(address);
+    });
+
+    it('imports and exports keys through the CLI', async () => {
+        const directory = tempDirectory();
+        process.env.KEYSTORE_DIR = directory;
+        process.env.TESTER_KEYSTORE_PASSWORD = 'hunter2';
+
+        const imported = await runJson(['keys', 'import', 'tester', '--private-key', PRIVATE_KEY]);
+        expect(imported.exitCode).toBe(EXIT_CODES.OK);
+        expect(imported.result.path).toBe(path.join(directory, 'tester.json'));
+
+        const listed = await runJson(['keys', 'list']);
+        expect(listed.result.keystores.map(entry => entry.name)).toEqual(['tester']);
+
+        const exported = await runJson(['keys', 'export', 'tester', '--reveal']);
+        expect(exported.result.privateKey).toBe(PRIVATE_KEY);
+
+        process.env.TESTER_KEYSTORE_PASSWORD = 'wrong';
+        const denied = await runJson(['keys', 'export', 'tester', '--reveal']);
+        expect(denied.exitCode).toBe(EXIT_CODES.CONFIG);
+    }, 30000);
+});
+
+describe('.env edits', () => {
+    it('removes a migrated key and keeps every other line as written', () => {
+        const text = [
+            '# Node endpoint',
+            'RPC_URL=https://rpc.example/v1?apikey=abc',
+            '',
+            'OWNER1_PRIVATE_KEY=' + PRIVATE_KEY,
+            'OWNER1_KEYSTORE_PASSWORD=pa==ss',
+            ''
+        ].join('\n');
+        expect(parseEnv(text)).toEqual({
+            RPC_URL: 'https://rpc.example/v1?apikey=abc',
+            OWNER1_PRIVATE_KEY: PRIVATE_KEY,
+            OWNER1_KEYSTORE_PASSWORD: 'pa==ss'
+        });
+
+        const migrated = updateEnv(text, { OWNER1_PRIVATE_KEY: null });
+        expect(migrated).toBe(text.replace(`OWNER1_PRIVATE_KEY=${PRIVATE_KEY}\n`, ''));
+
+        const updated = updateEnv(migrated, { RPC_URL: 'http://127.0.0.1:8545', OWNER1_ADDRESS: '0xabc' });
+        expect(updated.split('\n')).toEqual([
+            '# Node endpoint',
+            'RPC_URL=http://127.0.0.1:8545',
+            '',
+            'OWNER1_KEYSTORE_PASSWORD=pa==ss',
+            'OWNER1_ADDRESS=0xabc',
+            ''
+        ]);
+    });
+});
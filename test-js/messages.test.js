@@ -0,0 +1,114 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { ethers } from 'ethers';
+import fs from 'fs';
+import path from 'path';
+import { MultisigClient } from '../lib/MultisigClient.js';
+import { EXIT_CODES } from '../lib/cli/errors.js';
+import { MESSAGE_TYPES, hashVaultMessage, parseTypedData } from '../lib/utils/messages.js';
+import { transferTypedData } from '../lib/utils/approval.js';
+import { CHAIN_ID, DEPLOYER_KEY, OWNER1_KEY, OWNER2_KEY } from './clientSuite.js';
+import { run, useCliEnvironment } from './cliHarness.js';
+
+/**
+ * EIP-712 typed data as a dApp hands it to eth_signTypedData_v4
+ */
+function loginTypedData(vault) {
+    return {
+        types: {
+            EIP712Domain: [
+                { name: 'name', type: 'string' },
+                { name: 'version', type: 'string' },
+                { name: 'chainId', type: 'uint256' }
+            ],
+            Login: [
+                { name: 'account', type: 'address' },
+                { name: 'nonce', type: 'uint256' },
+                { name: 'statement', type: 'string' }
+            ]
+        },
+        primaryType: 'Login',
+        domain: { name: 'Example', version: '1', chainId: CHAIN_ID },
+        message: { account: vault, nonce: 7, statement: 'Sign in to Example' }
+    };
+}
+
+describe('Typed data', () => {
+    it('drops EIP712Domain and checks the primary type', () => {
+        const typedData = loginTypedData(ethers.ZeroAddress);
+        expect(Object.keys(parseTypedData(typedData).types)).toEqual(['Login']);
+        expect(hashVaultMessage({ type: MESSAGE_TYPES.TYPED_DATA, typedData: JSON.stringify(typedData) }))
+            .toBe(ethers.TypedDataEncoder.hash(typedData.domain, { Login: typedData.types.Login }, typedData.message));
+
+        expect(() => parseTypedData({ ...typedData, primaryType: 'Permit' })).toThrow('primaryType Permit is not the root type Login');
+        expect(() => parseTypedData({ ...typedData, message: undefined })).toThrow('missing "message"');
+    });
+});
+
+describe('Messages signed on behalf of the vault', () => {
+    const client = new MultisigClient(null, { storage: { type: 'memory' } });
+    const owner1 = client.createWallet(OWNER1_KEY);
+    const owner2 = client.createWallet(OWNER2_KEY);
+    let vault;
+
+    beforeAll(async () => {
+        ({ address: vault } = await client.deploy(owner1.address, owner2.address, client.createWallet(DEPLOYER_KEY)));
+    });
+
+    it('produces signatures the vault accepts and logs them', async () => {
+        const signed = await client.signVaultMessage(owner2, 'Sign in to example.com');
+        expect(signed).toMatchObject({ type: 'eip191', message: 'Sign in to example.com', signer: owner2.address, vault });
+        expect(await client.isValidSignature(ethers.hashMessage('Sign in to example.com'), signed.signature)).toBe(true);
+
+        const typed = await client.signVaultTypedData(owner2, loginTypedData(vault));
+        expect(typed.typedData.primaryType).toBe('Login');
+        expect(await client.isValidSignature(typed.hash, typed.signature)).toBe(true);
+
+        await expect(client.signVaultMessage(owner1, 'Not owner2')).rejects.toThrow('does not accept the signature');
+
+        // Transfer approvals of the vault itself go through signTransfer
+        const approval = transferTypedData({ chainId: BigInt(CHAIN_ID), vault, nonce: 0n, recipient: vault, amount: 1n, deadline: 1n });
+        await expect(client.signVaultTypedData(owner2, approval)).rejects.toThrow('use signTransfer');
+
+        expect(client.listSignedMessages().map(({ hash }) => hash)).toEqual([signed.hash, typed.hash]);
+    }, 60000);
+
+    it('refuses transfers of vaults it owns, whatever the domain', async () => {
+        // A vault whose owner2 is this vault would accept the signature as its approval
+        const other = new MultisigClient(null, { storage: { type: 'memory' } });
+        const { address: outer } = await other.deploy(owner1.address, vault, other.createWallet(DEPLOYER_KEY));
+        other.provider.destroy();
+
+        const approval = transferTypedData({ chainId: BigInt(CHAIN_ID), vault: outer, nonce: 0n, recipient: owner1.address, amount: 1n, deadline: 1n });
+        await expect(client.signVaultTypedData(owner2, approval)).rejects.toThrow('Typed data in a MultisigVault domain is not signed as a message');
+        await expect(client.signVaultTypedData(owner2, { ...approval, domain: { ...approval.domain, name: 'Other' } }))
+            .rejects.toThrow(`Vault ${vault} is owner2 of ${outer}`);
+
+        const standalone = transferTypedData({ chainId: BigInt(CHAIN_ID), vault: owner1.address, nonce: 0n, recipient: owner1.address, amount: 1n, deadline: 1n });
+        await expect(client.signVaultTypedData(owner2, standalone)).rejects.toThrow('MultisigVault domain');
+        expect(client.listSignedMessages()).toHaveLength(2);
+    }, 60000);
+
+    it('signs, verifies and lists messages from the CLI', async () => {
+        const directory = useCliEnvironment('messages');
+
+        const unconfirmed = await run(['message', 'sign', 'hello', '--vault', vault]);
+        expect(unconfirmed.exitCode).toBe(EXIT_CODES.USAGE);
+        expect(unconfirmed.stderr).toContain('  | hello');
+
+        const file = path.join(directory, 'login.json');
+        fs.writeFileSync(file, JSON.stringify(loginTypedData(vault)));
+        const typed = await run(['message', 'sign-typed', file, '--vault', vault, '--yes', '--json']);
+        expect(typed.exitCode).toBe(EXIT_CODES.OK);
+        const { hash, signature } = JSON.parse(typed.stdout);
+
+        expect((await run(['message', 'verify', hash, signature, '--vault', vault])).exitCode).toBe(EXIT_CODES.OK);
+        const forged = await owner1.signMessage(ethers.getBytes(hash));
+        expect((await run(['message', 'verify', hash, forged, '--vault', vault])).exitCode).toBe(EXIT_CODES.STATE);
+
+        const log = await run(['message', 'log', '--vault', vault]);
+        expect(log.stdout).toContain(`${hash}  Example Login`);
+        expect(log.stdout).not.toContain('hello');
+
+        client.provider.destroy();
+    }, 60000);
+});
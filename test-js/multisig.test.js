@@ -45,4 +45,32 @@ describe('MultisigVault Integration Test', () => {
         console.log(`   📊 Transfer Details: ${ethers.formatEther(amount)} ETH sent to ${recipient.slice(0,8)}...`);
         console.log(`   🏦 Final vault balance: ${ethers.formatEther(await client.getBalance())} ETH`);
     });
+
+    it('should cancel a pending transfer and refuse to sign or complete it', async () => {
+        const client = new MultisigClient();
+
+        const deployer = client.createWallet('0x7c852118294e51e653712a81e05800f419141751be58f605c371e15141b007a6');
+        const owner1 = client.createWallet('0x47e179ec197488593b187f80a00eb0da91f1b9d0b13f8733639f19c30a34926a');
+        const owner2 = client.createWallet('0x8b3a350cf5c34c9194ca85829a2df0ec3153be0318b5e2d3348e872092edffba');
+
+        await client.deploy(owner1.address, owner2.address, deployer);
+        await client.fundContract(deployer, ethers.parseEther('2'));
+
+        const recipient = ethers.Wallet.createRandom().address;
+        const { nonce } = await client.initiateTransfer(owner1, recipient, ethers.parseEther('1'));
+        const signatureResult = await client.signTransfer(owner2, nonce);
+
+        // Owner2 may cancel as well as Owner1
+        await client.cancelTransfer(owner2, nonce);
+
+        const details = await client.getTransferDetails(nonce);
+        expect(details.cancelled).toBe(true);
+        expect(details.completed).toBe(false);
+
+        await expect(client.signTransfer(owner2, nonce)).rejects.toThrow('has been cancelled');
+        await expect(client.completeTransfer(owner1, nonce, signatureResult.signature)).rejects.toThrow('has been cancelled');
+        await expect(client.cancelTransfer(owner1, nonce)).rejects.toThrow('has been cancelled');
+
+        expect(await client.provider.getBalance(recipient)).toBe(0n);
+    });
 });
\ No newline at end of file
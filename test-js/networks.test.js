@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import { ethers } from 'ethers';
+import { MultisigClient } from '../lib/MultisigClient.js';
+import { ChainMismatchError, resolveNetwork } from '../lib/utils/networks.js';
+import { main } from '../lib/cli/index.js';
+import { EXIT_CODES } from '../lib/cli/errors.js';
+import { CHAIN_ID } from './clientSuite.js';
+
+const LOCAL_RPC = 'http://127.0.0.1:8545';
+
+const config = {
+    defaultNetwork: 'local',
+    networks: {
+        local: { rpcUrl: LOCAL_RPC, chainId: 31337 },
+        testnet: {
+            rpcUrl: 'https://testnet.example/${API_KEY}',
+            chainId: 11155111,
+            confirmations: 2,
+            fees: { maxFeePerGas: 50, maxPriorityFeePerGas: '1.5' }
+        },
+        legacy: { rpcUrl: LOCAL_RPC, chainId: 1, fees: { gasPrice: 10, maxFeePerGas: 20 } }
+    }
+};
+
+describe('Networks', () => {
+    it('resolves named networks from the config', () => {
+        expect(resolveNetwork(null, { config, env: {} }))
+            .toEqual({ name: 'local', rpcUrl: LOCAL_RPC, chainId: 31337, confirmations: 1, fees: {} });
+
+        const testnet = resolveNetwork('testnet', { config, env: { API_KEY: 'abc' } });
+        expect(testnet.rpcUrl).toBe('https://testnet.example/abc');
+        expect(testnet.confirmations).toBe(2);
+        expect(testnet.fees).toEqual({
+            maxFeePerGas: ethers.parseUnits('50', 'gwei'),
+            maxPriorityFeePerGas: ethers.parseUnits('1.5', 'gwei')
+        });
+
+        expect(() => resolveNetwork('testnet', { config, env: {} })).toThrow(/API_KEY/);
+        expect(resolveNetwork('testnet', { config, env: {}, rpcUrl: LOCAL_RPC }).rpcUrl).toBe(LOCAL_RPC);
+        expect(() => resolveNetwork('legacy', { config, env: {} })).toThrow(/mixes gasPrice/);
+        expect(() => resolveNetwork('mainnet', { config, env: {} })).toThrow(/Unknown network/);
+    });
+
+    it('refuses to use an endpoint on the wrong chain', async () => {
+        const network = resolveNetwork('testnet', { config, env: {}, rpcUrl: LOCAL_RPC });
+        const client = new MultisigClient(null, { network });
+        const deployer = client.createWallet('0x7c852118294e51e653712a81e05800f419141751be58f605c371e15141b007a6');
+
+        const attempt = client.deploy(deployer.address, deployer.address, deployer);
+        await expect(attempt).rejects.toBeInstanceOf(ChainMismatchError);
+        await expect(attempt).rejects.toThrow(`chain ${CHAIN_ID}`);
+
+        const io = { stdout: { write() {} }, stderr: { write() {} } };
+        const exitCode = await main(['balance', '--network', 'sepolia', '--rpc', LOCAL_RPC], io);
+        expect(exitCode).toBe(EXIT_CODES.CONFIG);
+    });
+});
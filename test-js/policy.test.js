@@ -0,0 +1,115 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { ethers } from 'ethers';
+import { MultisigClient } from '../lib/MultisigClient.js';
+import { PolicyError, evaluatePolicy, parsePolicy } from '../lib/utils/policy.js';
+import { createTransferRecord } from '../lib/utils/records.js';
+import { DEPLOYER_KEY, OWNER1_KEY, OWNER2_KEY } from './clientSuite.js';
+
+describe('Spending policy rules', () => {
+    const alice = ethers.Wallet.createRandom().address;
+    const bob = ethers.Wallet.createRandom().address;
+    const now = 1_700_000_000;
+
+    function indexed(nonce, amount, secondsAgo, status = 'pending') {
+        return { nonce: BigInt(nonce), amount: ethers.parseEther(amount), status, initiated: { timestamp: now - secondsAgo } };
+    }
+
+    it('rejects malformed policies', () => {
+        expect(() => parsePolicy({ maxPerTranfser: '1' })).toThrow(/Unknown policy field\(s\): maxPerTranfser/);
+        expect(() => parsePolicy({ limits: { monthly: '1' } })).toThrow(/Unknown policy limit\(s\): monthly/);
+        expect(() => parsePolicy({ denylist: ['0x1234'] })).toThrow(/invalid address: 0x1234/);
+        expect(() => parsePolicy({ maxPerTransfer: 'lots' })).toThrow(/"maxPerTransfer" must be an amount of ETH/);
+
+        expect(parsePolicy({ denylist: [alice.toLowerCase()], limits: { daily: 2 } })).toEqual({
+            allowlist: null,
+            denylist: [alice],
+            maxPerTransfer: null,
+            limits: { daily: ethers.parseEther('2'), weekly: null },
+            requireMemoAbove: null
+        });
+    });
+
+    it('checks recipients, amounts, memos and rolling limits', () => {
+        const policy = parsePolicy({
+            allowlist: [alice],
+            denylist: [bob],
+            maxPerTransfer: '5',
+            limits: { daily: '3', weekly: '10' },
+            requireMemoAbove: '1'
+        });
+        const history = [
+            indexed(0, '1', 60 * 60),
+            indexed(1, '4', 2 * 24 * 60 * 60),
+            indexed(2, '2', 60, 'cancelled'),
+            indexed(3, '1.5', 30)
+        ];
+        const rules = transfer => evaluatePolicy(policy, transfer, { history, now }).map(({ rule }) => rule);
+
+        expect(rules({ recipient: alice, amount: ethers.parseEther('0.5') })).toEqual([]);
+        expect(rules({ recipient: bob, amount: ethers.parseEther('6') })).toEqual(['denylist', 'allowlist', 'maxPerTransfer', 'daily', 'weekly', 'requireMemoAbove']);
+        expect(rules({ recipient: alice, amount: ethers.parseEther('1'), memo: ' ' })).toEqual(['daily']);
+
+        // Already initiated transfers are not counted twice
+        expect(rules({ recipient: alice, amount: ethers.parseEther('1.5'), memo: 'rent', nonce: 3n })).toEqual([]);
+        expect(evaluatePolicy(policy, { recipient: alice, amount: ethers.parseEther('1'), memo: 'rent' }, { history, now })[0].message)
+            .toBe('1.0 ETH on top of 2.5 ETH already initiated exceeds the daily limit of 3.0 ETH');
+    });
+});
+
+describe('Client with a spending policy', () => {
+    const recipient = ethers.Wallet.createRandom().address;
+    const client = new MultisigClient(null, {
+        storage: { type: 'memory' },
+        policy: parsePolicy({ maxPerTransfer: '2', limits: { daily: '3' }, requireMemoAbove: '1' })
+    });
+    let owner1;
+    let owner2;
+
+    beforeAll(async () => {
+        const deployer = client.createWallet(DEPLOYER_KEY);
+        owner1 = client.createWallet(OWNER1_KEY);
+        owner2 = client.createWallet(OWNER2_KEY);
+
+        await client.deploy(owner1.address, owner2.address, deployer);
+        await client.fundContract(deployer, ethers.parseEther('10'));
+    });
+
+    afterAll(() => client.provider.destroy());
+
+    it('blocks initiation of transfers that break the policy', async () => {
+        await expect(client.initiateTransfer(owner1, recipient, ethers.parseEther('2.5'), { memo: 'too much' }))
+            .rejects.toThrow(PolicyError);
+        await expect(client.initiateTransfer(owner1, recipient, ethers.parseEther('1.5')))
+            .rejects.toThrow('Policy does not allow initiating this transfer: transfers above 1.0 ETH need a memo');
+
+        await client.initiateTransfer(owner1, recipient, ethers.parseEther('2'), { memo: 'invoice 1' });
+        const error = await client.initiateTransfer(owner1, recipient, ethers.parseEther('1.5'), { memo: 'invoice 2' }).catch(e => e);
+        expect(error.violations).toEqual([expect.objectContaining({ rule: 'daily' })]);
+        expect(await client.getCurrentNonce()).toBe(1n);
+
+        // The history behind the daily limit is read from the deployment block on
+        expect(client.getIndexer().store.startBlock).toBe(client.deploymentBlock);
+        expect(client.deploymentBlock).toBeGreaterThan(0);
+    }, 30000);
+
+    it('refuses to sign without an override', async () => {
+        // Initiated without the policy, as from another machine
+        const unguarded = new MultisigClient(null, { storage: { type: 'memory' } });
+        await unguarded.connect(client.contractAddress);
+        const { nonce } = await unguarded.initiateTransfer(owner1, recipient, ethers.parseEther('1.5'));
+
+        await expect(client.signTransfer(owner2, nonce)).rejects.toThrow(/exceeds the daily limit .*; transfers above 1.0 ETH need a memo/);
+
+        // The memo of the local record counts; the daily limit still applies
+        client.saveTransfer(nonce, createTransferRecord({ nonce, recipient, amount: ethers.parseEther('1.5'), memo: 'invoice 2' }));
+        const error = await client.signTransfer(owner2, nonce).catch(e => e);
+        expect(error.violations.map(({ rule }) => rule)).toEqual(['daily']);
+
+        const { approval, policyViolations } = await client.signTransfer(owner2, nonce, { overridePolicy: true });
+        expect(policyViolations.map(({ rule }) => rule)).toEqual(['daily']);
+        await client.completeTransfer(owner1, approval);
+        expect((await client.getTransferDetails(nonce)).completed).toBe(true);
+
+        unguarded.provider.destroy();
+    }, 30000);
+});
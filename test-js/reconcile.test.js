@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import { ethers } from 'ethers';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MultisigClient } from '../lib/MultisigClient.js';
+import { TRANSFER_RECORD_VERSION } from '../lib/utils/records.js';
+
+// Anvil accounts #3-#5, as in multisig.test.js
+const DEPLOYER_KEY = '0x7c852118294e51e653712a81e05800f419141751be58f605c371e15141b007a6';
+const OWNER1_KEY = '0x47e179ec197488593b187f80a00eb0da91f1b9d0b13f8733639f19c30a34926a';
+const OWNER2_KEY = '0x8b3a350cf5c34c9194ca85829a2df0ec3153be0318b5e2d3348e872092edffba';
+
+describe('Transfer reconciliation', () => {
+    it('detects drift, rebuilds missing records and migrates legacy schemas', async () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'multisig-reconcile-'));
+        const client = new MultisigClient(null, { storage: { type: 'memory' } });
+        const deployer = client.createWallet(DEPLOYER_KEY);
+        const owner1 = client.createWallet(OWNER1_KEY);
+        const owner2 = client.createWallet(OWNER2_KEY);
+
+        await client.deploy(owner1.address, owner2.address, deployer);
+        await client.fundContract(deployer, ethers.parseEther('5'));
+        client.getIndexer({ storePath: path.join(directory, 'events.json') });
+
+        const recipient = ethers.Wallet.createRandom().address;
+        const amount = ethers.parseEther('0.1');
+        const initiated = [];
+        for (let i = 0; i < 5; i++) {
+            initiated.push(await client.initiateTransfer(owner1, recipient, amount));
+        }
+        const { signature } = await client.signTransfer(owner2, 0n);
+        await client.completeTransfer(owner1, 0n, signature);
+        await client.cancelTransfer(owner2, 1n);
+
+        // 0: old CLI schema, still pending locally
+        client.saveTransfer(0, {
+            nonce: '0', recipient, amount: '0.1', amountWei: amount.toString(),
+            txHash: initiated[0].tx.hash, timestamp: '2025-01-01T00:00:00.000Z', initiated: true, completed: false
+        });
+        // 1: MultisigVault schema, cancellation unknown locally, approval still usable
+        client.saveTransfer(1, {
+            nonce: '1', to: recipient, amount: '0.1', amountWei: amount.toString(),
+            initiatedBy: owner1.address, txHash: initiated[1].tx.hash, timestamp: '2025-01-01T00:00:00.000Z', status: 'pending'
+        });
+        client.saveSignature(1, { signature: '0x01' });
+        // 2: only a transfer file from before the storage backends
+        fs.writeFileSync(path.join(directory, 'transfer-2.json'), JSON.stringify({
+            nonce: '2', recipient, amount: '0.1', amountWei: amount.toString(), initiated: true, completed: false
+        }));
+        // 3: nothing; 4: a record for another transfer; 99: never on chain
+        client.saveTransfer(4, { version: TRANSFER_RECORD_VERSION, nonce: '4', recipient, amount: '1.0', amountWei: ethers.parseEther('1').toString(), status: 'pending' });
+        client.saveTransfer(99, { version: TRANSFER_RECORD_VERSION, nonce: '99', status: 'pending' });
+
+        const check = await client.reconcileTransfers({ apply: false, legacyDirectory: directory });
+        expect(check.transferNonce).toBe(5n);
+        expect(check.transfers.map(({ issues }) => issues)).toEqual([
+            ['legacy', 'stale'],
+            ['legacy', 'cancelled', 'signature'],
+            ['legacy-file', 'legacy'],
+            ['missing'],
+            ['conflicting']
+        ]);
+        expect(check.orphans).toEqual([99n]);
+        expect(() => client.loadTransfer(3)).toThrow(/No stored transfer/);
+
+        const report = await client.reconcileTransfers({ legacyDirectory: directory });
+        expect(report.transfers.every(({ issues }) => issues.length > 0)).toBe(true);
+
+        expect(client.loadTransfer(0)).toMatchObject({
+            version: TRANSFER_RECORD_VERSION,
+            status: 'completed',
+            initiatedAt: '2025-01-01T00:00:00.000Z',
+            completionTxHash: expect.stringMatching(/^0x[0-9a-f]{64}$/)
+        });
+        expect(client.loadTransfer(1)).toMatchObject({ status: 'cancelled', cancelledBy: owner2.address, initiatedBy: owner1.address });
+        expect(client.loadSignature(1).cancelled).toBe(true);
+        expect(client.loadTransfer(2)).toMatchObject({ status: 'pending', recipient, amountWei: amount.toString() });
+        expect(client.loadTransfer(3)).toMatchObject({
+            status: 'pending',
+            initiatedBy: owner1.address,
+            initiationTxHash: initiated[3].tx.hash,
+            dataHash: (await client.getTransferDetails(3)).dataHash
+        });
+        expect(client.loadTransfer(4).amountWei).toBe(amount.toString());
+
+        const again = await client.reconcileTransfers({ legacyDirectory: directory });
+        expect(again.transfers.flatMap(({ issues }) => issues)).toEqual([]);
+        client.provider.destroy();
+    }, 90000);
+});
@@ -0,0 +1,58 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { ethers } from 'ethers';
+import { MultisigClient } from '../lib/MultisigClient.js';
+import { EXIT_CODES } from '../lib/cli/errors.js';
+import { CHAIN_ID } from './clientSuite.js';
+import { runJson, useCliEnvironment } from './cliHarness.js';
+
+const OWNER1 = '0x90F79bf6EB2c4f870365E785982E1f101E93b906';
+const OWNER2 = '0x15d34AAf54267DB7D7c367839AAf71A00a2C6A65';
+
+describe('Vault registry', () => {
+    const vaults = [];
+
+    beforeAll(async () => {
+        const client = new MultisigClient();
+        const deployer = client.createWallet('0x7c852118294e51e653712a81e05800f419141751be58f605c371e15141b007a6');
+
+        for (const amount of ['1', '2']) {
+            const { address } = await client.deploy(OWNER1, OWNER2, deployer);
+            await client.fundContract(deployer, ethers.parseEther(amount));
+            vaults.push(address);
+        }
+
+        useCliEnvironment('vaults');
+    }, 60000);
+
+    it('registers existing vaults after checking their owners', async () => {
+        const mismatch = await runJson(['vaults', 'add', 'ops', vaults[0], '--owner1', OWNER2]);
+        expect(mismatch.exitCode).toBe(EXIT_CODES.STATE);
+
+        const notVault = await runJson(['vaults', 'add', 'ops', OWNER1]);
+        expect(notVault.exitCode).toBe(EXIT_CODES.CONFIG);
+
+        const ops = await runJson(['vaults', 'add', 'ops', vaults[0], '--owner1', OWNER1, '--owner2', OWNER2]);
+        expect(ops.exitCode).toBe(EXIT_CODES.OK);
+        expect(ops.result).toMatchObject({ alias: 'ops', owner1: OWNER1, owner2: OWNER2, chainId: CHAIN_ID, isDefault: true });
+
+        const payroll = await runJson(['vaults', 'add', 'payroll', vaults[1], '--description', 'monthly salaries']);
+        expect(payroll.result.isDefault).toBe(false);
+
+        const duplicate = await runJson(['vaults', 'add', 'other', vaults[1]]);
+        expect(duplicate.exitCode).toBe(EXIT_CODES.CONFIG);
+
+        const listed = await runJson(['vaults', 'list']);
+        expect(listed.result.vaults.map(entry => entry.alias)).toEqual(['ops', 'payroll']);
+    });
+
+    it('selects vaults by alias or as the chain default', async () => {
+        expect((await runJson(['balance', '--vault', 'payroll'])).result.balance).toBe(ethers.parseEther('2').toString());
+        expect((await runJson(['balance'])).result.vault).toBe(vaults[0]);
+
+        await runJson(['vaults', 'use', 'payroll']);
+        expect((await runJson(['balance'])).result.vault).toBe(vaults[1]);
+
+        await runJson(['vaults', 'remove', 'payroll']);
+        expect((await runJson(['balance', '--vault', 'payroll'])).exitCode).toBe(EXIT_CODES.CONFIG);
+    });
+});
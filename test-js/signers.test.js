@@ -0,0 +1,58 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { ethers } from 'ethers';
+import { MultisigClient } from '../lib/MultisigClient.js';
+import { signerConfigFromEnv } from '../lib/utils/signers.js';
+
+// Anvil's default mnemonic; account #4 is owner1 and the node-managed account #5 is owner2
+const ANVIL_MNEMONIC = 'test test test test test test test test test test test junk';
+const OWNER1_KEY = '0x47e179ec197488593b187f80a00eb0da91f1b9d0b13f8733639f19c30a34926a';
+const OWNER2_ADDRESS = '0x9965507D1a55bcC2695C58ba16FB37d819B0A4dc';
+
+describe('Signer backends', () => {
+    const client = new MultisigClient();
+    let owner1;
+
+    beforeAll(async () => {
+        const deployer = client.createWallet('0x7c852118294e51e653712a81e05800f419141751be58f605c371e15141b007a6');
+        owner1 = await client.createSigner({ type: 'mnemonic', mnemonic: ANVIL_MNEMONIC, index: 4 });
+        expect(owner1.address).toBe(new ethers.Wallet(OWNER1_KEY).address);
+
+        await client.deploy(owner1.address, OWNER2_ADDRESS, deployer);
+        await client.fundContract(deployer, ethers.parseEther('2'));
+    });
+
+    it('reads the backend from environment variables', () => {
+        expect(signerConfigFromEnv('OWNER2', {})).toBeNull();
+        expect(signerConfigFromEnv('OWNER2', { OWNER2_PRIVATE_KEY: OWNER1_KEY }).type).toBe('privateKey');
+        expect(signerConfigFromEnv('OWNER2', { OWNER2_SIGNER: 'rpc', OWNER2_ADDRESS: OWNER2_ADDRESS }))
+            .toEqual({ type: 'rpc', address: OWNER2_ADDRESS, method: 'personal_sign' });
+        expect(() => signerConfigFromEnv('OWNER2', { OWNER2_SIGNER: 'hsm' })).toThrow(/OWNER2_SIGNER/);
+    });
+
+    it.each(['personal_sign', 'eth_sign'])('approves with a node-managed owner2 via %s', async method => {
+        const owner2 = await client.createSigner({ type: 'rpc', address: OWNER2_ADDRESS, method });
+        const recipient = ethers.Wallet.createRandom().address;
+
+        const { nonce } = await client.initiateTransfer(owner1, recipient, ethers.parseEther('0.1'));
+        const signed = await client.signTransfer(owner2, nonce);
+        expect(signed.approval.signer).toBe(OWNER2_ADDRESS);
+
+        await client.completeTransfer(owner1, nonce, signed.signature);
+        expect(await client.provider.getBalance(recipient)).toBe(ethers.parseEther('0.1'));
+    }, 60000);
+
+    it('loads owners from encrypted keystores', async () => {
+        // Light scrypt parameters keep the test fast
+        const wallet = new ethers.Wallet(OWNER1_KEY);
+        const json = await ethers.encryptKeystoreJson(
+            { address: wallet.address, privateKey: wallet.privateKey },
+            'hunter2',
+            { scrypt: { N: 1 << 10 } }
+        );
+
+        await expect(client.createSigner({ type: 'keystore', json, password: 'wrong' })).rejects.toThrow();
+        const signer = await client.createSigner({ type: 'keystore', json, password: 'hunter2' });
+        expect(await signer.getAddress()).toBe(owner1.address);
+        expect(signer.provider).toBe(client.provider);
+    });
+});
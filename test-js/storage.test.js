@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MultisigClient } from '../lib/MultisigClient.js';
+import { EmbeddedStorage, createStorage, storageConfigFromEnv, vaultNamespace } from '../lib/utils/storage.js';
+
+const VAULT = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+
+function tempDirectory() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'multisig-storage-'));
+}
+
+describe('Storage backends', () => {
+    it.each([
+        ['memory', () => ({ type: 'memory' })],
+        ['file', () => ({ type: 'file', directory: tempDirectory() })],
+        ['embedded', () => ({ type: 'embedded', file: path.join(tempDirectory(), 'multisig.db') })]
+    ])('stores namespaced records in %s storage', (type, config) => {
+        const storage = createStorage(config());
+        const vault = storage.namespace(vaultNamespace(31337, VAULT));
+        const other = storage.namespace(vaultNamespace(1, VAULT));
+
+        expect(vault.get('transfers', 1)).toBeNull();
+        vault.put('transfers', 1n, { nonce: '1', status: 'pending' });
+        vault.put('transfers', 2, { nonce: '2', status: 'pending' });
+        other.put('transfers', 1, { nonce: '1', status: 'completed' });
+
+        expect(vault.get('transfers', '1')).toEqual({ nonce: '1', status: 'pending' });
+        expect(other.get('transfers', 1).status).toBe('completed');
+        expect(vault.keys('transfers').sort()).toEqual(['1', '2']);
+
+        // Stored values are copies
+        const record = vault.get('transfers', 2);
+        record.status = 'changed';
+        expect(vault.get('transfers', 2).status).toBe('pending');
+
+        expect(vault.delete('transfers', 2)).toBe(true);
+        expect(vault.delete('transfers', 2)).toBe(false);
+        expect(vault.keys('transfers')).toEqual(['1']);
+
+        expect(() => vault.put('../transfers', 1, {})).toThrow(/Invalid storage/);
+        expect(() => vault.put('transfers', '../1', {})).toThrow(/Invalid storage/);
+    });
+
+    it('writes files atomically and shares the embedded database between instances', () => {
+        const directory = tempDirectory();
+        const files = createStorage({ type: 'file', directory });
+        const location = files.put('deployments', 31337, { contractAddress: VAULT });
+        expect(location).toBe(path.join(directory, 'deployments', '31337.json'));
+        expect(fs.readdirSync(path.dirname(location))).toEqual(['31337.json']);
+
+        const file = path.join(tempDirectory(), 'multisig.db');
+        const writer = new EmbeddedStorage({ file });
+        const reader = new EmbeddedStorage({ file });
+        writer.put('signatures', 3, { signature: '0x01' });
+        writer.put('signatures', 3, { signature: '0x02' });
+        writer.delete('signatures', 4);
+        expect(reader.get('signatures', 3)).toEqual({ signature: '0x02' });
+
+        expect(writer.compact()).toEqual({ before: 2, after: 1 });
+        writer.put('signatures', 5, { signature: '0x05' });
+        expect(reader.keys('signatures').sort()).toEqual(['3', '5']);
+    });
+
+    it('is selected from the environment or when creating the client', () => {
+        expect(storageConfigFromEnv({})).toEqual({ type: 'file' });
+        expect(storageConfigFromEnv({ STORAGE: 'embedded', STORAGE_FILE: '/tmp/x.db' })).toEqual({ type: 'embedded', file: '/tmp/x.db' });
+        expect(() => storageConfigFromEnv({ STORAGE: 'redis' })).toThrow(/STORAGE/);
+
+        const client = new MultisigClient(null, { storage: { type: 'memory' } });
+        expect(() => client.saveTransfer(1, {})).toThrow(/not connected/);
+
+        client.useVaultStorage(31337, VAULT);
+        client.saveTransfer(1, { nonce: '1' });
+        expect(client.loadTransfer(1)).toEqual({ nonce: '1' });
+        expect(() => client.loadSignature(1)).toThrow(/No stored signature/);
+        client.provider.destroy();
+    });
+});
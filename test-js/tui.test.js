@@ -0,0 +1,128 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { ethers } from 'ethers';
+import { PassThrough } from 'stream';
+import { MultisigClient } from '../lib/MultisigClient.js';
+import { TransferReview } from '../lib/cli/tui.js';
+import { createTransferRecord } from '../lib/utils/records.js';
+import { DEPLOYER_KEY, OWNER1_KEY, OWNER2_KEY } from './clientSuite.js';
+
+describe('Transfer review UI', () => {
+    const client = new MultisigClient(null, { storage: { type: 'memory' } });
+    const recipient = ethers.Wallet.createRandom().address;
+    let owner1;
+    let owner2;
+
+    beforeAll(async () => {
+        const deployer = client.createWallet(DEPLOYER_KEY);
+        owner1 = client.createWallet(OWNER1_KEY);
+        owner2 = client.createWallet(OWNER2_KEY);
+
+        await client.deploy(owner1.address, owner2.address, deployer);
+        await client.fundContract(deployer, ethers.parseEther('3'));
+
+        await client.initiateTransfer(owner1, recipient, ethers.parseEther('1'));
+        const { nonce } = await client.initiateTransfer(owner1, recipient, ethers.parseEther('0.25'));
+        // A local record that disagrees with the chain about the amount
+        client.saveTransfer(nonce, createTransferRecord({ nonce, recipient, amount: ethers.parseEther('2.5') }));
+    });
+
+    afterAll(() => client.provider.destroy());
+
+    function createReview(actions = {}, input = new PassThrough()) {
+        let screen = '';
+        const review = new TransferReview({
+            client,
+            role: 'owner2',
+            address: owner2.address,
+            actions,
+            describeRecipient: async () => ({ label: 'alice', warnings: ['The vault has never paid alice before'] }),
+            input,
+            output: { write: chunk => { screen += chunk; } }
+        });
+        return { review, text: () => review.render().join('\n'), last: () => screen };
+    }
+
+    it('lists transfers and compares them with the local records', async () => {
+        const { review, text } = createReview();
+        await review.refresh();
+
+        expect(text()).toContain('Balance 3.0 ETH');
+        expect(review.render()).toEqual(expect.arrayContaining([
+            expect.stringMatching(/^> +1 pending +0x[0-9a-fA-F]{40} 0\.25 ETH$/),
+            expect.stringMatching(/^ +0 pending +0x[0-9a-fA-F]{40} 1\.0 ETH$/)
+        ]));
+
+        await review.handleKey({ name: 'return' });
+        expect(text()).toContain('Transfer 1');
+        expect(text()).toContain('differs: 2.5 ETH');
+        expect(text()).toMatch(/Data hash +0x[0-9a-f]{64}\n +not recorded/);
+
+        await review.handleKey({ name: 'j' });
+        expect(text()).toContain('Transfer 0');
+        expect(text()).toContain('no local record');
+
+        await review.handleKey({ name: 'b' });
+        await review.handleKey({ name: 'f' });
+        await review.handleKey({ name: 'f' });
+        expect(text()).toContain('Transfers (completed, 0 of 2)');
+    });
+
+    it('shows a confirmation screen before signing', async () => {
+        const signed = [];
+        const { review, text } = createReview({
+            async sign(request, { deadline }) {
+                const { approval } = await client.signTransfer(owner2, request, { deadline });
+                client.saveSignature(approval.nonce, { signer: approval.signer, signature: approval.signature });
+                signed.push(approval);
+                return `Signed transfer ${request.nonce}`;
+            }
+        });
+        await review.refresh();
+        await review.handleKey({ name: 'down' });
+        await review.handleKey({ name: 'return' });
+
+        const { dataHash } = await client.getTransferDetails(0);
+        await review.handleKey({ name: 's' });
+        expect(review.screen).toBe('confirm');
+        expect(text()).toContain(`Recipient   alice (${recipient})`);
+        expect(text()).toContain('Warning: The vault has never paid alice before');
+        const { deadline } = review.confirmation;
+        expect(text()).toContain(`Valid until ${new Date(Number(deadline) * 1000).toISOString()} (${deadline})`);
+        expect(text()).toContain('Amount      1.0 ETH');
+        expect(text()).toContain(`Data hash   ${dataHash}`);
+        expect(text()).toContain('matches keccak256(vault, nonce, recipient, amount)');
+
+        // Nothing happens before "y"; "n" backs out
+        await review.handleKey({ name: 'return' });
+        await review.handleKey({ name: 'n' });
+        expect(signed).toEqual([]);
+        expect(text()).toContain('Aborted, nothing was signed or sent');
+        expect(() => client.loadSignature(0)).toThrow();
+
+        // The approval carries the deadline that was shown
+        await review.handleKey({ name: 's' });
+        const shown = review.confirmation.deadline;
+        await review.handleKey({ name: 'y' });
+        expect(signed.map(({ nonce }) => nonce)).toEqual([0n]);
+        expect(signed[0].deadline).toBe(shown);
+        expect(text()).toContain('Signed transfer 0');
+        expect(text()).toContain(`stored, signed by ${owner2.address}`);
+    }, 30000);
+
+    it('offers only the actions of the role and quits on q', async () => {
+        const input = new PassThrough();
+        const { review, last } = createReview({}, input);
+        const running = review.run();
+
+        await vi.waitFor(() => expect(last()).toContain('j/k move'));
+        expect(review.availableActions(review.current)).toEqual(['sign', 'cancel']);
+        review.role = 'owner1';
+        expect(review.availableActions(review.current)).toEqual(['complete', 'cancel']);
+
+        input.write('j');
+        input.write('q');
+        await running;
+        expect(review.selected).toBe(1);
+        expect(review.done).toBe(true);
+    });
+});
@@ -0,0 +1,95 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { ethers } from 'ethers';
+import { MultisigClient } from '../lib/MultisigClient.js';
+import { ViemMultisigClient } from '../lib/ViemMultisigClient.js';
+import { VaultRegistry } from '../lib/VaultRegistry.js';
+import { EXIT_CODES } from '../lib/cli/errors.js';
+import { loadContractArtifact } from '../lib/utils/abi.js';
+import { maskImmutables, readImmutables, splitMetadata } from '../lib/utils/verification.js';
+import { CHAIN_ID, DEPLOYER_KEY, OWNER1_KEY, OWNER2_KEY } from './clientSuite.js';
+import { run, useCliEnvironment } from './cliHarness.js';
+
+describe('Runtime code helpers', () => {
+    it('split off the metadata trailer and mask immutables', () => {
+        const { deployedBytecode, immutableReferences, metadata } = loadContractArtifact('MultisigVault');
+
+        const { code, metadata: trailer } = splitMetadata(deployedBytecode);
+        expect(trailer.ipfs).toMatch(/^Qm/);
+        expect(metadata.version.startsWith(trailer.solc)).toBe(true);
+        expect(deployedBytecode.startsWith(code)).toBe(true);
+        expect(splitMetadata('0x6000').metadata).toBeNull();
+
+        const [id, [{ start }]] = Object.entries(immutableReferences)[0];
+        const filled = ethers.concat([ethers.dataSlice(code, 0, start), ethers.ZeroHash.replace(/0$/, '1'), ethers.dataSlice(code, start + 32)]);
+        expect(readImmutables(filled, { [id]: [{ start, length: 32 }] })[id]).toBe(ethers.toBeHex(1, 32));
+        expect(maskImmutables(filled, immutableReferences)).toBe(maskImmutables(code, immutableReferences));
+    });
+});
+
+describe('Deployment verification', () => {
+    const client = new MultisigClient(null, { storage: { type: 'memory' } });
+    const owner1 = client.createWallet(OWNER1_KEY);
+    const owner2 = client.createWallet(OWNER2_KEY);
+    let vault;
+
+    beforeAll(async () => {
+        ({ address: vault } = await client.deploy(owner1.address, owner2.address, client.createWallet(DEPLOYER_KEY)));
+    });
+
+    it('accepts a vault of the local build with the recorded owners', async () => {
+        const report = await client.verifyDeployment(vault, { owner1: owner1.address, owner2: owner2.address });
+        expect(report).toMatchObject({ verified: true, codeMatches: true, issues: [], warnings: [] });
+        expect(report.owners.owner2).toEqual({ recorded: owner2.address, deployed: owner2.address });
+        expect(report.compiler.artifact.startsWith(report.compiler.deployed)).toBe(true);
+
+        const viemClient = new ViemMultisigClient(null, { storage: { type: 'memory' }, pollingInterval: 250 });
+        expect((await viemClient.verifyDeployment(vault, { owner1: owner1.address, owner2: owner2.address })).verified).toBe(true);
+    }, 60000);
+
+    it('reports other owners and other code', async () => {
+        const swapped = await client.verifyDeployment(vault, { owner1: owner2.address, owner2: owner1.address });
+        expect(swapped.verified).toBe(false);
+        expect(swapped.issues).toContain(`owner1 of the deployed vault is ${owner1.address}, the record says ${owner2.address}`);
+
+        expect((await client.verifyDeployment(owner1.address)).issues).toEqual([`No contract deployed at ${owner1.address}`]);
+
+        // Returns 42 for any call
+        const deployer = client.createWallet(DEPLOYER_KEY);
+        const tx = await deployer.sendTransaction({ data: '0x600a600c600039600a6000f3602a60005260206000f3' });
+        const { contractAddress } = await tx.wait();
+        const other = await client.verifyDeployment(contractAddress);
+        expect(other.verified).toBe(false);
+        expect(other.warnings).toEqual(['The deployed code carries no compiler metadata']);
+        expect(other.issues[0]).toMatch(/^The runtime code differs from .*MultisigVault\.json at byte \d+$/);
+    }, 60000);
+
+    it('refuses to change a vault whose recorded owners differ and warns when reading it', async () => {
+        useCliEnvironment('verify');
+
+        const verified = await run(['verify', '--vault', vault, '--json']);
+        expect(verified.exitCode).toBe(EXIT_CODES.OK);
+        expect(JSON.parse(verified.stdout)).toMatchObject({ verified: true, codeMatches: true, vault });
+
+        new VaultRegistry({ file: process.env.VAULTS_FILE }).add('swapped', {
+            address: vault,
+            chainId: CHAIN_ID,
+            network: 'anvil',
+            owner1: owner2.address,
+            owner2: owner1.address
+        });
+        const balance = await run(['balance', '--vault', 'swapped']);
+        expect(balance.exitCode).toBe(EXIT_CODES.OK);
+        expect(balance.stderr).toContain('does not match the local build');
+
+        const refused = await run(['initiate', owner2.address, '0.01', '--vault', 'swapped']);
+        expect(refused.exitCode).toBe(EXIT_CODES.STATE);
+        expect(refused.stderr).toContain('does not match the local build');
+
+        const report = await run(['verify', '--vault', 'swapped']);
+        expect(report.exitCode).toBe(EXIT_CODES.STATE);
+        expect(report.stderr).toMatch(/Owner1: +0x\w+ \(recorded 0x\w+\)/);
+
+        delete process.env.VAULTS_FILE;
+        client.provider.destroy();
+    }, 60000);
+});
@@ -0,0 +1,176 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { ethers } from 'ethers';
+import { MultisigClient } from '../lib/MultisigClient.js';
+import { VaultWatcher } from '../lib/VaultWatcher.js';
+import { resolveNetwork } from '../lib/utils/networks.js';
+
+/**
+ * Read events from a watcher until one matches, leaving the watcher running
+ */
+async function nextMatching(watcher, predicate) {
+    const iterator = watcher[Symbol.asyncIterator]();
+
+    for (;;) {
+        const { value, done } = await iterator.next();
+        if (done) {
+            return null;
+        }
+        if (predicate(value)) {
+            return value;
+        }
+    }
+}
+
+describe('VaultWatcher', () => {
+    const client = new MultisigClient();
+    let owner1;
+    let deployBlock;
+
+    beforeAll(async () => {
+        const deployer = client.createWallet('0x7c852118294e51e653712a81e05800f419141751be58f605c371e15141b007a6');
+        owner1 = client.createWallet('0x47e179ec197488593b187f80a00eb0da91f1b9d0b13f8733639f19c30a34926a');
+        const owner2 = client.createWallet('0x8b3a350cf5c34c9194ca85829a2df0ec3153be0318b5e2d3348e872092edffba');
+
+        const deployment = await client.deploy(owner1.address, owner2.address, deployer);
+        deployBlock = (await deployment.deploymentTx.wait()).blockNumber;
+        await client.fundContract(deployer, ethers.parseEther('2'));
+    });
+
+    it('yields new initiations and replays missed events', async () => {
+        const watcher = client.watch({ pollInterval: 200 });
+        const initiatedEvents = [];
+        watcher.on('initiated', event => initiatedEvents.push(event));
+
+        const recipient = ethers.Wallet.createRandom().address;
+        const pending = nextMatching(watcher, event => event.type === 'TransferInitiated');
+        const { nonce } = await client.initiateTransfer(owner1, recipient, ethers.parseEther('0.5'));
+
+        const event = await pending;
+        watcher.stop();
+        expect(event.nonce).toBe(nonce);
+        expect(event.to).toBe(recipient);
+        expect(initiatedEvents).toHaveLength(1);
+
+        // A watcher started from an earlier block replays what it missed
+        const replay = client.watch({ fromBlock: deployBlock, pollInterval: 200 });
+        const deposit = await nextMatching(replay, e => e.type === 'Deposit');
+        const initiated = await nextMatching(replay, e => e.type === 'TransferInitiated');
+        replay.stop();
+
+        expect(deposit.amount).toBe(ethers.parseEther('2'));
+        expect(initiated.nonce).toBe(nonce);
+    }, 60000);
+
+    it('reconnects after RPC failures without losing events', async () => {
+        let failures = 2;
+        const flakyProvider = {
+            getBlockNumber: () => (failures-- > 0
+                ? Promise.reject(new Error('connection refused'))
+                : client.provider.getBlockNumber()),
+            getLogs: filter => client.provider.getLogs(filter),
+            getBlock: number => client.provider.getBlock(number)
+        };
+
+        const watcher = new VaultWatcher({
+            provider: flakyProvider,
+            address: client.contractAddress,
+            abi: client.abi,
+            fromBlock: deployBlock,
+            pollInterval: 200,
+            reconnectDelay: 10
+        });
+
+        const disconnects = [];
+        let reconnected = false;
+        watcher.on('disconnected', ({ attempt }) => disconnects.push(attempt));
+        watcher.on('reconnected', () => { reconnected = true; });
+
+        watcher.start();
+        const deposit = await nextMatching(watcher, e => e.type === 'Deposit');
+        watcher.stop();
+
+        expect(disconnects).toEqual([1, 2]);
+        expect(reconnected).toBe(true);
+        expect(deposit.blockNumber).toBeGreaterThanOrEqual(deployBlock);
+    });
+
+    it('waits for the network\'s confirmations by default', async () => {
+        const confirmed = new MultisigClient(null, { network: { ...resolveNetwork('anvil'), confirmations: 3 } });
+        await confirmed.connect(client.contractAddress);
+        const watcher = confirmed.watch();
+        watcher.stop();
+        expect(watcher.confirmations).toBe(2);
+
+        const explicit = confirmed.watch({ confirmations: 0 });
+        explicit.stop();
+        expect(explicit.confirmations).toBe(0);
+        confirmed.provider.destroy();
+    });
+
+    it('delivers the rest of a batch when a listener throws', async () => {
+        const watcher = new VaultWatcher({
+            provider: client.provider,
+            address: client.contractAddress,
+            abi: client.abi,
+            fromBlock: deployBlock,
+            pollInterval: 200
+        });
+
+        const errors = [];
+        const seen = [];
+        watcher.on('deposit', () => { throw new Error('listener failed'); });
+        watcher.on('deposit', event => seen.push(`deposit ${event.blockNumber}`));
+        watcher.on('event', event => seen.push(event.type));
+        watcher.on('listenerError', ({ error, name }) => errors.push(`${name}: ${error.message}`));
+
+        watcher.start();
+        const initiated = await nextMatching(watcher, e => e.type === 'TransferInitiated');
+        watcher.stop();
+
+        expect(initiated).not.toBeNull();
+        expect(errors).toEqual(['deposit: listener failed']);
+        expect(seen.slice(0, 3)).toEqual([expect.stringMatching(/^deposit \d+$/), 'Deposit', 'TransferInitiated']);
+    });
+
+    it('delivers events again after a reorg replaced their blocks', async () => {
+        // Blocks from `forkedFrom` on get other hashes, as if another branch had won
+        let forkedFrom = null;
+        const rehash = (number, hash) => (forkedFrom !== null && number >= forkedFrom ? ethers.keccak256(hash) : hash);
+        const forkingProvider = {
+            getBlockNumber: () => client.provider.getBlockNumber(),
+            getLogs: async filter => (await client.provider.getLogs(filter)).map(log => ({
+                topics: log.topics,
+                data: log.data,
+                blockNumber: log.blockNumber,
+                blockHash: rehash(log.blockNumber, log.blockHash),
+                transactionHash: log.transactionHash,
+                index: log.index
+            })),
+            getBlock: async number => {
+                const block = await client.provider.getBlock(number);
+                return block && { number: block.number, hash: rehash(block.number, block.hash), timestamp: block.timestamp };
+            }
+        };
+
+        const watcher = new VaultWatcher({
+            provider: forkingProvider,
+            address: client.contractAddress,
+            abi: client.abi,
+            fromBlock: deployBlock,
+            pollInterval: 200
+        });
+        const reorgs = [];
+        watcher.on('reorg', reorg => reorgs.push(reorg));
+
+        watcher.start();
+        const deposit = await nextMatching(watcher, e => e.type === 'Deposit');
+        forkedFrom = deposit.blockNumber;
+        const again = await nextMatching(watcher, e => e.type === 'Deposit');
+        watcher.stop();
+
+        expect(reorgs[0]).toEqual({ fromBlock: deposit.blockNumber, lastBlock: expect.any(Number) });
+        expect(reorgs[0].lastBlock).toBeGreaterThanOrEqual(deposit.blockNumber);
+        expect(again.blockNumber).toBe(deposit.blockNumber);
+        expect(again.blockHash).toBe(ethers.keccak256(deposit.blockHash));
+    });
+});
@@ -3,6 +3,29 @@ pragma solidity ^0.8.30;
 
 import "forge-std/Test.sol";
 import "../src/MultisigVault.sol";
+import {ECDSA} from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+/**
+ * @dev 2-of-2 contract wallet whose ERC-1271 signature is both signers' ECDSA
+ * signatures, ABI-encoded (longer than 65 bytes)
+ */
+contract TwoOfTwoWallet is IERC1271 {
+    address public immutable signerA;
+    address public immutable signerB;
+    
+    constructor(address _signerA, address _signerB) {
+        signerA = _signerA;
+        signerB = _signerB;
+    }
+    
+    function isValidSignature(bytes32 hash, bytes memory signature) external view returns (bytes4) {
+        (bytes memory first, bytes memory second) = abi.decode(signature, (bytes, bytes));
+        if (ECDSA.recover(hash, first) == signerA && ECDSA.recover(hash, second) == signerB) {
+            return IERC1271.isValidSignature.selector;
+        }
+        return bytes4(0xffffffff);
+    }
+}
 
 contract MultisigVaultTest is Test {
     MultisigVault public vault;
@@ -12,6 +35,7 @@ contract MultisigVaultTest is Test {
     address owner2;
     uint256 owner2PrivateKey;
     address recipient;
+    uint256 deadline;
     
     event TransferInitiated(uint256 indexed nonce, address indexed to, uint256 amount, bytes32 dataHash);
     event TransferCompleted(uint256 indexed nonce, address indexed to, uint256 amount);
@@ -32,6 +56,16 @@ contract MultisigVaultTest is Test {
         
         // Fund the vault
         vm.deal(address(vault), 10 ether);
+        
+        deadline = block.timestamp + 1 days;
+    }
+    
+    /**
+     * @dev Signature of the EIP-712 Transfer struct of a vault, as owner2's wallet produces it
+     */
+    function _approve(MultisigVault target, uint256 privateKey, uint256 nonce, uint256 approvalDeadline) internal view returns (bytes memory) {
+        (uint8 v, bytes32 r, bytes32 s) = vm.sign(privateKey, target.hashTransfer(nonce, approvalDeadline));
+        return abi.encodePacked(r, s, v);
     }
     
     function testConstructor() public {
@@ -133,11 +167,8 @@ contract MultisigVaultTest is Test {
         vm.prank(owner1);
         uint256 nonce = vault.initiateTransfer(recipient, amount);
         
-        // Get the message to sign (already hashed with Ethereum prefix)
-        bytes32 messageToSign = vault.getMessageToSign(nonce);
-        
-        // Owner2 signs the message
-        (uint8 v, bytes32 r, bytes32 s) = vm.sign(owner2PrivateKey, messageToSign);
+        // Owner2 signs the EIP-712 Transfer struct
+        bytes memory signature = _approve(vault, owner2PrivateKey, nonce, deadline);
         
         uint256 recipientBalanceBefore = recipient.balance;
         
@@ -146,7 +177,7 @@ contract MultisigVaultTest is Test {
         
         // Owner1 completes the transfer with owner2's signature
         vm.prank(owner1);
-        vault.completeTransfer(nonce, v, r, s);
+        vault.completeTransfer(nonce, deadline, signature);
         
         assertEq(recipient.balance, recipientBalanceBefore + amount);
         assertEq(vault.getBalance(), 9 ether);
@@ -157,32 +188,73 @@ contract MultisigVaultTest is Test {
         assertFalse(cancelled);
     }
     
+    function testHashTransferIsEIP712Digest() public {
+        vm.prank(owner1);
+        uint256 nonce = vault.initiateTransfer(recipient, 1 ether);
+        
+        bytes32 domainSeparator = keccak256(abi.encode(
+            keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"),
+            keccak256("MultisigVault"),
+            keccak256("1"),
+            block.chainid,
+            address(vault)
+        ));
+        bytes32 structHash = keccak256(abi.encode(vault.TRANSFER_TYPEHASH(), nonce, recipient, 1 ether, deadline));
+        
+        assertEq(vault.DOMAIN_SEPARATOR(), domainSeparator);
+        assertEq(vault.hashTransfer(nonce, deadline), keccak256(abi.encodePacked("\x19\x01", domainSeparator, structHash)));
+    }
+    
     function testCompleteTransferInvalidSignature() public {
         uint256 amount = 1 ether;
         
         vm.prank(owner1);
         uint256 nonce = vault.initiateTransfer(recipient, amount);
         
-        bytes32 dataHash = vault.getMessageToSign(nonce);
-        bytes32 ethSignedMessageHash = vault.getEthSignedMessageHash(dataHash);
-        
         // Sign with wrong key (owner1 instead of owner2)
-        (uint8 v, bytes32 r, bytes32 s) = vm.sign(owner1PrivateKey, ethSignedMessageHash);
+        bytes memory signature = _approve(vault, owner1PrivateKey, nonce, deadline);
         
         vm.prank(owner1);
         vm.expectRevert(MultisigVault.InvalidSignature.selector);
-        vault.completeTransfer(nonce, v, r, s);
+        vault.completeTransfer(nonce, deadline, signature);
+    }
+    
+    function testCompleteTransferOtherDeadline() public {
+        vm.prank(owner1);
+        uint256 nonce = vault.initiateTransfer(recipient, 1 ether);
+        
+        // The deadline is part of the signed struct
+        bytes memory signature = _approve(vault, owner2PrivateKey, nonce, deadline);
+        
+        vm.prank(owner1);
+        vm.expectRevert(MultisigVault.InvalidSignature.selector);
+        vault.completeTransfer(nonce, deadline + 1, signature);
+    }
+    
+    function testCompleteTransferExpired() public {
+        vm.prank(owner1);
+        uint256 nonce = vault.initiateTransfer(recipient, 1 ether);
+        bytes memory signature = _approve(vault, owner2PrivateKey, nonce, deadline);
+        
+        vm.warp(deadline + 1);
+        vm.prank(owner1);
+        vm.expectRevert(MultisigVault.ApprovalExpired.selector);
+        vault.completeTransfer(nonce, deadline, signature);
+        
+        // Valid up to and including the deadline
+        vm.warp(deadline);
+        vm.prank(owner1);
+        vault.completeTransfer(nonce, deadline, signature);
+        assertEq(recipient.balance, 1 ether);
     }
     
     function testCompleteTransferNotInitiated() public {
         // Create a fake signature
-        uint8 v = 27;
-        bytes32 r = bytes32(uint256(1));
-        bytes32 s = bytes32(uint256(2));
+        bytes memory signature = abi.encodePacked(bytes32(uint256(1)), bytes32(uint256(2)), uint8(27));
         
         vm.prank(owner1);
         vm.expectRevert(MultisigVault.TransferNotInitiated.selector);
-        vault.completeTransfer(999, v, r, s);
+        vault.completeTransfer(999, deadline, signature);
     }
     
     function testCompleteTransferAlreadyCompleted() public {
@@ -191,16 +263,15 @@ contract MultisigVaultTest is Test {
         vm.prank(owner1);
         uint256 nonce = vault.initiateTransfer(recipient, amount);
         
-        bytes32 messageToSign = vault.getMessageToSign(nonce);
-        (uint8 v, bytes32 r, bytes32 s) = vm.sign(owner2PrivateKey, messageToSign);
+        bytes memory signature = _approve(vault, owner2PrivateKey, nonce, deadline);
         
         vm.prank(owner1);
-        vault.completeTransfer(nonce, v, r, s);
+        vault.completeTransfer(nonce, deadline, signature);
         
         // Try to complete again
         vm.prank(owner1);
         vm.expectRevert(MultisigVault.TransferAlreadyCompleted.selector);
-        vault.completeTransfer(nonce, v, r, s);
+        vault.completeTransfer(nonce, deadline, signature);
     }
     
     function testCompleteTransferOnlyOwner1() public {
@@ -209,12 +280,11 @@ contract MultisigVaultTest is Test {
         vm.prank(owner1);
         uint256 nonce = vault.initiateTransfer(recipient, amount);
         
-        bytes32 messageToSign = vault.getMessageToSign(nonce);
-        (uint8 v, bytes32 r, bytes32 s) = vm.sign(owner2PrivateKey, messageToSign);
+        bytes memory signature = _approve(vault, owner2PrivateKey, nonce, deadline);
         
         vm.prank(owner2);
         vm.expectRevert(MultisigVault.OnlyOwner1.selector);
-        vault.completeTransfer(nonce, v, r, s);
+        vault.completeTransfer(nonce, deadline, signature);
     }
     
     function testMultipleTransfers() public {
@@ -229,18 +299,16 @@ contract MultisigVaultTest is Test {
         vm.stopPrank();
         
         // Complete first transfer
-        bytes32 messageToSign1 = vault.getMessageToSign(nonce1);
-        (uint8 v1, bytes32 r1, bytes32 s1) = vm.sign(owner2PrivateKey, messageToSign1);
+        bytes memory signature1 = _approve(vault, owner2PrivateKey, nonce1, deadline);
         
         vm.prank(owner1);
-        vault.completeTransfer(nonce1, v1, r1, s1);
+        vault.completeTransfer(nonce1, deadline, signature1);
         
         // Complete second transfer
-        bytes32 messageToSign2 = vault.getMessageToSign(nonce2);
-        (uint8 v2, bytes32 r2, bytes32 s2) = vm.sign(owner2PrivateKey, messageToSign2);
+        bytes memory signature2 = _approve(vault, owner2PrivateKey, nonce2, deadline);
         
         vm.prank(owner1);
-        vault.completeTransfer(nonce2, v2, r2, s2);
+        vault.completeTransfer(nonce2, deadline, signature2);
         
         assertEq(recipient.balance, amount1);
         assertEq(recipient2.balance, amount2);
@@ -264,8 +332,8 @@ contract MultisigVaultTest is Test {
         vm.prank(owner1);
         uint256 nonce = vault.initiateTransfer(recipient, amount);
         
-        // Get the message to sign (already hashed with Ethereum prefix)
-        bytes32 messageToSign = vault.getMessageToSign(nonce);
+        // Any hash owner2 signed, here a transfer digest
+        bytes32 messageToSign = vault.hashTransfer(nonce, deadline);
         
         // Owner2 signs the message
         (uint8 v, bytes32 r, bytes32 s) = vm.sign(owner2PrivateKey, messageToSign);
@@ -284,4 +352,53 @@ contract MultisigVaultTest is Test {
         bytes4 invalidResult = vault.isValidSignature(messageToSign, invalidSignature);
         assertEq(uint32(invalidResult), uint32(0xffffffff), "ERC-1271 should return invalid for wrong signer");
     }
-}
\ No newline at end of file
+    
+    function testCompleteTransferWithContractWalletSignature() public {
+        uint256 signerBPrivateKey = 0x9abc;
+        TwoOfTwoWallet wallet = new TwoOfTwoWallet(owner2, vm.addr(signerBPrivateKey));
+        MultisigVault walletVault = new MultisigVault(owner1, address(wallet));
+        vm.deal(address(walletVault), 2 ether);
+        
+        vm.prank(owner1);
+        uint256 nonce = walletVault.initiateTransfer(recipient, 1 ether);
+        bytes32 messageToSign = walletVault.hashTransfer(nonce, deadline);
+        
+        (uint8 v1, bytes32 r1, bytes32 s1) = vm.sign(owner2PrivateKey, messageToSign);
+        (uint8 v2, bytes32 r2, bytes32 s2) = vm.sign(signerBPrivateKey, messageToSign);
+        bytes memory signature = abi.encode(abi.encodePacked(r1, s1, v1), abi.encodePacked(r2, s2, v2));
+        assertGt(signature.length, 65);
+        
+        // One signer alone is not the wallet's signature
+        vm.prank(owner1);
+        vm.expectRevert(MultisigVault.InvalidSignature.selector);
+        walletVault.completeTransfer(nonce, deadline, abi.encode(abi.encodePacked(r1, s1, v1), abi.encodePacked(r1, s1, v1)));
+        
+        vm.prank(owner1);
+        walletVault.completeTransfer(nonce, deadline, signature);
+        
+        assertEq(recipient.balance, 1 ether);
+        (, , , , bool completed, ) = walletVault.getTransferDetails(nonce);
+        assertTrue(completed);
+    }
+    
+    function testCompleteTransferWithNestedVaultAsOwner2() public {
+        // owner2 of the outer vault is the vault set up above, signing through its own owner2
+        MultisigVault outer = new MultisigVault(owner1, address(vault));
+        vm.deal(address(outer), 2 ether);
+        
+        vm.prank(owner1);
+        uint256 nonce = outer.initiateTransfer(recipient, 1 ether);
+        
+        // Signed for the outer vault's domain
+        bytes memory signature = _approve(outer, owner2PrivateKey, nonce, deadline);
+        
+        vm.prank(recipient);
+        vm.expectRevert(MultisigVault.OnlyOwner1.selector);
+        outer.completeTransfer(nonce, deadline, signature);
+        
+        vm.prank(owner1);
+        outer.completeTransfer(nonce, deadline, signature);
+        
+        assertEq(recipient.balance, 1 ether);
+    }
+}
@@ -16,6 +16,8 @@ contract MultisigVaultIntegrationTest is Test {
     address bob;
     address charlie;
     
+    uint256 deadline;
+    
     function setUp() public {
         // Setup owners with known private keys
         owner1PrivateKey = 0xA11CE;
@@ -36,6 +38,9 @@ contract MultisigVaultIntegrationTest is Test {
         // Give owner1 some ETH for gas
         vm.deal(owner1, 1 ether);
         vm.deal(owner2, 1 ether);
+        
+        // Approvals below are valid for a day
+        deadline = block.timestamp + 1 days;
     }
     
     function testFullFlowSingleTransfer() public {
@@ -54,13 +59,13 @@ contract MultisigVaultIntegrationTest is Test {
         assertFalse(completed);
         assertFalse(cancelled);
         
-        // Step 2: Owner2 retrieves transfer details and signs
-        bytes32 messageToSign = vault.getMessageToSign(nonce);
+        // Step 2: Owner2 retrieves transfer details and signs the EIP-712 digest
+        bytes32 messageToSign = vault.hashTransfer(nonce, deadline);
         (uint8 v, bytes32 r, bytes32 s) = vm.sign(owner2PrivateKey, messageToSign);
         
         // Step 3: Owner1 completes transfer with signature
         vm.prank(owner1);
-        vault.completeTransfer(nonce, v, r, s);
+        vault.completeTransfer(nonce, deadline, abi.encodePacked(r, s, v));
         
         // Verify transfer completed
         (, , , , bool completedAfter, bool cancelledAfter) = vault.getTransferDetails(nonce);
@@ -99,11 +104,11 @@ contract MultisigVaultIntegrationTest is Test {
         for (uint i = 0; i < 3; i++) {
             uint256 idx = order[i];
             
-            bytes32 messageToSign = vault.getMessageToSign(nonces[idx]);
+            bytes32 messageToSign = vault.hashTransfer(nonces[idx], deadline);
             (uint8 v, bytes32 r, bytes32 s) = vm.sign(owner2PrivateKey, messageToSign);
             
             vm.prank(owner1);
-            vault.completeTransfer(nonces[idx], v, r, s);
+            vault.completeTransfer(nonces[idx], deadline, abi.encodePacked(r, s, v));
         }
         
         // Verify all transfers completed correctly
@@ -128,11 +133,11 @@ contract MultisigVaultIntegrationTest is Test {
         vm.prank(owner1);
         uint256 nonce1 = vault.initiateTransfer(alice, 75 ether);
         
-        bytes32 msg1 = vault.getMessageToSign(nonce1);
+        bytes32 msg1 = vault.hashTransfer(nonce1, deadline);
         (uint8 v1, bytes32 r1, bytes32 s1) = vm.sign(owner2PrivateKey, msg1);
         
         vm.prank(owner1);
-        vault.completeTransfer(nonce1, v1, r1, s1);
+        vault.completeTransfer(nonce1, deadline, abi.encodePacked(r1, s1, v1));
         
         assertEq(vault.getBalance(), 75 ether);
         assertEq(alice.balance, 75 ether);
@@ -141,11 +146,11 @@ contract MultisigVaultIntegrationTest is Test {
         vm.prank(owner1);
         uint256 nonce2 = vault.initiateTransfer(bob, 25 ether);
         
-        bytes32 msg2 = vault.getMessageToSign(nonce2);
+        bytes32 msg2 = vault.hashTransfer(nonce2, deadline);
         (uint8 v2, bytes32 r2, bytes32 s2) = vm.sign(owner2PrivateKey, msg2);
         
         vm.prank(owner1);
-        vault.completeTransfer(nonce2, v2, r2, s2);
+        vault.completeTransfer(nonce2, deadline, abi.encodePacked(r2, s2, v2));
         
         assertEq(vault.getBalance(), 50 ether);
         assertEq(bob.balance, 25 ether);
@@ -165,7 +170,7 @@ contract MultisigVaultIntegrationTest is Test {
         
         vm.prank(owner1);
         vm.expectRevert(MultisigVault.InvalidSignature.selector);
-        vault.completeTransfer(nonce2, v, r, s);
+        vault.completeTransfer(nonce2, deadline, abi.encodePacked(r, s, v));
         
         // Verify no funds were transferred
         assertEq(alice.balance, 0);
@@ -214,27 +219,27 @@ contract MultisigVaultIntegrationTest is Test {
         uint256 nonce2 = vault.initiateTransfer(bob, 60 ether);
         
         // Complete first transfer
-        bytes32 msg1 = vault.getMessageToSign(nonce1);
+        bytes32 msg1 = vault.hashTransfer(nonce1, deadline);
         (uint8 v1, bytes32 r1, bytes32 s1) = vm.sign(owner2PrivateKey, msg1);
         
         vm.prank(owner1);
-        vault.completeTransfer(nonce1, v1, r1, s1);
+        vault.completeTransfer(nonce1, deadline, abi.encodePacked(r1, s1, v1));
         
         assertEq(vault.getBalance(), 40 ether);
         
         // Try to complete second transfer (should fail due to insufficient balance)
-        bytes32 msg2 = vault.getMessageToSign(nonce2);
+        bytes32 msg2 = vault.hashTransfer(nonce2, deadline);
         (uint8 v2, bytes32 r2, bytes32 s2) = vm.sign(owner2PrivateKey, msg2);
         
         vm.prank(owner1);
         vm.expectRevert(MultisigVault.InsufficientBalance.selector);
-        vault.completeTransfer(nonce2, v2, r2, s2);
+        vault.completeTransfer(nonce2, deadline, abi.encodePacked(r2, s2, v2));
         
         // Add more funds and retry
         vm.deal(address(vault), vault.getBalance() + 20 ether);
         
         vm.prank(owner1);
-        vault.completeTransfer(nonce2, v2, r2, s2);
+        vault.completeTransfer(nonce2, deadline, abi.encodePacked(r2, s2, v2));
         
         assertEq(bob.balance, 60 ether);
     }
@@ -247,12 +252,12 @@ contract MultisigVaultIntegrationTest is Test {
         vm.prank(owner1);
         uint256 nonce1 = vault.initiateTransfer(alice, 1 ether);
         
-        bytes32 msg1 = vault.getMessageToSign(nonce1);
+        bytes32 msg1 = vault.hashTransfer(nonce1, deadline);
         (uint8 v1, bytes32 r1, bytes32 s1) = vm.sign(owner2PrivateKey, msg1);
         
         gasBefore = gasleft();
         vm.prank(owner1);
-        vault.completeTransfer(nonce1, v1, r1, s1);
+        vault.completeTransfer(nonce1, deadline, abi.encodePacked(r1, s1, v1));
         gasUsed = gasBefore - gasleft();
         
         console.log("Gas used for first transfer:", gasUsed);
@@ -261,12 +266,12 @@ contract MultisigVaultIntegrationTest is Test {
         vm.prank(owner1);
         uint256 nonce2 = vault.initiateTransfer(bob, 1 ether);
         
-        bytes32 msg2 = vault.getMessageToSign(nonce2);
+        bytes32 msg2 = vault.hashTransfer(nonce2, deadline);
         (uint8 v2, bytes32 r2, bytes32 s2) = vm.sign(owner2PrivateKey, msg2);
         
         gasBefore = gasleft();
         vm.prank(owner1);
-        vault.completeTransfer(nonce2, v2, r2, s2);
+        vault.completeTransfer(nonce2, deadline, abi.encodePacked(r2, s2, v2));
         gasUsed = gasBefore - gasleft();
         
         console.log("Gas used for second transfer:", gasUsed);
@@ -2,6 +2,9 @@ import { defineConfig } from 'vitest/config';
 
 export default defineConfig({
   test: {
+    include: ['test-js/**/*.test.js'],
+    // Test files share one Anvil node, so run them sequentially to avoid nonce races
+    fileParallelism: false,
     testTimeout: 30000,
     hookTimeout: 30000,
     globals: true,